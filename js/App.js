@@ -3,6 +3,8 @@
  * Coordinates all modules and initializes the QR Code Generator
  */
 import { QRGenerator } from './QRGenerator.js';
+import { QRGenerationError } from './QRGenerationError.js';
+import { QREncoder } from './QREncoder.js';
 import { UIManager } from './UIManager.js';
 import { ErrorHandler } from './ErrorHandler.js';
 import { DownloadManager } from './DownloadManager.js';
@@ -21,6 +23,7 @@ class App {
         this.historyManager = null;
         this.contentParser = null;
         this.initialized = false;
+        this.capacityExceeded = false;
     }
 
     /**
@@ -40,7 +43,7 @@ class App {
                 height: 200,
                 colorDark: '#000000',
                 colorLight: '#ffffff',
-                correctLevel: QRCode.CorrectLevel.M
+                correctLevel: QREncoder.ErrorCorrectionLevel.M
             });
 
             // Initialize Download Manager
@@ -103,6 +106,8 @@ class App {
         this.historyManager.setUIManager(this.uiManager);
         this.historyManager.setQRGenerator(this.qrGenerator);
         this.contentParser.setErrorHandler(this.errorHandler);
+        this.contentParser.setUIManager(this.uiManager);
+        this.contentParser.setQRGenerator(this.qrGenerator);
         
         // Set up event system for module communication
         this.setupEventSystem();
@@ -188,6 +193,8 @@ class App {
             this.uiManager.showSuccess('QR Code gerado com sucesso!');
             
         } catch (error) {
+            // A newer generation replaced this one and will update the UI
+            if (QRGenerationError.isCancellation(error)) return;
             this.uiManager.showLoading(false);
             this.errorHandler.handleError(error, 'QR Code generation');
         }
@@ -198,15 +205,27 @@ class App {
      */
     validateInput(content) {
         if (!content || content.length === 0) {
+            this.uiManager.updateCapacityMeter('text-capacity', null);
+            this.capacityExceeded = false;
             return false;
         }
 
-        // Basic content length validation (QR codes have limits)
-        if (content.length > 2000) {
-            this.errorHandler.showUserError('Conteúdo muito longo. Máximo 2000 caracteres.', 'warning');
+        // Capacity depends on the encoding mode, the version and the error correction level
+        const capacity = this.qrGenerator.getCapacity(content);
+        this.uiManager.updateCapacityMeter('text-capacity', capacity);
+
+        if (!capacity.fits) {
+            // Warn only once when the limit is crossed; the generator names the symbology and
+            // tells invalid content and an unsupported encoding apart from a capacity overflow
+            if (!this.capacityExceeded) {
+                const error = this.qrGenerator.getContentError(content);
+                this.errorHandler.showUserError(error.userMessage, 'warning');
+            }
+            this.capacityExceeded = true;
             return false;
         }
 
+        this.capacityExceeded = false;
         return true;
     }
 
@@ -220,6 +239,8 @@ class App {
             this.uiManager.showLoading(false);
             this.uiManager.showSuccess('QR Code gerado com sucesso!');
         } catch (error) {
+            // A newer generation replaced this one and will update the UI
+            if (QRGenerationError.isCancellation(error)) return;
             this.uiManager.showLoading(false);
             this.errorHandler.handleError(error, 'Geração de QR Code');
         }
@@ -251,12 +272,6 @@ class App {
 
 // Initialize app when DOM is loaded
 document.addEventListener('DOMContentLoaded', () => {
-    // Wait for QRCode library to be available
-    if (typeof QRCode === 'undefined') {
-        console.error('QRCode library not loaded');
-        return;
-    }
-    
     const app = new App();
     app.init().catch(error => {
         console.error('Failed to initialize app:', error);
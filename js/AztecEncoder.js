@@ -0,0 +1,602 @@
+/**
+ * Aztec Encoder Module
+ * Codificador de Aztec Code (ISO/IEC 24778), comum em bilhetes e cartões de embarque.
+ * Não precisa de zona de silêncio: o olho de boi central orienta a leitura.
+ */
+import { QREncoder } from './QREncoder.js';
+import { ReedSolomon } from './ReedSolomon.js';
+
+const { L, M, Q, H } = QREncoder.ErrorCorrectionLevel;
+
+// Percentual de correção de cada nível (23% + 3 codewords é o mínimo recomendado)
+const ECC_PERCENT = { [L]: 23, [M]: 33, [Q]: 50, [H]: 66 };
+
+const MAX_COMPACT_LAYERS = 4;
+const MAX_LAYERS = 32;
+// O símbolo compacto endereça no máximo 64 codewords de dados
+const MAX_COMPACT_DATA_WORDS = 64;
+
+// Modos de caracteres e o tamanho dos seus códigos em bits
+const UPPER = 'upper';
+const LOWER = 'lower';
+const MIXED = 'mixed';
+const PUNCT = 'punct';
+const DIGIT = 'digit';
+const MODE_BITS = { [UPPER]: 5, [LOWER]: 5, [MIXED]: 5, [PUNCT]: 5, [DIGIT]: 4 };
+
+// Código de cada byte em cada modo (o espaço existe em todos, menos no PUNCT)
+const CHAR_CODES = (() => {
+    const tables = { [UPPER]: new Map(), [LOWER]: new Map(), [MIXED]: new Map(), [PUNCT]: new Map(), [DIGIT]: new Map() };
+    [UPPER, LOWER, MIXED, DIGIT].forEach(mode => tables[mode].set(0x20, 1));
+    for (let i = 0; i < 26; i++) {
+        tables[UPPER].set(0x41 + i, i + 2);
+        tables[LOWER].set(0x61 + i, i + 2);
+    }
+    for (let i = 0; i < 10; i++) tables[DIGIT].set(0x30 + i, i + 2);
+    tables[DIGIT].set(0x2C, 12).set(0x2E, 13);
+
+    const mixed = [1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12, 13, 27, 28, 29, 30, 31, 64, 92, 94, 95, 96, 124, 126, 127];
+    mixed.forEach((byte, i) => tables[MIXED].set(byte, i + 2));
+
+    tables[PUNCT].set(0x0D, 1);
+    Array.from('!"#$%&\'()*+,-./:;<=>?[]{}').forEach((char, i) => tables[PUNCT].set(char.charCodeAt(0), i + 6));
+    return tables;
+})();
+
+// Pares de caracteres com código próprio no modo PUNCT: CR LF, ". ", ", " e ": "
+const PUNCT_PAIRS = new Map([[0x0D0A, 2], [0x2E20, 3], [0x2C20, 4], [0x3A20, 5]]);
+
+// Latch direto entre modos: código emitido no modo de origem
+const LATCH_CODES = {
+    [UPPER]: { [LOWER]: 28, [MIXED]: 29, [DIGIT]: 30 },
+    [LOWER]: { [MIXED]: 29, [DIGIT]: 30 },
+    [MIXED]: { [UPPER]: 29, [LOWER]: 28, [PUNCT]: 30 },
+    [PUNCT]: { [UPPER]: 31 },
+    [DIGIT]: { [UPPER]: 14 }
+};
+
+// Caminho mais curto de latches entre dois modos
+const LATCH_PATHS = {
+    [UPPER]: { [LOWER]: [LOWER], [MIXED]: [MIXED], [DIGIT]: [DIGIT], [PUNCT]: [MIXED, PUNCT] },
+    [LOWER]: { [UPPER]: [DIGIT, UPPER], [MIXED]: [MIXED], [DIGIT]: [DIGIT], [PUNCT]: [MIXED, PUNCT] },
+    [MIXED]: { [UPPER]: [UPPER], [LOWER]: [LOWER], [PUNCT]: [PUNCT], [DIGIT]: [UPPER, DIGIT] },
+    [PUNCT]: { [UPPER]: [UPPER], [LOWER]: [UPPER, LOWER], [MIXED]: [UPPER, MIXED], [DIGIT]: [UPPER, DIGIT] },
+    [DIGIT]: { [UPPER]: [UPPER], [LOWER]: [UPPER, LOWER], [MIXED]: [UPPER, MIXED], [PUNCT]: [UPPER, MIXED, PUNCT] }
+};
+
+// Shifts de um caractere: P/S (todos menos PUNCT), U/S (LOWER e DIGIT) e B/S (UPPER, LOWER e MIXED)
+const PUNCT_SHIFT = 0;
+const UPPER_SHIFT = { [LOWER]: 28, [DIGIT]: 15 };
+const BINARY_SHIFT = 31;
+const MAX_BINARY_SHIFT = 2078;
+
+// Ordem de preferência ao trocar de modo
+const MODE_ORDER = [UPPER, LOWER, MIXED, DIGIT, PUNCT];
+
+// Tamanho do codeword e corpo de Galois de cada faixa de camadas
+const FIELDS = {
+    6: new ReedSolomon(0x43, 64, 1),
+    8: new ReedSolomon(0x12D, 256, 1),
+    10: new ReedSolomon(0x409, 1024, 1),
+    12: new ReedSolomon(0x1069, 4096, 1)
+};
+const modeMessageRS = new ReedSolomon(0x13, 16, 1);
+
+class AztecEncoder {
+    // O olho de boi dispensa zona de silêncio
+    static QUIET_ZONE = 0;
+
+    static SUPPORTED_LEVELS = [L, M, Q, H];
+
+    static ECC_PERCENT = ECC_PERCENT;
+
+    /**
+     * Codifica um texto no menor Aztec (compacto de 1 a 4 camadas ou completo até 32)
+     */
+    static encode(text, options = {}) {
+        const {
+            errorCorrectionLevel = M,
+            encoding = QREncoder.Encoding.AUTO
+        } = options;
+
+        if (typeof text !== 'string') {
+            throw new Error('Aztec content must be a string');
+        }
+        if (!AztecEncoder.SUPPORTED_LEVELS.includes(errorCorrectionLevel)) {
+            throw new Error(`Invalid Aztec error correction level: ${errorCorrectionLevel}`);
+        }
+
+        const message = AztecEncoder.encodeMessage(text, encoding);
+        if (!message) {
+            throw new Error(`Content has characters not supported by ${encoding}`);
+        }
+        const layout = AztecEncoder.chooseLayout(message.bits, ECC_PERCENT[errorCorrectionLevel]);
+        if (!layout) {
+            throw new Error('Data too long for Aztec');
+        }
+
+        const { compact, layers, wordSize, dataWords } = layout;
+        const totalBits = AztecEncoder.getTotalBits(layers, compact);
+        const messageBits = AztecEncoder.addCheckWords(dataWords, totalBits, wordSize, FIELDS[wordSize]);
+        const modeMessage = AztecEncoder.getModeMessage(compact, layers, dataWords.length);
+
+        const symbol = new AztecSymbol(compact, layers);
+        symbol.drawData(messageBits);
+        symbol.drawModeMessage(modeMessage);
+        symbol.drawFinderPatterns();
+
+        return {
+            symbology: 'aztec',
+            version: AztecEncoder.getVersionName(compact, layers),
+            size: symbol.size,
+            errorCorrectionLevel,
+            eccPercent: ECC_PERCENT[errorCorrectionLevel],
+            mask: null,
+            quietZone: AztecEncoder.QUIET_ZONE,
+            segments: message.segments,
+            encoding: message.encoding,
+            eci: message.eci,
+            modules: symbol.modules,
+            functionModules: symbol.isFunction
+        };
+    }
+
+    /**
+     * Ocupação do conteúdo no menor Aztec que o comporta (ou no completo de 32 camadas)
+     */
+    static getCapacity(text, options = {}) {
+        const {
+            errorCorrectionLevel = M,
+            encoding = QREncoder.Encoding.AUTO
+        } = options;
+        const maxVersion = AztecEncoder.getVersionName(false, MAX_LAYERS);
+        const percentECC = ECC_PERCENT[errorCorrectionLevel] ?? ECC_PERCENT[M];
+
+        const message = AztecEncoder.encodeMessage(text, encoding);
+        if (!message) {
+            return {
+                fits: false,
+                version: null,
+                maxVersion,
+                usedBits: 0,
+                capacityBits: AztecEncoder.getTotalBits(MAX_LAYERS, false),
+                percent: 0,
+                segments: [],
+                encoding,
+                eci: null,
+                unsupportedEncoding: encoding,
+                symbols: 1
+            };
+        }
+
+        const layout = AztecEncoder.chooseLayout(message.bits, percentECC);
+        const compact = layout ? layout.compact : false;
+        const layers = layout ? layout.layers : MAX_LAYERS;
+        const wordSize = AztecEncoder.getWordSize(layers);
+        const usedBits = layout
+            ? layout.dataWords.length * wordSize
+            : AztecEncoder.stuffBits(message.bits, wordSize).length;
+        // Espaço para dados depois de reservar a correção exigida pelo nível
+        const eccBits = Math.floor(message.bits.length * percentECC / 100) + 11;
+        const totalBits = AztecEncoder.getTotalBits(layers, compact);
+        const capacityBits = totalBits - totalBits % wordSize - eccBits;
+
+        return {
+            fits: Boolean(layout),
+            version: layout ? AztecEncoder.getVersionName(compact, layers) : null,
+            maxVersion,
+            usedBits,
+            capacityBits,
+            percent: capacityBits > 0 ? Math.round(usedBits / capacityBits * 1000) / 10 : Infinity,
+            segments: message.segments,
+            encoding: message.encoding,
+            eci: message.eci,
+            symbols: 1
+        };
+    }
+
+    static getVersionName(compact, layers) {
+        return `${compact ? 'Compacto' : 'Completo'} ${layers}`;
+    }
+
+    /**
+     * Bits de dados: designador ECI, se houver, e os bytes nos modos de caracteres,
+     * com Binary Shift para o que não existe em nenhum modo.
+     * Retorna null se o texto não for representável na codificação pedida.
+     */
+    static encodeMessage(text, encoding) {
+        const resolved = QREncoder.encodeBytesWithECI(text, encoding);
+        if (!resolved) return null;
+
+        const writer = new AztecBitWriter();
+        if (resolved.eci !== null) {
+            writer.appendECI(resolved.eci);
+        }
+        writer.appendBytes(resolved.bytes);
+
+        return {
+            bits: writer.bits,
+            segments: writer.getSegments(text),
+            encoding: resolved.encoding,
+            eci: resolved.eci
+        };
+    }
+
+    /**
+     * Menor símbolo com espaço para os dados e a correção mínima.
+     * Retorna { compact, layers, wordSize, dataWords } ou null se não couber.
+     */
+    static chooseLayout(bits, percentECC) {
+        const eccBits = Math.floor(bits.length * percentECC / 100) + 11;
+        let wordSize = 0;
+        let stuffed = null;
+
+        // Compacto com 1 a 4 camadas, depois completo a partir de 4 camadas
+        for (let i = 0; i <= MAX_LAYERS; i++) {
+            const compact = i < MAX_COMPACT_LAYERS;
+            const layers = compact ? i + 1 : i;
+            if (!compact && layers < MAX_COMPACT_LAYERS) continue;
+
+            const totalBits = AztecEncoder.getTotalBits(layers, compact);
+            if (bits.length + eccBits > totalBits) continue;
+
+            if (wordSize !== AztecEncoder.getWordSize(layers)) {
+                wordSize = AztecEncoder.getWordSize(layers);
+                stuffed = AztecEncoder.stuffBits(bits, wordSize);
+            }
+            const usableBits = totalBits - totalBits % wordSize;
+            if (compact && stuffed.length > wordSize * MAX_COMPACT_DATA_WORDS) continue;
+            if (stuffed.length + eccBits <= usableBits) {
+                const dataWords = [];
+                for (let j = 0; j < stuffed.length; j += wordSize) {
+                    dataWords.push(stuffed.slice(j, j + wordSize).reduce((word, bit) => (word << 1) | bit, 0));
+                }
+                return { compact, layers, wordSize, dataWords };
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Bits disponíveis nas camadas de dados
+     */
+    static getTotalBits(layers, compact) {
+        return ((compact ? 88 : 112) + 16 * layers) * layers;
+    }
+
+    static getWordSize(layers) {
+        if (layers <= 2) return 6;
+        if (layers <= 8) return 8;
+        if (layers <= 22) return 10;
+        return 12;
+    }
+
+    /**
+     * Divide os bits em codewords, inserindo um bit complementar quando os
+     * primeiros bits do codeword são todos iguais (nenhum codeword pode ser
+     * só zeros ou só uns). O último codeword é completado com uns.
+     */
+    static stuffBits(bits, wordSize) {
+        const result = [];
+        const mask = (1 << wordSize) - 2;
+
+        for (let i = 0; i < bits.length; i += wordSize) {
+            let word = 0;
+            for (let j = 0; j < wordSize; j++) {
+                if (i + j >= bits.length || bits[i + j]) {
+                    word |= 1 << (wordSize - 1 - j);
+                }
+            }
+            if ((word & mask) === mask) {
+                word &= mask;
+                i--;
+            } else if ((word & mask) === 0) {
+                word |= 1;
+                i--;
+            }
+            QREncoder.appendBits(result, word, wordSize);
+        }
+        return result;
+    }
+
+    /**
+     * Completa os codewords com a correção Reed-Solomon até encher o espaço;
+     * os bits que sobram (menos que um codeword) ficam zerados no início
+     */
+    static addCheckWords(dataWords, totalBits, wordSize, field) {
+        const totalWords = Math.floor(totalBits / wordSize);
+        const eccWords = field.encode(dataWords, totalWords - dataWords.length);
+
+        const bits = new Array(totalBits % wordSize).fill(0);
+        dataWords.concat(eccWords).forEach(word => QREncoder.appendBits(bits, word, wordSize));
+        return bits;
+    }
+
+    /**
+     * Mensagem de modo: camadas e número de codewords de dados, com correção em GF(16).
+     * 28 bits no compacto e 40 no completo.
+     */
+    static getModeMessage(compact, layers, dataWords) {
+        const bits = [];
+        if (compact) {
+            QREncoder.appendBits(bits, layers - 1, 2);
+            QREncoder.appendBits(bits, dataWords - 1, 6);
+        } else {
+            QREncoder.appendBits(bits, layers - 1, 5);
+            QREncoder.appendBits(bits, dataWords - 1, 11);
+        }
+
+        const words = [];
+        for (let i = 0; i < bits.length; i += 4) {
+            words.push(bits.slice(i, i + 4).reduce((word, bit) => (word << 1) | bit, 0));
+        }
+        return AztecEncoder.addCheckWords(words, compact ? 28 : 40, 4, modeMessageRS);
+    }
+}
+
+/**
+ * Escreve bytes nos modos de caracteres do Aztec, com latches e shifts
+ * escolhidos olhando o caractere seguinte
+ */
+class AztecBitWriter {
+    constructor() {
+        this.bits = [];
+        this.mode = UPPER;
+        this.runs = []; // { mode: 'text' | 'numeric' | 'byte', count } para o resumo dos segmentos
+    }
+
+    emit(code, mode = this.mode) {
+        QREncoder.appendBits(this.bits, code, MODE_BITS[mode]);
+    }
+
+    latchTo(target) {
+        LATCH_PATHS[this.mode][target].forEach(next => {
+            this.emit(LATCH_CODES[this.mode][next]);
+            this.mode = next;
+        });
+    }
+
+    track(kind, count = 1) {
+        const last = this.runs[this.runs.length - 1];
+        if (last && last.mode === kind) {
+            last.count += count;
+        } else {
+            this.runs.push({ mode: kind, count });
+        }
+    }
+
+    /**
+     * FLG(n) no modo PUNCT seguido dos dígitos do valor ECI
+     */
+    appendECI(eci) {
+        const digits = String(eci);
+        this.emit(PUNCT_SHIFT);
+        this.emit(0, PUNCT);
+        QREncoder.appendBits(this.bits, digits.length, 3);
+        Array.from(digits).forEach(digit => QREncoder.appendBits(this.bits, Number(digit) + 2, 4));
+    }
+
+    appendBytes(bytes) {
+        let i = 0;
+        while (i < bytes.length) {
+            const byte = bytes[i];
+            const next = bytes[i + 1];
+            const pair = next === undefined ? undefined : PUNCT_PAIRS.get((byte << 8) | next);
+
+            if (pair !== undefined && (this.mode === PUNCT || !this.hasChar(this.mode, byte))) {
+                this.appendPunct(pair, bytes[i + 2]);
+                this.track('text', 2);
+                i += 2;
+                continue;
+            }
+
+            if (this.hasChar(this.mode, byte)) {
+                this.emit(CHAR_CODES[this.mode].get(byte));
+                this.track(this.mode === DIGIT ? 'numeric' : 'text');
+                i++;
+                continue;
+            }
+
+            const modes = MODE_ORDER.filter(mode => this.hasChar(mode, byte));
+            if (modes.length === 0) {
+                i = this.appendBinary(bytes, i);
+                continue;
+            }
+
+            if (modes.length === 1 && modes[0] === PUNCT) {
+                this.appendPunct(CHAR_CODES[PUNCT].get(byte), next);
+            } else if (modes[0] === UPPER && this.mode in UPPER_SHIFT && !this.hasChar(UPPER, next)) {
+                // Uma maiúscula isolada no meio de minúsculas ou dígitos
+                this.emit(UPPER_SHIFT[this.mode]);
+                this.emit(CHAR_CODES[UPPER].get(byte), UPPER);
+            } else {
+                // Prefere o modo que também tem o caractere seguinte
+                const target = modes.find(mode => next !== undefined && this.hasChar(mode, next)) ?? modes[0];
+                this.latchTo(target);
+                this.emit(CHAR_CODES[target].get(byte));
+            }
+            this.track(CHAR_CODES[DIGIT].has(byte) && this.mode === DIGIT ? 'numeric' : 'text');
+            i++;
+        }
+    }
+
+    hasChar(mode, byte) {
+        return byte !== undefined && CHAR_CODES[mode].has(byte);
+    }
+
+    /**
+     * Código do modo PUNCT: latch se o caractere seguinte também for pontuação, senão P/S
+     */
+    appendPunct(code, next) {
+        if (this.mode === PUNCT) {
+            this.emit(code);
+        } else if (next !== undefined && this.hasChar(PUNCT, next) &&
+            !MODE_ORDER.some(mode => mode !== PUNCT && this.hasChar(mode, next))) {
+            this.latchTo(PUNCT);
+            this.emit(code);
+        } else {
+            this.emit(PUNCT_SHIFT);
+            this.emit(code, PUNCT);
+        }
+    }
+
+    /**
+     * Binary Shift com os bytes que não existem em nenhum modo, a partir de `start`.
+     * Retorna a posição seguinte.
+     */
+    appendBinary(bytes, start) {
+        // B/S só existe nos modos UPPER, LOWER e MIXED
+        if (this.mode === DIGIT || this.mode === PUNCT) {
+            this.latchTo(UPPER);
+        }
+
+        let end = start;
+        while (end < bytes.length && end - start < MAX_BINARY_SHIFT &&
+            !MODE_ORDER.some(mode => this.hasChar(mode, bytes[end]))) {
+            end++;
+        }
+
+        const length = end - start;
+        this.emit(BINARY_SHIFT);
+        if (length <= 31) {
+            QREncoder.appendBits(this.bits, length, 5);
+        } else {
+            QREncoder.appendBits(this.bits, 0, 5);
+            QREncoder.appendBits(this.bits, length - 31, 11);
+        }
+        for (let i = start; i < end; i++) {
+            QREncoder.appendBits(this.bits, bytes[i], 8);
+        }
+        this.track('byte', length);
+        return end;
+    }
+
+    /**
+     * Resumo dos trechos por tipo de codificação, no formato dos segmentos do QR Code
+     */
+    getSegments(text) {
+        return this.runs.map(({ mode, count }) => ({ mode, text: '', numChars: count }));
+    }
+}
+
+/**
+ * Matriz de módulos de um Aztec em construção
+ */
+class AztecSymbol {
+    constructor(compact, layers) {
+        this.compact = compact;
+        this.layers = layers;
+        this.baseSize = (compact ? 11 : 14) + layers * 4;
+
+        // O completo intercala uma linha da grade de referência a cada 15 módulos a partir do centro
+        this.alignmentMap = new Array(this.baseSize);
+        if (compact) {
+            this.size = this.baseSize;
+            for (let i = 0; i < this.baseSize; i++) this.alignmentMap[i] = i;
+        } else {
+            this.size = this.baseSize + 1 + 2 * Math.floor((Math.floor(this.baseSize / 2) - 1) / 15);
+            const origCenter = Math.floor(this.baseSize / 2);
+            const center = Math.floor(this.size / 2);
+            for (let i = 0; i < origCenter; i++) {
+                const offset = i + Math.floor(i / 15);
+                this.alignmentMap[origCenter - i - 1] = center - offset - 1;
+                this.alignmentMap[origCenter + i] = center + offset + 1;
+            }
+        }
+
+        this.modules = Array.from({ length: this.size }, () => new Array(this.size).fill(false));
+        this.isFunction = Array.from({ length: this.size }, () => new Array(this.size).fill(false));
+    }
+
+    setModule(x, y, dark = true) {
+        this.modules[y][x] = dark;
+    }
+
+    setFunctionModule(x, y, dark = true) {
+        this.modules[y][x] = dark;
+        this.isFunction[y][x] = true;
+    }
+
+    /**
+     * Preenche as camadas de fora para dentro, em espiral, dois módulos por vez
+     */
+    drawData(bits) {
+        const map = this.alignmentMap;
+        const last = this.baseSize - 1;
+        let offset = 0;
+
+        for (let layer = 0; layer < this.layers; layer++) {
+            const rowSize = (this.layers - layer) * 4 + (this.compact ? 9 : 12);
+            for (let j = 0; j < rowSize; j++) {
+                const column = j * 2;
+                for (let k = 0; k < 2; k++) {
+                    if (bits[offset + column + k]) this.setModule(map[layer * 2 + k], map[layer * 2 + j]);
+                    if (bits[offset + rowSize * 2 + column + k]) this.setModule(map[layer * 2 + j], map[last - layer * 2 - k]);
+                    if (bits[offset + rowSize * 4 + column + k]) this.setModule(map[last - layer * 2 - k], map[last - layer * 2 - j]);
+                    if (bits[offset + rowSize * 6 + column + k]) this.setModule(map[last - layer * 2 - j], map[layer * 2 + k]);
+                }
+            }
+            offset += rowSize * 8;
+        }
+    }
+
+    /**
+     * Mensagem de modo ao redor do olho de boi, em sentido horário a partir do topo
+     */
+    drawModeMessage(bits) {
+        const center = Math.floor(this.size / 2);
+        const side = this.compact ? 7 : 10;
+        const distance = this.compact ? 5 : 7;
+
+        for (let i = 0; i < side; i++) {
+            const offset = this.compact ? center - 3 + i : center - 5 + i + Math.floor(i / 5);
+            this.setFunctionModule(offset, center - distance, bits[i] === 1);
+            this.setFunctionModule(center + distance, offset, bits[i + side] === 1);
+            this.setFunctionModule(offset, center + distance, bits[side * 3 - 1 - i] === 1);
+            this.setFunctionModule(center - distance, offset, bits[side * 4 - 1 - i] === 1);
+        }
+    }
+
+    /**
+     * Olho de boi, marcas de orientação e, no completo, a grade de referência
+     */
+    drawFinderPatterns() {
+        const center = Math.floor(this.size / 2);
+        const radius = this.compact ? 5 : 7;
+
+        // Anéis concêntricos alternados, com o centro escuro
+        for (let y = center - radius + 1; y < center + radius; y++) {
+            for (let x = center - radius + 1; x < center + radius; x++) {
+                const ring = Math.max(Math.abs(x - center), Math.abs(y - center));
+                this.setFunctionModule(x, y, ring % 2 === 0);
+            }
+        }
+
+        // Marcas de orientação nos cantos do anel da mensagem de modo; o resto do anel é claro
+        [[-radius, -radius], [1 - radius, -radius], [-radius, 1 - radius],
+            [radius, -radius], [radius, 1 - radius], [radius, radius - 1]].forEach(([dx, dy]) => {
+            this.setFunctionModule(center + dx, center + dy);
+        });
+        for (let i = -radius; i <= radius; i++) {
+            [[i, -radius], [i, radius], [-radius, i], [radius, i]].forEach(([dx, dy]) => {
+                if (!this.isFunction[center + dy][center + dx]) this.setFunctionModule(center + dx, center + dy, false);
+            });
+        }
+
+        if (this.compact) return;
+
+        // Grade de referência: linhas a cada 16 módulos a partir do centro, alternando
+        // módulos escuros e claros em fase com o centro
+        for (let i = 0, j = 0; i < Math.floor(this.baseSize / 2) - 1; i += 15, j += 16) {
+            for (let k = 0; k < this.size; k++) {
+                const dark = (k & 1) === (center & 1);
+                this.setFunctionModule(center - j, k, dark);
+                this.setFunctionModule(center + j, k, dark);
+                this.setFunctionModule(k, center - j, dark);
+                this.setFunctionModule(k, center + j, dark);
+            }
+        }
+    }
+}
+
+export { AztecEncoder };
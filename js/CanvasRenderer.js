@@ -0,0 +1,145 @@
+/**
+ * Canvas Renderer Module
+ * Desenha uma matriz de módulos num elemento canvas
+ */
+import { CodeFrame } from './CodeFrame.js';
+import { ColorFill } from './ColorFill.js';
+import { Halftone } from './Halftone.js';
+import { ModuleShapes } from './ModuleShapes.js';
+import { LogoOverlay } from './LogoOverlay.js';
+
+class CanvasRenderer {
+    /**
+     * Renderiza a matriz e retorna o canvas.
+     * Sem altura explícita, segue a proporção do símbolo (rMQR é retangular).
+     * `colorDark` e `colorLight` aceitam gradientes (ver ColorFill): o dos módulos cobre
+     * o símbolo, o do fundo a imagem inteira.
+     * `moduleShape`, `eyeFrameStyle` e `eyeBallStyle` escolhem os formatos (ver ModuleShapes);
+     * `eyeColors` (um preenchimento ou null por olho do QR Code) pinta cada localizador à parte.
+     * `logo` ({ logo, size, padding, plate }, ver LogoOverlay) vai no centro se a imagem já foi carregada.
+     * `halftone` ({ image, dotSize }, ver Halftone) põe a foto sob os módulos do QR Code.
+     * `frame` ({ style, text, font, color, textColor }, ver CodeFrame) envolve o código: a largura
+     * continua sendo a do código e o canvas cresce para caber a moldura.
+     */
+    static render(matrix, options = {}) {
+        const {
+            canvas = document.createElement('canvas'),
+            width = 256,
+            colorDark = '#000000',
+            colorLight = '#ffffff',
+            margin = matrix.quietZone,
+            moduleShape = 'square',
+            eyeFrameStyle = 'square',
+            eyeBallStyle = 'square',
+            eyeColors = null,
+            logo = null,
+            halftone = null,
+            frame = null
+        } = options;
+
+        const rows = matrix.modules.length;
+        const cols = matrix.modules[0].length;
+        const height = options.height ?? Math.round(width * (rows + margin * 2) / (cols + margin * 2));
+
+        const layout = CodeFrame.appliesTo(frame) ? CodeFrame.getLayout(frame, width, height, true) : null;
+        canvas.width = layout ? layout.width : width;
+        canvas.height = layout ? layout.height : height;
+
+        const ctx = canvas.getContext('2d');
+        if (layout) CodeFrame.drawCanvas(ctx, layout, frame);
+
+        // O código é desenhado a partir da origem da composição (canto da área do código)
+        const origin = layout ? layout.code : { x: 0, y: 0 };
+        ctx.setTransform(1, 0, 0, 1, origin.x, origin.y);
+        ctx.fillStyle = ColorFill.toCanvasStyle(ctx, colorLight, { x: 0, y: 0, width, height });
+        ctx.fillRect(0, 0, width, height);
+
+        const moduleWidth = width / (cols + margin * 2);
+        const moduleHeight = height / (rows + margin * 2);
+
+        const shapes = { moduleShape, eyeFrameStyle, eyeBallStyle };
+        if (halftone && Halftone.appliesTo(matrix, halftone)) {
+            // Foto com os módulos por cima, em coordenadas de módulo; os claros usam o fundo
+            ctx.setTransform(moduleWidth, 0, 0, moduleHeight, origin.x + margin * moduleWidth, origin.y + margin * moduleHeight);
+            const darkStyle = ColorFill.toCanvasStyle(ctx, colorDark, { x: 0, y: 0, width: cols, height: rows });
+            const lightStyle = ColorFill.toCanvasStyle(ctx, colorLight, {
+                x: -margin,
+                y: -margin,
+                width: cols + margin * 2,
+                height: rows + margin * 2
+            });
+            const eyeStyles = ModuleShapes.getFinderPatterns(matrix).map((finder, i) => (eyeColors?.[i]
+                ? ColorFill.toCanvasStyle(ctx, eyeColors[i], ModuleShapes.getFinderBox(finder))
+                : null));
+            Halftone.drawCanvas(ctx, matrix, halftone, moduleShape, darkStyle, lightStyle, eyeStyles);
+            ctx.setTransform(1, 0, 0, 1, origin.x, origin.y);
+        } else if ((ModuleShapes.isStyled(shapes) && ModuleShapes.supportsShapes(matrix)) || ModuleShapes.hasEyeColors(matrix, eyeColors)) {
+            // Formatos e olhos estilizados ou com cor própria: caminhos vetoriais em coordenadas de módulo
+            const { modules, eyes } = ModuleShapes.getPaths(matrix, shapes);
+            const { plain, colored } = ModuleShapes.splitEyes(matrix, eyes, eyeColors);
+            ctx.setTransform(moduleWidth, 0, 0, moduleHeight, origin.x + margin * moduleWidth, origin.y + margin * moduleHeight);
+            // O gradiente segue as coordenadas em vigor no contexto, aqui em módulos
+            ctx.fillStyle = ColorFill.toCanvasStyle(ctx, colorDark, { x: 0, y: 0, width: cols, height: rows });
+            ctx.beginPath();
+            ModuleShapes.tracePath(ctx, [...modules, ...plain]);
+            ctx.fill('nonzero');
+            // O gradiente de um olho cobre só o seu localizador
+            colored.forEach(({ path, color, finder }) => {
+                ctx.fillStyle = ColorFill.toCanvasStyle(ctx, color, ModuleShapes.getFinderBox(finder));
+                ctx.beginPath();
+                ModuleShapes.tracePath(ctx, path);
+                ctx.fill('nonzero');
+            });
+            ctx.setTransform(1, 0, 0, 1, origin.x, origin.y);
+        } else {
+            ctx.fillStyle = ColorFill.toCanvasStyle(ctx, colorDark, {
+                x: margin * moduleWidth,
+                y: margin * moduleHeight,
+                width: cols * moduleWidth,
+                height: rows * moduleHeight
+            });
+            // Arredonda as bordas de cada módulo para evitar frestas entre eles
+            for (let y = 0; y < rows; y++) {
+                for (let x = 0; x < cols; x++) {
+                    if (!matrix.modules[y][x]) continue;
+                    const left = Math.round((x + margin) * moduleWidth);
+                    const top = Math.round((y + margin) * moduleHeight);
+                    ctx.fillRect(
+                        left,
+                        top,
+                        Math.round((x + margin + 1) * moduleWidth) - left,
+                        Math.round((y + margin + 1) * moduleHeight) - top
+                    );
+                }
+            }
+        }
+
+        // Texto legível dos códigos de barras lineares
+        if (matrix.humanReadable) {
+            ctx.font = `${matrix.humanReadable.fontSize * moduleHeight}px monospace`;
+            ctx.textBaseline = 'alphabetic';
+            matrix.humanReadable.items.forEach(item => {
+                ctx.textAlign = item.align;
+                ctx.fillText(item.text, (item.x + margin) * moduleWidth, (item.y + margin) * moduleHeight);
+            });
+        }
+
+        if (logo && LogoOverlay.appliesTo(matrix, logo)) {
+            ctx.setTransform(moduleWidth, 0, 0, moduleHeight, origin.x + margin * moduleWidth, origin.y + margin * moduleHeight);
+            // A placa usa o preenchimento do fundo, na mesma posição do fundo
+            const plateStyle = ColorFill.toCanvasStyle(ctx, colorLight, {
+                x: -margin,
+                y: -margin,
+                width: cols + margin * 2,
+                height: rows + margin * 2
+            });
+            LogoOverlay.drawCanvas(ctx, matrix, logo, plateStyle);
+        }
+
+        ctx.setTransform(1, 0, 0, 1, 0, 0);
+
+        return canvas;
+    }
+}
+
+export { CanvasRenderer };
@@ -0,0 +1,258 @@
+/**
+ * Code 128 Encoder Module
+ * Codificador de Code 128 (ISO/IEC 15417) com troca automática entre os
+ * subconjuntos A (maiúsculas e controles), B (ASCII imprimível) e C (pares de dígitos)
+ */
+import { LinearSymbol } from './LinearSymbol.js';
+
+// Larguras (barra, espaço, barra, espaço, barra, espaço) dos valores 0 a 106; o 106 é o fim, com 7 elementos
+const PATTERNS = [
+    '212222', '222122', '222221', '121223', '121322', '131222', '122213', '122312', '132212', '221213',
+    '221312', '231212', '112232', '122132', '122231', '113222', '123122', '123221', '223211', '221132',
+    '221231', '213212', '223112', '312131', '311222', '321122', '321221', '312212', '322112', '322211',
+    '212123', '212321', '232121', '111323', '131123', '131321', '112313', '132113', '132311', '211313',
+    '231113', '231311', '112133', '112331', '132131', '113123', '113321', '133121', '313121', '211331',
+    '231131', '213113', '213311', '213131', '311123', '311321', '331121', '312113', '312311', '332111',
+    '314111', '221411', '431111', '111224', '111422', '121124', '121421', '141122', '141221', '112214',
+    '112412', '122114', '122411', '142112', '142211', '241211', '221114', '413111', '241112', '134111',
+    '111242', '121142', '121241', '114212', '124112', '124211', '411212', '421112', '421211', '212141',
+    '214121', '412121', '111143', '111341', '131141', '114113', '114311', '411113', '411311', '113141',
+    '114131', '311141', '411131', '211412', '211214', '211232', '2331112'
+].map(pattern => [...pattern].map(Number));
+
+const A = 'A';
+const B = 'B';
+const C = 'C';
+const SUBSETS = [A, B, C];
+
+const SHIFT = 98;
+const CODE_SWITCH = { [C]: 99, [B]: 100, [A]: 101 };
+const START = { [A]: 103, [B]: 104, [C]: 105 };
+const STOP = 106;
+
+// Limite prático de caracteres para o código caber numa etiqueta
+const MAX_LENGTH = 80;
+
+// Em módulos: altura mínima das barras (ou 15% da largura) e texto legível
+const MIN_BAR_HEIGHT = 40;
+const TEXT_HEIGHT = 10;
+const FONT_SIZE = 9;
+
+class Code128Encoder {
+    // 10 módulos de cada lado
+    static QUIET_ZONE = 10;
+
+    // A correção se limita ao caractere de verificação
+    static SUPPORTED_LEVELS = [];
+
+    static MAX_LENGTH = MAX_LENGTH;
+
+    /**
+     * Codifica um texto ASCII com o menor número de caracteres de símbolo
+     */
+    static encode(text, options = {}) {
+        const problem = Code128Encoder.validate(text);
+        if (problem) {
+            throw new Error(problem.problem === 'characters'
+                ? `Code 128 cannot encode: ${problem.expected}`
+                : `Data too long for Code 128 (${MAX_LENGTH} characters max)`);
+        }
+
+        const { codewords, segments } = Code128Encoder.encodeMessage(text);
+        const checksum = codewords.reduce((sum, codeword, i) => sum + codeword * Math.max(i, 1), 0) % 103;
+        const values = [...codewords, checksum, STOP];
+
+        const columns = LinearSymbol.fromWidths(values.flatMap(value => PATTERNS[value]));
+        // Caracteres de início, verificação e fim
+        const functionColumns = columns.map((_, x) => x < 11 || x >= columns.length - 24);
+        const symbol = LinearSymbol.build({
+            columns,
+            barHeight: Math.max(MIN_BAR_HEIGHT, Math.round(columns.length * 0.15)),
+            functionColumns,
+            text: {
+                fontSize: FONT_SIZE,
+                items: [{ text: Code128Encoder.getHumanReadable(text), x: columns.length / 2 }]
+            },
+            textHeight: TEXT_HEIGHT
+        });
+
+        return {
+            symbology: 'code128',
+            version: 'Code 128',
+            width: symbol.width,
+            height: symbol.height,
+            errorCorrectionLevel: null,
+            mask: null,
+            quietZone: Code128Encoder.QUIET_ZONE,
+            segments,
+            encoding: null,
+            eci: null,
+            modules: symbol.modules,
+            functionModules: symbol.functionModules,
+            humanReadable: symbol.humanReadable
+        };
+    }
+
+    /**
+     * Ocupação em caracteres, no formato de capacidade dos demais codificadores
+     */
+    static getCapacity(text, options = {}) {
+        const problem = Code128Encoder.validate(text);
+        const invalidContent = problem && problem.problem === 'characters' ? problem : null;
+        const length = String(text).length;
+
+        return {
+            fits: !problem,
+            version: problem ? null : 'Code 128',
+            maxVersion: `${MAX_LENGTH} caracteres`,
+            usedChars: length,
+            capacityChars: MAX_LENGTH,
+            percent: Math.round(length / MAX_LENGTH * 1000) / 10,
+            segments: invalidContent ? [] : Code128Encoder.encodeMessage(text.slice(0, MAX_LENGTH)).segments,
+            encoding: null,
+            eci: null,
+            invalidContent,
+            symbols: 1
+        };
+    }
+
+    /**
+     * Retorna null se o texto pode ser codificado, ou { problem, expected }
+     * com os caracteres fora do ASCII ('characters') ou o excesso de tamanho ('length')
+     */
+    static validate(text) {
+        const invalid = [...new Set([...String(text)].filter(char => char.charCodeAt(0) > 127))];
+        if (invalid.length > 0) {
+            return { problem: 'characters', expected: invalid.join(' ') };
+        }
+        if (text.length === 0 || text.length > MAX_LENGTH) {
+            return { problem: 'length', expected: MAX_LENGTH };
+        }
+        return null;
+    }
+
+    /**
+     * Valores do início aos dados (sem verificação e fim), escolhendo os
+     * subconjuntos por programação dinâmica: cada posição guarda o menor custo
+     * terminando em A, B ou C, com trocas (CODE) e shifts de um caractere
+     */
+    static encodeMessage(text) {
+        const codes = [...text].map(char => char.charCodeAt(0));
+        const n = codes.length;
+        const cost = Array.from({ length: n + 1 }, () => ({ [A]: Infinity, [B]: Infinity, [C]: Infinity }));
+        const from = Array.from({ length: n + 1 }, () => ({}));
+        SUBSETS.forEach(subset => {
+            cost[0][subset] = 1;
+            from[0][subset] = { start: true };
+        });
+
+        const relax = (position, subset, value, step) => {
+            if (value < cost[position][subset]) {
+                cost[position][subset] = value;
+                from[position][subset] = step;
+            }
+        };
+
+        for (let i = 0; i <= n; i++) {
+            // Trocas de subconjunto na mesma posição (duas passadas alcançam qualquer origem)
+            if (i > 0) {
+                for (let pass = 0; pass < 2; pass++) {
+                    SUBSETS.forEach(target => SUBSETS.forEach(source => {
+                        if (source !== target) {
+                            relax(i, target, cost[i][source] + 1, { previous: i, subset: source, kind: 'switch' });
+                        }
+                    }));
+                }
+            }
+            if (i === n) break;
+
+            SUBSETS.forEach(subset => {
+                const base = cost[i][subset];
+                if (base === Infinity) return;
+                if (subset === C) {
+                    if (i + 1 < n && isDigit(codes[i]) && isDigit(codes[i + 1])) {
+                        relax(i + 2, C, base + 1, { previous: i, subset: C, kind: 'pair' });
+                    }
+                    return;
+                }
+                const other = subset === A ? B : A;
+                if (inSubset(codes[i], subset)) {
+                    relax(i + 1, subset, base + 1, { previous: i, subset, kind: 'char' });
+                } else if (inSubset(codes[i], other)) {
+                    relax(i + 1, subset, base + 2, { previous: i, subset, kind: 'shift' });
+                }
+            });
+        }
+
+        // Reconstrói o caminho do fim para o início
+        let subset = SUBSETS.reduce((best, candidate) => (cost[n][candidate] < cost[n][best] ? candidate : best));
+        let position = n;
+        const steps = [];
+        while (!from[position][subset].start) {
+            const step = from[position][subset];
+            steps.unshift({ ...step, target: subset, position });
+            position = step.previous;
+            subset = step.subset;
+        }
+
+        const codewords = [START[subset]];
+        const segments = [];
+        let current = subset;
+        const track = (chars, count) => {
+            const mode = `subset${current}`;
+            const last = segments[segments.length - 1];
+            if (last && last.mode === mode) {
+                last.text += chars;
+                last.numChars += count;
+            } else {
+                segments.push({ mode, text: chars, numChars: count });
+            }
+        };
+
+        steps.forEach(step => {
+            const chars = text.slice(step.previous, step.position);
+            switch (step.kind) {
+                case 'switch':
+                    codewords.push(CODE_SWITCH[step.target]);
+                    current = step.target;
+                    break;
+                case 'pair':
+                    codewords.push(Number(chars));
+                    track(chars, 2);
+                    break;
+                case 'shift':
+                    codewords.push(SHIFT, valueIn(codes[step.previous], current === A ? B : A));
+                    track(chars, 1);
+                    break;
+                default:
+                    codewords.push(valueIn(codes[step.previous], current));
+                    track(chars, 1);
+            }
+        });
+
+        return { codewords, segments };
+    }
+
+    /**
+     * Texto impresso sob as barras, com os caracteres de controle trocados por espaços
+     */
+    static getHumanReadable(text) {
+        return text.replace(/[\x00-\x1f\x7f]/g, ' ');
+    }
+}
+
+function isDigit(code) {
+    return code >= 48 && code <= 57;
+}
+
+// A: ASCII 0 a 95; B: ASCII 32 a 127
+function inSubset(code, subset) {
+    return subset === A ? code <= 95 : code >= 32 && code <= 127;
+}
+
+function valueIn(code, subset) {
+    if (subset === A && code < 32) return code + 64;
+    return code - 32;
+}
+
+export { Code128Encoder };
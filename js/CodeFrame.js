@@ -0,0 +1,169 @@
+/**
+ * Code Frame Module
+ * Molduras com chamada ("Escaneie aqui") em volta do código: faixa inferior, balão de fala
+ * e contorno de celular. Calcula a composição (tamanho total, posição do código, caminho
+ * da moldura e posição do texto), que os renderizadores de canvas, SVG e PDF desenham.
+ * As medidas são proporcionais ao código, em centésimos da média geométrica dos lados.
+ */
+import { ColorFill } from './ColorFill.js';
+import { ModuleShapes } from './ModuleShapes.js';
+
+// Largura média de um caractere em negrito, em em (estimativa para ajustar o texto)
+const CHARACTER_WIDTH = 0.6;
+
+// Medidas de cada modelo, em centésimos do código
+const BANNER = { border: 4, band: 26, radius: 6, text: 13 };
+const BUBBLE = { height: 24, radius: 8, tail: 7, gap: 3, ring: 3, ringRadius: 4, text: 12 };
+const PHONE = { side: 7, top: 18, bottom: 24, radius: 14, speaker: 22, slot: 3, camera: 4, text: 10 };
+
+class CodeFrame {
+    static Style = Object.freeze({
+        NONE: 'none',
+        BANNER: 'banner',
+        BUBBLE: 'bubble',
+        PHONE: 'phone'
+    });
+
+    static MAX_TEXT_LENGTH = 40;
+
+    /**
+     * Indica se as opções pedem uma moldura conhecida
+     */
+    static appliesTo(frame) {
+        return Boolean(frame) && frame.style !== CodeFrame.Style.NONE &&
+            Object.values(CodeFrame.Style).includes(frame.style);
+    }
+
+    /**
+     * Composição da moldura `frame` ({ style, text, font, color, textColor }) em volta de um
+     * código de codeWidth x codeHeight: { width, height, code: { x, y }, path, text }, com
+     * `path` em comandos de ModuleShapes (o código fica num furo, o fundo dele continua
+     * visível) e `text` como { content, x, y, size, maxWidth } centrado em (x, y), ou null.
+     * Com `round` as medidas são inteiras, para o código cair em pixels inteiros no canvas.
+     */
+    static getLayout(frame, codeWidth, codeHeight, round = false) {
+        const unit = Math.sqrt(codeWidth * codeHeight) / 100;
+        const measure = value => (round ? Math.max(1, Math.round(value * unit)) : value * unit);
+
+        switch (frame.style) {
+            case CodeFrame.Style.BUBBLE:
+                return CodeFrame.getBubbleLayout(frame, codeWidth, codeHeight, measure);
+            case CodeFrame.Style.PHONE:
+                return CodeFrame.getPhoneLayout(frame, codeWidth, codeHeight, measure);
+            default:
+                return CodeFrame.getBannerLayout(frame, codeWidth, codeHeight, measure);
+        }
+    }
+
+    /**
+     * Borda em volta do código e faixa com o texto embaixo
+     */
+    static getBannerLayout(frame, codeWidth, codeHeight, measure) {
+        const border = measure(BANNER.border);
+        const band = measure(BANNER.band);
+        const width = codeWidth + border * 2;
+        const height = codeHeight + border + band;
+
+        return {
+            width,
+            height,
+            code: { x: border, y: border },
+            path: [
+                ...ModuleShapes.roundedRect(0, 0, width, height, measure(BANNER.radius)),
+                ...ModuleShapes.roundedRect(border, border, codeWidth, codeHeight, 0, false)
+            ],
+            text: CodeFrame.fitText(frame.text, width / 2, codeHeight + border + band / 2,
+                measure(BANNER.text), width - border * 4)
+        };
+    }
+
+    /**
+     * Balão de fala com o texto acima do código, apontando para ele, e um contorno fino no código
+     */
+    static getBubbleLayout(frame, codeWidth, codeHeight, measure) {
+        const ring = measure(BUBBLE.ring);
+        const bubble = measure(BUBBLE.height);
+        const tail = measure(BUBBLE.tail);
+        const width = codeWidth + ring * 2;
+        const top = bubble + tail + measure(BUBBLE.gap);
+        const center = width / 2;
+
+        return {
+            width,
+            height: top + codeHeight + ring * 2,
+            code: { x: ring, y: top + ring },
+            path: [
+                ...ModuleShapes.roundedRect(0, 0, width, bubble, measure(BUBBLE.radius)),
+                // A ponta começa dentro do balão: com nonzero os dois viram uma forma só
+                ['M', center - tail * 2, bubble - tail], ['L', center + tail * 2, bubble - tail], ['L', center, bubble + tail], ['Z'],
+                ...ModuleShapes.roundedRect(0, top, width, codeHeight + ring * 2, measure(BUBBLE.ringRadius)),
+                ...ModuleShapes.roundedRect(ring, top + ring, codeWidth, codeHeight, 0, false)
+            ],
+            text: CodeFrame.fitText(frame.text, center, bubble / 2, measure(BUBBLE.text), width - ring * 2 - measure(BUBBLE.radius) * 2)
+        };
+    }
+
+    /**
+     * Contorno de celular: o código é a tela, com alto-falante e câmera em cima e o texto embaixo
+     */
+    static getPhoneLayout(frame, codeWidth, codeHeight, measure) {
+        const side = measure(PHONE.side);
+        const top = measure(PHONE.top);
+        const bottom = measure(PHONE.bottom);
+        const width = codeWidth + side * 2;
+        const center = width / 2;
+        const speaker = measure(PHONE.speaker);
+        const slot = measure(PHONE.slot);
+        const camera = measure(PHONE.camera);
+
+        return {
+            width,
+            height: top + codeHeight + bottom,
+            code: { x: side, y: top },
+            path: [
+                ...ModuleShapes.roundedRect(0, 0, width, top + codeHeight + bottom, measure(PHONE.radius)),
+                ...ModuleShapes.roundedRect(side, top, codeWidth, codeHeight, 0, false),
+                ...ModuleShapes.roundedRect(center - speaker / 2, (top - slot) / 2, speaker, slot, slot / 2, false),
+                ...ModuleShapes.roundedRect(center + speaker / 2 + camera, (top - camera) / 2, camera, camera, camera / 2, false)
+            ],
+            text: CodeFrame.fitText(frame.text, center, top + codeHeight + bottom / 2, measure(PHONE.text), codeWidth)
+        };
+    }
+
+    /**
+     * Reduz o corpo do texto até a largura estimada caber em maxWidth; null sem texto
+     */
+    static fitText(content, x, y, size, maxWidth) {
+        const text = (content || '').trim();
+        if (!text) return null;
+        const estimated = text.length * CHARACTER_WIDTH * size;
+        return {
+            content: text,
+            x,
+            y,
+            size: estimated > maxWidth ? maxWidth / (text.length * CHARACTER_WIDTH) : size,
+            maxWidth
+        };
+    }
+
+    /**
+     * Desenha moldura e texto num contexto em coordenadas da composição
+     */
+    static drawCanvas(ctx, layout, frame) {
+        const box = { x: 0, y: 0, width: layout.width, height: layout.height };
+        ctx.beginPath();
+        ModuleShapes.tracePath(ctx, layout.path);
+        ctx.fillStyle = ColorFill.toCanvasStyle(ctx, frame.color, box);
+        ctx.fill('nonzero');
+
+        if (!layout.text) return;
+        const { content, x, y, size, maxWidth } = layout.text;
+        ctx.font = `bold ${size}px ${frame.font}`;
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'middle';
+        ctx.fillStyle = ColorFill.toCanvasStyle(ctx, frame.textColor, box);
+        ctx.fillText(content, x, y, maxWidth);
+    }
+}
+
+export { CodeFrame };
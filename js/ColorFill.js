@@ -0,0 +1,384 @@
+/**
+ * Color Fill Module
+ * Preenchimentos dos módulos e do fundo: cor sólida ou gradiente linear ou radial com
+ * várias paradas, escrito na sintaxe do CSS, por exemplo
+ * linear-gradient(135deg, #000000 0%, #3f51b5 100%) ou radial-gradient(#000000, #3f51b5).
+ * Cores aceitas: #RRGGBB, #RRGGBBAA, rgb()/rgba(), hsl()/hsla() e transparent.
+ * Canvas e SVG calculam o gradiente com a mesma geometria, para saírem iguais.
+ */
+
+// Ângulos dos lados aceitos em "to <lado>"
+const SIDE_ANGLES = { top: 0, right: 90, bottom: 180, left: 270 };
+
+class ColorFill {
+    static Type = Object.freeze({
+        SOLID: 'solid',
+        LINEAR: 'linear',
+        RADIAL: 'radial'
+    });
+
+    static MAX_STOPS = 10;
+
+    /**
+     * Interpreta um preenchimento: { type: 'solid', color } ou
+     * { type: 'linear' | 'radial', angle, stops: [{ color, offset }] } com offsets de 0 a 1.
+     * Retorna null se o valor não for válido.
+     */
+    static parse(value) {
+        if (typeof value !== 'string') return null;
+        const text = value.trim();
+
+        const color = ColorFill.parseColor(text);
+        if (color) return { type: ColorFill.Type.SOLID, color };
+
+        const match = text.match(/^(linear|radial)-gradient\((.*)\)$/i);
+        if (!match) return null;
+
+        const type = match[1].toLowerCase();
+        const args = ColorFill.splitArguments(match[2]);
+        let angle = 180; // Padrão do CSS: de cima para baixo
+        if (type === ColorFill.Type.LINEAR) {
+            const direction = ColorFill.parseAngle(args[0]);
+            if (direction !== null) {
+                angle = direction;
+                args.shift();
+            }
+        } else if (args[0] === 'circle') {
+            args.shift();
+        }
+
+        if (args.length < 2 || args.length > ColorFill.MAX_STOPS) return null;
+        const stops = [];
+        for (const arg of args) {
+            const stop = arg.match(/^(.+?)(?:\s+(-?\d+(?:\.\d+)?)%)?$/);
+            const stopColor = stop && ColorFill.parseColor(stop[1]);
+            if (!stopColor) return null;
+            stops.push({ color: stopColor, offset: stop[2] === undefined ? null : Number(stop[2]) / 100 });
+        }
+
+        return { type, angle, stops: ColorFill.normalizeOffsets(stops) };
+    }
+
+    /**
+     * Cor sólida aceita, normalizada (ver formatColor), ou null
+     */
+    static parseColor(text) {
+        const rgba = ColorFill.parseRGBA(text);
+        return rgba && ColorFill.formatColor(rgba);
+    }
+
+    /**
+     * Componentes { r, g, b, a } de uma cor (r, g, b de 0 a 255; a de 0 a 1), ou null
+     */
+    static parseRGBA(text) {
+        if (typeof text !== 'string') return null;
+        const value = text.trim().toLowerCase();
+        if (value === 'transparent') return { r: 0, g: 0, b: 0, a: 0 };
+
+        const hex = value.match(/^#([0-9a-f]{6})([0-9a-f]{2})?$/);
+        if (hex) {
+            const number = parseInt(hex[1], 16);
+            return {
+                r: (number >> 16) & 255,
+                g: (number >> 8) & 255,
+                b: number & 255,
+                a: hex[2] ? parseInt(hex[2], 16) / 255 : 1
+            };
+        }
+
+        // Sintaxe com vírgulas ou com espaços e "/ alfa"
+        const call = value.match(/^(rgba?|hsla?)\(([^()]*)\)$/);
+        if (!call) return null;
+        const parts = call[2].trim().split(/\s*,\s*|\s*\/\s*|\s+/);
+        if (parts.length !== 3 && parts.length !== 4) return null;
+
+        const alpha = parts.length === 4 ? ColorFill.parseComponent(parts[3], 1) : 1;
+        if (alpha === null) return null;
+
+        if (call[1].startsWith('rgb')) {
+            const [r, g, b] = parts.slice(0, 3).map(part => ColorFill.parseComponent(part, 255));
+            if ([r, g, b].includes(null)) return null;
+            return { r: Math.round(r), g: Math.round(g), b: Math.round(b), a: alpha };
+        }
+
+        const hue = parts[0].match(/^(-?\d+(?:\.\d+)?)(deg)?$/);
+        const saturation = /%$/.test(parts[1]) ? ColorFill.parseComponent(parts[1], 1) : null;
+        const lightness = /%$/.test(parts[2]) ? ColorFill.parseComponent(parts[2], 1) : null;
+        if (!hue || saturation === null || lightness === null) return null;
+        return { ...ColorFill.hslToRgb(Number(hue[1]), saturation, lightness), a: alpha };
+    }
+
+    /**
+     * Número ou porcentagem limitado a 0..max (a porcentagem é relativa a max), ou null
+     */
+    static parseComponent(text, max) {
+        const match = text.match(/^(-?\d+(?:\.\d+)?|-?\.\d+)(%)?$/);
+        if (!match) return null;
+        const value = match[2] ? Number(match[1]) / 100 * max : Number(match[1]);
+        return Math.min(max, Math.max(0, value));
+    }
+
+    /**
+     * Converte HSL (matiz em graus, saturação e luminosidade de 0 a 1) em RGB
+     */
+    static hslToRgb(hue, saturation, lightness) {
+        const h = ((hue % 360) + 360) % 360 / 30;
+        const chroma = saturation * Math.min(lightness, 1 - lightness);
+        const channel = n => {
+            const k = (n + h) % 12;
+            return Math.round((lightness - chroma * Math.max(-1, Math.min(k - 3, 9 - k, 1))) * 255);
+        };
+        return { r: channel(0), g: channel(8), b: channel(4) };
+    }
+
+    /**
+     * Forma normalizada de uma cor: #rrggbb opaca, transparent sem alfa
+     * ou rgba(r, g, b, a) translúcida (aceita pelo canvas e pelo CSS)
+     */
+    static formatColor({ r, g, b, a }) {
+        const alpha = Math.round(a * 1000) / 1000;
+        if (alpha >= 1) return ColorFill.toHex({ r, g, b });
+        if (alpha <= 0) return 'transparent';
+        return `rgba(${r}, ${g}, ${b}, ${alpha})`;
+    }
+
+    /**
+     * #rrggbb de uma cor ou de componentes { r, g, b }, sem o alfa
+     */
+    static toHex(color) {
+        const { r, g, b } = typeof color === 'string' ? ColorFill.parseRGBA(color) : color;
+        return '#' + [r, g, b].map(channel => channel.toString(16).padStart(2, '0')).join('');
+    }
+
+    /**
+     * Alfa de uma cor (1 se não for uma cor válida)
+     */
+    static getAlpha(color) {
+        const rgba = ColorFill.parseRGBA(color);
+        return rgba ? rgba.a : 1;
+    }
+
+    /**
+     * A cor #rrggbb com outro alfa, normalizada
+     */
+    static withAlpha(color, alpha) {
+        return ColorFill.formatColor({ ...ColorFill.parseRGBA(color), a: alpha });
+    }
+
+    /**
+     * Ângulo em graus de "<n>deg" ou "to <lado>", ou null se o argumento não for uma direção
+     */
+    static parseAngle(text) {
+        const degrees = text.match(/^(-?\d+(?:\.\d+)?)deg$/i);
+        if (degrees) return ((Number(degrees[1]) % 360) + 360) % 360;
+        const side = text.match(/^to (top|right|bottom|left)$/i);
+        return side ? SIDE_ANGLES[side[1].toLowerCase()] : null;
+    }
+
+    /**
+     * Separa os argumentos pelas vírgulas fora de parênteses
+     */
+    static splitArguments(text) {
+        const args = [];
+        let depth = 0;
+        let current = '';
+        for (const char of text) {
+            if (char === '(') depth++;
+            if (char === ')') depth--;
+            if (char === ',' && depth === 0) {
+                args.push(current.trim());
+                current = '';
+            } else {
+                current += char;
+            }
+        }
+        args.push(current.trim());
+        return args;
+    }
+
+    /**
+     * Completa as posições como o CSS: a primeira em 0, a última em 1, as que faltam
+     * distribuídas entre as vizinhas, nunca antes da anterior e sempre entre 0 e 1
+     */
+    static normalizeOffsets(stops) {
+        const offsets = stops.map(stop => stop.offset);
+        const last = offsets.length - 1;
+        if (offsets[0] === null) offsets[0] = 0;
+        if (offsets[last] === null) offsets[last] = 1;
+
+        let previous = 0;
+        for (let i = 0; i <= last; i++) {
+            if (offsets[i] === null) {
+                const next = offsets.findIndex((offset, j) => j > i && offset !== null);
+                offsets[i] = previous + (offsets[next] - previous) / (next - i + 1);
+            }
+            offsets[i] = Math.min(1, Math.max(previous, offsets[i]));
+            previous = offsets[i];
+        }
+
+        return stops.map((stop, i) => ({ color: stop.color, offset: offsets[i] }));
+    }
+
+    /**
+     * Indica se o valor é uma cor ou um gradiente aceito
+     */
+    static isValid(value) {
+        return ColorFill.parse(value) !== null;
+    }
+
+    static isGradient(value) {
+        const fill = ColorFill.parse(value);
+        return Boolean(fill) && fill.type !== ColorFill.Type.SOLID;
+    }
+
+    /**
+     * Cores do preenchimento: a cor sólida ou as cores das paradas
+     */
+    static getColors(value) {
+        const fill = ColorFill.parse(value);
+        if (!fill) return [];
+        return fill.type === ColorFill.Type.SOLID ? [fill.color] : fill.stops.map(stop => stop.color);
+    }
+
+    /**
+     * Indica se nenhuma parte do preenchimento deixa ver o que está por trás
+     */
+    static isOpaque(value) {
+        return ColorFill.getColors(value).every(color => ColorFill.getAlpha(color) >= 1);
+    }
+
+    /**
+     * Indica se o preenchimento é totalmente transparente
+     */
+    static isTransparent(value) {
+        const colors = ColorFill.getColors(value);
+        return colors.length > 0 && colors.every(color => ColorFill.getAlpha(color) <= 0);
+    }
+
+    /**
+     * Cores como desenhadas: no modo invertido (claro sobre escuro) módulos e fundo trocam
+     * de lugar. Fundo transparente não tem com o que trocar e mantém a polaridade.
+     * Retorna { colorDark, colorLight, swapped }.
+     */
+    static resolvePolarity(colorDark, colorLight, invert = false) {
+        const swapped = Boolean(invert) && !ColorFill.isTransparent(colorLight);
+        return swapped
+            ? { colorDark: colorLight, colorLight: colorDark, swapped }
+            : { colorDark, colorLight, swapped };
+    }
+
+    /**
+     * Uma cor sólida que representa o preenchimento (a primeira parada de um gradiente),
+     * para onde só cabe cor sólida: PDF, seletor de cor, folhas de símbolos.
+     * Pode ser translúcida; toHex descarta o alfa.
+     */
+    static getSolidColor(value, fallback = '#000000') {
+        const fill = ColorFill.parse(value);
+        if (!fill) return fallback;
+        return fill.type === ColorFill.Type.SOLID ? fill.color : fill.stops[0].color;
+    }
+
+    /**
+     * Texto CSS de um preenchimento (inverso de parse)
+     */
+    static stringify(fill) {
+        if (fill.type === ColorFill.Type.SOLID) return fill.color;
+        const stops = fill.stops.map(stop => `${stop.color} ${Math.round(stop.offset * 1000) / 10}%`);
+        return fill.type === ColorFill.Type.LINEAR
+            ? `linear-gradient(${Math.round(fill.angle * 10) / 10}deg, ${stops.join(', ')})`
+            : `radial-gradient(${stops.join(', ')})`;
+    }
+
+    /**
+     * Geometria do gradiente numa caixa { x, y, width, height }.
+     * Linear: a linha do gradiente do CSS (0° para cima, sentido horário), que passa pelo
+     * centro e alcança os cantos; radial: círculo centrado até os cantos.
+     */
+    static getGeometry(fill, { x, y, width, height }) {
+        const centerX = x + width / 2;
+        const centerY = y + height / 2;
+        if (fill.type === ColorFill.Type.RADIAL) {
+            return { cx: centerX, cy: centerY, r: Math.hypot(width, height) / 2 };
+        }
+
+        const radians = fill.angle * Math.PI / 180;
+        const dx = Math.sin(radians);
+        const dy = -Math.cos(radians);
+        const half = (Math.abs(width * dx) + Math.abs(height * dy)) / 2;
+        return {
+            x1: centerX - dx * half,
+            y1: centerY - dy * half,
+            x2: centerX + dx * half,
+            y2: centerY + dy * half
+        };
+    }
+
+    /**
+     * Paradas para desenhar: uma parada sem alfa assume o RGB da vizinha visível, para
+     * o gradiente não passar pelo preto de "transparent" (o SVG interpola sem pré-multiplicar)
+     */
+    static getRenderStops(stops) {
+        return stops.map((stop, i) => {
+            if (ColorFill.getAlpha(stop.color) > 0) return stop;
+            const visible = stops.slice(0, i).reverse().concat(stops.slice(i + 1))
+                .find(other => ColorFill.getAlpha(other.color) > 0);
+            if (!visible) return stop;
+            const { r, g, b } = ColorFill.parseRGBA(visible.color);
+            return { color: `rgba(${r}, ${g}, ${b}, 0)`, offset: stop.offset };
+        });
+    }
+
+    /**
+     * Estilo de preenchimento do canvas (cor ou CanvasGradient), com a caixa
+     * nas coordenadas em vigor no contexto
+     */
+    static toCanvasStyle(ctx, value, box) {
+        const fill = ColorFill.parse(value);
+        if (!fill) return value;
+        if (fill.type === ColorFill.Type.SOLID) return fill.color;
+
+        const geometry = ColorFill.getGeometry(fill, box);
+        const gradient = fill.type === ColorFill.Type.RADIAL
+            ? ctx.createRadialGradient(geometry.cx, geometry.cy, 0, geometry.cx, geometry.cy, geometry.r)
+            : ctx.createLinearGradient(geometry.x1, geometry.y1, geometry.x2, geometry.y2);
+        ColorFill.getRenderStops(fill.stops).forEach(stop => gradient.addColorStop(stop.offset, stop.color));
+        return gradient;
+    }
+
+    /**
+     * Preenchimento SVG: { attributes, definition } com os atributos de preenchimento
+     * (fill e, se translúcido, fill-opacity) e o elemento de gradiente a incluir em <defs>,
+     * em coordenadas do viewBox. O alfa vai em atributos próprios, que todo leitor de SVG entende.
+     */
+    static toSVG(value, id, box) {
+        const fill = ColorFill.parse(value);
+        if (!fill) return { attributes: `fill="${value}"`, definition: '' };
+        if (fill.type === ColorFill.Type.SOLID) {
+            return { attributes: ColorFill.getSVGColor(fill.color, 'fill', 'fill-opacity'), definition: '' };
+        }
+
+        const number = n => String(Math.round(n * 1000) / 1000);
+        const geometry = ColorFill.getGeometry(fill, box);
+        const attributes = Object.entries(geometry).map(([name, n]) => `${name}="${number(n)}"`).join(' ');
+        const stops = ColorFill.getRenderStops(fill.stops)
+            .map(stop => `<stop offset="${number(stop.offset)}" ${ColorFill.getSVGColor(stop.color, 'stop-color', 'stop-opacity')}/>`)
+            .join('');
+        const element = fill.type === ColorFill.Type.RADIAL ? 'radialGradient' : 'linearGradient';
+        return {
+            attributes: `fill="url(#${id})"`,
+            definition: `<${element} id="${id}" gradientUnits="userSpaceOnUse" ${attributes}>${stops}</${element}>`
+        };
+    }
+
+    /**
+     * Atributos SVG de uma cor: a cor em #rrggbb e a opacidade quando há alfa
+     */
+    static getSVGColor(color, colorAttribute, opacityAttribute) {
+        const alpha = ColorFill.getAlpha(color);
+        if (color === 'transparent' && colorAttribute === 'fill') return 'fill="none"';
+        const hex = `${colorAttribute}="${ColorFill.toHex(color)}"`;
+        return alpha < 1 ? `${hex} ${opacityAttribute}="${Math.round(alpha * 1000) / 1000}"` : hex;
+    }
+}
+
+export { ColorFill };
@@ -5,6 +5,8 @@
 class ContentParser {
     constructor() {
         this.errorHandler = null;
+        this.uiManager = null;
+        this.qrGenerator = null;
         this.supportedTypes = ['text', 'url', 'email', 'phone', 'wifi', 'vcard'];
         this.currentType = 'text';
     }
@@ -13,6 +15,14 @@ class ContentParser {
         this.errorHandler = errorHandler;
     }
 
+    setUIManager(uiManager) {
+        this.uiManager = uiManager;
+    }
+
+    setQRGenerator(qrGenerator) {
+        this.qrGenerator = qrGenerator;
+    }
+
     initializeContentTypes() {
         this.createContentTypeInterface();
         this.setupEventListeners();
@@ -40,6 +50,8 @@ class ContentParser {
                 ${this.createAllForms()}
             </div>
 
+            <div id="content-capacity" class="capacity-meter" aria-live="polite"></div>
+
             <div class="content-actions">
                 <button id="generate-from-type" class="btn-primary">Gerar QR Code</button>
                 <button id="clear-form" class="btn-secondary">Limpar</button>
@@ -125,6 +137,7 @@ class ContentParser {
         const typeSelect = document.getElementById('content-type-select');
         const generateBtn = document.getElementById('generate-from-type');
         const clearBtn = document.getElementById('clear-form');
+        const forms = document.getElementById('content-forms');
 
         if (typeSelect) {
             typeSelect.addEventListener('change', (e) => {
@@ -139,6 +152,11 @@ class ContentParser {
         if (clearBtn) {
             clearBtn.addEventListener('click', () => this.clearCurrentForm());
         }
+
+        if (forms) {
+            forms.addEventListener('input', () => this.updateCapacity());
+            forms.addEventListener('change', () => this.updateCapacity());
+        }
     }
 
     showContentType(type) {
@@ -154,6 +172,28 @@ class ContentParser {
         if (targetForm) {
             targetForm.classList.add('active');
         }
+
+        this.updateCapacity();
+    }
+
+    updateCapacity() {
+        if (!this.uiManager || !this.qrGenerator) return;
+
+        // Formulários incompletos ainda não geram conteúdo: o medidor fica vazio
+        let content = null;
+        try {
+            content = this.parseContent(this.currentType);
+        } catch {
+            content = null;
+        }
+
+        this.uiManager.updateCapacityMeter(
+            'content-capacity',
+            content ? this.qrGenerator.getCapacity(content, {
+                ...this.qrGenerator.options,
+                ...this.getGenerationOptions(this.currentType, content)
+            }) : null
+        );
     }
 
     async generateFromCurrentType() {
@@ -163,7 +203,7 @@ class ContentParser {
 
             // Dispatch event to generate QR code
             const event = new CustomEvent('qr:generate', {
-                detail: { content, type: this.currentType },
+                detail: { content, type: this.currentType, options: this.getGenerationOptions(this.currentType, content) },
                 bubbles: true
             });
             document.dispatchEvent(event);
@@ -173,6 +213,18 @@ class ContentParser {
         }
     }
 
+    /**
+     * Opções de geração exigidas pelo formato do conteúdo: vCard e WiFi com
+     * caracteres fora do ASCII declaram UTF-8 (ECI 26), pois os leitores
+     * não têm como adivinhar a codificação de nomes, senhas e SSIDs
+     */
+    getGenerationOptions(type, content) {
+        if ((type === 'vcard' || type === 'wifi') && /[^\x00-\x7F]/.test(content)) {
+            return { contentEncoding: 'utf-8' };
+        }
+        return { contentEncoding: null };
+    }
+
     parseContent(type) {
         switch (type) {
             case 'text':
@@ -364,6 +416,7 @@ class ContentParser {
                 }
             });
         }
+        this.updateCapacity();
     }
 
     handleError(error, context) {
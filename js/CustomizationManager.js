@@ -2,6 +2,16 @@
  * Customization Manager Module
  * Gerencia personalização de QR Codes (tamanho, cores, etc.)
  */
+import { CodeFrame } from './CodeFrame.js';
+import { ColorFill } from './ColorFill.js';
+import { Halftone } from './Halftone.js';
+import { LogoOverlay } from './LogoOverlay.js';
+import { QREncoder } from './QREncoder.js';
+import { QRGenerationError } from './QRGenerationError.js';
+import { QRGenerator } from './QRGenerator.js';
+import { RMQREncoder } from './RMQREncoder.js';
+import { ScanAnalyzer } from './ScanAnalyzer.js';
+import { Symbology } from './Symbology.js';
 import { Utils } from './Utils.js';
 
 class CustomizationManager {
@@ -15,8 +25,31 @@ class CustomizationManager {
             size: 200,
             colorDark: '#000000',
             colorLight: '#ffffff',
-            errorCorrectionLevel: QRCode.CorrectLevel.M,
-            margin: 4
+            errorCorrectionLevel: QREncoder.ErrorCorrectionLevel.M,
+            margin: 4,
+            minVersion: QREncoder.MIN_VERSION,
+            maxVersion: QREncoder.MAX_VERSION,
+            maskPattern: null, // null = automático (menor penalidade)
+            encoding: QREncoder.Encoding.AUTO,
+            structuredAppend: false,
+            symbology: 'qr',
+            rmqrHeight: null, // null = versão rMQR de menor área
+            moduleShape: 'square',
+            eyeFrameStyle: 'square',
+            eyeBallStyle: 'square',
+            eyeColors: null, // [superior esquerdo, superior direito, inferior esquerdo]; null = cor dos módulos
+            invert: false, // módulos claros sobre fundo escuro
+            logo: null, // { src, width, height, name } da imagem carregada
+            logoSize: 20, // % do lado do símbolo
+            logoPadding: 1, // módulos
+            logoPlate: LogoOverlay.Plate.SQUARE,
+            halftone: null, // { src, width, height, name } da foto sob os módulos
+            halftoneDotSize: 40, // % do módulo
+            frame: CodeFrame.Style.NONE,
+            frameText: 'Escaneie aqui',
+            frameFont: 'Arial, Helvetica, sans-serif',
+            frameColor: '#000000',
+            frameTextColor: '#ffffff'
         };
         
         // Tamanhos predefinidos conforme requisitos
@@ -29,15 +62,86 @@ class CustomizationManager {
         
         // Níveis de correção de erro
         this.errorLevels = [
-            { label: 'Baixo (L)', value: QRCode.CorrectLevel.L },
-            { label: 'Médio (M)', value: QRCode.CorrectLevel.M },
-            { label: 'Alto (Q)', value: QRCode.CorrectLevel.Q },
-            { label: 'Máximo (H)', value: QRCode.CorrectLevel.H }
+            { label: 'Baixo (L)', value: QREncoder.ErrorCorrectionLevel.L },
+            { label: 'Médio (M)', value: QREncoder.ErrorCorrectionLevel.M },
+            { label: 'Alto (Q)', value: QREncoder.ErrorCorrectionLevel.Q },
+            { label: 'Máximo (H)', value: QREncoder.ErrorCorrectionLevel.H }
         ];
+
+        // Codificações de caracteres do modo byte (com o designador ECI emitido)
+        this.encodings = [
+            { label: 'Automática (menor símbolo)', name: 'Automática', value: QREncoder.Encoding.AUTO },
+            { label: 'ISO-8859-1 / Latin-1 (ECI 3)', name: 'ISO-8859-1', value: QREncoder.Encoding.ISO_8859_1 },
+            { label: 'UTF-8 (ECI 26)', name: 'UTF-8', value: QREncoder.Encoding.UTF_8 },
+            { label: 'Shift JIS / Kanji (ECI 20)', name: 'Shift JIS', value: QREncoder.Encoding.SHIFT_JIS }
+        ];
+
+        // Tipos de preenchimento e a segunda cor sugerida ao passar de cor sólida para gradiente
+        this.fillTypes = [
+            { label: 'Cor sólida', value: ColorFill.Type.SOLID },
+            { label: 'Gradiente linear', value: ColorFill.Type.LINEAR },
+            { label: 'Gradiente radial', value: ColorFill.Type.RADIAL }
+        ];
+        this.gradientEndColors = { dark: '#3f51b5', light: '#e8eaf6' };
+        this.opaqueColorLight = this.defaultOptions.colorLight; // Fundo restaurado ao desmarcar a transparência
+
+        // Formatos dos módulos de dados e estilos dos olhos (padrões localizadores)
+        this.moduleShapes = [
+            { label: 'Quadrados', value: 'square' },
+            { label: 'Pontos', value: 'dots' },
+            { label: 'Quadrados arredondados', value: 'rounded' },
+            { label: 'Líquido (módulos conectados)', value: 'liquid' }
+        ];
+        this.eyeStyles = [
+            { label: 'Quadrado', value: 'square' },
+            { label: 'Arredondado', value: 'rounded' },
+            { label: 'Círculo', value: 'circle' }
+        ];
+
+        // Olhos do QR Code, na ordem de ModuleShapes.getFinderPatterns
+        this.eyeNames = ['Superior esquerdo', 'Superior direito', 'Inferior esquerdo'];
+
+        // Placas de fundo do logo e arquivos aceitos
+        this.logoPlates = [
+            { label: 'Sem placa', value: LogoOverlay.Plate.NONE },
+            { label: 'Quadrada', value: LogoOverlay.Plate.SQUARE },
+            { label: 'Arredondada', value: LogoOverlay.Plate.ROUNDED },
+            { label: 'Circular', value: LogoOverlay.Plate.CIRCLE }
+        ];
+        this.logoTypes = ['image/png', 'image/jpeg', 'image/svg+xml', 'image/webp'];
+        this.maxLogoFileSize = 2 * 1024 * 1024;
+
+        // Modelos de moldura com chamada e fontes do texto
+        this.frameStyles = [
+            { label: 'Sem moldura', value: CodeFrame.Style.NONE },
+            { label: 'Faixa inferior', value: CodeFrame.Style.BANNER },
+            { label: 'Balão de fala', value: CodeFrame.Style.BUBBLE },
+            { label: 'Celular', value: CodeFrame.Style.PHONE }
+        ];
+        this.frameFonts = [
+            { label: 'Sem serifa', value: 'Arial, Helvetica, sans-serif' },
+            { label: 'Com serifa', value: 'Georgia, Times New Roman, serif' },
+            { label: 'Monoespaçada', value: 'Courier New, Courier, monospace' },
+            { label: 'Arredondada', value: 'Trebuchet MS, Verdana, sans-serif' }
+        ];
+
+        // Nota de legibilidade (ver ScanAnalyzer)
+        this.scanStatusLabels = {
+            [ScanAnalyzer.Status.PASS]: 'boa',
+            [ScanAnalyzer.Status.WARN]: 'atenção',
+            [ScanAnalyzer.Status.FAIL]: 'reprovada'
+        };
+        this.scanAnalysis = null;
+
+        // Simbologias registradas (família QR, Data Matrix, Aztec e PDF417)
+        this.symbologies = Symbology.list().map(symbology => ({ label: symbology.menuLabel, value: symbology.value }));
         
         this.currentOptions = { ...this.defaultOptions };
         this.previewEnabled = true;
         this.debounceTimer = null;
+        this.previewController = null; // AbortController do preview em andamento
+        this.scanController = null; // AbortController da nota de legibilidade calculada sem preview
+        this.scanChecks = null; // Avaliações do logo do último preview (ver QRGenerator.runImageChecks)
     }
 
     /**
@@ -61,6 +165,7 @@ class CustomizationManager {
         console.log('Initializing customization controls...');
         this.createCustomizationPanel();
         this.setupEventListeners();
+        this.updateSymbologyControls();
         this.loadCurrentQRCode(); // Carrega o QR Code atual se existir
         console.log('Customization controls initialized, preview enabled:', this.previewEnabled);
     }
@@ -72,13 +177,16 @@ class CustomizationManager {
         try {
             const currentQR = this.qrGenerator.getCurrentQRCode();
             if (currentQR) {
+                // O preview refaz a nota de legibilidade: a cobertura do logo depende do conteúdo
                 console.log('Loading current QR code into preview...');
                 const qrOptions = this.mapOptionsToQRCode(this.currentOptions);
                 await this.generatePreviewQRCode(currentQR.content, qrOptions);
             } else {
+                this.updateScanReport(null);
                 this.showPreviewMessage('Gere um QR Code primeiro para ver o preview');
             }
         } catch (error) {
+            if (QRGenerationError.isCancellation(error)) return;
             console.warn('Erro ao carregar QR Code atual:', error.message);
             this.showPreviewMessage('Erro ao carregar QR Code');
         }
@@ -100,6 +208,9 @@ class CustomizationManager {
                         <h5 class="msg">Gere um QR Code primeiro para ver o preview</h5>
                     </div>
                 </div>
+                <div id="segmentation-info" class="segmentation-info" aria-live="polite"></div>
+                <div id="mask-penalties" class="mask-penalties" aria-live="polite"></div>
+                <div id="scan-report" class="scan-report" aria-live="polite"></div>
                 <div class="preview-controls">
                     <label>
                         <input type="checkbox" id="preview-enabled" ${this.previewEnabled ? 'checked' : ''}>
@@ -108,6 +219,32 @@ class CustomizationManager {
                 </div>
             </div>
 
+            <div class="customization-section">
+                <h4>Simbologia</h4>
+                <div class="symbology-controls">
+                    <label for="symbology">Tipo de código:</label>
+                    <select id="symbology">
+                        ${this.symbologies.map(symbology =>
+                            `<option value="${symbology.value}" ${symbology.value === this.currentOptions.symbology ? 'selected' : ''}>
+                                ${symbology.label}
+                            </option>`
+                        ).join('')}
+                    </select>
+                    <small>Micro QR, rMQR e Data Matrix cabem em etiquetas pequenas e estreitas (cabos, componentes); Aztec dispensa zona de silêncio e PDF417 é o padrão de documentos e etiquetas de transporte</small>
+                    <small>EAN-13, UPC-A e ITF-14 recebem o número sem o dígito verificador (ele é calculado) ou com ele (ele é conferido); Code 128 aceita qualquer texto ASCII</small>
+
+                    <div id="rmqr-options" style="display: none;">
+                        <label for="rmqr-height">Altura do rMQR:</label>
+                        <select id="rmqr-height">
+                            <option value="auto">Automática (menor área)</option>
+                            ${RMQREncoder.HEIGHTS.map(height =>
+                                `<option value="${height}" ${height === this.currentOptions.rmqrHeight ? 'selected' : ''}>${height} módulos</option>`
+                            ).join('')}
+                        </select>
+                    </div>
+                </div>
+            </div>
+
             <div class="customization-section">
                 <h4>Tamanho</h4>
                 <div class="size-controls">
@@ -135,18 +272,138 @@ class CustomizationManager {
                     <div class="color-group">
                         <label for="color-dark">Cor dos módulos (escuro):</label>
                         <div class="color-input-wrapper">
-                            <input type="color" id="color-dark" value="${this.currentOptions.colorDark}">
+                            <input type="color" id="color-dark" value="${ColorFill.toHex(ColorFill.getSolidColor(this.currentOptions.colorDark))}">
                             <input type="text" id="color-dark-text" value="${this.currentOptions.colorDark}" placeholder="#000000">
                         </div>
+                        ${this.createFillControls('dark')}
                     </div>
                     
                     <div class="color-group">
                         <label for="color-light">Cor de fundo (claro):</label>
                         <div class="color-input-wrapper">
-                            <input type="color" id="color-light" value="${this.currentOptions.colorLight}">
+                            <input type="color" id="color-light" value="${ColorFill.toHex(ColorFill.getSolidColor(this.currentOptions.colorLight, '#ffffff'))}">
                             <input type="text" id="color-light-text" value="${this.currentOptions.colorLight}" placeholder="#ffffff">
                         </div>
+                        ${this.createFillControls('light')}
+                        <label>
+                            <input type="checkbox" id="transparent-background" ${ColorFill.isTransparent(this.currentOptions.colorLight) ? 'checked' : ''}>
+                            Fundo transparente
+                        </label>
+                    </div>
+                </div>
+                <label>
+                    <input type="checkbox" id="invert-colors" ${this.currentOptions.invert ? 'checked' : ''}>
+                    Inverter (módulos claros sobre fundo escuro)
+                </label>
+                <small id="invert-warning" class="margin-warning" role="alert" hidden>Símbolo invertido: alguns leitores, principalmente os mais antigos, não reconhecem módulos claros sobre fundo escuro. Teste antes de imprimir</small>
+                <small>Aceita também transparência (#RRGGBBAA, rgba(), hsla()) e gradientes, como linear-gradient(135deg, #000000, #3f51b5). PNG e SVG mantêm a transparência; o JPEG usa uma cor de fundo</small>
+            </div>
+
+            <div class="customization-section">
+                <h4>Formato</h4>
+                <div class="shape-controls">
+                    <label for="module-shape">Formato dos módulos:</label>
+                    <select id="module-shape">
+                        ${this.createOptions(this.moduleShapes, this.currentOptions.moduleShape)}
+                    </select>
+
+                    <label for="eye-frame-style">Olhos — moldura externa:</label>
+                    <select id="eye-frame-style">
+                        ${this.createOptions(this.eyeStyles, this.currentOptions.eyeFrameStyle)}
+                    </select>
+
+                    <label for="eye-ball-style">Olhos — centro:</label>
+                    <select id="eye-ball-style">
+                        ${this.createOptions(this.eyeStyles, this.currentOptions.eyeBallStyle)}
+                    </select>
+
+                    <label>
+                        <input type="checkbox" id="eye-colors-enabled">
+                        Cores próprias nos olhos
+                    </label>
+                    <div id="eye-colors" class="eye-colors" hidden>
+                        ${this.eyeNames.map((name, i) => `
+                        <label>
+                            ${name}
+                            <input type="color" id="eye-color-${i}">
+                        </label>`).join('')}
+                    </div>
+                    <small id="shape-note">Os olhos são os três quadrados dos cantos do QR Code; nas demais simbologias 2D só os módulos de dados mudam de formato</small>
+                </div>
+            </div>
+
+            <div class="customization-section">
+                <h4>Logo</h4>
+                <div class="logo-controls">
+                    <div id="logo-drop" class="logo-drop">
+                        <p id="logo-name">Arraste o logo para cá ou escolha um arquivo (PNG, JPEG, SVG ou WebP)</p>
+                        <input type="file" id="logo-file" accept="${this.logoTypes.join(',')}">
+                        <button type="button" id="logo-remove" class="btn-secondary" hidden>Remover logo</button>
+                    </div>
+
+                    <label for="logo-size">Tamanho do logo: <span id="logo-size-value">${this.currentOptions.logoSize}%</span></label>
+                    <input type="range" id="logo-size" min="10" max="40" step="1" value="${this.currentOptions.logoSize}">
+
+                    <label for="logo-padding">Folga da placa:</label>
+                    <div class="margin-input-group">
+                        <input type="number" id="logo-padding" min="0" max="4" value="${this.currentOptions.logoPadding}">
+                        <span class="margin-unit">módulos</span>
+                    </div>
+
+                    <label for="logo-plate">Placa de fundo:</label>
+                    <select id="logo-plate">
+                        ${this.createOptions(this.logoPlates, this.currentOptions.logoPlate)}
+                    </select>
+                    <small>Só no QR Code. O nível de correção sobe para Q ou H conforme a área coberta pelo logo</small>
+                    <small id="logo-warning" class="margin-warning" role="alert" hidden></small>
+                </div>
+            </div>
+
+            <div class="customization-section">
+                <h4>Foto (halftone)</h4>
+                <div class="halftone-controls">
+                    <div id="halftone-drop" class="logo-drop">
+                        <p id="halftone-name">Arraste uma foto para cá ou escolha um arquivo (PNG, JPEG, SVG ou WebP)</p>
+                        <input type="file" id="halftone-file" accept="${this.logoTypes.join(',')}">
+                        <button type="button" id="halftone-remove" class="btn-secondary" hidden>Remover foto</button>
+                    </div>
+
+                    <label for="halftone-dot-size">Tamanho dos pontos: <span id="halftone-dot-size-value">${this.currentOptions.halftoneDotSize}%</span></label>
+                    <input type="range" id="halftone-dot-size" min="${Halftone.MIN_DOT_SIZE}" max="${Halftone.MAX_DOT_SIZE}" step="5" value="${this.currentOptions.halftoneDotSize}">
+                    <small>Só no QR Code. Os padrões de posição continuam sólidos, a correção fica em H e o código só é gerado se passar na verificação de leitura</small>
+                    <small id="halftone-warning" class="margin-warning" role="alert" hidden></small>
+                </div>
+            </div>
+
+            <div class="customization-section">
+                <h4>Moldura</h4>
+                <div class="frame-controls">
+                    <label for="frame-style">Modelo:</label>
+                    <select id="frame-style">
+                        ${this.createOptions(this.frameStyles, this.currentOptions.frame)}
+                    </select>
+
+                    <div id="frame-options" hidden>
+                        <label for="frame-text">Texto da chamada:</label>
+                        <input type="text" id="frame-text" maxlength="${CodeFrame.MAX_TEXT_LENGTH}" placeholder="Escaneie aqui">
+
+                        <label for="frame-font">Fonte:</label>
+                        <select id="frame-font">
+                            ${this.createOptions(this.frameFonts, this.currentOptions.frameFont)}
+                        </select>
+
+                        <div class="frame-colors">
+                            <label>
+                                Moldura
+                                <input type="color" id="frame-color" value="${ColorFill.toHex(ColorFill.getSolidColor(this.currentOptions.frameColor))}">
+                            </label>
+                            <label>
+                                Texto
+                                <input type="color" id="frame-text-color" value="${ColorFill.toHex(ColorFill.getSolidColor(this.currentOptions.frameTextColor))}">
+                            </label>
+                        </div>
                     </div>
+                    <small>A moldura aparece no preview e nos downloads, em volta do código e da margem</small>
                 </div>
             </div>
 
@@ -161,12 +418,56 @@ class CustomizationManager {
                             </option>`
                         ).join('')}
                     </select>
+                    <small id="error-level-note" hidden></small>
                     
-                    <label for="margin-slider">Margem:</label>
+                    <label for="margin-slider">Margem (zona de silêncio):</label>
                     <div class="margin-input-group">
                         <input type="range" id="margin-slider" min="0" max="20" value="${this.currentOptions.margin}" step="1">
                         <input type="number" id="margin-input" min="0" max="20" value="${this.currentOptions.margin}">
-                        <span class="margin-unit">px</span>
+                        <span class="margin-unit">módulos</span>
+                    </div>
+                    <small id="margin-warning" class="margin-warning" role="alert" hidden></small>
+
+                    <div id="qr-only-options">
+                        <div class="version-controls">
+                            <div>
+                                <label for="min-version">Versão mínima:</label>
+                                <select id="min-version">
+                                    ${this.createVersionOptions(this.currentOptions.minVersion)}
+                                </select>
+                            </div>
+                            <div>
+                                <label for="max-version">Versão máxima:</label>
+                                <select id="max-version">
+                                    ${this.createVersionOptions(this.currentOptions.maxVersion)}
+                                </select>
+                            </div>
+                        </div>
+                        <small>Use a mesma versão mínima e máxima para fixar o tamanho do símbolo (ex.: lotes de etiquetas)</small>
+
+                        <label for="mask-pattern">Padrão de máscara:</label>
+                        <select id="mask-pattern">
+                            <option value="auto" ${this.currentOptions.maskPattern === null ? 'selected' : ''}>Automático (menor penalidade)</option>
+                            ${[0, 1, 2, 3, 4, 5, 6, 7].map(mask =>
+                                `<option value="${mask}" ${mask === this.currentOptions.maskPattern ? 'selected' : ''}>Máscara ${mask}</option>`
+                            ).join('')}
+                        </select>
+
+                        <label class="structured-append-option">
+                            <input type="checkbox" id="structured-append" ${this.currentOptions.structuredAppend ? 'checked' : ''}>
+                            Dividir conteúdo longo em até 16 QR Codes (Structured Append)
+                        </label>
+                        <small>Leitores compatíveis juntam os símbolos na ordem e reconstroem o conteúdo original</small>
+                    </div>
+
+                    <div id="encoding-options">
+                        <label for="encoding">Codificação de caracteres:</label>
+                        <select id="encoding">
+                            ${this.encodings.map(encoding =>
+                                `<option value="${encoding.value}" ${encoding.value === this.currentOptions.encoding ? 'selected' : ''}>${encoding.label}</option>`
+                            ).join('')}
+                        </select>
+                        <small>O designador ECI só é incluído quando há caracteres fora do ASCII</small>
                     </div>
                 </div>
             </div>
@@ -182,6 +483,48 @@ class CustomizationManager {
         `;
     }
 
+    /**
+     * Cria as opções de um select a partir de uma lista { label, value }
+     */
+    createOptions(items, selected) {
+        return items.map(item =>
+            `<option value="${item.value}" ${item.value === selected ? 'selected' : ''}>${item.label}</option>`
+        ).join('');
+    }
+
+    /**
+     * Cria o editor de preenchimento (tipo, ângulo e paradas do gradiente) de dark ou light;
+     * as paradas são preenchidas por updateFillControls
+     */
+    createFillControls(type) {
+        const fill = ColorFill.parse(this.currentOptions[this.getColorOptionKey(type)]);
+        return `
+                        <select id="fill-${type}-type" aria-label="Tipo de preenchimento">
+                            ${this.createOptions(this.fillTypes, fill ? fill.type : ColorFill.Type.SOLID)}
+                        </select>
+                        <div id="gradient-${type}" class="gradient-controls" hidden>
+                            <div id="gradient-${type}-angle-group" class="margin-input-group">
+                                <label for="gradient-${type}-angle">Ângulo:</label>
+                                <input type="number" id="gradient-${type}-angle" min="0" max="359" step="1">
+                                <span class="margin-unit">graus</span>
+                            </div>
+                            <div id="gradient-${type}-stops" class="gradient-stops"></div>
+                            <button type="button" id="gradient-${type}-add" class="btn-secondary">Adicionar cor</button>
+                        </div>`;
+    }
+
+    /**
+     * Cria as opções de versão (1 a 40) com o tamanho do símbolo em módulos
+     */
+    createVersionOptions(selected) {
+        const options = [];
+        for (let version = QREncoder.MIN_VERSION; version <= QREncoder.MAX_VERSION; version++) {
+            const size = version * 4 + 17;
+            options.push(`<option value="${version}" ${version === selected ? 'selected' : ''}>${version} (${size}x${size})</option>`);
+        }
+        return options.join('');
+    }
+
     /**
      * Configura os event listeners dos controles
      */
@@ -218,6 +561,21 @@ class CustomizationManager {
         // Controles de cor
         this.setupColorControls('dark');
         this.setupColorControls('light');
+        this.setupGradientControls('dark');
+        this.setupGradientControls('light');
+        this.setupTransparencyControls();
+        this.setupInvertControls();
+        this.updateFillControls('dark');
+        this.updateFillControls('light');
+
+        // Correções sugeridas pela análise de legibilidade
+        const scanReport = document.getElementById('scan-report');
+        if (scanReport) {
+            scanReport.addEventListener('click', (e) => {
+                const button = e.target.closest('[data-scan-fix]');
+                if (button) this.applyScanFix(Number(button.dataset.scanFix));
+            });
+        }
 
         // Controles avançados
         const errorLevel = document.getElementById('error-level');
@@ -234,15 +592,104 @@ class CustomizationManager {
             marginSlider.addEventListener('input', (e) => {
                 const margin = parseInt(e.target.value);
                 marginInput.value = margin;
+                this.currentOptions.margin = margin;
+                this.updateMarginWarning();
                 this.debouncedUpdate('margin', margin);
             });
         }
 
         if (marginInput) {
             marginInput.addEventListener('change', (e) => {
-                const margin = parseInt(e.target.value);
+                // Margem em módulos inteiros, dentro dos limites do controle
+                const margin = Math.min(20, Math.max(0, parseInt(e.target.value) || 0));
+                marginInput.value = margin;
                 marginSlider.value = margin;
                 this.updateOption('margin', margin);
+                this.updateMarginWarning();
+            });
+        }
+
+        const minVersion = document.getElementById('min-version');
+        const maxVersion = document.getElementById('max-version');
+        const maskPattern = document.getElementById('mask-pattern');
+
+        if (minVersion) {
+            minVersion.addEventListener('change', (e) => {
+                const version = parseInt(e.target.value);
+                // Mantém a faixa válida ajustando a versão máxima
+                if (version > this.currentOptions.maxVersion) {
+                    this.currentOptions.maxVersion = version;
+                    maxVersion.value = version;
+                }
+                this.updateOption('minVersion', version);
+            });
+        }
+
+        if (maxVersion) {
+            maxVersion.addEventListener('change', (e) => {
+                const version = parseInt(e.target.value);
+                if (version < this.currentOptions.minVersion) {
+                    this.currentOptions.minVersion = version;
+                    minVersion.value = version;
+                }
+                this.updateOption('maxVersion', version);
+            });
+        }
+
+        if (maskPattern) {
+            maskPattern.addEventListener('change', (e) => {
+                const value = e.target.value;
+                this.updateOption('maskPattern', value === 'auto' ? null : parseInt(value));
+            });
+        }
+
+        const encoding = document.getElementById('encoding');
+        if (encoding) {
+            encoding.addEventListener('change', (e) => {
+                this.updateOption('encoding', e.target.value);
+            });
+        }
+
+        const symbology = document.getElementById('symbology');
+        if (symbology) {
+            symbology.addEventListener('change', (e) => {
+                this.currentOptions.symbology = e.target.value;
+                this.adjustErrorLevelForSymbology();
+                this.adjustErrorLevelForLogo();
+                this.adjustErrorLevelForHalftone();
+                this.updateSymbologyControls();
+                this.updateOption('symbology', e.target.value);
+            });
+        }
+
+        // Formatos dos módulos e dos olhos
+        [['module-shape', 'moduleShape'], ['eye-frame-style', 'eyeFrameStyle'], ['eye-ball-style', 'eyeBallStyle']]
+            .forEach(([id, option]) => {
+                const select = document.getElementById(id);
+                if (select) {
+                    select.addEventListener('change', (e) => this.updateOption(option, e.target.value));
+                }
+            });
+
+        this.setupEyeColorControls();
+        this.setupLogoControls();
+        this.setupHalftoneControls();
+        this.setupFrameControls();
+
+        const rmqrHeight = document.getElementById('rmqr-height');
+        if (rmqrHeight) {
+            rmqrHeight.addEventListener('change', (e) => {
+                const value = e.target.value;
+                this.updateOption('rmqrHeight', value === 'auto' ? null : parseInt(value));
+            });
+        }
+
+        const structuredAppend = document.getElementById('structured-append');
+        if (structuredAppend) {
+            structuredAppend.addEventListener('change', (e) => {
+                // Vale já para a aba Gerar: conteúdo longo demais para um símbolo passa a ser aceito
+                this.qrGenerator.updateOptions({ structuredAppend: e.target.checked });
+                this.updateOption('structuredAppend', e.target.checked);
             });
         }
 
@@ -271,35 +718,791 @@ class CustomizationManager {
         }
     }
 
+    /**
+     * Configura as cores próprias dos olhos: ao ligar, os três começam com a cor dos módulos
+     */
+    setupEyeColorControls() {
+        const enabled = document.getElementById('eye-colors-enabled');
+        if (enabled) {
+            enabled.addEventListener('change', (e) => {
+                const color = ColorFill.toHex(ColorFill.getSolidColor(this.currentOptions.colorDark));
+                this.currentOptions.eyeColors = e.target.checked ? this.eyeNames.map(() => color) : null;
+                this.updateEyeColorControls();
+                this.updateOption('eyeColors', this.currentOptions.eyeColors);
+            });
+        }
+
+        this.eyeNames.forEach((_, index) => {
+            const picker = document.getElementById(`eye-color-${index}`);
+            if (!picker) return;
+            picker.addEventListener('input', (e) => {
+                const eyeColors = (this.currentOptions.eyeColors || this.eyeNames.map(() => null))
+                    .map((color, i) => (i === index ? e.target.value : color));
+                this.currentOptions.eyeColors = eyeColors;
+                this.debouncedUpdate('eyeColors', eyeColors);
+            });
+        });
+
+        this.updateEyeColorControls();
+    }
+
+    /**
+     * Sincroniza os controles das cores dos olhos com as opções atuais
+     */
+    updateEyeColorControls() {
+        const { eyeColors, colorDark } = this.currentOptions;
+        const enabled = document.getElementById('eye-colors-enabled');
+        const container = document.getElementById('eye-colors');
+        const active = Array.isArray(eyeColors) && eyeColors.some(Boolean);
+
+        if (enabled) enabled.checked = active;
+        if (container) container.hidden = !active;
+        this.eyeNames.forEach((_, i) => {
+            const picker = document.getElementById(`eye-color-${i}`);
+            // Olho sem cor própria mostra a dos módulos
+            if (picker) picker.value = ColorFill.toHex(ColorFill.getSolidColor((active && eyeColors[i]) || colorDark));
+        });
+    }
+
+    /**
+     * Configura o modo invertido (claro sobre escuro)
+     */
+    setupInvertControls() {
+        const invert = document.getElementById('invert-colors');
+        if (!invert) return;
+
+        invert.addEventListener('change', (e) => {
+            this.currentOptions.invert = e.target.checked;
+            this.updateInvertControls();
+            this.updateOption('invert', e.target.checked);
+        });
+    }
+
+    /**
+     * Sincroniza o modo invertido e o seu aviso; com fundo transparente não há o que inverter
+     */
+    updateInvertControls() {
+        const { invert, colorLight } = this.currentOptions;
+        const checkbox = document.getElementById('invert-colors');
+        const warning = document.getElementById('invert-warning');
+        const transparent = ColorFill.isTransparent(colorLight);
+
+        if (checkbox) {
+            checkbox.checked = invert;
+            checkbox.disabled = transparent;
+        }
+        if (warning) warning.hidden = !invert || transparent;
+    }
+
+    /**
+     * Configura o envio do logo (arquivo ou arrastar e soltar) e as suas opções
+     */
+    setupLogoControls() {
+        const drop = document.getElementById('logo-drop');
+        const file = document.getElementById('logo-file');
+        const remove = document.getElementById('logo-remove');
+        const size = document.getElementById('logo-size');
+        const padding = document.getElementById('logo-padding');
+        const plate = document.getElementById('logo-plate');
+
+        if (file) {
+            file.addEventListener('change', (e) => {
+                this.handleLogoFile(e.target.files[0]);
+                e.target.value = '';
+            });
+        }
+
+        this.setupDropZone(drop, file, (dropped) => this.handleLogoFile(dropped));
+
+        if (remove) {
+            remove.addEventListener('click', () => {
+                this.currentOptions.logo = null;
+                this.updateLogoControls();
+                this.updateOption('logo', null);
+            });
+        }
+
+        if (size) {
+            size.addEventListener('input', (e) => {
+                const logoSize = parseInt(e.target.value);
+                this.currentOptions.logoSize = logoSize;
+                document.getElementById('logo-size-value').textContent = `${logoSize}%`;
+                this.debouncedUpdate('logoSize', logoSize);
+            });
+            // Ao soltar o controle: o novo tamanho pode pedir mais correção
+            size.addEventListener('change', () => this.adjustErrorLevelForLogo());
+        }
+
+        if (padding) {
+            padding.addEventListener('change', (e) => {
+                const logoPadding = Math.min(4, Math.max(0, parseInt(e.target.value) || 0));
+                padding.value = logoPadding;
+                this.currentOptions.logoPadding = logoPadding;
+                this.adjustErrorLevelForLogo();
+                this.updateOption('logoPadding', logoPadding);
+            });
+        }
+
+        if (plate) {
+            plate.addEventListener('change', (e) => {
+                this.currentOptions.logoPlate = e.target.value;
+                this.adjustErrorLevelForLogo();
+                this.updateOption('logoPlate', e.target.value);
+            });
+        }
+    }
+
+    /**
+     * Aceita imagens arrastadas para `drop`, exceto com o campo de arquivo desabilitado
+     */
+    setupDropZone(drop, file, onFile) {
+        if (!drop) return;
+        ['dragenter', 'dragover'].forEach(type => drop.addEventListener(type, (e) => {
+            e.preventDefault();
+            if (!file?.disabled) drop.classList.add('dragover');
+        }));
+        drop.addEventListener('dragleave', () => drop.classList.remove('dragover'));
+        drop.addEventListener('drop', (e) => {
+            e.preventDefault();
+            drop.classList.remove('dragover');
+            if (!file?.disabled) onFile(e.dataTransfer.files[0]);
+        });
+    }
+
+    /**
+     * Configura o envio da foto do halftone e o tamanho dos pontos
+     */
+    setupHalftoneControls() {
+        const drop = document.getElementById('halftone-drop');
+        const file = document.getElementById('halftone-file');
+        const remove = document.getElementById('halftone-remove');
+        const dotSize = document.getElementById('halftone-dot-size');
+
+        if (file) {
+            file.addEventListener('change', (e) => {
+                this.handleHalftoneFile(e.target.files[0]);
+                e.target.value = '';
+            });
+        }
+
+        this.setupDropZone(drop, file, (dropped) => this.handleHalftoneFile(dropped));
+
+        if (remove) {
+            remove.addEventListener('click', () => {
+                this.currentOptions.halftone = null;
+                this.updateHalftoneControls();
+                this.updateOption('halftone', null);
+            });
+        }
+
+        if (dotSize) {
+            dotSize.addEventListener('input', (e) => {
+                const halftoneDotSize = parseInt(e.target.value);
+                this.currentOptions.halftoneDotSize = halftoneDotSize;
+                document.getElementById('halftone-dot-size-value').textContent = `${halftoneDotSize}%`;
+                this.debouncedUpdate('halftoneDotSize', halftoneDotSize);
+            });
+        }
+    }
+
+    /**
+     * Configura o modelo, o texto, a fonte e as cores da moldura
+     */
+    setupFrameControls() {
+        const style = document.getElementById('frame-style');
+        const text = document.getElementById('frame-text');
+        const font = document.getElementById('frame-font');
+
+        if (style) {
+            style.addEventListener('change', (e) => {
+                this.currentOptions.frame = e.target.value;
+                this.updateFrameControls();
+                this.updateOption('frame', e.target.value);
+            });
+        }
+
+        if (text) {
+            text.addEventListener('input', (e) => {
+                const frameText = e.target.value.slice(0, CodeFrame.MAX_TEXT_LENGTH);
+                this.currentOptions.frameText = frameText;
+                this.debouncedUpdate('frameText', frameText);
+            });
+        }
+
+        if (font) {
+            font.addEventListener('change', (e) => this.updateOption('frameFont', e.target.value));
+        }
+
+        [['frame-color', 'frameColor'], ['frame-text-color', 'frameTextColor']].forEach(([id, option]) => {
+            const picker = document.getElementById(id);
+            if (picker) {
+                picker.addEventListener('input', (e) => this.debouncedUpdate(option, e.target.value));
+            }
+        });
+
+        this.updateFrameControls();
+    }
+
+    /**
+     * Sincroniza os controles da moldura com as opções atuais
+     */
+    updateFrameControls() {
+        const { frame, frameText, frameFont, frameColor, frameTextColor } = this.currentOptions;
+        const style = document.getElementById('frame-style');
+        const options = document.getElementById('frame-options');
+        const text = document.getElementById('frame-text');
+        const font = document.getElementById('frame-font');
+        const color = document.getElementById('frame-color');
+        const textColor = document.getElementById('frame-text-color');
+
+        if (style) style.value = frame;
+        if (options) options.hidden = frame === CodeFrame.Style.NONE;
+        if (text) text.value = frameText;
+        if (font) font.value = frameFont;
+        if (color) color.value = ColorFill.toHex(ColorFill.getSolidColor(frameColor));
+        if (textColor) textColor.value = ColorFill.toHex(ColorFill.getSolidColor(frameTextColor));
+    }
+
+    /**
+     * Carrega o arquivo escolhido ou solto como logo
+     */
+    async handleLogoFile(file) {
+        if (!file) return;
+        if (!this.logoTypes.includes(file.type)) {
+            this.showError('Formato de imagem não suportado. Use PNG, JPEG, SVG ou WebP');
+            return;
+        }
+        if (file.size > this.maxLogoFileSize) {
+            this.showError('Imagem muito grande para o logo (máximo de 2 MB)');
+            return;
+        }
+
+        try {
+            const logo = await LogoOverlay.fromFile(file);
+            this.currentOptions.logo = logo;
+            this.updateLogoControls();
+            this.adjustErrorLevelForLogo();
+            this.updateOption('logo', logo);
+        } catch (error) {
+            console.warn('Erro ao ler o logo:', error.message);
+            this.showError('Não foi possível ler a imagem do logo');
+        }
+    }
+
+    /**
+     * Carrega o arquivo escolhido ou solto como foto do halftone
+     */
+    async handleHalftoneFile(file) {
+        if (!file) return;
+        if (!this.logoTypes.includes(file.type)) {
+            this.showError('Formato de imagem não suportado. Use PNG, JPEG, SVG ou WebP');
+            return;
+        }
+        if (file.size > this.maxLogoFileSize) {
+            this.showError('Imagem muito grande para a foto (máximo de 2 MB)');
+            return;
+        }
+
+        try {
+            const halftone = await LogoOverlay.fromFile(file);
+            this.currentOptions.halftone = halftone;
+            this.updateHalftoneControls();
+            this.adjustErrorLevelForHalftone();
+            this.updateOption('halftone', halftone);
+        } catch (error) {
+            console.warn('Erro ao ler a foto:', error.message);
+            this.showError('Não foi possível ler a foto');
+        }
+    }
+
+    /**
+     * Leva o nível de correção a H com foto no QR Code: os pontos sobre a foto
+     * custam muitos módulos lidos errado
+     */
+    adjustErrorLevelForHalftone() {
+        const { halftone, symbology, errorCorrectionLevel } = this.currentOptions;
+        const { H } = QREncoder.ErrorCorrectionLevel;
+        if (!halftone || symbology !== 'qr' || errorCorrectionLevel === H) return;
+
+        this.currentOptions.errorCorrectionLevel = H;
+        const errorLevel = document.getElementById('error-level');
+        if (errorLevel) errorLevel.value = H;
+
+        const label = this.errorLevels.find(item => item.value === H).label;
+        this.showSuccess(`Nível de correção elevado para ${label} por causa da foto`);
+    }
+
+    /**
+     * Sobe o nível de correção para Q com logo no QR Code, ou para H se em Q o logo
+     * ainda consome correção demais. Nunca reduz o nível escolhido.
+     */
+    adjustErrorLevelForLogo() {
+        const { logo, symbology, errorCorrectionLevel } = this.currentOptions;
+        if (!logo || symbology !== 'qr') return;
+
+        const strength = this.errorLevels.map(level => level.value);
+        const { Q, H } = QREncoder.ErrorCorrectionLevel;
+        const candidates = [Q, H].filter(level => strength.indexOf(level) >= strength.indexOf(errorCorrectionLevel));
+        if (candidates.length === 0) return;
+
+        // Sem conteúdo para medir a área coberta, basta Q
+        const content = this.qrGenerator.getCurrentQRCode()?.content;
+        const level = content
+            ? candidates.find(candidate => this.getLogoAssessment(content, candidate)?.status === LogoOverlay.Status.OK) ??
+                candidates[candidates.length - 1]
+            : candidates[0];
+        if (level === errorCorrectionLevel) return;
+
+        this.currentOptions.errorCorrectionLevel = level;
+        const errorLevel = document.getElementById('error-level');
+        if (errorLevel) errorLevel.value = level;
+
+        const label = this.errorLevels.find(item => item.value === level).label;
+        this.showSuccess(`Nível de correção elevado para ${label} por causa do logo`);
+    }
+
+    /**
+     * Avaliação do logo (ver LogoOverlay.assess) no símbolo que o conteúdo geraria
+     * num nível de correção, ou null se o conteúdo não couber num único símbolo
+     */
+    getLogoAssessment(content, level) {
+        const encoded = this.encodeForLogo(content, level);
+        return encoded && LogoOverlay.assess(encoded.matrix, encoded.logoOptions);
+    }
+
+    /**
+     * Símbolo que o conteúdo geraria num nível de correção, as opções do QRGenerator e as
+     * do logo: { matrix, qrOptions, logoOptions }, ou null se o conteúdo não couber num único símbolo
+     */
+    encodeForLogo(content, level) {
+        const qrOptions = {
+            ...this.mapOptionsToQRCode(this.currentOptions),
+            correctLevel: level,
+            contentEncoding: this.qrGenerator.getCurrentQRCode()?.options.contentEncoding ?? null
+        };
+        try {
+            return {
+                matrix: this.qrGenerator.encode(content, qrOptions),
+                qrOptions,
+                logoOptions: QRGenerator.getLogoOptions(qrOptions)
+            };
+        } catch (error) {
+            return null;
+        }
+    }
+
+    /**
+     * Analisa a legibilidade das opções atuais (ver ScanAnalyzer). A cobertura do logo, a
+     * leitura do halftone e as correções sugeridas vêm de `checks`, calculados fora da
+     * thread principal com o preview (ver QRGenerator.runImageChecks).
+     */
+    analyzeScannability(checks) {
+        const { logo, halftone, eyeColors, symbology } = this.currentOptions;
+        const isQR = symbology === 'qr';
+        const analysis = ScanAnalyzer.analyze(
+            // Os olhos só têm cor própria no QR Code
+            { ...this.currentOptions, eyeColors: isQR ? eyeColors : null },
+            logo && isQR ? checks?.logo[0] ?? null : null,
+            halftone && isQR ? checks?.halftone[0] ?? null : null
+        );
+
+        analysis.issues.forEach(issue => {
+            if (issue.check === 'logo') issue.fix = checks.fixes.logo;
+            if (issue.check === 'halftone') issue.fix = checks.fixes.halftone;
+        });
+        return analysis;
+    }
+
+    /**
+     * Mostra a nota de legibilidade com os problemas e as correções sugeridas. Sem `checks`,
+     * reaproveita os do último preview; o preview e refreshScanReport trazem os atuais.
+     */
+    updateScanReport(checks = this.scanChecks) {
+        const analysis = this.analyzeScannability(checks);
+        this.scanChecks = checks;
+        this.scanAnalysis = analysis;
+
+        const report = document.getElementById('scan-report');
+        if (!report) return analysis;
+
+        report.className = `scan-report scan-${analysis.status}`;
+        report.innerHTML = `
+            <strong>Legibilidade: ${this.scanStatusLabels[analysis.status]}</strong>
+            · contraste ${Math.round(analysis.contrast * 100)}% (recomendado a partir de ${Math.round(ScanAnalyzer.PASS_CONTRAST * 100)}%)
+            ${analysis.issues.length > 0 ? `<ul>${analysis.issues.map((issue, index) => `
+                <li class="scan-${issue.status}">
+                    ${this.getScanMessage(issue)}
+                    ${issue.fix ? `<button type="button" class="btn-secondary" data-scan-fix="${index}">${this.getScanFixLabel(issue)}</button>` : ''}
+                </li>`).join('')}
+            </ul>` : ''}
+        `;
+        return analysis;
+    }
+
+    /**
+     * Recalcula a nota de legibilidade sem desenhar o preview: com logo ou foto, as
+     * verificações rodam no worker (ver QRGenerator.prepareRender). Resolve com a análise;
+     * uma chamada mais recente cancela esta (QRGenerationError com código CANCELLED).
+     * Com `controller` próprio a análise fica fora dessa fila e só ele a cancela.
+     */
+    async refreshScanReport(controller = null) {
+        if (!controller) {
+            this.scanController?.abort();
+            controller = new AbortController();
+            this.scanController = controller;
+        }
+
+        const currentQR = this.qrGenerator.getCurrentQRCode();
+        const { logo, halftone } = this.currentOptions;
+        if (!currentQR || (!logo && !halftone)) {
+            return this.updateScanReport(null);
+        }
+
+        const options = {
+            contentEncoding: currentQR.options.contentEncoding ?? null,
+            ...this.mapOptionsToQRCode(this.currentOptions)
+        };
+        if (!this.qrGenerator.getCapacity(currentQR.content, options).fits) {
+            return this.updateScanReport(null);
+        }
+
+        const { bitmaps, checks } = await this.qrGenerator.prepareRender(
+            currentQR.content, options, controller.signal, { withFixes: true }
+        );
+        bitmaps?.forEach(bitmap => bitmap.close());
+        if (controller.signal.aborted) {
+            throw QRGenerationError.cancelled();
+        }
+        return this.updateScanReport(checks);
+    }
+
+    /**
+     * Texto de um problema encontrado pelo ScanAnalyzer
+     */
+    getScanMessage(issue) {
+        switch (issue.check) {
+            case 'contrast': {
+                const where = issue.gradient ? ' no trecho de menor contraste do gradiente' : '';
+                return issue.status === ScanAnalyzer.Status.FAIL
+                    ? `Contraste insuficiente entre módulos e fundo${where} (${Math.round(issue.contrast * 100)}%): a maioria dos leitores não lê`
+                    : `Contraste baixo entre módulos e fundo${where} (${Math.round(issue.contrast * 100)}%): leitores mais simples podem falhar`;
+            }
+            case 'polarity':
+                return issue.invertMode
+                    ? 'Modo invertido (claro sobre escuro): alguns leitores não reconhecem símbolos invertidos'
+                    : 'Cores invertidas (módulos mais claros que o fundo): muitos leitores só reconhecem módulos escuros sobre fundo claro';
+            case 'eye': {
+                const eye = `Olho ${this.eyeNames[issue.index].toLowerCase()}`;
+                if (issue.mismatch) {
+                    return `${eye} com a polaridade oposta à dos módulos: o leitor não o reconhece como padrão de posição`;
+                }
+                return issue.status === ScanAnalyzer.Status.FAIL
+                    ? `${eye} com contraste insuficiente contra o fundo (${Math.round(issue.contrast * 100)}%)`
+                    : `${eye} com contraste baixo contra o fundo (${Math.round(issue.contrast * 100)}%): leitores mais simples podem falhar`;
+            }
+            case 'transparency':
+                return 'Fundo transparente: o contraste foi calculado sobre papel branco. Confira na cor real da superfície';
+            case 'logo':
+                if (issue.status === ScanAnalyzer.Status.WARN) {
+                    return `O logo consome ${Math.round(issue.ratio * 100)}% da correção de erro: sobra pouca margem para sujeira ou reflexos`;
+                }
+                return issue.reason === 'patterns'
+                    ? 'O logo cobre os padrões de localização do QR Code'
+                    : 'O logo cobre mais do que a correção de erro consegue recuperar';
+            case 'halftone':
+                return issue.status === ScanAnalyzer.Status.WARN
+                    ? `Na verificação de leitura, a foto consome ${Math.round(issue.ratio * 100)}% da correção de erro: sobra pouca margem para impressão ou câmera`
+                    : 'O QR Code sobre a foto não passa na verificação de leitura: a correção de erro não recupera os módulos confundidos com a foto';
+            default:
+                return '';
+        }
+    }
+
+    /**
+     * Rótulo do botão que aplica a correção sugerida
+     */
+    getScanFixLabel(issue) {
+        const { fix } = issue;
+        if (issue.check === 'polarity') return issue.invertMode ? 'Desligar a inversão' : 'Trocar as cores';
+        if (issue.check === 'eye') return 'Usar a cor dos módulos neste olho';
+        if (fix.errorCorrectionLevel !== undefined) return 'Subir a correção para H';
+        if (fix.logoSize !== undefined) return `Reduzir o logo para ${fix.logoSize}%`;
+        if (fix.halftoneDotSize !== undefined) return `Aumentar os pontos para ${fix.halftoneDotSize}%`;
+        if (fix.colorDark && fix.colorLight) return 'Usar módulos pretos sobre fundo branco';
+        return fix.colorDark ? 'Escurecer os módulos' : 'Clarear o fundo';
+    }
+
+    /**
+     * Aplica a correção de um problema da última análise
+     */
+    applyScanFix(index) {
+        const fix = this.scanAnalysis?.issues[index]?.fix;
+        if (!fix) return;
+
+        Object.assign(this.currentOptions, fix);
+        this.updateAllControls();
+        this.updatePreview();
+    }
+
+    /**
+     * Sincroniza os controles do logo com as opções atuais
+     */
+    updateLogoControls() {
+        const { logo, logoSize, logoPadding, logoPlate } = this.currentOptions;
+        const name = document.getElementById('logo-name');
+        const remove = document.getElementById('logo-remove');
+        const size = document.getElementById('logo-size');
+        const sizeValue = document.getElementById('logo-size-value');
+        const padding = document.getElementById('logo-padding');
+        const plate = document.getElementById('logo-plate');
+
+        if (name) {
+            name.textContent = logo
+                ? `Logo: ${logo.name || 'imagem'}`
+                : 'Arraste o logo para cá ou escolha um arquivo (PNG, JPEG, SVG ou WebP)';
+        }
+        if (remove) remove.hidden = !logo;
+        if (size) size.value = logoSize;
+        if (sizeValue) sizeValue.textContent = `${logoSize}%`;
+        if (padding) padding.value = logoPadding;
+        if (plate) plate.value = logoPlate;
+        if (!logo) this.updateLogoWarning(null);
+    }
+
+    /**
+     * Sincroniza os controles do halftone com as opções atuais
+     */
+    updateHalftoneControls() {
+        const { halftone, halftoneDotSize } = this.currentOptions;
+        const name = document.getElementById('halftone-name');
+        const remove = document.getElementById('halftone-remove');
+        const dotSize = document.getElementById('halftone-dot-size');
+        const dotSizeValue = document.getElementById('halftone-dot-size-value');
+
+        if (name) {
+            name.textContent = halftone
+                ? `Foto: ${halftone.name || 'imagem'}`
+                : 'Arraste uma foto para cá ou escolha um arquivo (PNG, JPEG, SVG ou WebP)';
+        }
+        if (remove) remove.hidden = !halftone;
+        if (dotSize) dotSize.value = halftoneDotSize;
+        if (dotSizeValue) dotSizeValue.textContent = `${halftoneDotSize}%`;
+        if (!halftone) this.updateHalftoneWarning(null);
+    }
+
+    /**
+     * Mostra o bloqueio ou o aviso da verificação de leitura do halftone (null esconde)
+     */
+    updateHalftoneWarning(message) {
+        const warning = document.getElementById('halftone-warning');
+        if (!warning) return;
+        warning.hidden = !message;
+        warning.textContent = message || '';
+    }
+
+    /**
+     * Mostra o bloqueio ou o aviso de cobertura do logo (null esconde)
+     */
+    updateLogoWarning(message) {
+        const warning = document.getElementById('logo-warning');
+        if (!warning) return;
+        warning.hidden = !message;
+        warning.textContent = message || '';
+    }
+
     /**
      * Configura controles de cor para dark ou light
      */
     setupColorControls(type) {
         const colorPicker = document.getElementById(`color-${type}`);
         const colorText = document.getElementById(`color-${type}-text`);
+        const key = this.getColorOptionKey(type);
 
         if (colorPicker) {
             colorPicker.addEventListener('input', (e) => {
-                const color = e.target.value;
+                // O seletor não tem alfa: mantém o da cor atual
+                const alpha = ColorFill.getAlpha(ColorFill.getSolidColor(this.currentOptions[key]));
+                const color = alpha > 0 ? ColorFill.withAlpha(e.target.value, alpha) : e.target.value;
                 colorText.value = color;
-                this.debouncedUpdate(`color${type.charAt(0).toUpperCase() + type.slice(1)}`, color);
+                this.debouncedUpdate(key, color);
             });
         }
 
         if (colorText) {
             colorText.addEventListener('change', (e) => {
-                const color = e.target.value;
+                const color = e.target.value.trim();
                 if (this.isValidColor(color)) {
-                    colorPicker.value = color;
-                    this.updateOption(`color${type.charAt(0).toUpperCase() + type.slice(1)}`, color);
+                    this.updateOption(key, color);
+                    this.updateFillControls(type);
                 } else {
-                    this.showError('Cor inválida. Use formato #RRGGBB');
-                    colorText.value = this.currentOptions[`color${type.charAt(0).toUpperCase() + type.slice(1)}`];
+                    this.showError('Cor inválida. Use #RRGGBB, #RRGGBBAA, rgba(), hsla() ou um gradiente, como linear-gradient(90deg, #000000, #3f51b5)');
+                    colorText.value = this.currentOptions[key];
                 }
             });
         }
     }
 
+    /**
+     * Configura a opção de fundo transparente, que guarda o fundo anterior para restaurá-lo
+     */
+    setupTransparencyControls() {
+        const transparent = document.getElementById('transparent-background');
+        if (!transparent) return;
+
+        transparent.addEventListener('change', (e) => {
+            if (e.target.checked) {
+                this.opaqueColorLight = this.currentOptions.colorLight;
+                this.setFill('light', 'transparent');
+            } else {
+                this.setFill('light', ColorFill.isTransparent(this.opaqueColorLight)
+                    ? this.defaultOptions.colorLight
+                    : this.opaqueColorLight);
+            }
+        });
+    }
+
+    /**
+     * Configura o editor de gradiente de dark ou light: tipo, ângulo e paradas
+     */
+    setupGradientControls(type) {
+        const fillType = document.getElementById(`fill-${type}-type`);
+        const angle = document.getElementById(`gradient-${type}-angle`);
+        const stops = document.getElementById(`gradient-${type}-stops`);
+        const add = document.getElementById(`gradient-${type}-add`);
+        const key = this.getColorOptionKey(type);
+
+        if (fillType) {
+            fillType.addEventListener('change', (e) => {
+                const value = this.currentOptions[key];
+                const fill = ColorFill.parse(value);
+                if (e.target.value === ColorFill.Type.SOLID) {
+                    this.setFill(type, ColorFill.getSolidColor(value));
+                    return;
+                }
+                // De cor sólida para gradiente: da cor atual até a cor sugerida
+                const gradientStops = fill.type === ColorFill.Type.SOLID
+                    ? [{ color: fill.color, offset: 0 }, { color: this.gradientEndColors[type], offset: 1 }]
+                    : fill.stops;
+                this.setFill(type, ColorFill.stringify({ type: e.target.value, angle: fill.angle ?? 180, stops: gradientStops }));
+            });
+        }
+
+        // Ângulo e paradas editados no lugar: não redesenha a lista durante a digitação
+        const onEdit = () => {
+            const value = this.readGradientControls(type);
+            document.getElementById(`color-${type}-text`).value = value;
+            this.debouncedUpdate(key, value);
+        };
+        if (angle) angle.addEventListener('input', onEdit);
+        if (stops) {
+            stops.addEventListener('input', onEdit);
+            stops.addEventListener('click', (e) => {
+                const button = e.target.closest('[data-remove]');
+                if (!button) return;
+                const fill = ColorFill.parse(this.readGradientControls(type));
+                fill.stops.splice(Number(button.dataset.remove), 1);
+                this.setFill(type, ColorFill.stringify(fill));
+            });
+        }
+
+        if (add) {
+            add.addEventListener('click', () => {
+                // A nova parada entra no meio do maior intervalo, com a cor da anterior
+                const fill = ColorFill.parse(this.readGradientControls(type));
+                let gap = 0;
+                for (let i = 1; i < fill.stops.length; i++) {
+                    if (fill.stops[i].offset - fill.stops[i - 1].offset > fill.stops[gap + 1].offset - fill.stops[gap].offset) {
+                        gap = i - 1;
+                    }
+                }
+                const before = fill.stops[gap];
+                const offset = (before.offset + fill.stops[gap + 1].offset) / 2;
+                fill.stops.splice(gap + 1, 0, { color: before.color, offset });
+                this.setFill(type, ColorFill.stringify(fill));
+            });
+        }
+    }
+
+    /**
+     * Aplica um novo preenchimento de dark ou light e redesenha o editor
+     */
+    setFill(type, value) {
+        document.getElementById(`color-${type}-text`).value = value;
+        this.updateOption(this.getColorOptionKey(type), value);
+        this.updateFillControls(type);
+    }
+
+    /**
+     * Preenchimento descrito pelo editor de gradiente de dark ou light
+     */
+    readGradientControls(type) {
+        const fill = ColorFill.parse(this.currentOptions[this.getColorOptionKey(type)]);
+        const angle = Number(document.getElementById(`gradient-${type}-angle`).value) || 0;
+        const stops = [...document.querySelectorAll(`#gradient-${type}-stops .gradient-stop`)].map(row => ({
+            color: ColorFill.withAlpha(row.querySelector('input[type="color"]').value, Number(row.dataset.alpha)),
+            offset: (Number(row.querySelector('input[type="number"]').value) || 0) / 100
+        }));
+        return ColorFill.stringify({ type: fill.type, angle, stops: ColorFill.normalizeOffsets(stops) });
+    }
+
+    /**
+     * Sincroniza seletor de cor e editor de gradiente de dark ou light com as opções atuais
+     */
+    updateFillControls(type) {
+        const value = this.currentOptions[this.getColorOptionKey(type)];
+        const fill = ColorFill.parse(value) || { type: ColorFill.Type.SOLID };
+        const isGradient = fill.type !== ColorFill.Type.SOLID;
+        const colorPicker = document.getElementById(`color-${type}`);
+        const fillType = document.getElementById(`fill-${type}-type`);
+        const gradient = document.getElementById(`gradient-${type}`);
+        const angleGroup = document.getElementById(`gradient-${type}-angle-group`);
+        const angle = document.getElementById(`gradient-${type}-angle`);
+        const stops = document.getElementById(`gradient-${type}-stops`);
+        const add = document.getElementById(`gradient-${type}-add`);
+
+        // Fundo transparente: não há cor a editar até desmarcar a opção
+        const transparent = type === 'light' && ColorFill.isTransparent(value);
+        const transparentOption = document.getElementById('transparent-background');
+        if (type === 'light' && transparentOption) transparentOption.checked = transparent;
+        if (type === 'light') this.updateInvertControls();
+        const colorText = document.getElementById(`color-${type}-text`);
+        if (colorText) colorText.disabled = transparent;
+        if (fillType) {
+            fillType.value = fill.type;
+            fillType.disabled = transparent;
+        }
+
+        // Com gradiente as cores ficam nas paradas
+        if (colorPicker) {
+            colorPicker.hidden = isGradient;
+            colorPicker.disabled = transparent;
+            colorPicker.value = ColorFill.toHex(ColorFill.getSolidColor(value, type === 'light' ? '#ffffff' : '#000000'));
+        }
+        if (gradient) gradient.hidden = !isGradient || transparent;
+        if (!isGradient || transparent) return;
+
+        if (angleGroup) angleGroup.hidden = fill.type !== ColorFill.Type.LINEAR;
+        if (angle) angle.value = Math.round(fill.angle);
+        if (stops) {
+            const removable = fill.stops.length > 2;
+            stops.innerHTML = fill.stops.map((stop, i) => `
+                <div class="gradient-stop" data-alpha="${ColorFill.getAlpha(stop.color)}">
+                    <input type="color" value="${ColorFill.toHex(stop.color)}" aria-label="Cor ${i + 1}">
+                    <input type="number" min="0" max="100" step="0.1" value="${Math.round(stop.offset * 1000) / 10}" aria-label="Posição da cor ${i + 1}">
+                    <span class="margin-unit">%</span>
+                    <button type="button" class="btn-secondary" data-remove="${i}" aria-label="Remover cor ${i + 1}" ${removable ? '' : 'disabled'}>×</button>
+                </div>`).join('');
+        }
+        if (add) add.disabled = fill.stops.length >= ColorFill.MAX_STOPS;
+    }
+
+    /**
+     * Chave da opção de cor de dark ou light (colorDark, colorLight)
+     */
+    getColorOptionKey(type) {
+        return `color${type.charAt(0).toUpperCase() + type.slice(1)}`;
+    }
+
     /**
      * Atualiza controles de tamanho sincronizados
      */
@@ -329,12 +1532,8 @@ class CustomizationManager {
         console.log(`Updating option ${key} to:`, value);
         this.currentOptions[key] = value;
         
-        if (this.previewEnabled) {
-            console.log('Preview enabled, calling updatePreview...');
-            this.updatePreview();
-        } else {
-            console.log('Preview disabled, skipping update');
-        }
+        // A nota de legibilidade é refeita quando o preview termina (ou, sem preview, sozinha)
+        this.updatePreview();
     }
 
     /**
@@ -358,12 +1557,21 @@ class CustomizationManager {
                 return;
             }
 
+            // Cores ou logo que os leitores não conseguem ler não chegam ao QR Code principal;
+            // a análise tem controller próprio para o preview não cancelá-la
+            const analysis = await this.refreshScanReport(new AbortController());
+            if (analysis.status === ScanAnalyzer.Status.FAIL) {
+                const issue = analysis.issues.find(item => item.status === ScanAnalyzer.Status.FAIL);
+                this.showError(`Personalização não aplicada. ${this.getScanMessage(issue)}. Veja as correções sugeridas no preview.`);
+                return;
+            }
+
             // Mostra loading
             if (this.uiManager) {
                 this.uiManager.showLoading(true);
             }
 
-            // Mapeia as opções para o formato do QRCode.js
+            // Mapeia as opções para o formato do QRGenerator
             const qrOptions = this.mapOptionsToQRCode(this.currentOptions);
             
             // Aplica as opções ao QR Generator
@@ -377,13 +1585,19 @@ class CustomizationManager {
             
             if (this.uiManager) {
                 this.uiManager.showLoading(false);
-                this.uiManager.showSuccess('Personalização aplicada com sucesso!');
+                if (analysis.status === ScanAnalyzer.Status.WARN) {
+                    this.uiManager.showMessage('Personalização aplicada, com avisos de legibilidade (veja no preview)', 'warning');
+                } else {
+                    this.uiManager.showSuccess('Personalização aplicada com sucesso!');
+                }
             }
 
         } catch (error) {
             if (this.uiManager) {
                 this.uiManager.showLoading(false);
             }
+            // A análise não é cancelável pelo preview: só o preview final, já depois de aplicar, pode ter sido substituído
+            if (QRGenerationError.isCancellation(error)) return;
             this.handleError(error, 'Aplicar personalização');
         }
     }
@@ -392,12 +1606,20 @@ class CustomizationManager {
      * Atualiza preview em tempo real
      */
     async updatePreview() {
-        if (!this.previewEnabled) return;
+        if (!this.previewEnabled) {
+            // Sem preview, só a nota de legibilidade é recalculada
+            try {
+                await this.refreshScanReport();
+            } catch (error) {
+                if (!QRGenerationError.isCancellation(error)) console.warn('Erro na nota de legibilidade:', error.message);
+            }
+            return;
+        }
         
         try {
             const currentQR = this.qrGenerator.getCurrentQRCode();
             if (currentQR) {
-                // Mapeia as opções de personalização para o formato do QRCode.js
+                // Mapeia as opções de personalização para o formato do QRGenerator
                 const qrOptions = this.mapOptionsToQRCode(this.currentOptions);
                 console.log('Updating preview with options:', qrOptions);
                 
@@ -405,49 +1627,226 @@ class CustomizationManager {
                 await this.generatePreviewQRCode(currentQR.content, qrOptions);
             } else {
                 console.log('No current QR code to preview');
+                this.updateScanReport(null);
                 this.showPreviewMessage('Gere um QR Code primeiro para ver o preview');
             }
         } catch (error) {
+            // Um preview mais recente já está sendo gerado
+            if (QRGenerationError.isCancellation(error)) return;
             console.warn('Erro no preview:', error.message);
             this.showPreviewMessage('Erro ao gerar preview');
         }
     }
 
     /**
-     * Gera QR Code na área de preview
+     * Gera QR Code na área de preview. Resolve com as matrizes desenhadas;
+     * um preview mais recente cancela este (QRGenerationError com código CANCELLED).
      */
     async generatePreviewQRCode(content, options) {
         const previewContainer = document.getElementById('customization-qrcode');
-        if (!previewContainer) return;
+        if (!previewContainer) return [];
 
-        // Limpa o container
-        previewContainer.innerHTML = '';
+        // Um preview novo cancela o anterior que ainda não terminou
+        this.previewController?.abort();
+        const controller = new AbortController();
+        this.previewController = controller;
 
-        // Cria uma nova instância do QRCode para o preview
-        return new Promise((resolve, reject) => {
-            try {
-                const qrCode = new QRCode(previewContainer, {
-                    text: content,
-                    width: options.width,
-                    height: options.height,
-                    colorDark: options.colorDark,
-                    colorLight: options.colorLight,
-                    correctLevel: options.correctLevel
-                });
-
-                // Aguarda a geração
-                setTimeout(() => {
-                    if (previewContainer.querySelector('canvas') || previewContainer.querySelector('img')) {
-                        resolve(qrCode);
-                    } else {
-                        reject(new Error('Failed to generate preview QR code'));
-                    }
-                }, 100);
+        // Mantém a codificação exigida pelo tipo de conteúdo do QR Code atual (vCard, WiFi)
+        const currentQR = this.qrGenerator.getCurrentQRCode();
+        options = { contentEncoding: currentQR?.options.contentEncoding ?? null, ...options };
 
-            } catch (error) {
-                reject(error);
-            }
+        // Conteúdo que não cabe na simbologia escolhida
+        const capacity = this.qrGenerator.getCapacity(content, options);
+        if (capacity.unsupportedEncoding) {
+            this.updateScanReport(null);
+            this.showPreviewMessage('O conteúdo tem caracteres que não existem na codificação escolhida');
+            return [];
+        }
+        if (!capacity.fits) {
+            this.updateScanReport(null);
+            this.showPreviewMessage(
+                `Conteúdo longo demais para este tipo de código (${capacity.percent}% da versão ${capacity.maxVersion})`
+            );
+            return [];
+        }
+
+        // Gera o preview com o mesmo codificador do QR Code principal (no worker, se houver),
+        // junto com as verificações e correções da nota de legibilidade
+        const { matrices, bitmaps, checks } = await this.qrGenerator.prepareRender(
+            content, options, controller.signal, { withFixes: true }
+        );
+        if (controller.signal.aborted) {
+            bitmaps?.forEach(bitmap => bitmap.close());
+            throw QRGenerationError.cancelled();
+        }
+        this.updateScanReport(checks);
+        // Logo que a correção não recupera: o QR Code principal também recusaria
+        const logoError = QRGenerator.getLogoError(matrices, options);
+        this.updateLogoWarning(logoError ? logoError.userMessage : this.getLogoWarning(matrices, options));
+        if (logoError) {
+            bitmaps?.forEach(bitmap => bitmap.close());
+            this.showPreviewMessage(logoError.userMessage);
+            return [];
+        }
+        // Halftone que não passa na verificação de leitura: idem
+        const halftoneError = QRGenerator.getHalftoneError(checks);
+        this.updateHalftoneWarning(halftoneError ? halftoneError.userMessage : this.getHalftoneWarning(checks));
+        if (halftoneError) {
+            this.showPreviewMessage(halftoneError.userMessage);
+            return [];
+        }
+
+        this.qrGenerator.renderInto(previewContainer, matrices, options, bitmaps);
+        this.updateSegmentationInfo(content, matrices, options);
+        this.updateMaskPenalties(matrices[0]);
+        return matrices;
+    }
+
+    /**
+     * Aviso para um logo que cabe na correção, mas com pouca folga (ou null)
+     */
+    getLogoWarning(matrices, options) {
+        const logoOptions = QRGenerator.getLogoOptions(options);
+        const matrix = matrices[0];
+        if (!logoOptions || !LogoOverlay.appliesTo(matrix, logoOptions)) return null;
+
+        const { status, ratio } = LogoOverlay.assess(matrix, logoOptions);
+        return status === LogoOverlay.Status.WARNING
+            ? `O logo consome ${Math.round(ratio * 100)}% da correção de erro: sobra pouca margem para sujeira, reflexos ou impressão ruim. Considere reduzir o logo.`
+            : null;
+    }
+
+    /**
+     * Aviso para um halftone que passa na verificação, mas com pouca folga (ou null);
+     * usa a verificação que o preview já fez (ver QRGenerator.runImageChecks)
+     */
+    getHalftoneWarning(checks) {
+        const check = checks?.halftone[0];
+        if (!check) return null;
+
+        const { status, ratio } = check;
+        return status === Halftone.Status.WARNING
+            ? `A foto consome ${Math.round(ratio * 100)}% da correção de erro na verificação de leitura: sobra pouca margem. Considere aumentar os pontos ou usar uma foto mais suave.`
+            : null;
+    }
+
+    /**
+     * Mostra a penalidade ISO 18004 de cada uma das 8 máscaras
+     */
+    updateMaskPenalties(matrix) {
+        const container = document.getElementById('mask-penalties');
+        if (!container) return;
+
+        // Micro QR pontua as máscaras pelas bordas (maior é melhor); rMQR tem máscara única
+        if (!matrix.penalties) {
+            container.innerHTML = matrix.maskScores ? `
+                <strong>Pontuação por máscara (Micro QR, maior é melhor):</strong>
+                <ul>
+                    ${matrix.maskScores.map((score, mask) => `
+                        <li class="${mask === matrix.mask ? 'mask-selected' : ''}">${mask}: ${score}</li>
+                    `).join('')}
+                </ul>
+            ` : '';
+            return;
+        }
+
+        const lowest = Math.min(...matrix.penalties);
+        container.innerHTML = `
+            <strong>Penalidade por máscara (ISO 18004):</strong>
+            <ul>
+                ${matrix.penalties.map((penalty, mask) => {
+                    const classes = [
+                        mask === matrix.mask ? 'mask-selected' : '',
+                        penalty === lowest ? 'mask-lowest' : ''
+                    ].join(' ').trim();
+                    return `<li class="${classes}" title="${mask === matrix.mask ? 'Máscara em uso' : ''}">
+                        ${mask}: ${penalty}
+                    </li>`;
+                }).join('')}
+            </ul>
+        `;
+    }
+
+    /**
+     * Mostra a segmentação usada e a economia de versão em relação ao modo byte puro
+     */
+    updateSegmentationInfo(content, matrices, options) {
+        const info = document.getElementById('segmentation-info');
+        if (!info) return;
+
+        const [matrix] = matrices;
+        if (matrices.length > 1) {
+            const lowest = Math.min(...matrices.map(symbol => symbol.version));
+            const highest = Math.max(...matrices.map(symbol => symbol.version));
+            const versionsText = lowest === highest ? `Versão ${lowest}` : `Versões ${lowest} a ${highest}`;
+            info.innerHTML = `
+                <div><strong>Structured Append:</strong> ${matrices.length} símbolos</div>
+                <div>${versionsText} · paridade ${matrix.structuredAppend.parity}</div>
+            `;
+            return;
+        }
+
+        const modeLabels = {
+            numeric: 'numérico',
+            alphanumeric: 'alfanumérico',
+            byte: 'byte',
+            kanji: 'kanji',
+            ascii: 'ASCII',
+            base256: 'Base 256',
+            text: 'texto',
+            subsetA: 'subconjunto A',
+            subsetB: 'subconjunto B',
+            subsetC: 'subconjunto C'
+        };
+        const segmentsText = matrix.segments
+            .map(segment => `${modeLabels[segment.mode]} (${segment.numChars})`)
+            .join(' + ');
+
+        // Demais simbologias: só a versão e as dimensões em módulos
+        if (matrix.symbology !== 'qr') {
+            const rows = matrix.modules.length;
+            const cols = matrix.modules[0].length;
+            const eciText = matrix.eci
+                ? `<div><strong>Codificação:</strong> ${this.encodings.find(encoding => encoding.value === matrix.encoding).name} (ECI ${matrix.eci})</div>`
+                : '';
+            const checkDigitText = matrix.checkDigit
+                ? `<div><strong>Dígito verificador:</strong> ${matrix.checkDigit}</div>`
+                : '';
+            info.innerHTML = `
+                <div><strong>Segmentação:</strong> ${segmentsText || '—'}</div>
+                <div>Versão ${matrix.version} (${cols}x${rows} módulos + zona de silêncio de ${matrix.quietZone})</div>
+                ${eciText}${checkDigitText}
+            `;
+            return;
+        }
+
+        const byteOnly = QREncoder.getCapacity(content, {
+            errorCorrectionLevel: options.correctLevel,
+            encoding: this.qrGenerator.getEncoderOptions(options).encoding,
+            optimizeSegments: false
         });
+        const saving = byteOnly.fits ? byteOnly.version - matrix.version : null;
+
+        let savingText;
+        if (saving === null) {
+            savingText = `Versão ${matrix.version}: só cabe graças à segmentação`;
+        } else if (saving > 0) {
+            savingText = `Versão ${matrix.version} em vez de ${byteOnly.version} ` +
+                `(${saving * 4} módulos a menos por lado)`;
+        } else {
+            savingText = `Versão ${matrix.version} (sem economia em relação a um único modo)`;
+        }
+
+        // Sem ECI os bytes são só ASCII (o Kanji tem modo próprio)
+        const encodingText = matrix.eci === null
+            ? 'sem ECI'
+            : `${this.encodings.find(encoding => encoding.value === matrix.encoding).name} (ECI ${matrix.eci})`;
+
+        info.innerHTML = `
+            <div><strong>Segmentação:</strong> ${segmentsText || '—'}</div>
+            <div>${savingText}</div>
+            <div><strong>Codificação:</strong> ${encodingText}</div>
+        `;
     }
 
     /**
@@ -458,10 +1857,15 @@ class CustomizationManager {
         if (previewContainer) {
             previewContainer.innerHTML = `<h5 class="msg">${message}</h5>`;
         }
+
+        ['segmentation-info', 'mask-penalties'].forEach(id => {
+            const element = document.getElementById(id);
+            if (element) element.innerHTML = '';
+        });
     }
 
     /**
-     * Mapeia opções de personalização para formato do QRCode.js
+     * Mapeia opções de personalização para formato do QRGenerator
      */
     mapOptionsToQRCode(options) {
         return {
@@ -470,7 +1874,30 @@ class CustomizationManager {
             colorDark: options.colorDark,
             colorLight: options.colorLight,
             correctLevel: options.errorCorrectionLevel,
-            margin: options.margin
+            margin: options.margin,
+            minVersion: options.minVersion,
+            maxVersion: options.maxVersion,
+            mask: options.maskPattern,
+            encoding: options.encoding,
+            structuredAppend: options.structuredAppend,
+            symbology: options.symbology,
+            rmqrHeight: options.rmqrHeight,
+            moduleShape: options.moduleShape,
+            eyeFrameStyle: options.eyeFrameStyle,
+            eyeBallStyle: options.eyeBallStyle,
+            eyeColors: options.eyeColors,
+            invert: options.invert,
+            logo: options.logo,
+            logoSize: options.logoSize,
+            logoPadding: options.logoPadding,
+            logoPlate: options.logoPlate,
+            halftone: options.halftone,
+            halftoneDotSize: options.halftoneDotSize,
+            frame: options.frame,
+            frameText: options.frameText,
+            frameFont: options.frameFont,
+            frameColor: options.frameColor,
+            frameTextColor: options.frameTextColor
         };
     }
 
@@ -496,15 +1923,13 @@ class CustomizationManager {
         this.updateSizeControls(this.currentOptions.size);
         
         // Cores
-        const colorDark = document.getElementById('color-dark');
         const colorDarkText = document.getElementById('color-dark-text');
-        const colorLight = document.getElementById('color-light');
         const colorLightText = document.getElementById('color-light-text');
         
-        if (colorDark) colorDark.value = this.currentOptions.colorDark;
         if (colorDarkText) colorDarkText.value = this.currentOptions.colorDark;
-        if (colorLight) colorLight.value = this.currentOptions.colorLight;
         if (colorLightText) colorLightText.value = this.currentOptions.colorLight;
+        this.updateFillControls('dark');
+        this.updateFillControls('light');
         
         // Nível de erro
         const errorLevel = document.getElementById('error-level');
@@ -515,6 +1940,149 @@ class CustomizationManager {
         const marginInput = document.getElementById('margin-input');
         if (marginSlider) marginSlider.value = this.currentOptions.margin;
         if (marginInput) marginInput.value = this.currentOptions.margin;
+
+        // Versão e máscara
+        const minVersion = document.getElementById('min-version');
+        const maxVersion = document.getElementById('max-version');
+        const maskPattern = document.getElementById('mask-pattern');
+        if (minVersion) minVersion.value = this.currentOptions.minVersion;
+        if (maxVersion) maxVersion.value = this.currentOptions.maxVersion;
+        if (maskPattern) maskPattern.value = this.currentOptions.maskPattern ?? 'auto';
+
+        const encoding = document.getElementById('encoding');
+        if (encoding) encoding.value = this.currentOptions.encoding;
+
+        const structuredAppend = document.getElementById('structured-append');
+        if (structuredAppend) structuredAppend.checked = this.currentOptions.structuredAppend;
+
+        // Formatos
+        const moduleShape = document.getElementById('module-shape');
+        const eyeFrameStyle = document.getElementById('eye-frame-style');
+        const eyeBallStyle = document.getElementById('eye-ball-style');
+        if (moduleShape) moduleShape.value = this.currentOptions.moduleShape;
+        if (eyeFrameStyle) eyeFrameStyle.value = this.currentOptions.eyeFrameStyle;
+        if (eyeBallStyle) eyeBallStyle.value = this.currentOptions.eyeBallStyle;
+        this.updateEyeColorControls();
+
+        this.updateLogoControls();
+        this.updateHalftoneControls();
+        this.updateFrameControls();
+
+        // Simbologia
+        const symbology = document.getElementById('symbology');
+        const rmqrHeight = document.getElementById('rmqr-height');
+        if (symbology) symbology.value = this.currentOptions.symbology;
+        if (rmqrHeight) rmqrHeight.value = this.currentOptions.rmqrHeight ?? 'auto';
+        this.updateSymbologyControls();
+
+        this.updateScanReport();
+    }
+
+    /**
+     * Mostra só as opções da simbologia escolhida e desabilita os níveis de correção que ela não tem
+     */
+    updateSymbologyControls() {
+        const { symbology } = this.currentOptions;
+        const entry = Symbology.get(symbology);
+
+        const qrOnlyOptions = document.getElementById('qr-only-options');
+        const rmqrOptions = document.getElementById('rmqr-options');
+        const encodingOptions = document.getElementById('encoding-options');
+        if (qrOnlyOptions) qrOnlyOptions.style.display = symbology === 'qr' ? 'block' : 'none';
+        if (rmqrOptions) rmqrOptions.style.display = symbology === 'rmqr' ? 'block' : 'none';
+        // Micro QR, rMQR e os códigos lineares não têm ECI; Shift JIS só existe no QR Code (modo kanji)
+        if (encodingOptions) {
+            encodingOptions.style.display = entry.byteEncoding ? 'block' : 'none';
+            const shiftJis = encodingOptions.querySelector(`option[value="${QREncoder.Encoding.SHIFT_JIS}"]`);
+            if (shiftJis) shiftJis.disabled = symbology !== 'qr';
+        }
+
+        const errorLevel = document.getElementById('error-level');
+        if (errorLevel) {
+            const supported = entry.encoder.SUPPORTED_LEVELS;
+            Array.from(errorLevel.options).forEach(option => {
+                option.disabled = !supported.includes(parseInt(option.value));
+            });
+            // Data Matrix não deixa escolher o nível
+            errorLevel.disabled = supported.length === 0;
+        }
+
+        const errorLevelNote = document.getElementById('error-level-note');
+        if (errorLevelNote) {
+            errorLevelNote.hidden = !entry.eccNote;
+            errorLevelNote.textContent = entry.eccNote || '';
+        }
+
+        // Formatos só onde a simbologia os aceita (olhos só no QR Code)
+        const moduleShape = document.getElementById('module-shape');
+        if (moduleShape) moduleShape.disabled = entry.shapeSupport === 'none';
+        ['eye-frame-style', 'eye-ball-style', 'eye-colors-enabled', ...this.eyeNames.map((_, i) => `eye-color-${i}`)].forEach(id => {
+            const control = document.getElementById(id);
+            if (control) control.disabled = entry.shapeSupport !== 'all';
+        });
+
+        // Logo só no QR Code
+        ['logo-file', 'logo-remove', 'logo-size', 'logo-padding', 'logo-plate'].forEach(id => {
+            const control = document.getElementById(id);
+            if (control) control.disabled = symbology !== 'qr';
+        });
+        const logoDrop = document.getElementById('logo-drop');
+        if (logoDrop) logoDrop.classList.toggle('disabled', symbology !== 'qr');
+
+        // Halftone também
+        ['halftone-file', 'halftone-remove', 'halftone-dot-size'].forEach(id => {
+            const control = document.getElementById(id);
+            if (control) control.disabled = symbology !== 'qr';
+        });
+        const halftoneDrop = document.getElementById('halftone-drop');
+        if (halftoneDrop) halftoneDrop.classList.toggle('disabled', symbology !== 'qr');
+
+        this.updateMarginWarning();
+    }
+
+    /**
+     * Avisa quando a margem é menor que a zona de silêncio exigida pela simbologia
+     * (4 módulos no QR Code, 2 no Micro QR, no rMQR e no PDF417, 1 no Data Matrix, nenhum no Aztec;
+     * 11 no EAN/UPC e 10 no Code 128, enquanto o ITF-14 já inclui a sua)
+     */
+    updateMarginWarning() {
+        const warning = document.getElementById('margin-warning');
+        if (!warning) return;
+
+        const required = this.qrGenerator.getEncoder({ symbology: this.currentOptions.symbology }).QUIET_ZONE;
+        const { margin } = this.currentOptions;
+        warning.hidden = margin >= required;
+        warning.textContent = margin < required
+            ? `Margem abaixo de ${required} módulos: leitores podem não reconhecer o código, principalmente sobre fundos escuros`
+            : '';
+    }
+
+    /**
+     * Troca o nível de correção pelo mais próximo suportado pela simbologia (no empate, o mais forte)
+     */
+    adjustErrorLevelForSymbology() {
+        const supported = this.qrGenerator.getEncoder({ symbology: this.currentOptions.symbology }).SUPPORTED_LEVELS;
+        const current = this.currentOptions.errorCorrectionLevel;
+        // Sem níveis selecionáveis o nível escolhido é ignorado pelo codificador
+        if (supported.length === 0 || supported.includes(current)) return;
+
+        // Níveis em ordem crescente de redundância
+        const strength = this.errorLevels.map(level => level.value);
+        const rank = strength.indexOf(current);
+        const closest = supported.reduce((best, level) => {
+            const distance = Math.abs(strength.indexOf(level) - rank);
+            const bestDistance = Math.abs(strength.indexOf(best) - rank);
+            return distance < bestDistance || (distance === bestDistance && strength.indexOf(level) > strength.indexOf(best))
+                ? level
+                : best;
+        });
+
+        this.currentOptions.errorCorrectionLevel = closest;
+        const errorLevel = document.getElementById('error-level');
+        if (errorLevel) errorLevel.value = closest;
+
+        const label = this.errorLevels.find(level => level.value === closest).label;
+        this.showSuccess(`Nível de correção ajustado para ${label}, suportado por esta simbologia`);
     }
 
     /**
@@ -526,10 +2094,17 @@ class CustomizationManager {
         
         try {
             const presets = Utils.storage.get('qr-presets', {});
-            presets[name] = { ...this.currentOptions };
-            Utils.storage.set('qr-presets', presets);
+            // Imagens grandes estourariam a cota do localStorage
+            const { options, dropped } = LogoOverlay.getStorableOptions(this.currentOptions);
+            presets[name] = options;
+            if (!Utils.storage.set('qr-presets', presets)) {
+                this.showError(`Não foi possível salvar o preset "${name}": o armazenamento do navegador está cheio`);
+                return;
+            }
             
-            this.showSuccess(`Preset "${name}" salvo com sucesso!`);
+            this.showSuccess(dropped
+                ? `Preset "${name}" salvo sem ${dropped} (grande demais para o armazenamento do navegador)`
+                : `Preset "${name}" salvo com sucesso!`);
         } catch (error) {
             this.handleError(error, 'Salvar preset');
         }
@@ -542,7 +2117,8 @@ class CustomizationManager {
         try {
             const presets = Utils.storage.get('qr-presets', {});
             if (presets[name]) {
-                this.currentOptions = { ...presets[name] };
+                // Presets antigos podem não ter as opções mais recentes
+                this.currentOptions = { ...this.defaultOptions, ...presets[name] };
                 this.updateAllControls();
                 
                 if (this.previewEnabled) {
@@ -566,10 +2142,10 @@ class CustomizationManager {
     }
 
     /**
-     * Valida cor hexadecimal
+     * Valida cor hexadecimal ou gradiente (ver ColorFill)
      */
     isValidColor(color) {
-        return /^#[0-9A-F]{6}$/i.test(color);
+        return ColorFill.isValid(color);
     }
 
     /**
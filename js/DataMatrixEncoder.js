@@ -0,0 +1,401 @@
+/**
+ * Data Matrix Encoder Module
+ * Codificador de Data Matrix ECC 200 (ISO/IEC 16022), usado em logística e marcação de peças
+ */
+import { QREncoder } from './QREncoder.js';
+import { ReedSolomon } from './ReedSolomon.js';
+
+// Por tamanho: linhas, colunas, linhas e colunas de cada região de dados,
+// codewords de dados, codewords de correção e blocos intercalados.
+// A correção é fixa: cada tamanho tem a sua.
+const SYMBOL_SIZES = [
+    [10, 10, 8, 8, 3, 5, 1],
+    [12, 12, 10, 10, 5, 7, 1],
+    [14, 14, 12, 12, 8, 10, 1],
+    [16, 16, 14, 14, 12, 12, 1],
+    [18, 18, 16, 16, 18, 14, 1],
+    [20, 20, 18, 18, 22, 18, 1],
+    [22, 22, 20, 20, 30, 20, 1],
+    [24, 24, 22, 22, 36, 24, 1],
+    [26, 26, 24, 24, 44, 28, 1],
+    [32, 32, 14, 14, 62, 36, 1],
+    [36, 36, 16, 16, 86, 42, 1],
+    [40, 40, 18, 18, 114, 48, 1],
+    [44, 44, 20, 20, 144, 56, 1],
+    [48, 48, 22, 22, 174, 68, 1],
+    [52, 52, 24, 24, 204, 84, 2],
+    [64, 64, 14, 14, 280, 112, 2],
+    [72, 72, 16, 16, 368, 144, 4],
+    [80, 80, 18, 18, 456, 192, 4],
+    [88, 88, 20, 20, 576, 224, 4],
+    [96, 96, 22, 22, 696, 272, 4],
+    [104, 104, 24, 24, 816, 336, 6],
+    [120, 120, 18, 18, 1050, 408, 6],
+    [132, 132, 20, 20, 1304, 496, 8],
+    [144, 144, 22, 22, 1558, 620, 10]
+].map(([rows, cols, regionRows, regionCols, dataCodewords, eccCodewords, blocks]) => ({
+    name: `${rows}x${cols}`,
+    rows,
+    cols,
+    regionRows,
+    regionCols,
+    dataCodewords,
+    eccCodewords,
+    blocks
+}));
+
+// Codewords especiais do modo ASCII
+const PAD = 129;
+const DIGIT_PAIR_BASE = 130;
+const LATCH_BASE256 = 231;
+const UPPER_SHIFT = 235;
+const ECI = 241;
+
+const rs = new ReedSolomon(0x12D, 256, 1);
+
+class DataMatrixEncoder {
+    // A norma exige 1 módulo de zona de silêncio
+    static QUIET_ZONE = 1;
+
+    // A correção é definida pelo tamanho do símbolo, não por níveis
+    static SUPPORTED_LEVELS = [];
+
+    static get SIZES() {
+        return SYMBOL_SIZES.map(size => size.name);
+    }
+
+    /**
+     * Codifica um texto no menor Data Matrix quadrado que o comporta
+     */
+    static encode(text, options = {}) {
+        const { encoding = QREncoder.Encoding.AUTO } = options;
+
+        if (typeof text !== 'string') {
+            throw new Error('Data Matrix content must be a string');
+        }
+
+        const message = DataMatrixEncoder.encodeMessage(text, encoding);
+        if (!message) {
+            throw new Error(`Content has characters not supported by ${encoding}`);
+        }
+        const size = SYMBOL_SIZES.find(candidate => candidate.dataCodewords >= message.codewords.length);
+        if (!size) {
+            throw new Error('Data too long for Data Matrix');
+        }
+
+        const dataCodewords = DataMatrixEncoder.addPadding(message.codewords, size.dataCodewords);
+        const codewords = DataMatrixEncoder.addEccAndInterleave(dataCodewords, size);
+
+        const symbol = new DataMatrixSymbol(size);
+        symbol.drawCodewords(codewords);
+        symbol.drawFinderPatterns();
+
+        return {
+            symbology: 'datamatrix',
+            version: size.name,
+            width: size.cols,
+            height: size.rows,
+            errorCorrectionLevel: null,
+            mask: null,
+            quietZone: DataMatrixEncoder.QUIET_ZONE,
+            segments: message.segments,
+            encoding: message.encoding,
+            eci: message.eci,
+            modules: symbol.modules,
+            functionModules: symbol.isFunction
+        };
+    }
+
+    /**
+     * Ocupação do conteúdo no menor tamanho que o comporta (ou no 144x144, se não couber)
+     */
+    static getCapacity(text, options = {}) {
+        const { encoding = QREncoder.Encoding.AUTO } = options;
+        const largest = SYMBOL_SIZES[SYMBOL_SIZES.length - 1];
+
+        const message = DataMatrixEncoder.encodeMessage(text, encoding);
+        if (!message) {
+            return {
+                fits: false,
+                version: null,
+                maxVersion: largest.name,
+                usedBits: 0,
+                capacityBits: largest.dataCodewords * 8,
+                percent: 0,
+                segments: [],
+                encoding,
+                eci: null,
+                unsupportedEncoding: encoding,
+                symbols: 1
+            };
+        }
+
+        const size = SYMBOL_SIZES.find(candidate => candidate.dataCodewords >= message.codewords.length);
+        const reference = size ?? largest;
+        const usedBits = message.codewords.length * 8;
+        const capacityBits = reference.dataCodewords * 8;
+
+        return {
+            fits: Boolean(size),
+            version: size ? size.name : null,
+            maxVersion: largest.name,
+            usedBits,
+            capacityBits,
+            percent: Math.round(usedBits / capacityBits * 1000) / 10,
+            segments: message.segments,
+            encoding: message.encoding,
+            eci: message.eci,
+            symbols: 1
+        };
+    }
+
+    /**
+     * Codewords de dados (sem preenchimento): designador ECI, se houver, e o texto
+     * em ASCII (pares de dígitos num codeword) ou em Base 256, o que for menor.
+     * Retorna null se o texto não for representável na codificação pedida.
+     */
+    static encodeMessage(text, encoding) {
+        const resolved = QREncoder.encodeBytesWithECI(text, encoding);
+        if (!resolved) return null;
+
+        const { bytes, eci } = resolved;
+        const header = eci === null ? [] : [ECI, ...DataMatrixEncoder.encodeECIValue(eci)];
+        const ascii = DataMatrixEncoder.encodeASCII(bytes);
+        const base256 = DataMatrixEncoder.encodeBase256(bytes, header.length);
+        const useBase256 = base256.length < ascii.length;
+
+        return {
+            codewords: header.concat(useBase256 ? base256 : ascii),
+            segments: [{ mode: useBase256 ? 'base256' : 'ascii', text, numChars: bytes.length }],
+            encoding: resolved.encoding,
+            eci
+        };
+    }
+
+    /**
+     * Valor ECI em 1 a 3 codewords
+     */
+    static encodeECIValue(eci) {
+        if (eci < 127) return [eci + 1];
+        if (eci < 16383) {
+            return [Math.floor((eci - 127) / 254) + 128, (eci - 127) % 254 + 1];
+        }
+        return [
+            Math.floor((eci - 16383) / 64516) + 192,
+            Math.floor((eci - 16383) / 254) % 254 + 1,
+            (eci - 16383) % 254 + 1
+        ];
+    }
+
+    /**
+     * Modo ASCII: dois dígitos por codeword; bytes acima de 127 com Upper Shift
+     */
+    static encodeASCII(bytes) {
+        const isDigit = byte => byte >= 0x30 && byte <= 0x39;
+        const codewords = [];
+        for (let i = 0; i < bytes.length; i++) {
+            const byte = bytes[i];
+            if (isDigit(byte) && i + 1 < bytes.length && isDigit(bytes[i + 1])) {
+                codewords.push(DIGIT_PAIR_BASE + (byte - 0x30) * 10 + (bytes[i + 1] - 0x30));
+                i++;
+            } else if (byte < 128) {
+                codewords.push(byte + 1);
+            } else {
+                codewords.push(UPPER_SHIFT, byte - 127);
+            }
+        }
+        return codewords;
+    }
+
+    /**
+     * Modo Base 256 com campo de tamanho explícito. Cada codeword é embaralhado
+     * pela sua posição na mensagem, que começa depois de `offset` codewords.
+     */
+    static encodeBase256(bytes, offset = 0) {
+        const length = bytes.length < 250
+            ? [bytes.length]
+            : [Math.floor(bytes.length / 250) + 249, bytes.length % 250];
+        const field = [...length, ...bytes];
+        // O latch ocupa a posição offset + 1; o campo começa na seguinte
+        return [LATCH_BASE256, ...field.map((value, i) => {
+            const position = offset + i + 2;
+            return (value + (149 * position) % 255 + 1) % 256;
+        })];
+    }
+
+    /**
+     * Completa os codewords de dados: o primeiro PAD é fixo e os seguintes
+     * são embaralhados pela posição
+     */
+    static addPadding(codewords, capacity) {
+        const padded = [...codewords];
+        if (padded.length < capacity) padded.push(PAD);
+        while (padded.length < capacity) {
+            const position = padded.length + 1;
+            const value = PAD + (149 * position) % 253 + 1;
+            padded.push(value > 254 ? value - 254 : value);
+        }
+        return padded;
+    }
+
+    /**
+     * Distribui os dados em blocos, calcula a correção de cada bloco e intercala
+     */
+    static addEccAndInterleave(data, size) {
+        const { blocks, eccCodewords } = size;
+        const eccPerBlock = eccCodewords / blocks;
+        const result = [...data, ...new Array(eccCodewords).fill(0)];
+
+        for (let block = 0; block < blocks; block++) {
+            const blockData = data.filter((_, i) => i % blocks === block);
+            rs.encode(blockData, eccPerBlock).forEach((codeword, i) => {
+                result[data.length + i * blocks + block] = codeword;
+            });
+        }
+        return result;
+    }
+}
+
+/**
+ * Matriz de módulos de um Data Matrix em construção
+ */
+class DataMatrixSymbol {
+    constructor(size) {
+        this.size = size;
+        this.modules = Array.from({ length: size.rows }, () => new Array(size.cols).fill(false));
+        this.isFunction = Array.from({ length: size.rows }, () => new Array(size.cols).fill(false));
+    }
+
+    /**
+     * Bordas de cada região: L contínuo à esquerda e embaixo, alternado em cima e à direita
+     */
+    drawFinderPatterns() {
+        const { rows, cols, regionRows, regionCols } = this.size;
+        const blockRows = regionRows + 2;
+        const blockCols = regionCols + 2;
+
+        for (let y = 0; y < rows; y++) {
+            for (let x = 0; x < cols; x++) {
+                const localY = y % blockRows;
+                const localX = x % blockCols;
+                let dark;
+                if (localX === 0 || localY === blockRows - 1) {
+                    dark = true;
+                } else if (localY === 0) {
+                    dark = localX % 2 === 0;
+                } else if (localX === blockCols - 1) {
+                    dark = localY % 2 === 1;
+                } else {
+                    continue;
+                }
+                this.modules[y][x] = dark;
+                this.isFunction[y][x] = true;
+            }
+        }
+    }
+
+    /**
+     * Posiciona os bits dos codewords no padrão diagonal da norma (Anexo F)
+     * e copia a área de mapeamento para as regiões de dados
+     */
+    drawCodewords(codewords) {
+        const { regionRows, regionCols, rows, cols } = this.size;
+        const numRows = rows / (regionRows + 2) * regionRows;
+        const numCols = cols / (regionCols + 2) * regionCols;
+        const mapping = DataMatrixSymbol.getPlacement(numRows, numCols);
+
+        for (let row = 0; row < numRows; row++) {
+            for (let col = 0; col < numCols; col++) {
+                const value = mapping[row * numCols + col];
+                // 1 é o módulo escuro fixo do canto; os demais guardam codeword e bit
+                const dark = value === 1 ||
+                    (value > 1 && ((codewords[Math.floor(value / 10) - 1] >> (8 - value % 10)) & 1) === 1);
+                const y = row + 1 + 2 * Math.floor(row / regionRows);
+                const x = col + 1 + 2 * Math.floor(col / regionCols);
+                this.modules[y][x] = dark;
+            }
+        }
+    }
+
+    /**
+     * Mapa da área de dados: 10 * codeword (a partir de 1) + bit (1 é o mais significativo),
+     * 1 para módulo escuro fixo e 0 para módulo claro fixo
+     */
+    static getPlacement(numRows, numCols) {
+        const mapping = new Array(numRows * numCols).fill(0);
+
+        const module = (row, col, codeword, bit) => {
+            if (row < 0) {
+                row += numRows;
+                col += 4 - ((numRows + 4) % 8);
+            }
+            if (col < 0) {
+                col += numCols;
+                row += 4 - ((numCols + 4) % 8);
+            }
+            mapping[row * numCols + col] = codeword * 10 + bit;
+        };
+
+        // Forma padrão de um codeword ("utah"), ancorada no seu último bit
+        const utah = (row, col, codeword) => {
+            module(row - 2, col - 2, codeword, 1);
+            module(row - 2, col - 1, codeword, 2);
+            module(row - 1, col - 2, codeword, 3);
+            module(row - 1, col - 1, codeword, 4);
+            module(row - 1, col, codeword, 5);
+            module(row, col - 2, codeword, 6);
+            module(row, col - 1, codeword, 7);
+            module(row, col, codeword, 8);
+        };
+
+        // Formas especiais dos cantos: [linha, coluna] de cada bit
+        const corner = (positions, codeword) => {
+            positions.forEach(([row, col], i) => module(row, col, codeword, i + 1));
+        };
+        const r = numRows;
+        const c = numCols;
+        const corners = [
+            [[r - 1, 0], [r - 1, 1], [r - 1, 2], [0, c - 2], [0, c - 1], [1, c - 1], [2, c - 1], [3, c - 1]],
+            [[r - 3, 0], [r - 2, 0], [r - 1, 0], [0, c - 4], [0, c - 3], [0, c - 2], [0, c - 1], [1, c - 1]],
+            [[r - 3, 0], [r - 2, 0], [r - 1, 0], [0, c - 2], [0, c - 1], [1, c - 1], [2, c - 1], [3, c - 1]],
+            [[r - 1, 0], [r - 1, c - 1], [0, c - 3], [0, c - 2], [0, c - 1], [1, c - 3], [1, c - 2], [1, c - 1]]
+        ];
+
+        let codeword = 1;
+        let row = 4;
+        let col = 0;
+        do {
+            if (row === r && col === 0) corner(corners[0], codeword++);
+            if (row === r - 2 && col === 0 && c % 4 !== 0) corner(corners[1], codeword++);
+            if (row === r - 2 && col === 0 && c % 8 === 4) corner(corners[2], codeword++);
+            if (row === r + 4 && col === 2 && c % 8 === 0) corner(corners[3], codeword++);
+
+            // Diagonal para cima e para a direita
+            do {
+                if (row < r && col >= 0 && mapping[row * c + col] === 0) utah(row, col, codeword++);
+                row -= 2;
+                col += 2;
+            } while (row >= 0 && col < c);
+            row += 1;
+            col += 3;
+
+            // Diagonal para baixo e para a esquerda
+            do {
+                if (row >= 0 && col < c && mapping[row * c + col] === 0) utah(row, col, codeword++);
+                row += 2;
+                col -= 2;
+            } while (row < r && col >= 0);
+            row += 3;
+            col += 1;
+        } while (row < r || col < c);
+
+        // Canto inferior direito que sobra em alguns tamanhos: padrão fixo
+        if (mapping[r * c - 1] === 0) {
+            mapping[r * c - 1] = 1;
+            mapping[r * c - c - 2] = 1;
+        }
+        return mapping;
+    }
+}
+
+export { DataMatrixEncoder };
@@ -2,14 +2,27 @@
  * Download Manager Module
  * Gerencia downloads de QR Codes em diferentes formatos
  */
+import { ColorFill } from './ColorFill.js';
+import { ImageMetadata } from './ImageMetadata.js';
+import { PDFRenderer } from './PDFRenderer.js';
+import { QREncoder } from './QREncoder.js';
+import { QRGenerator } from './QRGenerator.js';
+import { Symbology } from './Symbology.js';
+import { SymbolSheet } from './SymbolSheet.js';
 import { Utils } from './Utils.js';
 
 class DownloadManager {
     constructor(qrGenerator) {
         this.qrGenerator = qrGenerator;
         this.errorHandler = null;
-        this.supportedFormats = ['png', 'svg', 'jpeg'];
+        this.supportedFormats = ['png', 'svg', 'jpeg', 'pdf', 'eps'];
         this.defaultQuality = 0.9; // Para JPEG
+        this.minPrintModuleSize = 0.25; // Em mm: abaixo disso a impressão comum borra os módulos
+        this.unitDecimals = { mm: 2, in: 4 }; // Casas ao converter as medidas do PDF (ida e volta sem desvio)
+        this.defaultDPI = 300; // Resolução gravada no PNG e no JPEG
+        this.dpiRange = { min: 72, max: 2400 };
+        this.maxRasterSize = 8192; // Lado máximo em pixels, abaixo do limite de canvas dos navegadores
+        this.listenersAttached = false;
     }
 
     /**
@@ -28,8 +41,26 @@ class DownloadManager {
             // Mostra a seção de download
             downloadSection.style.display = 'block';
 
-            // Configura os event listeners dos botões
-            this.setupDownloadListeners();
+            // Opções de exportação só fazem sentido para uma sequência de símbolos
+            const setOptions = document.getElementById('download-set-options');
+            if (setOptions) {
+                setOptions.style.display = this.qrGenerator.getMatrices().length > 1 ? 'block' : 'none';
+            }
+
+            // A cor de fundo do JPEG só é pedida quando há transparência a achatar
+            const jpegOptions = document.getElementById('download-jpeg-options');
+            if (jpegOptions) {
+                jpegOptions.style.display = this.hasTransparency() ? 'block' : 'none';
+            }
+
+            // Configura os event listeners dos botões uma única vez
+            if (!this.listenersAttached) {
+                this.setupDownloadListeners();
+                this.setupPrintListeners();
+                this.listenersAttached = true;
+            }
+            this.updatePrintNote();
+            this.updateRasterNote();
         }
     }
 
@@ -40,6 +71,8 @@ class DownloadManager {
         const pngBtn = document.getElementById('download-png');
         const svgBtn = document.getElementById('download-svg');
         const jpegBtn = document.getElementById('download-jpeg');
+        const pdfBtn = document.getElementById('download-pdf');
+        const epsBtn = document.getElementById('download-eps');
 
         if (pngBtn) {
             pngBtn.addEventListener('click', () => this.downloadAsPNG());
@@ -52,33 +85,226 @@ class DownloadManager {
         if (jpegBtn) {
             jpegBtn.addEventListener('click', () => this.downloadAsJPEG());
         }
+
+        if (pdfBtn) {
+            pdfBtn.addEventListener('click', () => this.downloadAsPDF());
+        }
+
+        if (epsBtn) {
+            epsBtn.addEventListener('click', () => this.downloadAsEPS());
+        }
     }
 
     /**
-     * Baixa o QR Code como PNG
+     * Configura as opções de impressão: a troca de unidade converte as medidas já
+     * digitadas e as notas acompanham a largura, a resolução e as cores
      */
-    async downloadAsPNG(customFilename = null, size = null) {
-        try {
-            const canvas = this.qrGenerator.getCanvas();
-            if (!canvas) {
-                throw new Error('Nenhum QR Code encontrado para download');
+    setupPrintListeners() {
+        const updateNotes = () => {
+            this.updatePrintNote();
+            this.updateRasterNote();
+        };
+        const unit = document.getElementById('pdf-unit');
+        if (unit) {
+            let previousUnit = unit.value;
+            unit.addEventListener('change', () => {
+                ['pdf-width', 'pdf-bleed'].forEach(id => {
+                    const input = document.getElementById(id);
+                    const value = parseFloat(input?.value);
+                    if (!input || !Number.isFinite(value)) return;
+                    const converted = PDFRenderer.toPoints(value, previousUnit) / PDFRenderer.toPoints(1, unit.value);
+                    const precision = 10 ** this.unitDecimals[unit.value];
+                    input.value = String(Math.round(converted * precision) / precision);
+                });
+                previousUnit = unit.value;
+                updateNotes();
+            });
+        }
+
+        ['pdf-width', 'pdf-cmyk', 'raster-dpi', 'raster-print-size'].forEach(id => {
+            const input = document.getElementById(id);
+            if (input) {
+                input.addEventListener(input.type === 'checkbox' ? 'change' : 'input', updateNotes);
             }
+        });
+    }
+
+    /**
+     * Opções de impressão do PDF escolhidas na interface: { width, unit, bleed, cropMarks,
+     * caption, colorSpace }, com `width` (código com a margem) null sem o campo
+     */
+    getPrintOptions() {
+        const value = id => document.getElementById(id)?.value ?? '';
+        const checked = id => Boolean(document.getElementById(id)?.checked);
+        const width = value('pdf-width') === '' ? null : parseFloat(value('pdf-width'));
+
+        return {
+            width,
+            unit: value('pdf-unit') || 'mm',
+            bleed: Math.max(0, parseFloat(value('pdf-bleed')) || 0),
+            cropMarks: checked('pdf-crop-marks'),
+            caption: value('pdf-caption').trim(),
+            colorSpace: checked('pdf-cmyk') ? PDFRenderer.ColorSpace.CMYK : PDFRenderer.ColorSpace.RGB
+        };
+    }
+
+    /**
+     * Nota abaixo das opções do PDF: o tamanho do módulo impresso e, em CMYK, os valores
+     * usados para os módulos e o fundo
+     */
+    updatePrintNote() {
+        const note = document.getElementById('pdf-print-note');
+        const currentQR = this.qrGenerator.getCurrentQRCode();
+        const matrix = this.qrGenerator.getMatrix();
+        if (!note || !currentQR || !matrix) return;
+
+        const { width, unit, colorSpace } = this.getPrintOptions();
+        const parts = [];
+        if (Number.isFinite(width) && width > 0) {
+            const margin = QRGenerator.getMargin(matrix, currentQR.options);
+            const moduleSize = PDFRenderer.toPoints(width, unit) / PDFRenderer.toPoints(1, 'mm') / (matrix.modules[0].length + margin * 2);
+            parts.push(`Módulo de ${this.formatNumber(moduleSize)} mm` +
+                (moduleSize < this.minPrintModuleSize ? ` — abaixo de ${this.formatNumber(this.minPrintModuleSize)} mm, difícil de imprimir e de ler` : ''));
+        }
+        if (colorSpace === PDFRenderer.ColorSpace.CMYK) {
+            const { colorDark, colorLight } = QRGenerator.getColorOptions(currentQR.options);
+            const cmyk = fill => {
+                const [c, m, y, k] = PDFRenderer.toCMYK(fill).map(value => Math.round(value * 100));
+                return `C${c} M${m} Y${y} K${k}`;
+            };
+            parts.push(`Módulos ${cmyk(colorDark)}`);
+            if (!ColorFill.isTransparent(colorLight)) parts.push(`Fundo ${cmyk(colorLight)}`);
+        }
+        note.textContent = parts.join(' · ');
+    }
+
+    /**
+     * Opções dos arquivos bitmap escolhidas na interface: { dpi, printSize, metadata },
+     * com `printSize` para usar a largura de impressão e `metadata` para gravar os textos
+     */
+    getRasterOptions() {
+        const dpi = document.getElementById('raster-dpi');
+        return {
+            dpi: dpi ? parseFloat(dpi.value) : this.defaultDPI,
+            printSize: Boolean(document.getElementById('raster-print-size')?.checked),
+            metadata: Boolean(document.getElementById('raster-metadata')?.checked)
+        };
+    }
+
+    /**
+     * Largura pedida para o PNG e o JPEG, em pixels: `size`, a largura de impressão na
+     * resolução escolhida ou a da personalização
+     */
+    getRasterWidth(size, { dpi, printSize }) {
+        const currentQR = this.qrGenerator.getCurrentQRCode();
+        if (!currentQR) {
+            throw new Error('Nenhum QR Code encontrado para download');
+        }
+        if (!(Number.isInteger(dpi) && dpi >= this.dpiRange.min && dpi <= this.dpiRange.max)) {
+            const message = `Informe uma resolução inteira entre ${this.dpiRange.min} e ${this.dpiRange.max} dpi`;
+            throw Object.assign(new Error(message), { userMessage: message });
+        }
+        if (size) return size;
+        if (!printSize) return currentQR.options.width;
+
+        const points = this.getPDFRenderOptions(this.getPrintOptions(), currentQR.options).size;
+        const width = points / PDFRenderer.toPoints(1, 'in') * dpi;
+        if (width > this.maxRasterSize) {
+            const message = `A imagem teria ${Math.round(width)} px de largura (máximo de ${this.maxRasterSize}): reduza a largura de impressão ou a resolução`;
+            throw Object.assign(new Error(message), { userMessage: message });
+        }
+        return width;
+    }
+
+    /**
+     * Largura mais próxima de `width` com um número inteiro de pixels por módulo
+     * (pelo menos um), para as bordas dos módulos caírem em pixels inteiros
+     */
+    snapToModules(matrix, options, width) {
+        const modules = matrix.modules[0].length + QRGenerator.getMargin(matrix, options) * 2;
+        return Math.max(1, Math.round(width / modules)) * modules;
+    }
+
+    /**
+     * Nota abaixo das opções do PNG e do JPEG: pixels, pixels por módulo e o tamanho
+     * impresso na resolução escolhida
+     */
+    updateRasterNote() {
+        const note = document.getElementById('raster-note');
+        const currentQR = this.qrGenerator.getCurrentQRCode();
+        const matrix = this.qrGenerator.getMatrix();
+        if (!note || !currentQR || !matrix) return;
+
+        const raster = this.getRasterOptions();
+        let width;
+        try {
+            width = this.snapToModules(matrix, currentQR.options, this.getRasterWidth(null, raster));
+        } catch (error) {
+            note.textContent = error.userMessage || '';
+            return;
+        }
+        const modules = matrix.modules[0].length + QRGenerator.getMargin(matrix, currentQR.options) * 2;
+        const printed = width / raster.dpi * 25.4;
+        note.textContent = `Código com ${width} px de largura, ${width / modules} px por módulo: ` +
+            `${this.formatNumber(printed)} mm a ${raster.dpi} dpi`;
+    }
+
+    /**
+     * Grava a resolução e, se pedido, os textos (ver getImageText) no PNG ou JPEG do blob
+     */
+    async addImageMetadata(blob, { dpi, metadata }) {
+        const bytes = new Uint8Array(await blob.arrayBuffer());
+        const options = { dpi, text: metadata ? this.getImageText() : {} };
+        const data = blob.type === 'image/png'
+            ? ImageMetadata.addToPNG(bytes, options)
+            : ImageMetadata.addToJPEG(bytes, options);
+        return new Blob([data], { type: blob.type });
+    }
+
+    /**
+     * Textos gravados nos arquivos bitmap: conteúdo codificado, nível de correção
+     * (nas simbologias que o têm) e data de geração
+     */
+    getImageText() {
+        const currentQR = this.qrGenerator.getCurrentQRCode();
+        const level = this.qrGenerator.getMatrix().errorCorrectionLevel;
+        const letter = Object.keys(QREncoder.ErrorCorrectionLevel).find(key => QREncoder.ErrorCorrectionLevel[key] === level);
+
+        return {
+            Description: currentQR.content,
+            ...(letter ? { 'Error Correction Level': letter } : {}),
+            'Creation Time': currentQR.timestamp.toUTCString()
+        };
+    }
+
+    /**
+     * Número com até duas casas decimais, no formato brasileiro
+     */
+    formatNumber(value) {
+        return value.toLocaleString('pt-BR', { maximumFractionDigits: 2 });
+    }
 
+    /**
+     * Baixa o QR Code como PNG, com a resolução de `raster` (ver getRasterOptions;
+     * o que ele não informa vem das opções da interface) gravada no arquivo
+     */
+    async downloadAsPNG(customFilename = null, size = null, raster = null) {
+        try {
             const filename = customFilename || this.generateFilename('png');
+            const settings = { ...this.getRasterOptions(), ...raster };
             
-            // Se um tamanho específico foi solicitado, redimensiona o canvas
-            let downloadCanvas = canvas;
-            if (size && (size !== canvas.width || size !== canvas.height)) {
-                downloadCanvas = this.resizeCanvas(canvas, size, size);
+            // Renderiza a partir da matriz já no tamanho solicitado
+            const exports = this.getExportCanvases(this.getRasterWidth(size, settings));
+
+            for (const { canvas, suffix } of exports) {
+                // Converte canvas para blob PNG
+                const blob = await this.addImageMetadata(await this.canvasToBlob(canvas, 'image/png'), settings);
+                
+                // Faz o download
+                this.downloadBlob(blob, this.addFilenameSuffix(filename, suffix));
             }
-
-            // Converte canvas para blob PNG
-            const blob = await this.canvasToBlob(downloadCanvas, 'image/png');
             
-            // Faz o download
-            this.downloadBlob(blob, filename);
-            
-            this.showSuccessMessage(`QR Code baixado como ${filename}`);
+            this.showSuccessMessage(this.getSuccessMessage(filename, exports.length));
             
         } catch (error) {
             this.handleDownloadError(error, 'PNG');
@@ -86,7 +312,8 @@ class DownloadManager {
     }
 
     /**
-     * Baixa o QR Code como SVG
+     * Baixa o QR Code como SVG vetorial, gerado da matriz de módulos, com o nome da
+     * simbologia em <title> e o conteúdo em <desc>; a sequência sai como em getExportDocuments
      */
     async downloadAsSVG(customFilename = null) {
         try {
@@ -96,76 +323,269 @@ class DownloadManager {
             }
 
             const filename = customFilename || this.generateFilename('svg');
-            
-            // Converte o canvas atual para SVG usando uma abordagem simples
-            const canvas = this.qrGenerator.getCanvas();
-            if (!canvas) {
-                throw new Error('Canvas não encontrado para conversão SVG');
+            const exports = this.getExportDocuments('svg', index => ({
+                title: this.getSymbolTitle(index),
+                description: currentQR.content
+            }));
+
+            for (const { data, suffix } of exports) {
+                const blob = new Blob([data], { type: 'image/svg+xml;charset=utf-8' });
+                this.downloadBlob(blob, this.addFilenameSuffix(filename, suffix));
             }
 
-            // Cria SVG a partir do canvas
-            const svgString = this.createSVGFromCanvas(canvas, currentQR.options);
-            const blob = new Blob([svgString], { type: 'image/svg+xml;charset=utf-8' });
+            this.showSuccessMessage(this.getSuccessMessage(filename, exports.length));
+            
+        } catch (error) {
+            this.handleDownloadError(error, 'SVG');
+        }
+    }
+
+    /**
+     * Baixa o QR Code como JPEG. O JPEG não tem canal alfa: as partes transparentes
+     * são compostas sobre a cor de fundo escolhida (`matte`, ou a do campo da interface).
+     * A resolução de `raster` (completado pelas opções da interface) vai na densidade do JFIF.
+     */
+    async downloadAsJPEG(customFilename = null, size = null, quality = null, matte = null, raster = null) {
+        try {
+            const filename = customFilename || this.generateFilename('jpeg');
+            const jpegQuality = quality || this.defaultQuality;
+            const matteColor = matte || this.getMatteColor();
+            const settings = { ...this.getRasterOptions(), ...raster };
             
-            // Faz o download
-            this.downloadBlob(blob, filename);
+            // Renderiza a partir da matriz já no tamanho solicitado
+            const exports = this.getExportCanvases(this.getRasterWidth(size, settings));
+
+            for (const { canvas, suffix } of exports) {
+                // Converte canvas para blob JPEG
+                const flat = this.flattenCanvas(canvas, matteColor);
+                const blob = await this.addImageMetadata(await this.canvasToBlob(flat, 'image/jpeg', jpegQuality), settings);
+                
+                // Faz o download
+                this.downloadBlob(blob, this.addFilenameSuffix(filename, suffix));
+            }
             
-            this.showSuccessMessage(`QR Code baixado como ${filename}`);
+            this.showSuccessMessage(this.getSuccessMessage(filename, exports.length));
             
         } catch (error) {
-            this.handleDownloadError(error, 'SVG');
+            this.handleDownloadError(error, 'JPEG');
         }
     }
 
     /**
-     * Cria SVG a partir do canvas
+     * Indica se o QR Code atual tem partes transparentes ou translúcidas
      */
-    createSVGFromCanvas(canvas, options) {
-        const { width, height, colorDark, colorLight } = options;
-        
-        // Converte canvas para data URL
-        const dataURL = canvas.toDataURL('image/png');
-        
-        // Cria SVG com a imagem embutida
-        const svgContent = `<?xml version="1.0" encoding="UTF-8"?>
-<svg xmlns="http://www.w3.org/2000/svg" xmlns:xlink="http://www.w3.org/1999/xlink" 
-     width="${width}" height="${height}" viewBox="0 0 ${width} ${height}">
-  <image x="0" y="0" width="${width}" height="${height}" xlink:href="${dataURL}"/>
-</svg>`;
-        
-        return svgContent;
+    hasTransparency() {
+        const currentQR = this.qrGenerator.getCurrentQRCode();
+        if (!currentQR) return false;
+        return !ColorFill.isOpaque(currentQR.options.colorLight) || !ColorFill.isOpaque(currentQR.options.colorDark);
+    }
+
+    /**
+     * Cor de fundo do JPEG escolhida na interface (branco por padrão)
+     */
+    getMatteColor() {
+        const input = document.getElementById('jpeg-matte');
+        return input && ColorFill.parseColor(input.value) ? input.value : '#ffffff';
     }
 
     /**
-     * Baixa o QR Code como JPEG
+     * Copia o canvas sobre uma cor de fundo opaca
      */
-    async downloadAsJPEG(customFilename = null, size = null, quality = null) {
+    flattenCanvas(canvas, matteColor) {
+        const flat = document.createElement('canvas');
+        flat.width = canvas.width;
+        flat.height = canvas.height;
+        const ctx = flat.getContext('2d');
+        ctx.imageSmoothingEnabled = false;
+        ctx.fillStyle = matteColor;
+        ctx.fillRect(0, 0, flat.width, flat.height);
+        ctx.drawImage(canvas, 0, 0);
+        return flat;
+    }
+
+    /**
+     * Baixa o QR Code como PDF vetorial, com as opções de impressão `print` (ver
+     * getPrintOptions; por padrão as da interface). A largura de impressão é a de cada
+     * símbolo; a sequência sai como em getExportDocuments.
+     */
+    async downloadAsPDF(customFilename = null, print = null) {
         try {
-            const canvas = this.qrGenerator.getCanvas();
-            if (!canvas) {
+            const currentQR = this.qrGenerator.getCurrentQRCode();
+            if (!currentQR) {
                 throw new Error('Nenhum QR Code encontrado para download');
             }
 
-            const filename = customFilename || this.generateFilename('jpeg');
-            const jpegQuality = quality || this.defaultQuality;
-            
-            // Se um tamanho específico foi solicitado, redimensiona o canvas
-            let downloadCanvas = canvas;
-            if (size && (size !== canvas.width || size !== canvas.height)) {
-                downloadCanvas = this.resizeCanvas(canvas, size, size);
+            const filename = customFilename || this.generateFilename('pdf');
+            const renderOptions = this.getPDFRenderOptions(print || this.getPrintOptions(), currentQR.options);
+            const exports = this.getExportDocuments('pdf', () => renderOptions);
+
+            for (const { data, suffix } of exports) {
+                const blob = new Blob([data], { type: 'application/pdf' });
+                this.downloadBlob(blob, this.addFilenameSuffix(filename, suffix));
             }
 
-            // Converte canvas para blob JPEG
-            const blob = await this.canvasToBlob(downloadCanvas, 'image/jpeg', jpegQuality);
-            
-            // Faz o download
-            this.downloadBlob(blob, filename);
-            
-            this.showSuccessMessage(`QR Code baixado como ${filename}`);
-            
+            this.showSuccessMessage(this.getSuccessMessage(filename, exports.length));
+
         } catch (error) {
-            this.handleDownloadError(error, 'JPEG');
+            this.handleDownloadError(error, 'PDF');
+        }
+    }
+
+    /**
+     * Baixa o QR Code como EPS vetorial. `points` é a largura de cada símbolo com a margem,
+     * em pontos (1/72 pol.); por padrão, a largura de impressão da interface. A sequência
+     * sai como em getExportDocuments.
+     */
+    async downloadAsEPS(customFilename = null, points = null) {
+        try {
+            const currentQR = this.qrGenerator.getCurrentQRCode();
+            if (!currentQR) {
+                throw new Error('Nenhum QR Code encontrado para download');
+            }
+
+            const filename = customFilename || this.generateFilename('eps');
+            const width = points || this.getPDFRenderOptions(this.getPrintOptions(), currentQR.options).size;
+            const exports = this.getExportDocuments('eps', index => ({
+                size: width,
+                title: this.getSymbolTitle(index)
+            }));
+
+            for (const { data, suffix } of exports) {
+                const blob = new Blob([data], { type: 'application/postscript' });
+                this.downloadBlob(blob, this.addFilenameSuffix(filename, suffix));
+            }
+
+            this.showSuccessMessage(this.getSuccessMessage(filename, exports.length));
+
+        } catch (error) {
+            this.handleDownloadError(error, 'EPS');
+        }
+    }
+
+    /**
+     * Opções do PDFRenderer para as opções de impressão, com as medidas em pontos.
+     * Sem largura física a página tem a largura do QR Code em pontos.
+     */
+    getPDFRenderOptions({ width = null, unit = 'mm', bleed = 0, cropMarks = false, caption = '', colorSpace }, qrOptions) {
+        if (width !== null && !(Number.isFinite(width) && width > 0)) {
+            // Erro de preenchimento: a mensagem vai como está para o usuário
+            const message = 'Informe uma largura de impressão maior que zero';
+            throw Object.assign(new Error(message), { userMessage: message });
+        }
+
+        return {
+            size: width === null ? qrOptions.width : PDFRenderer.toPoints(width, unit),
+            bleed: PDFRenderer.toPoints(bleed, unit),
+            cropMarks,
+            caption,
+            colorSpace
+        };
+    }
+
+    /**
+     * Renderiza o QR Code atual num novo canvas a partir da matriz de módulos, com a
+     * largura mais próxima de `size` em pixels inteiros por módulo (ver snapToModules)
+     */
+    renderCanvas(size = null, index = 0) {
+        const currentQR = this.qrGenerator.getCurrentQRCode();
+        const matrix = this.qrGenerator.getMatrix(index);
+        if (!currentQR || !matrix) {
+            throw new Error('Nenhum QR Code encontrado para download');
+        }
+
+        const width = this.snapToModules(matrix, currentQR.options, size || currentQR.options.width);
+        return this.qrGenerator.renderCanvas(matrix, { ...currentQR.options, width });
+    }
+
+    /**
+     * Lista os canvas a exportar: um único símbolo, a sequência Structured Append
+     * numa folha ou um arquivo por símbolo, conforme a opção escolhida
+     */
+    getExportCanvases(size = null) {
+        const total = this.qrGenerator.getMatrices().length;
+        if (total <= 1) {
+            return [{ canvas: this.renderCanvas(size), suffix: '' }];
+        }
+
+        if (this.getSetMode() === 'separate') {
+            return Array.from({ length: total }, (_, index) => ({
+                canvas: this.renderCanvas(size, index),
+                suffix: `_${index + 1}de${total}`
+            }));
+        }
+
+        return [{ canvas: this.renderSheetCanvas(size), suffix: '' }];
+    }
+
+    /**
+     * Documentos vetoriais a exportar ('svg', 'pdf' ou 'eps'), como em getExportCanvases:
+     * um único símbolo, a sequência numa folha (ver QRGenerator.renderSheet) ou um arquivo
+     * por símbolo. `getOptions(index)` dá as opções do renderizador, com index null na folha.
+     */
+    getExportDocuments(format, getOptions) {
+        const total = this.qrGenerator.getMatrices().length;
+        if (total > 1 && this.getSetMode() === 'sheet') {
+            return [{ data: this.qrGenerator.renderSheet(format, getOptions(null)), suffix: '' }];
         }
+
+        return Array.from({ length: total }, (_, index) => ({
+            data: this.qrGenerator.render(format, getOptions(index), index),
+            suffix: total > 1 ? `_${index + 1}de${total}` : ''
+        }));
+    }
+
+    /**
+     * Título de um documento exportado: o nome da simbologia, com a posição do símbolo
+     * na sequência ou, na folha (index null), o tamanho dela
+     */
+    getSymbolTitle(index) {
+        const { label } = Symbology.get(this.qrGenerator.getCurrentQRCode().options.symbology);
+        const total = this.qrGenerator.getMatrices().length;
+        if (total <= 1) return label;
+        return index === null ? `${label}: sequência de ${total}` : `${label} ${index + 1}/${total}`;
+    }
+
+    /**
+     * Modo de exportação da sequência selecionado na interface
+     */
+    getSetMode() {
+        const select = document.getElementById('download-set-mode');
+        return select ? select.value : 'sheet';
+    }
+
+    /**
+     * Monta uma folha com todos os símbolos da sequência, numerados na ordem de leitura
+     * (ver SymbolSheet)
+     */
+    renderSheetCanvas(size = null) {
+        const currentQR = this.qrGenerator.getCurrentQRCode();
+        const total = this.qrGenerator.getMatrices().length;
+        const cellSize = size || currentQR.options.width;
+        const canvases = Array.from({ length: total }, (_, index) => this.renderCanvas(cellSize, index));
+        const layout = SymbolSheet.getLayout(canvases, cellSize);
+
+        const sheet = document.createElement('canvas');
+        sheet.width = layout.width;
+        sheet.height = layout.height;
+
+        const ctx = sheet.getContext('2d');
+        // Os símbolos são copiados pixel a pixel, sem suavização
+        ctx.imageSmoothingEnabled = false;
+        // Cada símbolo já traz os seus gradientes; a folha e as legendas usam cor sólida
+        ctx.fillStyle = ColorFill.getSolidColor(currentQR.options.colorLight, '#ffffff');
+        ctx.fillRect(0, 0, sheet.width, sheet.height);
+        ctx.fillStyle = ColorFill.getSolidColor(currentQR.options.colorDark);
+        ctx.font = `${layout.fontSize}px sans-serif`;
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'middle';
+
+        canvases.forEach((canvas, index) => {
+            const { x, y, label } = layout.cells[index];
+            ctx.drawImage(canvas, x, y);
+            ctx.fillText(label.text, label.x, label.y);
+        });
+
+        return sheet;
     }
 
     /**
@@ -175,6 +595,22 @@ class DownloadManager {
         return Utils.generateFilename('qrcode', extension);
     }
 
+    /**
+     * Acrescenta um sufixo antes da extensão do arquivo
+     */
+    addFilenameSuffix(filename, suffix) {
+        return suffix ? filename.replace(/(\.[^.]+)?$/, `${suffix}$1`) : filename;
+    }
+
+    /**
+     * Mensagem de sucesso para um ou vários arquivos
+     */
+    getSuccessMessage(filename, count) {
+        return count > 1
+            ? `Sequência de ${count} QR Codes baixada em arquivos separados`
+            : `QR Code baixado como ${filename}`;
+    }
+
     /**
      * Converte canvas para blob
      */
@@ -194,22 +630,6 @@ class DownloadManager {
         });
     }
 
-    /**
-     * Redimensiona canvas para um novo tamanho
-     */
-    resizeCanvas(originalCanvas, newWidth, newHeight) {
-        const resizedCanvas = document.createElement('canvas');
-        const ctx = resizedCanvas.getContext('2d');
-        
-        resizedCanvas.width = newWidth;
-        resizedCanvas.height = newHeight;
-        
-        // Desenha o canvas original redimensionado
-        ctx.drawImage(originalCanvas, 0, 0, newWidth, newHeight);
-        
-        return resizedCanvas;
-    }
-
     /**
      * Faz o download de um blob
      */
@@ -230,23 +650,33 @@ class DownloadManager {
     }
 
     /**
-     * Converte formato para diferentes tamanhos e qualidades
+     * Converte formato para diferentes tamanhos e qualidades. `size` é a largura em pixels
+     * do PNG e do JPEG; o EPS, vetorial, recebe a sua em pontos (`points`), e o PDF nas
+     * opções de impressão (`print`)
      */
     async convertToFormat(format, options = {}) {
         const { 
             filename = null, 
             size = null, 
-            quality = this.defaultQuality 
+            points = null,
+            quality = this.defaultQuality,
+            matte = null,
+            print = null,
+            raster = null
         } = options;
 
         switch (format.toLowerCase()) {
             case 'png':
-                return await this.downloadAsPNG(filename, size);
+                return await this.downloadAsPNG(filename, size, raster);
             case 'svg':
                 return await this.downloadAsSVG(filename);
             case 'jpeg':
             case 'jpg':
-                return await this.downloadAsJPEG(filename, size, quality);
+                return await this.downloadAsJPEG(filename, size, quality, matte, raster);
+            case 'pdf':
+                return await this.downloadAsPDF(filename, print);
+            case 'eps':
+                return await this.downloadAsEPS(filename, points);
             default:
                 throw new Error(`Formato não suportado: ${format}`);
         }
@@ -268,8 +698,8 @@ class DownloadManager {
             return null;
         }
 
-        const canvas = this.qrGenerator.getCanvas();
-        const fileSize = canvas ? this.estimateFileSize(canvas) : 0;
+        const canvas = this.renderCanvas();
+        const fileSize = this.estimateFileSize(canvas);
 
         return {
             content: currentQR.content,
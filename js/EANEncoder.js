@@ -0,0 +1,204 @@
+/**
+ * EAN Encoder Module
+ * Codificador de EAN-13 e UPC-A, os códigos de produto do varejo (GS1).
+ * O UPC-A é um EAN-13 com o primeiro dígito 0; muda só o texto legível.
+ */
+import { LinearSymbol } from './LinearSymbol.js';
+
+// Larguras (espaço, barra, espaço, barra) de cada dígito no conjunto L;
+// o conjunto R tem as mesmas larguras começando por barra e o G é o R invertido
+const L_WIDTHS = [
+    [3, 2, 1, 1], [2, 2, 2, 1], [2, 1, 2, 2], [1, 4, 1, 1], [1, 1, 3, 2],
+    [1, 2, 3, 1], [1, 1, 1, 4], [1, 3, 1, 2], [1, 2, 1, 3], [3, 1, 1, 2]
+];
+
+// Paridade dos 6 dígitos da esquerda, definida pelo primeiro dígito do EAN-13
+const FIRST_DIGIT_PARITY = [
+    'LLLLLL', 'LLGLGG', 'LLGGLG', 'LLGGGL', 'LGLLGG',
+    'LGGLLG', 'LGGGLL', 'LGLGLG', 'LGLGGL', 'LGGLGL'
+];
+
+const START_GUARD = [1, 1, 1];
+const CENTER_GUARD = [1, 1, 1, 1, 1];
+const END_GUARD = [1, 1, 1];
+
+// Em módulos, nas proporções nominais da norma (X = 0,33 mm)
+const BAR_HEIGHT = 69;
+const GUARD_EXTENSION = 5;
+const TEXT_HEIGHT = 10;
+const FONT_SIZE = 9;
+
+const FORMATS = {
+    ean13: { name: 'EAN-13', length: 13 },
+    upca: { name: 'UPC-A', length: 12 }
+};
+
+class EANEncoder {
+    // 11 módulos à esquerda (7 à direita); a margem simétrica usa o maior
+    static QUIET_ZONE = 11;
+
+    // A correção se limita ao dígito verificador
+    static SUPPORTED_LEVELS = [];
+
+    /**
+     * Codifica 12 (UPC-A: 11) dígitos, calculando o verificador,
+     * ou 13 (UPC-A: 12) dígitos, conferindo o verificador informado
+     */
+    static encode(text, options = {}) {
+        const { format = 'ean13' } = options;
+        const spec = FORMATS[format];
+        if (!spec) {
+            throw new Error(`Invalid EAN format: ${format}`);
+        }
+
+        const result = EANEncoder.validate(text, format);
+        if (result.problem) {
+            throw new Error(EANEncoder.describeProblem(result, spec.name));
+        }
+
+        const { digits } = result;
+        const ean = format === 'upca' ? `0${digits}` : digits;
+        const symbol = EANEncoder.buildSymbol(ean, format);
+
+        return {
+            symbology: format,
+            version: spec.name,
+            width: symbol.width,
+            height: symbol.height,
+            errorCorrectionLevel: null,
+            mask: null,
+            quietZone: EANEncoder.QUIET_ZONE,
+            segments: [{ mode: 'numeric', text: digits, numChars: digits.length }],
+            encoding: null,
+            eci: null,
+            checkDigit: digits[digits.length - 1],
+            modules: symbol.modules,
+            functionModules: symbol.functionModules,
+            humanReadable: symbol.humanReadable
+        };
+    }
+
+    /**
+     * Validade do conteúdo no formato de capacidade dos demais codificadores.
+     * O tamanho é fixo: ou o número é válido (100%) ou `invalidContent` diz o motivo.
+     */
+    static getCapacity(text, options = {}) {
+        const { format = 'ean13' } = options;
+        const spec = FORMATS[format];
+        const result = EANEncoder.validate(text, format);
+
+        return {
+            fits: !result.problem,
+            version: result.problem ? null : spec.name,
+            maxVersion: spec.name,
+            usedDigits: result.digits.length,
+            capacityDigits: spec.length,
+            percent: result.problem ? 0 : 100,
+            segments: result.problem ? [] : [{ mode: 'numeric', text: result.digits, numChars: result.digits.length }],
+            encoding: null,
+            eci: null,
+            invalidContent: result.problem ? result : null,
+            fixedLength: true,
+            symbols: 1
+        };
+    }
+
+    /**
+     * Confere o número e completa o dígito verificador.
+     * Retorna { digits, problem, expected } com problem null, 'characters', 'length' ou 'checkDigit'.
+     */
+    static validate(text, format = 'ean13') {
+        const { length } = FORMATS[format];
+        // Espaços e hífens de agrupamento são ignorados
+        const digits = String(text).replace(/[\s-]/g, '');
+
+        if (!/^\d*$/.test(digits)) {
+            return { digits, problem: 'characters', expected: null };
+        }
+        if (digits.length === length - 1) {
+            return { digits: digits + LinearSymbol.getCheckDigit(digits), problem: null, expected: null };
+        }
+        if (digits.length !== length) {
+            return { digits, problem: 'length', expected: [length - 1, length] };
+        }
+
+        const check = LinearSymbol.getCheckDigit(digits.slice(0, -1));
+        return check === digits[length - 1]
+            ? { digits, problem: null, expected: null }
+            : { digits, problem: 'checkDigit', expected: check };
+    }
+
+    /**
+     * Mensagem do erro lançado por encode (a interface usa a sua própria, em português)
+     */
+    static describeProblem({ problem, expected }, name) {
+        switch (problem) {
+            case 'characters':
+                return `${name} accepts only digits`;
+            case 'length':
+                return `${name} needs ${expected.join(' or ')} digits`;
+            default:
+                return `Invalid ${name} check digit, expected ${expected}`;
+        }
+    }
+
+    /**
+     * Monta as barras do EAN-13 de 13 dígitos e o texto legível do formato
+     */
+    static buildSymbol(ean, format) {
+        const parity = FIRST_DIGIT_PARITY[Number(ean[0])];
+        const widths = [...START_GUARD];
+        for (let i = 1; i <= 6; i++) {
+            const digitWidths = L_WIDTHS[Number(ean[i])];
+            widths.push(...(parity[i - 1] === 'L' ? digitWidths : [...digitWidths].reverse()));
+        }
+        widths.push(...CENTER_GUARD);
+        for (let i = 7; i <= 12; i++) {
+            widths.push(...L_WIDTHS[Number(ean[i])]);
+        }
+        widths.push(...END_GUARD);
+
+        // Os guardas começam com barra; os dígitos da esquerda começam com espaço, os da direita com barra
+        const columns = LinearSymbol.fromWidths(widths);
+        const guards = new Array(columns.length).fill(false);
+        markColumns(guards, 0, 3);
+        markColumns(guards, 45, 5);
+        markColumns(guards, 92, 3);
+
+        const tallColumns = [...guards];
+        let items;
+        if (format === 'upca') {
+            // No UPC-A o primeiro e o último dígito também descem e ficam fora das barras
+            markColumns(tallColumns, 3, 7);
+            markColumns(tallColumns, 85, 7);
+            items = [
+                { text: ean[1], x: -1, align: 'end' },
+                { text: ean.slice(2, 7), x: 27.5 },
+                { text: ean.slice(7, 12), x: 67.5 },
+                { text: ean[12], x: 96, align: 'start' }
+            ];
+        } else {
+            items = [
+                { text: ean[0], x: -1, align: 'end' },
+                { text: ean.slice(1, 7), x: 24 },
+                { text: ean.slice(7), x: 71 }
+            ];
+        }
+
+        return LinearSymbol.build({
+            columns,
+            barHeight: BAR_HEIGHT,
+            functionColumns: guards,
+            tallColumns,
+            guardExtension: GUARD_EXTENSION,
+            text: { fontSize: FONT_SIZE, items },
+            textHeight: TEXT_HEIGHT
+        });
+    }
+}
+
+function markColumns(columns, start, length) {
+    for (let x = start; x < start + length; x++) columns[x] = true;
+}
+
+export { EANEncoder };
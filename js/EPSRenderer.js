@@ -0,0 +1,228 @@
+/**
+ * EPS Renderer Module
+ * Gera um arquivo Encapsulated PostScript (EPSF-3.0) com os módulos desenhados como
+ * vetores, para fluxos de impressão que ainda não aceitam PDF nem SVG
+ */
+import { CodeFrame } from './CodeFrame.js';
+import { ColorFill } from './ColorFill.js';
+import { ModuleShapes } from './ModuleShapes.js';
+import { PDFRenderer } from './PDFRenderer.js';
+import { SymbolSheet } from './SymbolSheet.js';
+
+// Atalhos com os nomes dos operadores do PDF, para reaproveitar a geração de cores e caminhos do PDFRenderer
+const PROLOG = [
+    '/m { moveto } bind def',
+    '/l { lineto } bind def',
+    '/c { curveto } bind def',
+    '/h { closepath } bind def',
+    '/rg { setrgbcolor } bind def',
+    // Texto centrado (ou alinhado à direita) pela largura real da fonte: (texto) fração ct
+    '/ct { exch dup stringwidth pop 3 -1 roll mul neg 0 rmoveto show } bind def'
+];
+
+class EPSRenderer {
+    /**
+     * Renderiza a matriz e retorna o conteúdo do EPS (string ASCII).
+     * `size` é a largura do código com a margem, em pontos (1/72 pol.); a altura segue a
+     * proporção do símbolo e a BoundingBox cobre exatamente a arte. Como no PDF, gradientes
+     * usam a primeira parada, o alfa é ignorado e o fundo transparente não é desenhado;
+     * formatos, olhos com cor própria e moldura são vetoriais. Logo e foto (imagens) ficam de fora.
+     */
+    static render(matrix, options = {}) {
+        const artwork = EPSRenderer.renderArtwork(matrix, options);
+        return EPSRenderer.buildDocument(artwork, artwork.fonts, options.title ?? null);
+    }
+
+    /**
+     * Folha única da sequência Structured Append (ver SymbolSheet), com as opções de render
+     * e `size` como a largura de cada símbolo em pontos: a folha com a primeira cor do fundo
+     * e os números, em Helvetica, na dos módulos
+     */
+    static renderSheet(matrices, options = {}) {
+        const { size = 256, colorDark = '#000000', colorLight = '#ffffff', title = null } = options;
+        const n = PDFRenderer.number;
+        const artworks = matrices.map(matrix => EPSRenderer.renderArtwork(matrix, options));
+        const layout = SymbolSheet.getLayout(artworks, size);
+
+        const content = [];
+        if (!ColorFill.isTransparent(colorLight)) {
+            content.push(PDFRenderer.colorOperator(colorLight), `0 0 ${n(layout.width)} ${n(layout.height)} rectfill`);
+        }
+        artworks.forEach((artwork, index) => {
+            const { x, y } = layout.cells[index];
+            content.push('gsave', `${n(x)} ${n(layout.height - y - artwork.height)} translate`, ...artwork.content, 'grestore');
+        });
+
+        const fonts = new Set(artworks.flatMap(artwork => [...artwork.fonts]));
+        fonts.add('Helvetica');
+        content.push(PDFRenderer.colorOperator(colorDark), `/Helvetica findfont ${layout.fontSize} scalefont setfont`);
+        layout.cells.forEach(({ label }) => {
+            // A linha de base fica 0,35 em abaixo do centro, como no texto da moldura
+            content.push(`${n(label.x)} ${n(layout.height - label.y - layout.fontSize * 0.35)} moveto (${label.text}) 0.5 ct`);
+        });
+
+        return EPSRenderer.buildDocument({ content, width: layout.width, height: layout.height }, fonts, title);
+    }
+
+    /**
+     * Código (ou moldura com o código) de um símbolo, sem o documento: { content, width,
+     * height, fonts }, com o conteúdo em pontos a partir do canto inferior esquerdo
+     */
+    static renderArtwork(matrix, options = {}) {
+        const {
+            size = 256,
+            colorDark = '#000000',
+            colorLight = '#ffffff',
+            margin = matrix.quietZone,
+            moduleShape = 'square',
+            eyeFrameStyle = 'square',
+            eyeBallStyle = 'square',
+            eyeColors = null,
+            frame = null
+        } = options;
+
+        const rows = matrix.modules.length;
+        const cols = matrix.modules[0].length;
+        const codeWidth = size;
+        const codeHeight = size * (rows + margin * 2) / (cols + margin * 2);
+        const scale = size / (cols + margin * 2);
+        const n = PDFRenderer.number;
+
+        const content = [];
+        if (!ColorFill.isTransparent(colorLight)) {
+            content.push(PDFRenderer.colorOperator(colorLight), `0 0 ${n(codeWidth)} ${n(codeHeight)} rectfill`);
+        }
+
+        // Sistema de coordenadas em módulos, com o eixo y para baixo
+        content.push(
+            PDFRenderer.colorOperator(colorDark),
+            'gsave',
+            `[${n(scale)} 0 0 ${n(-scale)} 0 ${n(codeHeight)}] concat`
+        );
+
+        const shapes = { moduleShape, eyeFrameStyle, eyeBallStyle };
+        if ((ModuleShapes.isStyled(shapes) && ModuleShapes.supportsShapes(matrix)) || ModuleShapes.hasEyeColors(matrix, eyeColors)) {
+            const { modules, eyes } = ModuleShapes.getPaths(matrix, shapes);
+            const { plain, colored } = ModuleShapes.splitEyes(matrix, eyes, eyeColors);
+            content.push('newpath', PDFRenderer.pathOperators([...modules, ...plain], margin), 'fill');
+            colored.forEach(({ path, color }) => {
+                content.push(PDFRenderer.colorOperator(color), 'newpath', PDFRenderer.pathOperators(path, margin), 'fill');
+            });
+        } else {
+            const outline = ModuleShapes.getOutline(cols, rows, (x, y) => matrix.modules[y][x]);
+            content.push('newpath', PDFRenderer.pathOperators(outline, margin), 'fill');
+        }
+        content.push('grestore');
+
+        // Texto legível dos códigos de barras lineares, em Courier, na cor dos módulos
+        const fonts = new Set();
+        if (matrix.humanReadable) {
+            fonts.add('Courier');
+            const fontSize = matrix.humanReadable.fontSize * scale;
+            content.push(`/Courier findfont ${n(fontSize)} scalefont setfont`);
+            matrix.humanReadable.items.forEach(item => {
+                const x = (item.x + margin) * scale;
+                const y = codeHeight - (item.y + margin) * scale;
+                const fraction = { start: 0, center: 0.5, end: 1 }[item.align];
+                content.push(`${n(x)} ${n(y)} moveto (${EPSRenderer.encodeText(item.text)}) ${fraction} ct`);
+            });
+        }
+
+        const artwork = CodeFrame.appliesTo(frame)
+            ? EPSRenderer.renderFramed(content, fonts, frame, codeWidth, codeHeight)
+            : { content, width: codeWidth, height: codeHeight };
+        return { ...artwork, fonts };
+    }
+
+    /**
+     * Moldura e código (conteúdo já gerado para uma área do tamanho dele) deslocado para
+     * dentro dela: { content, width, height }
+     */
+    static renderFramed(codeContent, fonts, frame, codeWidth, codeHeight) {
+        const layout = CodeFrame.getLayout(frame, codeWidth, codeHeight);
+        const n = PDFRenderer.number;
+        const content = [
+            PDFRenderer.colorOperator(frame.color),
+            'gsave',
+            `[1 0 0 -1 0 ${n(layout.height)}] concat`,
+            'newpath',
+            PDFRenderer.pathOperators(layout.path, 0),
+            'fill',
+            'grestore'
+        ];
+
+        if (layout.text) {
+            // Fonte recodificada em ISO Latin-1, para os acentos do texto da chamada
+            const font = PDFRenderer.getFrameFont(frame.font);
+            fonts.add(font);
+            const { content: text, x, y, size } = layout.text;
+            content.push(
+                PDFRenderer.colorOperator(frame.textColor),
+                `/${font} findfont dup length dict begin { 1 index /FID ne { def } { pop pop } ifelse } forall ` +
+                    `/Encoding ISOLatin1Encoding def currentdict end /${font}-Latin1 exch definefont ${n(size)} scalefont setfont`,
+                // A linha de base fica 0,35 em abaixo do centro, como no PDF
+                `${n(x)} ${n(layout.height - y - size * 0.35)} moveto (${EPSRenderer.encodeText(text)}) 0.5 ct`
+            );
+        }
+
+        content.push(
+            'gsave',
+            `${n(layout.code.x)} ${n(layout.height - layout.code.y - codeHeight)} translate`,
+            ...codeContent,
+            'grestore'
+        );
+
+        return { content, width: layout.width, height: layout.height };
+    }
+
+    /**
+     * Monta o arquivo: comentários DSC com a BoundingBox (inteira, arredondada para fora)
+     * e a HiResBoundingBox exata, prólogo e a página entre save e restore
+     */
+    static buildDocument({ content, width, height }, fonts, title) {
+        const lines = [
+            '%!PS-Adobe-3.0 EPSF-3.0',
+            `%%BoundingBox: 0 0 ${Math.ceil(width)} ${Math.ceil(height)}`,
+            `%%HiResBoundingBox: 0 0 ${PDFRenderer.number(width)} ${PDFRenderer.number(height)}`,
+            ...(title ? [`%%Title: ${EPSRenderer.toCommentText(title)}`] : []),
+            '%%Creator: QR Code Generator',
+            '%%LanguageLevel: 2',
+            '%%DocumentData: Clean7Bit',
+            ...(fonts.size > 0 ? [`%%DocumentNeededResources: ${[...fonts].map(font => `font ${font}`).join('\n%%+ ')}`] : []),
+            '%%Pages: 1',
+            '%%EndComments',
+            '%%BeginProlog',
+            ...PROLOG,
+            '%%EndProlog',
+            '%%Page: 1 1',
+            'save',
+            ...content,
+            'restore',
+            'showpage',
+            '%%Trailer',
+            '%%EOF'
+        ];
+        return `${lines.join('\n')}\n`;
+    }
+
+    /**
+     * String literal em ISO Latin-1, a codificação das fontes recodificadas: acentos viram
+     * escape octal e o que ela não tem vira '?' (os bytes 0x80 a 0x9F do PDF são outros glifos aqui)
+     */
+    static encodeText(text) {
+        return Array.from(PDFRenderer.escapeText(text), char => {
+            const code = char.codePointAt(0);
+            if (code < 128) return char;
+            return code >= 160 && code <= 255 ? `\\${code.toString(8)}` : '?';
+        }).join('');
+    }
+
+    /**
+     * Texto de um comentário DSC: uma linha, só ASCII imprimível
+     */
+    static toCommentText(text) {
+        return text.replace(/[^\x20-\x7e]/g, '?').slice(0, 200);
+    }
+}
+
+export { EPSRenderer };
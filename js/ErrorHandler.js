@@ -50,6 +50,9 @@ class ErrorHandler {
             case 'StorageError':
                 console.error('Storage Error:', logMessage);
                 break;
+            case 'QRGenerationError':
+                console.warn('QR Generation Error:', logMessage);
+                break;
             default:
                 console.error('Error:', logMessage, errorInfo.stack);
         }
@@ -71,6 +74,11 @@ class ErrorHandler {
      * Convert technical errors to user-friendly messages
      */
     getUserFriendlyMessage(error, context) {
+        // Typed errors (e.g. QRGenerationError) may carry their own message
+        if (error.userMessage) {
+            return error.userMessage;
+        }
+
         const message = error.message?.toLowerCase() || '';
         
         // QR Generation errors
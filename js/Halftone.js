@@ -0,0 +1,211 @@
+/**
+ * Halftone Module
+ * QR Code artístico sobre uma foto: a imagem cobre o símbolo, os padrões de função
+ * continuam sólidos e cada módulo de dados vira um ponto central na sua cor (escura ou clara).
+ * A verificação de leitura amostra a imagem composta como um leitor faria (o centro de cada
+ * módulo, borrado como numa câmera, com o limiar entre o claro e o escuro dos padrões de
+ * função) e confere, bloco a bloco, se a correção de erro recupera os codewords lidos errado.
+ * Só o QR Code recebe o halftone: a verificação usa a disposição dos seus codewords.
+ */
+import { LogoOverlay } from './LogoOverlay.js';
+import { ModuleShapes } from './ModuleShapes.js';
+import { QREncoder } from './QREncoder.js';
+
+// Desvio padrão do borrão suposto na leitura, em módulos
+const BLUR = 0.2;
+
+// Acima desta fração da correção de algum bloco sobra pouca margem para impressão e câmera
+const WARNING_RATIO = 0.6;
+
+class Halftone {
+    static Status = Object.freeze({
+        OK: 'ok',
+        WARNING: 'warning', // Lê, mas com pouca folga na correção
+        BLOCKED: 'blocked' // A correção não recupera os módulos lidos errado
+    });
+
+    // Lado dos pontos, em % do módulo
+    static MIN_DOT_SIZE = 20;
+    static MAX_DOT_SIZE = 80;
+
+    // Pixels por módulo da imagem usada na verificação (independente do tamanho exportado)
+    static CHECK_MODULE_SIZE = 8;
+
+    /**
+     * Indica se o símbolo recebe o halftone das opções
+     */
+    static appliesTo(matrix, options = {}) {
+        return Boolean(options.image) && matrix.symbology === 'qr';
+    }
+
+    /**
+     * Caminhos dos módulos escuros e claros: { dark, light, eyes }. Padrões de função são
+     * quadrados inteiros; módulos de dados, pontos centrais de lado `dotSize` (% do módulo),
+     * redondos com o formato 'dots'. Os módulos escuros de cada localizador ficam à parte
+     * em `eyes` (na ordem de ModuleShapes.getFinderPatterns), para receberem cor própria.
+     */
+    static getPaths(matrix, { dotSize = 40 }, moduleShape = 'square') {
+        const size = Math.min(Halftone.MAX_DOT_SIZE, Math.max(Halftone.MIN_DOT_SIZE, dotSize)) / 100;
+        const inset = (1 - size) / 2;
+        const radius = moduleShape === ModuleShapes.ModuleShape.DOTS ? size / 2 : 0;
+        const finders = ModuleShapes.getFinderPatterns(matrix);
+        const dark = [];
+        const light = [];
+        const eyes = finders.map(() => []);
+
+        matrix.modules.forEach((row, y) => row.forEach((isDark, x) => {
+            if (!matrix.functionModules[y][x]) {
+                (isDark ? dark : light).push(...ModuleShapes.roundedRect(x + inset, y + inset, size, size, radius));
+                return;
+            }
+            const finder = isDark
+                ? finders.findIndex(f => x >= f.x && x < f.x + f.size && y >= f.y && y < f.y + f.size)
+                : -1;
+            (finder >= 0 ? eyes[finder] : isDark ? dark : light).push(...ModuleShapes.roundedRect(x, y, 1, 1, 0));
+        }));
+        return { dark, light, eyes };
+    }
+
+    /**
+     * Posição da foto em módulos, cobrindo o símbolo inteiro sem distorcer (o excesso é cortado)
+     */
+    static getImageRect(matrix, image) {
+        const rows = matrix.modules.length;
+        const cols = matrix.modules[0].length;
+        const scale = Math.max(cols / image.width, rows / image.height);
+        const width = image.width * scale;
+        const height = image.height * scale;
+        return { x: (cols - width) / 2, y: (rows - height) / 2, width, height };
+    }
+
+    /**
+     * Desenha foto e módulos num contexto já escalado para coordenadas de módulo;
+     * `darkStyle` e `lightStyle` são as cores ou gradientes do canvas dos módulos e do fundo,
+     * `eyeStyles` os dos olhos com cor própria (null segue os módulos)
+     */
+    static drawCanvas(ctx, matrix, halftoneOptions, moduleShape, darkStyle, lightStyle, eyeStyles = []) {
+        const image = LogoOverlay.images.get(halftoneOptions.image.src);
+        if (image) {
+            const rect = Halftone.getImageRect(matrix, halftoneOptions.image);
+            ctx.save();
+            ctx.beginPath();
+            ctx.rect(0, 0, matrix.modules[0].length, matrix.modules.length);
+            ctx.clip();
+            ctx.drawImage(image, rect.x, rect.y, rect.width, rect.height);
+            ctx.restore();
+        }
+
+        const { dark, light, eyes } = Halftone.getPaths(matrix, halftoneOptions, moduleShape);
+        const fills = [[dark, darkStyle], [light, lightStyle]];
+        eyes.forEach((path, i) => (eyeStyles[i] ? fills.push([path, eyeStyles[i]]) : dark.push(...path)));
+        fills.forEach(([path, style]) => {
+            ctx.beginPath();
+            ModuleShapes.tracePath(ctx, path);
+            ctx.fillStyle = style;
+            ctx.fill('nonzero');
+        });
+    }
+
+    /**
+     * Elementos SVG da foto e dos módulos, com coordenadas deslocadas pela margem;
+     * `darkAttributes` e `lightAttributes` são os atributos de preenchimento (ver ColorFill.toSVG),
+     * `eyeAttributes` os dos olhos com cor própria (null segue os módulos)
+     */
+    static toSVG(matrix, halftoneOptions, moduleShape, darkAttributes, lightAttributes, offset, eyeAttributes = []) {
+        const { dark, light, eyes } = Halftone.getPaths(matrix, halftoneOptions, moduleShape);
+        const cols = matrix.modules[0].length;
+        const rows = matrix.modules.length;
+        let eyeElements = '';
+        eyes.forEach((path, i) => {
+            if (eyeAttributes[i]) {
+                eyeElements += `\n  <path d="${ModuleShapes.toSVGPath(path, offset)}" ${eyeAttributes[i]}/>`;
+            } else {
+                dark.push(...path);
+            }
+        });
+        // "slice" cobre o retângulo como getImageRect, cortando o excesso
+        return `
+  <image x="${offset}" y="${offset}" width="${cols}" height="${rows}" href="${halftoneOptions.image.src}" preserveAspectRatio="xMidYMid slice"/>
+  <path d="${ModuleShapes.toSVGPath(dark, offset)}" ${darkAttributes}/>
+  <path d="${ModuleShapes.toSVGPath(light, offset)}" ${lightAttributes}/>${eyeElements}`;
+    }
+
+    /**
+     * Lê a imagem composta (RGBA, `width` pixels por linha) com o símbolo a partir de
+     * (x, y) e módulos de `moduleSize` pixels. Retorna { status, ratio, errors }: `errors`
+     * são os módulos de dados lidos errado e `ratio` a maior fração dos erros corrigíveis
+     * usada num bloco.
+     */
+    static verify(data, width, matrix, { x, y, moduleSize }) {
+        const size = matrix.modules.length;
+        const height = data.length / 4 / width;
+        const sigma = BLUR * moduleSize;
+        const reach = Math.ceil(sigma * 2);
+
+        // Luminância do pixel sobre papel branco, de 0 a 255 (sem margem, repete a borda)
+        const luminance = (px, py) => {
+            const i = (Math.min(height - 1, Math.max(0, py)) * width + Math.min(width - 1, Math.max(0, px))) * 4;
+            const alpha = data[i + 3] / 255;
+            const value = 0.2126 * data[i] + 0.7152 * data[i + 1] + 0.0722 * data[i + 2];
+            return value * alpha + 255 * (1 - alpha);
+        };
+        const sample = (mx, my) => {
+            const cx = x + (mx + 0.5) * moduleSize;
+            const cy = y + (my + 0.5) * moduleSize;
+            let sum = 0;
+            let weights = 0;
+            for (let py = Math.floor(cy - reach); py < cy + reach; py++) {
+                for (let px = Math.floor(cx - reach); px < cx + reach; px++) {
+                    const distance = (px + 0.5 - cx) ** 2 + (py + 0.5 - cy) ** 2;
+                    const weight = Math.exp(-distance / (2 * sigma * sigma));
+                    sum += luminance(px, py) * weight;
+                    weights += weight;
+                }
+            }
+            return sum / weights;
+        };
+
+        const samples = matrix.modules.map((row, my) => row.map((_, mx) => sample(mx, my)));
+
+        // Limiar entre as médias dos padrões de função escuros e claros; se os escuros
+        // saem mais claros (símbolo invertido), a leitura também inverte
+        const functionMean = dark => {
+            let sum = 0;
+            let count = 0;
+            matrix.modules.forEach((row, my) => row.forEach((isDark, mx) => {
+                if (matrix.functionModules[my][mx] && isDark === dark) {
+                    sum += samples[my][mx];
+                    count++;
+                }
+            }));
+            return sum / count;
+        };
+        const darkMean = functionMean(true);
+        const lightMean = functionMean(false);
+        const threshold = (darkMean + lightMean) / 2;
+        const readsDark = value => (darkMean > lightMean ? value > threshold : value < threshold);
+
+        const layout = QREncoder.getCodewordLayout(matrix.version, matrix.errorCorrectionLevel);
+        const damaged = new Set();
+        let errors = 0;
+        for (let my = 0; my < size; my++) {
+            for (let mx = 0; mx < size; mx++) {
+                if (matrix.functionModules[my][mx]) continue;
+                if (readsDark(samples[my][mx]) === matrix.modules[my][mx]) continue;
+                errors++;
+                const codeword = layout.codewords[my][mx];
+                if (codeword >= 0) damaged.add(codeword);
+            }
+        }
+
+        const perBlock = new Array(layout.correctable.length).fill(0);
+        damaged.forEach(codeword => perBlock[layout.blocks[codeword]]++);
+        const ratio = Math.max(...perBlock.map((count, block) => count / layout.correctable[block]));
+
+        if (ratio > 1) return { status: Halftone.Status.BLOCKED, ratio, errors };
+        if (ratio > WARNING_RATIO) return { status: Halftone.Status.WARNING, ratio, errors };
+        return { status: Halftone.Status.OK, ratio, errors };
+    }
+}
+
+export { Halftone };
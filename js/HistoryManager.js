@@ -2,6 +2,9 @@
  * History Manager Module
  * Gerencia histórico de QR Codes no localStorage
  */
+import { LogoOverlay } from './LogoOverlay.js';
+import { QRGenerationError } from './QRGenerationError.js';
+import { Symbology } from './Symbology.js';
 import { Utils } from './Utils.js';
 
 class HistoryManager {
@@ -62,10 +65,13 @@ class HistoryManager {
     addToHistory(qrData) {
         try {
             const history = this.getHistory();
+            // Imagens grandes não vão para o localStorage; o item lembra o que ficou de fora
+            const { options, dropped } = LogoOverlay.getStorableOptions(qrData.options);
             const historyItem = {
                 id: Utils.generateId(),
                 content: qrData.content,
-                options: qrData.options,
+                options,
+                droppedImages: dropped,
                 timestamp: new Date(),
                 preview: this.generatePreview(qrData.content)
             };
@@ -76,7 +82,10 @@ class HistoryManager {
                 history.splice(this.maxItems);
             }
 
-            Utils.storage.set(this.storageKey, history);
+            if (!Utils.storage.set(this.storageKey, history)) {
+                this.showError('Não foi possível salvar no histórico: o armazenamento do navegador está cheio');
+                return;
+            }
             this.refreshHistoryDisplay();
             
         } catch (error) {
@@ -126,10 +135,14 @@ class HistoryManager {
             
             if (this.uiManager) {
                 this.uiManager.showLoading(false);
-                this.uiManager.showSuccess('QR Code carregado do histórico');
+                this.uiManager.showSuccess(item.droppedImages
+                    ? `QR Code carregado do histórico sem ${item.droppedImages} (grande demais para ser salvo)`
+                    : 'QR Code carregado do histórico');
             }
 
         } catch (error) {
+            // Outra geração substituiu esta e atualiza a interface
+            if (QRGenerationError.isCancellation(error)) return;
             if (this.uiManager) {
                 this.uiManager.showLoading(false);
             }
@@ -137,6 +150,13 @@ class HistoryManager {
         }
     }
 
+    /**
+     * Nome da simbologia do item (itens antigos, sem simbologia, são QR Code)
+     */
+    getSymbologyLabel(options) {
+        return (Symbology.registry[options.symbology] || Symbology.registry.qr).label;
+    }
+
     refreshHistoryDisplay() {
         const historyList = document.getElementById('history-list');
         if (!historyList) return;
@@ -154,6 +174,7 @@ class HistoryManager {
                     <div class="preview-text">${this.truncateText(item.content, 30)}</div>
                     <div class="preview-info">
                         <span class="timestamp">${Utils.formatTimestamp(item.timestamp)}</span>
+                        <span class="symbology">${this.getSymbologyLabel(item.options)}</span>
                         <span class="size">${item.options.width}x${item.options.height}</span>
                     </div>
                 </div>
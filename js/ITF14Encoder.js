@@ -0,0 +1,139 @@
+/**
+ * ITF-14 Encoder Module
+ * Codificador de ITF-14 (GTIN-14 em Interleaved 2 of 5), usado em caixas de embarque.
+ * As barras de proteção (bearer bars) e a zona de silêncio interna fazem parte da matriz.
+ */
+import { LinearSymbol } from './LinearSymbol.js';
+
+// Elementos largos (1) e estreitos (0) de cada dígito
+const DIGIT_PATTERNS = [
+    '00110', '10001', '01001', '11000', '00101',
+    '10100', '01100', '00011', '10010', '01010'
+];
+
+// Em módulos: largura do elemento largo, barras, proteções, zona de silêncio e texto
+const WIDE = 3;
+const START = [1, 1, 1, 1];
+const STOP = [WIDE, 1, 1];
+const BAR_HEIGHT = 32;
+const BEARER_HEIGHT = 4;
+const INNER_QUIET_ZONE = 10;
+const TEXT_HEIGHT = 14;
+const FONT_SIZE = 12;
+const LENGTH = 14;
+
+class ITF14Encoder {
+    // A zona de silêncio exigida já fica dentro das barras de proteção
+    static QUIET_ZONE = 0;
+
+    // A correção se limita ao dígito verificador
+    static SUPPORTED_LEVELS = [];
+
+    /**
+     * Codifica 13 dígitos, calculando o verificador, ou 14, conferindo o verificador informado
+     */
+    static encode(text, options = {}) {
+        const result = ITF14Encoder.validate(text);
+        if (result.problem) {
+            throw new Error(result.problem === 'checkDigit'
+                ? `Invalid ITF-14 check digit, expected ${result.expected}`
+                : 'ITF-14 needs 13 or 14 digits');
+        }
+
+        const { digits } = result;
+        const widths = [...START];
+        for (let i = 0; i < LENGTH; i += 2) {
+            // O primeiro dígito do par vai nas barras, o segundo nos espaços
+            const bars = DIGIT_PATTERNS[Number(digits[i])];
+            const spaces = DIGIT_PATTERNS[Number(digits[i + 1])];
+            for (let j = 0; j < 5; j++) {
+                widths.push(bars[j] === '1' ? WIDE : 1, spaces[j] === '1' ? WIDE : 1);
+            }
+        }
+        widths.push(...STOP);
+
+        const columns = LinearSymbol.fromWidths(widths);
+        const functionColumns = columns.map((_, x) => x < START.length || x >= columns.length - (WIDE + 2));
+        const symbol = LinearSymbol.build({
+            columns,
+            barHeight: BAR_HEIGHT,
+            functionColumns,
+            bearerHeight: BEARER_HEIGHT,
+            padding: INNER_QUIET_ZONE,
+            text: {
+                fontSize: FONT_SIZE,
+                items: [{ text: ITF14Encoder.getHumanReadable(digits), x: columns.length / 2 }]
+            },
+            textHeight: TEXT_HEIGHT
+        });
+
+        return {
+            symbology: 'itf14',
+            version: 'ITF-14',
+            width: symbol.width,
+            height: symbol.height,
+            errorCorrectionLevel: null,
+            mask: null,
+            quietZone: ITF14Encoder.QUIET_ZONE,
+            segments: [{ mode: 'numeric', text: digits, numChars: LENGTH }],
+            encoding: null,
+            eci: null,
+            checkDigit: digits[LENGTH - 1],
+            modules: symbol.modules,
+            functionModules: symbol.functionModules,
+            humanReadable: symbol.humanReadable
+        };
+    }
+
+    /**
+     * Validade do conteúdo no formato de capacidade dos demais codificadores
+     */
+    static getCapacity(text, options = {}) {
+        const result = ITF14Encoder.validate(text);
+        return {
+            fits: !result.problem,
+            version: result.problem ? null : 'ITF-14',
+            maxVersion: 'ITF-14',
+            usedDigits: result.digits.length,
+            capacityDigits: LENGTH,
+            percent: result.problem ? 0 : 100,
+            segments: result.problem ? [] : [{ mode: 'numeric', text: result.digits, numChars: LENGTH }],
+            encoding: null,
+            eci: null,
+            invalidContent: result.problem ? result : null,
+            fixedLength: true,
+            symbols: 1
+        };
+    }
+
+    /**
+     * Confere o GTIN-14 e completa o dígito verificador.
+     * Retorna { digits, problem, expected } como EANEncoder.validate.
+     */
+    static validate(text) {
+        const digits = String(text).replace(/[\s-]/g, '');
+        if (!/^\d*$/.test(digits)) {
+            return { digits, problem: 'characters', expected: null };
+        }
+        if (digits.length === LENGTH - 1) {
+            return { digits: digits + LinearSymbol.getCheckDigit(digits), problem: null, expected: null };
+        }
+        if (digits.length !== LENGTH) {
+            return { digits, problem: 'length', expected: [LENGTH - 1, LENGTH] };
+        }
+
+        const check = LinearSymbol.getCheckDigit(digits.slice(0, -1));
+        return check === digits[LENGTH - 1]
+            ? { digits, problem: null, expected: null }
+            : { digits, problem: 'checkDigit', expected: check };
+    }
+
+    /**
+     * Texto legível no agrupamento usual: indicador, prefixo, empresa/produto e verificador
+     */
+    static getHumanReadable(digits) {
+        return `${digits[0]} ${digits.slice(1, 3)} ${digits.slice(3, 8)} ${digits.slice(8, 13)} ${digits[13]}`;
+    }
+}
+
+export { ITF14Encoder };
@@ -0,0 +1,180 @@
+/**
+ * Image Metadata Module
+ * Grava a resolução física e textos nos arquivos bitmap exportados: chunks pHYs e
+ * tEXt/iTXt no PNG, densidade do segmento JFIF (APP0) e comentários (COM) no JPEG.
+ * Trabalha direto nos bytes gerados pelo canvas, sem recodificar a imagem.
+ */
+
+const PNG_SIGNATURE = [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a];
+
+const METERS_PER_INCH = 0.0254;
+
+// Maior valor dos campos de 16 bits do JPEG (densidade e comprimento de segmento)
+const MAX_UINT16 = 0xffff;
+
+// Tabela do CRC-32 dos chunks do PNG (polinômio 0xEDB88320)
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+    let c = n;
+    for (let k = 0; k < 8; k++) {
+        c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    }
+    return c >>> 0;
+});
+
+class ImageMetadata {
+    /**
+     * PNG com resolução `dpi` (chunk pHYs, em pixels por metro) e os textos de `text`
+     * ({ palavra-chave: valor }): tEXt quando o valor cabe em Latin-1, senão iTXt em UTF-8.
+     * Os chunks entram logo depois do IHDR; um pHYs anterior é descartado.
+     */
+    static addToPNG(bytes, { dpi = null, text = {} } = {}) {
+        if (!PNG_SIGNATURE.every((byte, i) => bytes[i] === byte)) {
+            throw new Error('Not a PNG file');
+        }
+
+        const chunks = ImageMetadata.readPNGChunks(bytes);
+        const added = [];
+        if (dpi) {
+            const pixelsPerMeter = Math.round(dpi / METERS_PER_INCH);
+            const data = new Uint8Array(9);
+            const view = new DataView(data.buffer);
+            view.setUint32(0, pixelsPerMeter);
+            view.setUint32(4, pixelsPerMeter);
+            data[8] = 1; // Unidade: metro
+            added.push(ImageMetadata.createPNGChunk('pHYs', data));
+        }
+        Object.entries(text).forEach(([keyword, value]) => {
+            added.push(ImageMetadata.createTextChunk(keyword, String(value)));
+        });
+
+        // O IHDR é sempre o primeiro chunk
+        const parts = [new Uint8Array(PNG_SIGNATURE), chunks[0].bytes, ...added];
+        chunks.slice(1).forEach(chunk => {
+            if (!(dpi && chunk.type === 'pHYs')) parts.push(chunk.bytes);
+        });
+        return ImageMetadata.concat(parts);
+    }
+
+    /**
+     * Chunks do PNG como [{ type, bytes }], com `bytes` o chunk inteiro (comprimento, tipo, dados e CRC)
+     */
+    static readPNGChunks(bytes) {
+        const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+        const chunks = [];
+        let offset = PNG_SIGNATURE.length;
+        while (offset + 12 <= bytes.length) {
+            const length = view.getUint32(offset);
+            const type = String.fromCharCode(...bytes.subarray(offset + 4, offset + 8));
+            chunks.push({ type, bytes: bytes.subarray(offset, offset + 12 + length) });
+            offset += 12 + length;
+            if (type === 'IEND') break;
+        }
+        return chunks;
+    }
+
+    /**
+     * Chunk de texto: tEXt (palavra-chave e texto em Latin-1) ou, com caracteres fora
+     * do Latin-1, iTXt sem compressão e sem idioma
+     */
+    static createTextChunk(keyword, value) {
+        const key = ImageMetadata.latin1(keyword.slice(0, 79));
+        if (/^[\x20-\x7e\xa0-\xff\n]*$/.test(value)) {
+            return ImageMetadata.createPNGChunk('tEXt', ImageMetadata.concat([key, new Uint8Array(1), ImageMetadata.latin1(value)]));
+        }
+        // Palavra-chave, flag e método de compressão, idioma e palavra-chave traduzida vazios
+        return ImageMetadata.createPNGChunk('iTXt', ImageMetadata.concat([
+            key, new Uint8Array([0, 0, 0, 0, 0]), new TextEncoder().encode(value)
+        ]));
+    }
+
+    /**
+     * Chunk com comprimento, tipo, dados e CRC-32 (do tipo e dos dados)
+     */
+    static createPNGChunk(type, data) {
+        const chunk = new Uint8Array(12 + data.length);
+        const view = new DataView(chunk.buffer);
+        view.setUint32(0, data.length);
+        chunk.set(ImageMetadata.latin1(type), 4);
+        chunk.set(data, 8);
+        view.setUint32(8 + data.length, ImageMetadata.crc32(chunk.subarray(4, 8 + data.length)));
+        return chunk;
+    }
+
+    /**
+     * JPEG com densidade `dpi` no segmento JFIF (criado logo após o SOI se o codificador
+     * não o gravou) e cada texto de `text` num segmento COM "palavra-chave: valor" em UTF-8
+     */
+    static addToJPEG(bytes, { dpi = null, text = {} } = {}) {
+        if (bytes[0] !== 0xff || bytes[1] !== 0xd8) {
+            throw new Error('Not a JPEG file');
+        }
+
+        const hasJFIF = bytes[2] === 0xff && bytes[3] === 0xe0 &&
+            String.fromCharCode(...bytes.subarray(6, 11)) === 'JFIF\0';
+        let app0;
+        let rest;
+        if (hasJFIF) {
+            const length = (bytes[4] << 8) | bytes[5];
+            app0 = bytes.slice(2, 4 + length);
+            rest = bytes.subarray(4 + length);
+        } else {
+            // Versão 1.01, sem miniatura
+            app0 = new Uint8Array([0xff, 0xe0, 0x00, 0x10, 0x4a, 0x46, 0x49, 0x46, 0x00, 0x01, 0x01, 0x00, 0x00, 0x01, 0x00, 0x01, 0x00, 0x00]);
+            rest = bytes.subarray(2);
+        }
+
+        if (dpi) {
+            const density = Math.min(MAX_UINT16, Math.round(dpi));
+            const view = new DataView(app0.buffer, app0.byteOffset, app0.byteLength);
+            app0[11] = 1; // Unidade: pontos por polegada
+            view.setUint16(12, density);
+            view.setUint16(14, density);
+        }
+
+        const comments = Object.entries(text).map(([keyword, value]) => {
+            const data = new TextEncoder().encode(`${keyword}: ${value}`).subarray(0, MAX_UINT16 - 2);
+            const segment = new Uint8Array(4 + data.length);
+            segment.set([0xff, 0xfe, (data.length + 2) >> 8, (data.length + 2) & 0xff]);
+            segment.set(data, 4);
+            return segment;
+        });
+
+        return ImageMetadata.concat([bytes.subarray(0, 2), app0, ...comments, rest]);
+    }
+
+    /**
+     * CRC-32 do PNG
+     */
+    static crc32(bytes) {
+        let crc = 0xffffffff;
+        for (let i = 0; i < bytes.length; i++) {
+            crc = CRC_TABLE[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+        }
+        return (crc ^ 0xffffffff) >>> 0;
+    }
+
+    /**
+     * Bytes de um texto em Latin-1 (o que não cabe vira '?')
+     */
+    static latin1(text) {
+        return Uint8Array.from(text, char => {
+            const code = char.codePointAt(0);
+            return code <= 0xff ? code : 0x3f;
+        });
+    }
+
+    /**
+     * Junta vários Uint8Array num só
+     */
+    static concat(parts) {
+        const result = new Uint8Array(parts.reduce((sum, part) => sum + part.length, 0));
+        let offset = 0;
+        parts.forEach(part => {
+            result.set(part, offset);
+            offset += part.length;
+        });
+        return result;
+    }
+}
+
+export { ImageMetadata };
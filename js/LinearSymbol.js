@@ -0,0 +1,92 @@
+/**
+ * Linear Symbol Module
+ * Monta a matriz de módulos de um código de barras linear: as barras repetidas
+ * em todas as linhas, as barras de guarda alongadas e o texto legível por baixo.
+ * Os renderizadores desenham a matriz como a de qualquer símbolo 2D.
+ */
+class LinearSymbol {
+    /**
+     * Converte larguras alternadas (barra, espaço, barra...) em colunas de módulos
+     */
+    static fromWidths(widths, startDark = true) {
+        const columns = [];
+        let dark = startDark;
+        for (const width of widths) {
+            for (let i = 0; i < width; i++) columns.push(dark);
+            dark = !dark;
+        }
+        return columns;
+    }
+
+    /**
+     * Dígito verificador GS1 (módulo 10, pesos 3 e 1 a partir do dígito mais à direita)
+     */
+    static getCheckDigit(digits) {
+        let sum = 0;
+        for (let i = 0; i < digits.length; i++) {
+            const weight = (digits.length - i) % 2 === 1 ? 3 : 1;
+            sum += Number(digits[i]) * weight;
+        }
+        return String((10 - sum % 10) % 10);
+    }
+
+    /**
+     * Monta a matriz. `columns` diz quais colunas são barras; as marcadas em
+     * `tallColumns` descem `guardExtension` módulos para a área do texto.
+     * `text` traz { fontSize, items: [{ text, x, align }] } com x em módulos
+     * (pode ser negativo, dentro da zona de silêncio) e a linha de base abaixo das barras.
+     * `bearerHeight` desenha barras de proteção em cima e embaixo (ITF-14).
+     */
+    static build({
+        columns,
+        barHeight,
+        functionColumns = [],
+        tallColumns = [],
+        guardExtension = 0,
+        text = null,
+        textHeight = 0,
+        bearerHeight = 0,
+        padding = 0
+    }) {
+        const width = columns.length + padding * 2;
+        const barTop = bearerHeight;
+        const barBottom = barTop + barHeight;
+        const height = barBottom + bearerHeight + textHeight;
+
+        const modules = [];
+        const isFunction = [];
+        for (let y = 0; y < height; y++) {
+            const row = new Array(width).fill(false);
+            const functionRow = new Array(width).fill(false);
+            const isBearer = y < barTop || (y >= barBottom && y < barBottom + bearerHeight);
+            for (let x = 0; x < width; x++) {
+                const column = x - padding;
+                if (isBearer) {
+                    row[x] = true;
+                    functionRow[x] = true;
+                    continue;
+                }
+                if (column < 0 || column >= columns.length) continue;
+                const isBar = y < barBottom || (tallColumns[column] && y < barBottom + guardExtension);
+                row[x] = y >= barTop && isBar && columns[column];
+                functionRow[x] = Boolean(functionColumns[column]);
+            }
+            modules.push(row);
+            isFunction.push(functionRow);
+        }
+
+        const humanReadable = text && {
+            fontSize: text.fontSize,
+            items: text.items.map(item => ({
+                text: item.text,
+                x: item.x + padding,
+                y: barBottom + bearerHeight + textHeight - 1,
+                align: item.align || 'center'
+            }))
+        };
+
+        return { width, height, modules, functionModules: isFunction, humanReadable };
+    }
+}
+
+export { LinearSymbol };
@@ -0,0 +1,278 @@
+/**
+ * Logo Overlay Module
+ * Logo no centro do QR Code: área coberta em módulos, quanto da correção de erro
+ * ela consome e o desenho (placa de fundo e imagem) em canvas e SVG.
+ * Só o QR Code recebe logo: a avaliação usa a disposição dos seus codewords.
+ */
+import { QREncoder } from './QREncoder.js';
+import { ModuleShapes } from './ModuleShapes.js';
+
+// Acima desta fração da correção de algum bloco sobra pouca margem para sujeira e reflexos
+const WARNING_RATIO = 0.6;
+
+// Raio dos cantos da placa arredondada, em fração do lado menor
+const ROUNDED_PLATE_RADIUS = 0.2;
+
+// Localizadores, separadores, formato e tempo ocupam as 9 primeiras linhas e colunas
+const FUNCTION_BORDER = 9;
+
+// Opções com imagem (data URL) e como citá-las nas mensagens
+const STORED_IMAGE_OPTIONS = {
+    logo: 'o logo',
+    halftone: 'a foto do halftone'
+};
+
+class LogoOverlay {
+    static Plate = Object.freeze({
+        NONE: 'none',
+        SQUARE: 'square',
+        ROUNDED: 'rounded',
+        CIRCLE: 'circle'
+    });
+
+    static Status = Object.freeze({
+        OK: 'ok',
+        WARNING: 'warning', // Lê, mas com pouca folga na correção
+        BLOCKED: 'blocked' // A correção não recupera a área coberta
+    });
+
+    // Lado máximo das imagens guardadas nas opções (presets e histórico ficam no localStorage)
+    static MAX_IMAGE_SIDE = 512;
+
+    // Maior data URL gravado com as opções; o localStorage tem poucos MB para o histórico e os presets
+    static MAX_STORED_SRC = 32 * 1024;
+
+    // Imagens já decodificadas, por data URL
+    static images = new Map();
+
+    // As mesmas imagens como ImageBitmap, que podem ser enviadas ao worker
+    static bitmaps = new Map();
+
+    // Máscara do SVG que tira os módulos da área do logo sobre fundo translúcido
+    static MASK_ID = 'qr-logo-mask';
+
+    /**
+     * Indica se o símbolo recebe o logo das opções
+     */
+    static appliesTo(matrix, options = {}) {
+        return Boolean(options.logo) && matrix.symbology === 'qr';
+    }
+
+    /**
+     * Área coberta em módulos, centrada e em módulos inteiros: { x, y, width, height, image },
+     * com `image` a posição do logo dentro dela. `logo` traz as dimensões da imagem,
+     * `size` o lado maior em % do símbolo e `padding` a folga da placa em módulos.
+     */
+    static getArea(matrix, { logo, size = 20, padding = 1, plate = LogoOverlay.Plate.SQUARE }) {
+        const symbolSize = matrix.modules.length;
+        const scale = symbolSize * size / 100 / Math.max(logo.width, logo.height);
+        const imageWidth = logo.width * scale;
+        const imageHeight = logo.height * scale;
+        const border = plate === LogoOverlay.Plate.NONE ? 0 : padding * 2;
+
+        // O lado tem a paridade do símbolo para a área ficar centrada na grade
+        const cover = side => {
+            const modules = Math.ceil(side + border - 1e-9);
+            return (symbolSize - modules) % 2 === 0 ? modules : modules + 1;
+        };
+        const diagonal = Math.hypot(imageWidth, imageHeight);
+        const width = cover(plate === LogoOverlay.Plate.CIRCLE ? diagonal : imageWidth);
+        const height = cover(plate === LogoOverlay.Plate.CIRCLE ? diagonal : imageHeight);
+
+        return {
+            x: (symbolSize - width) / 2,
+            y: (symbolSize - height) / 2,
+            width,
+            height,
+            image: {
+                x: (symbolSize - imageWidth) / 2,
+                y: (symbolSize - imageHeight) / 2,
+                width: imageWidth,
+                height: imageHeight
+            }
+        };
+    }
+
+    /**
+     * Quanto da correção o logo consome. Todo codeword com um módulo coberto conta como
+     * perdido; `ratio` é a maior fração dos erros corrigíveis usada num bloco.
+     * Retorna { status, ratio, reason } com reason 'patterns' quando a área alcança
+     * localizadores, tempo ou formato, 'correction' quando passa da correção, ou null.
+     */
+    static assess(matrix, logoOptions) {
+        const area = LogoOverlay.getArea(matrix, logoOptions);
+        // A área é centrada: basta conferir o lado de cima e o da esquerda
+        if (Math.min(area.x, area.y) < FUNCTION_BORDER) {
+            return { status: LogoOverlay.Status.BLOCKED, ratio: Infinity, reason: 'patterns' };
+        }
+
+        const layout = QREncoder.getCodewordLayout(matrix.version, matrix.errorCorrectionLevel);
+        const damaged = new Set();
+        for (let y = area.y; y < area.y + area.height; y++) {
+            for (let x = area.x; x < area.x + area.width; x++) {
+                const codeword = layout.codewords[y][x];
+                if (codeword >= 0) damaged.add(codeword);
+            }
+        }
+
+        const perBlock = new Array(layout.correctable.length).fill(0);
+        damaged.forEach(codeword => perBlock[layout.blocks[codeword]]++);
+        const ratio = Math.max(...perBlock.map((count, block) => count / layout.correctable[block]));
+
+        if (ratio > 1) return { status: LogoOverlay.Status.BLOCKED, ratio, reason: 'correction' };
+        if (ratio > WARNING_RATIO) return { status: LogoOverlay.Status.WARNING, ratio, reason: 'correction' };
+        return { status: LogoOverlay.Status.OK, ratio, reason: null };
+    }
+
+    /**
+     * Caminho da placa de fundo (comandos de ModuleShapes), vazio sem placa
+     */
+    static getPlatePath(area, plate) {
+        switch (plate) {
+            case LogoOverlay.Plate.SQUARE:
+                return ModuleShapes.roundedRect(area.x, area.y, area.width, area.height, 0);
+            case LogoOverlay.Plate.ROUNDED:
+                return ModuleShapes.roundedRect(area.x, area.y, area.width, area.height,
+                    Math.min(area.width, area.height) * ROUNDED_PLATE_RADIUS);
+            case LogoOverlay.Plate.CIRCLE:
+                return ModuleShapes.roundedRect(area.x, area.y, area.width, area.height, area.width / 2);
+            default:
+                return [];
+        }
+    }
+
+    /**
+     * Desenha placa e logo num contexto já escalado para coordenadas de módulo;
+     * `plateStyle` é uma cor ou gradiente do canvas, o mesmo do fundo. A área da placa
+     * é limpa antes, para os módulos não aparecerem através de um fundo translúcido.
+     */
+    static drawCanvas(ctx, matrix, logoOptions, plateStyle) {
+        const image = LogoOverlay.images.get(logoOptions.logo.src);
+        if (!image) return;
+
+        const area = LogoOverlay.getArea(matrix, logoOptions);
+        const plate = LogoOverlay.getPlatePath(area, logoOptions.plate);
+        if (plate.length > 0) {
+            ctx.beginPath();
+            ModuleShapes.tracePath(ctx, plate);
+            ctx.save();
+            ctx.globalCompositeOperation = 'destination-out';
+            ctx.fill();
+            ctx.restore();
+            ctx.fillStyle = plateStyle;
+            ctx.fill();
+        }
+        ctx.drawImage(image, area.image.x, area.image.y, area.image.width, area.image.height);
+    }
+
+    /**
+     * Elementos SVG da placa e do logo, com coordenadas deslocadas pela margem;
+     * `plateAttributes` são os atributos de preenchimento do fundo (ver ColorFill.toSVG),
+     * ou null para omitir a placa quando a máscara de toSVGMask já recorta os módulos
+     */
+    static toSVG(matrix, logoOptions, plateAttributes, offset) {
+        const area = LogoOverlay.getArea(matrix, logoOptions);
+        const plate = LogoOverlay.getPlatePath(area, logoOptions.plate);
+        const number = value => String(Math.round(value * 1000) / 1000);
+        const { image } = area;
+
+        const plateElement = plate.length > 0 && plateAttributes
+            ? `\n  <path d="${ModuleShapes.toSVGPath(plate, offset)}" ${plateAttributes} shape-rendering="geometricPrecision"/>`
+            : '';
+        return `${plateElement}
+  <image x="${number(image.x + offset)}" y="${number(image.y + offset)}" width="${number(image.width)}" height="${number(image.height)}" href="${logoOptions.logo.src}" preserveAspectRatio="xMidYMid meet"/>`;
+    }
+
+    /**
+     * Máscara (para <defs>) que esconde os módulos sob a placa do logo, vazia sem placa
+     */
+    static toSVGMask(matrix, logoOptions, offset, width, height) {
+        const plate = LogoOverlay.getPlatePath(LogoOverlay.getArea(matrix, logoOptions), logoOptions.plate);
+        if (plate.length === 0) return '';
+        return `<mask id="${LogoOverlay.MASK_ID}" maskUnits="userSpaceOnUse" x="0" y="0" width="${width}" height="${height}">` +
+            `<rect width="${width}" height="${height}" fill="#ffffff"/>` +
+            `<path d="${ModuleShapes.toSVGPath(plate, offset)}" fill="#000000" shape-rendering="geometricPrecision"/></mask>`;
+    }
+
+    /**
+     * Decodifica a imagem de um data URL (uma vez por imagem)
+     */
+    static load(src) {
+        const loaded = LogoOverlay.images.get(src);
+        if (loaded) return Promise.resolve(loaded);
+
+        return new Promise((resolve, reject) => {
+            const image = new Image();
+            image.onload = () => {
+                LogoOverlay.images.set(src, image);
+                resolve(image);
+            };
+            image.onerror = () => reject(new Error('Could not decode the logo image'));
+            image.src = src;
+        });
+    }
+
+    /**
+     * ImageBitmap da imagem de um data URL (um por imagem), para desenhar no worker
+     */
+    static loadBitmap(src) {
+        let bitmap = LogoOverlay.bitmaps.get(src);
+        if (!bitmap) {
+            bitmap = LogoOverlay.load(src).then(image => createImageBitmap(image));
+            bitmap.catch(() => LogoOverlay.bitmaps.delete(src));
+            LogoOverlay.bitmaps.set(src, bitmap);
+        }
+        return bitmap;
+    }
+
+    /**
+     * Cópia das opções para gravar no localStorage, sem as imagens cujo data URL passa
+     * de MAX_STORED_SRC. Retorna { options, dropped }, com `dropped` a descrição das
+     * imagens removidas (ex.: 'o logo') ou null se todas couberam.
+     */
+    static getStorableOptions(options) {
+        const stored = { ...options };
+        const dropped = Object.keys(STORED_IMAGE_OPTIONS)
+            .filter(key => stored[key] && stored[key].src.length > LogoOverlay.MAX_STORED_SRC);
+        dropped.forEach(key => {
+            stored[key] = null;
+        });
+        return {
+            options: stored,
+            dropped: dropped.length > 0 ? dropped.map(key => STORED_IMAGE_OPTIONS[key]).join(' e ') : null
+        };
+    }
+
+    /**
+     * Lê um arquivo de imagem como { src, width, height, name }. Imagens bitmap maiores
+     * que MAX_IMAGE_SIDE são reduzidas; SVG fica como veio (continua vetorial no SVG exportado).
+     */
+    static async fromFile(file) {
+        const src = await new Promise((resolve, reject) => {
+            const reader = new FileReader();
+            reader.onload = () => resolve(reader.result);
+            reader.onerror = () => reject(reader.error || new Error('Could not read the logo file'));
+            reader.readAsDataURL(file);
+        });
+
+        const image = await LogoOverlay.load(src);
+        // SVG sem dimensões declaradas é tratado como quadrado
+        const width = image.naturalWidth || 1;
+        const height = image.naturalHeight || 1;
+        const largest = Math.max(width, height);
+        if (file.type === 'image/svg+xml' || largest <= LogoOverlay.MAX_IMAGE_SIDE) {
+            return { src, width, height, name: file.name };
+        }
+
+        const scale = LogoOverlay.MAX_IMAGE_SIDE / largest;
+        const canvas = document.createElement('canvas');
+        canvas.width = Math.round(width * scale);
+        canvas.height = Math.round(height * scale);
+        canvas.getContext('2d').drawImage(image, 0, 0, canvas.width, canvas.height);
+        const resized = canvas.toDataURL('image/png');
+        await LogoOverlay.load(resized);
+        return { src: resized, width: canvas.width, height: canvas.height, name: file.name };
+    }
+}
+
+export { LogoOverlay };
@@ -0,0 +1,355 @@
+/**
+ * Micro QR Encoder Module
+ * Codificador de Micro QR Code (M1 a M4, ISO/IEC 18004), para etiquetas pequenas
+ */
+import { QREncoder } from './QREncoder.js';
+import { ReedSolomon } from './ReedSolomon.js';
+
+const { L, M, Q } = QREncoder.ErrorCorrectionLevel;
+
+// Por versão: lado, bits do indicador de modo, terminador e, por nível,
+// número do símbolo (bits de formato), bits de dados e codewords de correção.
+// M1 e M3 terminam os dados com um codeword de 4 bits.
+const VERSIONS = [
+    null,
+    { size: 11, modeBits: 0, terminatorBits: 3, levels: { [L]: { symbolNumber: 0, dataBits: 20, eccCodewords: 2 } } },
+    {
+        size: 13, modeBits: 1, terminatorBits: 5, levels: {
+            [L]: { symbolNumber: 1, dataBits: 40, eccCodewords: 5 },
+            [M]: { symbolNumber: 2, dataBits: 32, eccCodewords: 6 }
+        }
+    },
+    {
+        size: 15, modeBits: 2, terminatorBits: 7, levels: {
+            [L]: { symbolNumber: 3, dataBits: 84, eccCodewords: 6 },
+            [M]: { symbolNumber: 4, dataBits: 68, eccCodewords: 8 }
+        }
+    },
+    {
+        size: 17, modeBits: 3, terminatorBits: 9, levels: {
+            [L]: { symbolNumber: 5, dataBits: 128, eccCodewords: 8 },
+            [M]: { symbolNumber: 6, dataBits: 112, eccCodewords: 10 },
+            [Q]: { symbolNumber: 7, dataBits: 80, eccCodewords: 14 }
+        }
+    }
+];
+
+// Indicador e tamanho do contador de caracteres de cada modo em M1-M4 (null = modo indisponível)
+const MODE_INFO = new Map([
+    [QREncoder.Mode.NUMERIC, { indicator: 0, charCountBits: [3, 4, 5, 6] }],
+    [QREncoder.Mode.ALPHANUMERIC, { indicator: 1, charCountBits: [null, 3, 4, 5] }],
+    [QREncoder.Mode.BYTE, { indicator: 2, charCountBits: [null, null, 4, 5] }],
+    [QREncoder.Mode.KANJI, { indicator: 3, charCountBits: [null, null, 3, 4] }]
+]);
+
+const rs = new ReedSolomon(0x11D, 256, 0);
+
+class MicroQREncoder {
+    static MIN_VERSION = 1;
+    static MAX_VERSION = 4;
+
+    // Micro QR exige só 2 módulos de zona de silêncio
+    static QUIET_ZONE = 2;
+
+    // M1 só detecta erros; H não existe em Micro QR
+    static SUPPORTED_LEVELS = [L, M, Q];
+
+    /**
+     * Codifica um texto no menor Micro QR que o comporta
+     */
+    static encode(text, options = {}) {
+        const {
+            errorCorrectionLevel = M,
+            optimizeSegments = true,
+            mask = null // null escolhe a máscara de maior pontuação
+        } = options;
+
+        if (typeof text !== 'string') {
+            throw new Error('Micro QR content must be a string');
+        }
+        const problem = QREncoder.validateLatin1(text);
+        if (problem) {
+            throw new Error(`Micro QR encodes bytes as ISO-8859-1; unsupported characters: ${problem.expected}`);
+        }
+        if (!MicroQREncoder.SUPPORTED_LEVELS.includes(errorCorrectionLevel)) {
+            throw new Error('Micro QR supports only the L, M and Q error correction levels');
+        }
+        if (mask !== null && !(Number.isInteger(mask) && mask >= 0 && mask <= 3)) {
+            throw new Error(`Invalid Micro QR mask pattern: ${mask}`);
+        }
+
+        const { segments, version } = MicroQREncoder.chooseVersion(text, errorCorrectionLevel, optimizeSegments);
+        if (version === null) {
+            throw new Error('Data too long for Micro QR');
+        }
+
+        const levelInfo = VERSIONS[version].levels[errorCorrectionLevel];
+        const dataCodewords = MicroQREncoder.buildDataCodewords(segments, version, errorCorrectionLevel);
+        const eccCodewords = rs.encode(dataCodewords, levelInfo.eccCodewords);
+
+        // O último codeword de dados de M1 e M3 ocupa só 4 módulos
+        const bits = [];
+        dataCodewords.forEach((codeword, i) => {
+            const isHalf = i === dataCodewords.length - 1 && levelInfo.dataBits % 8 !== 0;
+            QREncoder.appendBits(bits, isHalf ? codeword >> 4 : codeword, isHalf ? 4 : 8);
+        });
+        eccCodewords.forEach(codeword => QREncoder.appendBits(bits, codeword, 8));
+
+        const symbol = new MicroQRSymbol(VERSIONS[version].size);
+        symbol.drawFunctionPatterns();
+        symbol.drawBits(bits);
+
+        // Pontua as 4 máscaras pelos módulos escuros das bordas direita e inferior
+        const scores = [];
+        for (let candidate = 0; candidate < 4; candidate++) {
+            symbol.applyMask(candidate);
+            scores.push(symbol.getMaskScore());
+            symbol.applyMask(candidate); // XOR desfaz a máscara
+        }
+        const chosenMask = mask ?? scores.indexOf(Math.max(...scores));
+        symbol.applyMask(chosenMask);
+        symbol.drawFormatBits(levelInfo.symbolNumber, chosenMask);
+
+        return {
+            symbology: 'microqr',
+            version: `M${version}`,
+            size: symbol.size,
+            errorCorrectionLevel,
+            mask: chosenMask,
+            maskScores: scores,
+            quietZone: MicroQREncoder.QUIET_ZONE,
+            segments: QREncoder.describeSegments(segments),
+            modules: symbol.modules,
+            functionModules: symbol.isFunction
+        };
+    }
+
+    /**
+     * Ocupação do conteúdo no menor Micro QR que o comporta (ou no M4, se não couber)
+     */
+    static getCapacity(text, options = {}) {
+        const {
+            errorCorrectionLevel = M,
+            optimizeSegments = true
+        } = options;
+
+        const invalidContent = QREncoder.validateLatin1(text);
+        if (invalidContent) {
+            return {
+                fits: false,
+                version: null,
+                maxVersion: `M${MicroQREncoder.MAX_VERSION}`,
+                usedBits: 0,
+                capacityBits: 0,
+                percent: 0,
+                segments: [],
+                invalidContent,
+                symbols: 1
+            };
+        }
+
+        const { segments, version } = MicroQREncoder.chooseVersion(text, errorCorrectionLevel, optimizeSegments);
+        const referenceVersion = version ?? MicroQREncoder.MAX_VERSION;
+        const levelInfo = VERSIONS[referenceVersion].levels[errorCorrectionLevel];
+        const capacityBits = levelInfo ? levelInfo.dataBits : 0;
+        // Se um contador estourar, estima pelos contadores do M4
+        const usedBits = MicroQREncoder.getTotalBits(segments, referenceVersion) ??
+            segments.reduce((total, segment) => total + VERSIONS[MicroQREncoder.MAX_VERSION].modeBits +
+                MODE_INFO.get(segment.mode).charCountBits[MicroQREncoder.MAX_VERSION - 1] + segment.bits.length, 0);
+
+        return {
+            fits: version !== null,
+            version: version === null ? null : `M${version}`,
+            maxVersion: `M${MicroQREncoder.MAX_VERSION}`,
+            usedBits,
+            capacityBits,
+            percent: capacityBits ? Math.round(usedBits / capacityBits * 1000) / 10 : Infinity,
+            segments: QREncoder.describeSegments(segments),
+            symbols: 1
+        };
+    }
+
+    /**
+     * Menor versão (M1-M4) com o nível pedido em que o texto cabe.
+     * Testa a segmentação otimizada e a de modo único, pois M1 e M2 não aceitam todos os modos.
+     * O modo byte usa ISO-8859-1: o Micro QR não tem ECI para declarar outra codificação.
+     */
+    static chooseVersion(text, level, optimize = true) {
+        const candidates = QREncoder.makeLatin1Segmentations(text, optimize);
+
+        for (let version = MicroQREncoder.MIN_VERSION; version <= MicroQREncoder.MAX_VERSION; version++) {
+            const levelInfo = VERSIONS[version].levels[level];
+            if (!levelInfo) continue;
+
+            let best = null;
+            candidates.forEach(segments => {
+                const bits = MicroQREncoder.getTotalBits(segments, version);
+                if (bits !== null && bits <= levelInfo.dataBits && (!best || bits < best.bits)) {
+                    best = { segments, bits };
+                }
+            });
+            if (best) return { segments: best.segments, version };
+        }
+        return { segments: candidates[0], version: null };
+    }
+
+    /**
+     * Total de bits dos segmentos numa versão, ou null se um modo não existir nela
+     * ou se um contador estourar
+     */
+    static getTotalBits(segments, version) {
+        let total = 0;
+        for (const segment of segments) {
+            const countBits = MODE_INFO.get(segment.mode).charCountBits[version - 1];
+            if (countBits === null || segment.numChars >= (1 << countBits)) return null;
+            total += VERSIONS[version].modeBits + countBits + segment.bits.length;
+        }
+        return total;
+    }
+
+    /**
+     * Monta os codewords de dados com terminador e preenchimento.
+     * Em M1 e M3 o último codeword tem 4 bits (guardados no nibble alto).
+     */
+    static buildDataCodewords(segments, version, level) {
+        const { modeBits, terminatorBits } = VERSIONS[version];
+        const { dataBits } = VERSIONS[version].levels[level];
+        const bits = [];
+
+        segments.forEach(segment => {
+            const info = MODE_INFO.get(segment.mode);
+            QREncoder.appendBits(bits, info.indicator, modeBits);
+            QREncoder.appendBits(bits, segment.numChars, info.charCountBits[version - 1]);
+            bits.push(...segment.bits);
+        });
+
+        // Terminador (truncado se não couber) e alinhamento ao byte
+        QREncoder.appendBits(bits, 0, Math.min(terminatorBits, dataBits - bits.length));
+        QREncoder.appendBits(bits, 0, Math.min((8 - bits.length % 8) % 8, dataBits - bits.length));
+
+        // Bytes de preenchimento alternados; o codeword de 4 bits fica zerado
+        for (let pad = 0xEC; bits.length + 8 <= dataBits; pad ^= 0xEC ^ 0x11) {
+            QREncoder.appendBits(bits, pad, 8);
+        }
+        QREncoder.appendBits(bits, 0, dataBits - bits.length);
+
+        const codewords = new Array(Math.ceil(dataBits / 8)).fill(0);
+        bits.forEach((bit, i) => {
+            codewords[i >>> 3] |= bit << (7 - (i & 7));
+        });
+        return codewords;
+    }
+}
+
+/**
+ * Matriz de módulos de um Micro QR em construção
+ */
+class MicroQRSymbol {
+    constructor(size) {
+        this.size = size;
+        this.modules = Array.from({ length: size }, () => new Array(size).fill(false));
+        this.isFunction = Array.from({ length: size }, () => new Array(size).fill(false));
+    }
+
+    setFunctionModule(x, y, dark) {
+        this.modules[y][x] = dark;
+        this.isFunction[y][x] = true;
+    }
+
+    /**
+     * Um único localizador no canto superior esquerdo, com os padrões de tempo
+     * na primeira linha e na primeira coluna
+     */
+    drawFunctionPatterns() {
+        for (let i = 0; i < this.size; i++) {
+            this.setFunctionModule(i, 0, i % 2 === 0);
+            this.setFunctionModule(0, i, i % 2 === 0);
+        }
+
+        for (let y = 0; y <= 7; y++) {
+            for (let x = 0; x <= 7; x++) {
+                const distance = Math.max(Math.abs(x - 3), Math.abs(y - 3));
+                this.setFunctionModule(x, y, distance !== 2 && distance < 4);
+            }
+        }
+
+        // Reserva a área de formato (sobrescrita após escolher a máscara)
+        this.drawFormatBits(0, 0);
+    }
+
+    /**
+     * Desenha os 15 bits de formato (número do símbolo + máscara, BCH)
+     */
+    drawFormatBits(symbolNumber, mask) {
+        const data = (symbolNumber << 2) | mask;
+        let remainder = data;
+        for (let i = 0; i < 10; i++) {
+            remainder = (remainder << 1) ^ ((remainder >>> 9) * 0x537);
+        }
+        const bits = ((data << 10) | remainder) ^ 0x4445;
+        const bit = i => ((bits >>> i) & 1) !== 0;
+
+        for (let i = 0; i < 8; i++) this.setFunctionModule(i + 1, 8, bit(14 - i));
+        for (let i = 0; i < 7; i++) this.setFunctionModule(8, 7 - i, bit(6 - i));
+    }
+
+    /**
+     * Posiciona os bits em zigue-zague nas colunas duplas, a partir do canto inferior direito
+     */
+    drawBits(bits) {
+        let i = 0;
+        let upward = true;
+        for (let right = this.size - 1; right >= 1; right -= 2) {
+            for (let vert = 0; vert < this.size; vert++) {
+                const y = upward ? this.size - 1 - vert : vert;
+                for (let j = 0; j < 2; j++) {
+                    const x = right - j;
+                    if (!this.isFunction[y][x] && i < bits.length) {
+                        this.modules[y][x] = bits[i] === 1;
+                        i++;
+                    }
+                }
+            }
+            upward = !upward;
+        }
+    }
+
+    /**
+     * Aplica (ou desfaz, por XOR) uma das 4 máscaras do Micro QR
+     */
+    applyMask(mask) {
+        for (let y = 0; y < this.size; y++) {
+            for (let x = 0; x < this.size; x++) {
+                if (!this.isFunction[y][x] && MicroQRSymbol.maskCondition(mask, x, y)) {
+                    this.modules[y][x] = !this.modules[y][x];
+                }
+            }
+        }
+    }
+
+    static maskCondition(mask, x, y) {
+        switch (mask) {
+            case 0: return y % 2 === 0;
+            case 1: return (Math.floor(y / 2) + Math.floor(x / 3)) % 2 === 0;
+            case 2: return ((x * y) % 2 + (x * y) % 3) % 2 === 0;
+            case 3: return ((x + y) % 2 + (x * y) % 3) % 2 === 0;
+            default: throw new Error(`Invalid Micro QR mask pattern: ${mask}`);
+        }
+    }
+
+    /**
+     * Pontuação da norma: favorece bordas direita e inferior com muitos módulos escuros
+     */
+    getMaskScore() {
+        const last = this.size - 1;
+        let right = 0;
+        let bottom = 0;
+        for (let i = 1; i <= last; i++) {
+            if (this.modules[i][last]) right++;
+            if (this.modules[last][i]) bottom++;
+        }
+        return right <= bottom ? right * 16 + bottom : bottom * 16 + right;
+    }
+}
+
+export { MicroQREncoder };
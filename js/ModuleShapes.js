@@ -0,0 +1,335 @@
+/**
+ * Module Shapes Module
+ * Geometria dos formatos de módulo (quadrado, ponto, arredondado, líquido) e dos
+ * estilos dos olhos (padrões localizadores). Gera caminhos vetoriais em coordenadas
+ * de módulo, com comandos ['M', x, y], ['L', x, y], ['C', x1, y1, x2, y2, x, y] e ['Z'],
+ * que os renderizadores de canvas, SVG e PDF traduzem para a sua sintaxe.
+ * Os caminhos usam a regra de preenchimento nonzero: furos têm o sentido inverso.
+ */
+
+// Distância dos pontos de controle de um quarto de círculo em Bézier cúbica
+const KAPPA = 0.5523;
+
+// Raio dos cantos de cada estilo, em módulos
+const ROUNDED_MODULE_RADIUS = 0.3;
+const ROUNDED_EYE_RADIUS = { frame: 2, hole: 1.2, ball: 0.9 };
+
+class ModuleShapes {
+    static ModuleShape = Object.freeze({
+        SQUARE: 'square',
+        DOTS: 'dots',
+        ROUNDED: 'rounded',
+        LIQUID: 'liquid'
+    });
+
+    static EyeStyle = Object.freeze({
+        SQUARE: 'square',
+        ROUNDED: 'rounded',
+        CIRCLE: 'circle'
+    });
+
+    /**
+     * Indica se as opções pedem algo além dos quadrados padrão
+     */
+    static isStyled({ moduleShape = 'square', eyeFrameStyle = 'square', eyeBallStyle = 'square' } = {}) {
+        return moduleShape !== 'square' || eyeFrameStyle !== 'square' || eyeBallStyle !== 'square';
+    }
+
+    /**
+     * Códigos lineares e o PDF417 dependem da largura exata das barras e ficam sempre quadrados
+     */
+    static supportsShapes(matrix) {
+        return !matrix.humanReadable && matrix.symbology !== 'pdf417';
+    }
+
+    /**
+     * Olhos desenhados com estilo próprio, como { x, y, size }: só os três localizadores
+     * do QR Code. Micro QR e rMQR têm um único localizador principal, que os leitores
+     * deixam de encontrar quando ele muda de formato.
+     */
+    static getFinderPatterns(matrix) {
+        if (matrix.symbology !== 'qr') return [];
+        const size = matrix.modules.length;
+        return [{ x: 0, y: 0, size: 7 }, { x: size - 7, y: 0, size: 7 }, { x: 0, y: size - 7, size: 7 }];
+    }
+
+    /**
+     * Área de um localizador em coordenadas de módulo, deslocada por `offset` (a margem),
+     * para o gradiente de um olho com cor própria
+     */
+    static getFinderBox({ x, y, size }, offset = 0) {
+        return { x: x + offset, y: y + offset, width: size, height: size };
+    }
+
+    /**
+     * Indica se algum localizador do símbolo tem cor própria em `eyeColors`
+     * (um preenchimento ou null por olho, na ordem de getFinderPatterns)
+     */
+    static hasEyeColors(matrix, eyeColors) {
+        return Array.isArray(eyeColors) && ModuleShapes.getFinderPatterns(matrix).some((_, i) => Boolean(eyeColors[i]));
+    }
+
+    /**
+     * Caminhos dos módulos escuros e dos olhos: { modules, eyes }, com um caminho por
+     * olho em `eyes`, na ordem de getFinderPatterns.
+     * Nas demais simbologias 2D os padrões fixos (localizadores, trilhas) ficam quadrados.
+     */
+    static getPaths(matrix, options = {}) {
+        const {
+            moduleShape = 'square',
+            eyeFrameStyle = 'square',
+            eyeBallStyle = 'square'
+        } = options;
+
+        const finders = ModuleShapes.getFinderPatterns(matrix);
+        const inFinder = (x, y) => finders.some(finder =>
+            x >= finder.x && x < finder.x + finder.size && y >= finder.y && y < finder.y + finder.size
+        );
+        const keepSquare = finders.length === 0 && Boolean(matrix.functionModules);
+
+        const rows = matrix.modules.length;
+        const cols = matrix.modules[0].length;
+        const isDark = (x, y) => y >= 0 && y < rows && x >= 0 && x < cols && matrix.modules[y][x];
+
+        // Módulos quadrados se fundem num contorno só; os demais formatos dependem dos vizinhos
+        if (moduleShape === ModuleShapes.ModuleShape.SQUARE) {
+            const modules = ModuleShapes.getOutline(cols, rows, (x, y) => matrix.modules[y][x] && !inFinder(x, y));
+            const eyes = finders.map(finder => ModuleShapes.getEyePath(finder, eyeFrameStyle, eyeBallStyle));
+            return { modules, eyes };
+        }
+
+        const modules = [];
+        for (let y = 0; y < rows; y++) {
+            for (let x = 0; x < cols; x++) {
+                if (!matrix.modules[y][x] || inFinder(x, y)) continue;
+                const shape = keepSquare && matrix.functionModules[y][x] ? 'square' : moduleShape;
+                modules.push(...ModuleShapes.getModulePath(x, y, shape, isDark));
+            }
+        }
+
+        const eyes = finders.map(finder => ModuleShapes.getEyePath(finder, eyeFrameStyle, eyeBallStyle));
+
+        return { modules, eyes };
+    }
+
+    /**
+     * Separa os olhos com cor própria em `eyeColors` dos que seguem a cor dos módulos:
+     * { plain, colored }, com `plain` um caminho só e `colored` como [{ path, color, finder, index }]
+     */
+    static splitEyes(matrix, eyes, eyeColors) {
+        const finders = ModuleShapes.getFinderPatterns(matrix);
+        const plain = [];
+        const colored = [];
+        eyes.forEach((path, i) => {
+            const color = Array.isArray(eyeColors) ? eyeColors[i] : null;
+            if (color) {
+                colored.push({ path, color, finder: finders[i], index: i });
+            } else {
+                plain.push(...path);
+            }
+        });
+        return { plain, colored };
+    }
+
+    /**
+     * Contorno das regiões escuras de uma grade de cols x rows (`isDark(x, y)`): um subcaminho
+     * por borda, só com os cantos, em vez de um quadrado por módulo. As bordas externas saem
+     * no sentido horário e os furos no anti-horário; regiões que só se tocam na diagonal
+     * ficam em subcaminhos separados.
+     */
+    static getOutline(cols, rows, isDark) {
+        const dark = (x, y) => x >= 0 && y >= 0 && x < cols && y < rows && isDark(x, y);
+        const key = (x, y, direction) => `${x},${y},${direction}`;
+
+        // Lados entre um módulo escuro e um claro, orientados com o escuro à direita:
+        // 0 para a direita, 1 para baixo, 2 para a esquerda, 3 para cima
+        const edges = new Set();
+        for (let y = 0; y < rows; y++) {
+            for (let x = 0; x < cols; x++) {
+                if (!dark(x, y)) continue;
+                if (!dark(x, y - 1)) edges.add(key(x, y, 0));
+                if (!dark(x + 1, y)) edges.add(key(x + 1, y, 1));
+                if (!dark(x, y + 1)) edges.add(key(x + 1, y + 1, 2));
+                if (!dark(x - 1, y)) edges.add(key(x, y + 1, 3));
+            }
+        }
+
+        // Cada contorno começa no lado de cima mais à esquerda ainda livre, que é sempre um canto.
+        // Num vértice com dois caminhos (toque na diagonal) vira à direita, contornando o mesmo módulo.
+        const steps = [[1, 0], [0, 1], [-1, 0], [0, -1]];
+        const path = [];
+        for (let y = 0; y < rows; y++) {
+            for (let x = 0; x < cols; x++) {
+                if (!edges.has(key(x, y, 0))) continue;
+                path.push(['M', x, y]);
+                let px = x;
+                let py = y;
+                let direction = 0;
+                do {
+                    edges.delete(key(px, py, direction));
+                    px += steps[direction][0];
+                    py += steps[direction][1];
+                    const next = [(direction + 1) % 4, direction, (direction + 3) % 4]
+                        .find(candidate => edges.has(key(px, py, candidate)));
+                    if (next !== direction && (px !== x || py !== y)) path.push(['L', px, py]);
+                    direction = next;
+                } while (px !== x || py !== y);
+                path.push(['Z']);
+            }
+        }
+        return path;
+    }
+
+    /**
+     * Caminho de um módulo escuro na posição (x, y)
+     */
+    static getModulePath(x, y, shape, isDark) {
+        switch (shape) {
+            case 'dots':
+                return ModuleShapes.roundedRect(x, y, 1, 1, 0.5);
+            case 'rounded':
+                return ModuleShapes.roundedRect(x, y, 1, 1, ROUNDED_MODULE_RADIUS);
+            case 'liquid': {
+                // Arredonda só os cantos sem vizinhos escuros dos dois lados, unindo módulos vizinhos
+                const up = isDark(x, y - 1);
+                const down = isDark(x, y + 1);
+                const left = isDark(x - 1, y);
+                const right = isDark(x + 1, y);
+                return ModuleShapes.roundedRect(x, y, 1, 1, [
+                    up || left ? 0 : 0.5,
+                    up || right ? 0 : 0.5,
+                    down || right ? 0 : 0.5,
+                    down || left ? 0 : 0.5
+                ]);
+            }
+            default:
+                return ModuleShapes.roundedRect(x, y, 1, 1, 0);
+        }
+    }
+
+    /**
+     * Caminho de um olho: moldura (anel com furo) e centro
+     */
+    static getEyePath({ x, y, size }, frameStyle, ballStyle) {
+        const radius = (style, rounded, side) => {
+            if (style === 'circle') return side / 2;
+            if (style === 'rounded') return Math.min(rounded * size / 7, side / 2);
+            return 0;
+        };
+
+        const ball = size - 4;
+        return [
+            ...ModuleShapes.roundedRect(x, y, size, size, radius(frameStyle, ROUNDED_EYE_RADIUS.frame, size)),
+            ...ModuleShapes.roundedRect(x + 1, y + 1, size - 2, size - 2, radius(frameStyle, ROUNDED_EYE_RADIUS.hole, size - 2), false),
+            ...ModuleShapes.roundedRect(x + 2, y + 2, ball, ball, radius(ballStyle, ROUNDED_EYE_RADIUS.ball, ball))
+        ];
+    }
+
+    /**
+     * Retângulo com cantos arredondados; `radii` é um raio único ou
+     * [superior esquerdo, superior direito, inferior direito, inferior esquerdo].
+     * Sentido horário (na tela) por padrão; anti-horário para furos.
+     */
+    static roundedRect(x, y, width, height, radii, clockwise = true) {
+        const [tl, tr, br, bl] = Array.isArray(radii) ? radii : [radii, radii, radii, radii];
+        const right = x + width;
+        const bottom = y + height;
+        const corner = (r, fromX, fromY, toX, toY, controlX1, controlY1, controlX2, controlY2) => (r > 0
+            ? [['L', fromX, fromY], ['C', controlX1, controlY1, controlX2, controlY2, toX, toY]]
+            : [['L', fromX, fromY]]);
+
+        const path = [
+            ['M', x + tl, y],
+            ...corner(tr, right - tr, y, right, y + tr, right - tr + KAPPA * tr, y, right, y + tr - KAPPA * tr),
+            ...corner(br, right, bottom - br, right - br, bottom, right, bottom - br + KAPPA * br, right - br + KAPPA * br, bottom),
+            ...corner(bl, x + bl, bottom, x, bottom - bl, x + bl - KAPPA * bl, bottom, x, bottom - bl + KAPPA * bl),
+            ...corner(tl, x, y + tl, x + tl, y, x, y + tl - KAPPA * tl, x + tl - KAPPA * tl, y),
+            ['Z']
+        ].filter((command, i, all) => !ModuleShapes.isEmptyLine(command, all[i - 1]));
+
+        return clockwise ? path : ModuleShapes.reverse(path);
+    }
+
+    /**
+     * Linhas de comprimento zero (entre cantos de raio máximo) são descartadas
+     */
+    static isEmptyLine(command, previous) {
+        if (command[0] !== 'L' || !previous) return false;
+        const [previousX, previousY] = previous.slice(-2);
+        return command[1] === previousX && command[2] === previousY;
+    }
+
+    /**
+     * Inverte o sentido de um subcaminho fechado
+     */
+    static reverse(path) {
+        let current = null;
+        const segments = [];
+        path.forEach(command => {
+            if (command[0] === 'M') {
+                current = [command[1], command[2]];
+            } else if (command[0] !== 'Z') {
+                const end = command.slice(-2);
+                segments.push({ command, from: current });
+                current = end;
+            }
+        });
+
+        const reversed = [['M', ...current]];
+        for (let i = segments.length - 1; i >= 0; i--) {
+            const { command, from } = segments[i];
+            reversed.push(command[0] === 'C'
+                ? ['C', command[3], command[4], command[1], command[2], ...from]
+                : ['L', ...from]);
+        }
+        reversed.push(['Z']);
+        return reversed;
+    }
+
+    /**
+     * Atributo `d` do SVG de uma lista de comandos, com coordenadas deslocadas pela margem;
+     * linhas horizontais e verticais viram H e V
+     */
+    static toSVGPath(path, offset = 0) {
+        const number = value => String(Math.round(value * 1000) / 1000);
+        let start = [0, 0];
+        let current = [0, 0];
+        return path.map(command => {
+            if (command[0] === 'Z') {
+                current = start;
+                return 'Z';
+            }
+            const [x, y] = command.slice(-2);
+            const previous = current;
+            current = [x, y];
+            if (command[0] === 'M') start = current;
+            if (command[0] === 'L' && y === previous[1]) return `H${number(x + offset)}`;
+            if (command[0] === 'L' && x === previous[0]) return `V${number(y + offset)}`;
+            const coordinates = command.slice(1).map(value => number(value + offset));
+            return command[0] + coordinates.join(' ');
+        }).join('');
+    }
+
+    /**
+     * Traça os comandos num contexto 2D (o chamador define a escala e preenche)
+     */
+    static tracePath(ctx, path) {
+        path.forEach(command => {
+            switch (command[0]) {
+                case 'M':
+                    ctx.moveTo(command[1], command[2]);
+                    break;
+                case 'L':
+                    ctx.lineTo(command[1], command[2]);
+                    break;
+                case 'C':
+                    ctx.bezierCurveTo(command[1], command[2], command[3], command[4], command[5], command[6]);
+                    break;
+                default:
+                    ctx.closePath();
+            }
+        });
+    }
+}
+
+export { ModuleShapes };
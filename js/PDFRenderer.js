@@ -0,0 +1,429 @@
+/**
+ * PDF Renderer Module
+ * Gera um documento PDF de uma página com os módulos desenhados como vetores,
+ * no tamanho físico pedido e, para a gráfica, com sangria, marcas de corte,
+ * legenda e cores em CMYK
+ */
+import { CodeFrame } from './CodeFrame.js';
+import { ColorFill } from './ColorFill.js';
+import { ModuleShapes } from './ModuleShapes.js';
+import { SymbolSheet } from './SymbolSheet.js';
+import { Utils } from './Utils.js';
+
+// Pontos (1/72 pol.) por unidade de medida
+const POINTS_PER_UNIT = { mm: 72 / 25.4, in: 72, pt: 1 };
+
+// Marcas de corte: comprimento, distância mínima do corte e espessura do traço, em pontos
+const MARK_LENGTH = 18;
+const MARK_OFFSET = 6;
+const MARK_WIDTH = 0.25;
+
+// Corpo da legenda em fração da largura do código; a faixa dela tem o dobro da altura
+const CAPTION_SIZE = 0.07;
+
+// Caracteres que a WinAnsiEncoding põe de 0x80 a 0x9F, onde o Latin-1 tem controles
+const WIN_ANSI_EXTRA = new Map([
+    ['€', 0x80], ['‚', 0x82], ['ƒ', 0x83], ['„', 0x84], ['…', 0x85], ['†', 0x86], ['‡', 0x87],
+    ['ˆ', 0x88], ['‰', 0x89], ['Š', 0x8A], ['‹', 0x8B], ['Œ', 0x8C], ['Ž', 0x8E],
+    ['‘', 0x91], ['’', 0x92], ['“', 0x93], ['”', 0x94], ['•', 0x95], ['–', 0x96], ['—', 0x97],
+    ['˜', 0x98], ['™', 0x99], ['š', 0x9A], ['›', 0x9B], ['œ', 0x9C], ['ž', 0x9E], ['Ÿ', 0x9F]
+]);
+
+class PDFRenderer {
+    static ColorSpace = Object.freeze({
+        RGB: 'rgb',
+        CMYK: 'cmyk'
+    });
+
+    /**
+     * Converte uma medida em mm ou polegadas ('in') para pontos
+     */
+    static toPoints(value, unit = 'pt') {
+        const factor = POINTS_PER_UNIT[unit];
+        if (!factor) {
+            throw new Error(`Unsupported unit: ${unit}`);
+        }
+        return value * factor;
+    }
+
+    /**
+     * Renderiza a matriz e retorna o conteúdo do PDF (string ASCII).
+     * `size` é a largura do código com a margem, em pontos. Com moldura (ver CodeFrame) a
+     * página cresce em volta do código; olhos com cor própria (`eyeColors`) são preenchidos
+     * depois dos módulos. `caption` vai numa faixa abaixo do código; `bleed` (em pontos)
+     * estende o fundo além do corte e `cropMarks` marca o corte fora da sangria, com
+     * TrimBox e BleedBox na página. Com `colorSpace` 'cmyk' as cores saem em CMYK.
+     */
+    static render(matrix, options = {}) {
+        const {
+            colorDark = '#000000',
+            colorLight = '#ffffff',
+            frame = null,
+            bleed = 0,
+            cropMarks = false,
+            caption = null,
+            colorSpace = PDFRenderer.ColorSpace.RGB
+        } = options;
+        const artwork = PDFRenderer.renderArtwork(matrix, options);
+
+        return PDFRenderer.renderPage(artwork, artwork.fonts, {
+            // Sem moldura o fundo cobre a página inteira (com a sangria e a legenda), senão só o código
+            background: CodeFrame.appliesTo(frame) ? null : colorLight,
+            captionColor: colorDark,
+            caption,
+            bleed,
+            cropMarks,
+            colorSpace
+        });
+    }
+
+    /**
+     * Folha única da sequência Structured Append (ver SymbolSheet), com as opções de render
+     * e `size` como a largura de cada símbolo: os números na cor dos módulos, a folha com o
+     * fundo e a legenda, a sangria e as marcas de corte em volta dela toda
+     */
+    static renderSheet(matrices, options = {}) {
+        const {
+            size = 256,
+            colorDark = '#000000',
+            colorLight = '#ffffff',
+            bleed = 0,
+            cropMarks = false,
+            caption = null,
+            colorSpace = PDFRenderer.ColorSpace.RGB
+        } = options;
+        const n = PDFRenderer.number;
+        const artworks = matrices.map(matrix => PDFRenderer.renderArtwork(matrix, options));
+        const layout = SymbolSheet.getLayout(artworks, size);
+
+        const content = [];
+        artworks.forEach((artwork, index) => {
+            const { x, y } = layout.cells[index];
+            content.push('q', `1 0 0 1 ${n(x)} ${n(layout.height - y - artwork.height)} cm`, ...artwork.content, 'Q');
+        });
+
+        // Números em Helvetica, com a estimativa de largura e a linha de base do texto da moldura
+        const fonts = [...new Set(artworks.flatMap(artwork => artwork.fonts))];
+        fonts.push('/F4 << /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>');
+        content.push(PDFRenderer.colorOperator(colorDark, colorSpace));
+        layout.cells.forEach(({ label }) => {
+            const textWidth = label.text.length * 0.6 * layout.fontSize;
+            const baseline = layout.height - label.y - layout.fontSize * 0.35;
+            content.push(`BT /F4 ${layout.fontSize} Tf ${n(label.x - textWidth / 2)} ${n(baseline)} Td (${label.text}) Tj ET`);
+        });
+
+        return PDFRenderer.renderPage({ content, width: layout.width, height: layout.height }, fonts, {
+            background: colorLight,
+            captionColor: colorDark,
+            caption,
+            bleed,
+            cropMarks,
+            colorSpace
+        });
+    }
+
+    /**
+     * Código (ou moldura com o código) de um símbolo, sem a página: { content, width, height,
+     * fonts }, com o conteúdo em pontos a partir do canto inferior esquerdo. Sem moldura o
+     * fundo fica para a página.
+     */
+    static renderArtwork(matrix, options = {}) {
+        const {
+            size = 256, // Largura do código com a margem, em pontos (1/72 pol.)
+            colorDark = '#000000',
+            colorLight = '#ffffff',
+            margin = matrix.quietZone,
+            moduleShape = 'square',
+            eyeFrameStyle = 'square',
+            eyeBallStyle = 'square',
+            eyeColors = null,
+            frame = null,
+            colorSpace = PDFRenderer.ColorSpace.RGB
+        } = options;
+
+        const rows = matrix.modules.length;
+        const cols = matrix.modules[0].length;
+        const pageWidth = size;
+        const pageHeight = size * (rows + margin * 2) / (cols + margin * 2);
+        const scale = size / (cols + margin * 2);
+        const framed = CodeFrame.appliesTo(frame);
+
+        // Fundo transparente: a página fica sem fundo; os demais alfas são ignorados.
+        // Com moldura o fundo cobre só o código
+        const background = framed && !ColorFill.isTransparent(colorLight)
+            ? [PDFRenderer.colorOperator(colorLight, colorSpace), `0 0 ${PDFRenderer.number(pageWidth)} ${PDFRenderer.number(pageHeight)} re f`]
+            : [];
+        const content = [
+            ...background,
+            PDFRenderer.colorOperator(colorDark, colorSpace),
+            // Sistema de coordenadas em módulos, com o eixo y para baixo
+            'q',
+            `${PDFRenderer.number(scale)} 0 0 ${PDFRenderer.number(-scale)} 0 ${PDFRenderer.number(pageHeight)} cm`
+        ];
+
+        const shapes = { moduleShape, eyeFrameStyle, eyeBallStyle };
+        const coloredEyes = [];
+        if ((ModuleShapes.isStyled(shapes) && ModuleShapes.supportsShapes(matrix)) || ModuleShapes.hasEyeColors(matrix, eyeColors)) {
+            const { modules, eyes } = ModuleShapes.getPaths(matrix, shapes);
+            const { plain, colored } = ModuleShapes.splitEyes(matrix, eyes, eyeColors);
+            content.push(PDFRenderer.pathOperators([...modules, ...plain], margin));
+            coloredEyes.push(...colored);
+        } else {
+            // Agrupa módulos escuros consecutivos de cada linha num único retângulo
+            for (let y = 0; y < rows; y++) {
+                for (let x = 0; x < cols; x++) {
+                    if (!matrix.modules[y][x]) continue;
+                    const start = x;
+                    while (x + 1 < cols && matrix.modules[y][x + 1]) x++;
+                    content.push(`${start + margin} ${y + margin} ${x - start + 1} 1 re`);
+                }
+            }
+        }
+        content.push('f');
+        coloredEyes.forEach(({ path, color }) => {
+            content.push(PDFRenderer.colorOperator(color, colorSpace), PDFRenderer.pathOperators(path, margin), 'f');
+        });
+        content.push('Q');
+
+        // Texto legível dos códigos de barras lineares, em Courier (largura fixa de 0,6 em)
+        const fonts = [];
+        if (matrix.humanReadable) {
+            fonts.push('/F1 << /Type /Font /Subtype /Type1 /BaseFont /Courier >>');
+            const fontSize = matrix.humanReadable.fontSize * scale;
+            matrix.humanReadable.items.forEach(item => {
+                const textWidth = item.text.length * 0.6 * fontSize;
+                const offset = { start: 0, center: textWidth / 2, end: textWidth }[item.align];
+                const x = (item.x + margin) * scale - offset;
+                const y = pageHeight - (item.y + margin) * scale;
+                content.push(`BT /F1 ${PDFRenderer.number(fontSize)} Tf ${PDFRenderer.number(x)} ${PDFRenderer.number(y)} Td (${PDFRenderer.escapeText(item.text)}) Tj ET`);
+            });
+        }
+
+        const artwork = framed
+            ? PDFRenderer.renderFramed(content, fonts, frame, pageWidth, pageHeight, colorSpace)
+            : { content, width: pageWidth, height: pageHeight };
+        return { ...artwork, fonts };
+    }
+
+    /**
+     * Moldura e código (conteúdo já gerado para uma área do tamanho dele) deslocado para
+     * dentro dela: { content, width, height }
+     */
+    static renderFramed(codeContent, fonts, frame, codeWidth, codeHeight, colorSpace) {
+        const layout = CodeFrame.getLayout(frame, codeWidth, codeHeight);
+        const pageHeight = layout.height;
+        const content = [
+            PDFRenderer.colorOperator(frame.color, colorSpace),
+            'q',
+            `1 0 0 -1 0 ${PDFRenderer.number(pageHeight)} cm`,
+            PDFRenderer.pathOperators(layout.path, 0),
+            'f',
+            'Q'
+        ];
+
+        if (layout.text) {
+            const { content: text, x, y, size } = layout.text;
+            fonts.push(`/F2 << /Type /Font /Subtype /Type1 /BaseFont /${PDFRenderer.getFrameFont(frame.font)} /Encoding /WinAnsiEncoding >>`);
+            // Sem métricas da fonte, a largura é estimada como no ajuste do CodeFrame;
+            // a linha de base fica 0,35 em abaixo do centro
+            const textWidth = text.length * 0.6 * size;
+            content.push(
+                PDFRenderer.colorOperator(frame.textColor, colorSpace),
+                `BT /F2 ${PDFRenderer.number(size)} Tf ${PDFRenderer.number(x - textWidth / 2)} ${PDFRenderer.number(pageHeight - y - size * 0.35)} Td (${PDFRenderer.encodeText(text)}) Tj ET`
+            );
+        }
+
+        content.push(
+            'q',
+            `1 0 0 1 ${PDFRenderer.number(layout.code.x)} ${PDFRenderer.number(pageHeight - layout.code.y - codeHeight)} cm`,
+            ...codeContent,
+            'Q'
+        );
+
+        return { content, width: layout.width, height: pageHeight };
+    }
+
+    /**
+     * Documento com a arte (código ou moldura) e, abaixo dela, a faixa da legenda: o corte
+     * fica em volta das duas, a sangria e as marcas de corte do lado de fora
+     */
+    static renderPage(artwork, fonts, { background, captionColor, caption, bleed, cropMarks, colorSpace }) {
+        const captionSize = artwork.width * CAPTION_SIZE;
+        const band = caption && caption.trim() ? captionSize * 2 : 0;
+        const trimWidth = artwork.width;
+        const trimHeight = artwork.height + band;
+        const outer = cropMarks ? Math.max(bleed, MARK_OFFSET) + MARK_LENGTH : bleed;
+        const n = PDFRenderer.number;
+
+        const content = [];
+        if (background && !ColorFill.isTransparent(background)) {
+            content.push(
+                PDFRenderer.colorOperator(background, colorSpace),
+                `${n(outer - bleed)} ${n(outer - bleed)} ${n(trimWidth + bleed * 2)} ${n(trimHeight + bleed * 2)} re f`
+            );
+        }
+
+        if (outer > 0 || band > 0) {
+            content.push('q', `1 0 0 1 ${n(outer)} ${n(outer + band)} cm`, ...artwork.content, 'Q');
+        } else {
+            content.push(...artwork.content);
+        }
+
+        const text = band > 0
+            ? CodeFrame.fitText(caption, trimWidth / 2, band / 2, captionSize, trimWidth - captionSize * 2)
+            : null;
+        if (text) {
+            fonts.push('/F3 << /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>');
+            // Mesma estimativa de largura e linha de base do texto da moldura
+            const textWidth = text.content.length * 0.6 * text.size;
+            content.push(
+                PDFRenderer.colorOperator(captionColor, colorSpace),
+                `BT /F3 ${n(text.size)} Tf ${n(outer + text.x - textWidth / 2)} ${n(outer + text.y - text.size * 0.35)} Td (${PDFRenderer.encodeText(text.content)}) Tj ET`
+            );
+        }
+
+        if (cropMarks) {
+            content.push(...PDFRenderer.cropMarks(outer, outer, trimWidth, trimHeight, Math.max(bleed, MARK_OFFSET), colorSpace));
+        }
+
+        const boxes = outer > 0
+            ? ` /BleedBox [${[outer - bleed, outer - bleed, outer + trimWidth + bleed, outer + trimHeight + bleed].map(n).join(' ')}]` +
+                ` /TrimBox [${[outer, outer, outer + trimWidth, outer + trimHeight].map(n).join(' ')}]`
+            : '';
+        return PDFRenderer.buildDocument(content.join('\n'), trimWidth + outer * 2, trimHeight + outer * 2,
+            PDFRenderer.fontResources(fonts), boxes);
+    }
+
+    /**
+     * Marcas de corte nos quatro cantos do retângulo de corte, a `offset` pontos dele,
+     * na cor de registro (todas as chapas) em CMYK
+     */
+    static cropMarks(x, y, width, height, offset, colorSpace) {
+        const n = PDFRenderer.number;
+        const lines = [];
+        [[x, -1], [x + width, 1]].forEach(([cornerX, dx]) => [[y, -1], [y + height, 1]].forEach(([cornerY, dy]) => {
+            lines.push(
+                `${n(cornerX + dx * offset)} ${n(cornerY)} m ${n(cornerX + dx * (offset + MARK_LENGTH))} ${n(cornerY)} l`,
+                `${n(cornerX)} ${n(cornerY + dy * offset)} m ${n(cornerX)} ${n(cornerY + dy * (offset + MARK_LENGTH))} l`
+            );
+        }));
+        const registration = colorSpace === PDFRenderer.ColorSpace.CMYK ? '1 1 1 1 K' : '0 0 0 RG';
+        return ['q', registration, `${MARK_WIDTH} w`, ...lines, 'S', 'Q'];
+    }
+
+    /**
+     * Fonte padrão do PDF (negrito) mais próxima da família CSS da moldura
+     */
+    static getFrameFont(fontFamily = '') {
+        if (/monospace|courier/i.test(fontFamily)) return 'Courier-Bold';
+        if (/(^|[\s,'"])serif|times|georgia/i.test(fontFamily)) return 'Times-Bold';
+        return 'Helvetica-Bold';
+    }
+
+    /**
+     * Dicionário de recursos com as fontes usadas
+     */
+    static fontResources(fonts) {
+        return fonts.length > 0 ? `<< /Font << ${fonts.join(' ')} >> >>` : '<< >>';
+    }
+
+    /**
+     * Monta a estrutura do arquivo (objetos, tabela xref e trailer)
+     */
+    static buildDocument(stream, pageWidth, pageHeight, resources = '<< >>', boxes = '') {
+        const objects = [
+            '<< /Type /Catalog /Pages 2 0 R >>',
+            '<< /Type /Pages /Kids [3 0 R] /Count 1 >>',
+            `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${PDFRenderer.number(pageWidth)} ${PDFRenderer.number(pageHeight)}]${boxes} /Contents 4 0 R /Resources ${resources} >>`,
+            `<< /Length ${stream.length} >>\nstream\n${stream}\nendstream`
+        ];
+
+        let pdf = '%PDF-1.4\n';
+        const offsets = objects.map((object, i) => {
+            const offset = pdf.length;
+            pdf += `${i + 1} 0 obj\n${object}\nendobj\n`;
+            return offset;
+        });
+
+        const xrefOffset = pdf.length;
+        pdf += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+        offsets.forEach(offset => {
+            pdf += `${String(offset).padStart(10, '0')} 00000 n \n`;
+        });
+        pdf += `trailer\n<< /Size ${objects.length + 1} /Root 1 0 R >>\nstartxref\n${xrefOffset}\n%%EOF\n`;
+
+        return pdf;
+    }
+
+    /**
+     * Converte um preenchimento no operador de cor de preenchimento do PDF, em RGB (rg) ou
+     * CMYK (k); gradientes usam a primeira parada
+     */
+    static colorOperator(fill, colorSpace = PDFRenderer.ColorSpace.RGB) {
+        if (colorSpace === PDFRenderer.ColorSpace.CMYK) {
+            return `${PDFRenderer.toCMYK(fill).map(PDFRenderer.number).join(' ')} k`;
+        }
+        const { r, g, b } = Utils.hexToRgb(ColorFill.toHex(ColorFill.getSolidColor(fill)));
+        return `${PDFRenderer.number(r / 255)} ${PDFRenderer.number(g / 255)} ${PDFRenderer.number(b / 255)} rg`;
+    }
+
+    /**
+     * Valores [c, m, y, k] de 0 a 1 de um preenchimento, pela conversão sem perfil de cor:
+     * o preto vira só K, sem preto de quatro cores
+     */
+    static toCMYK(fill) {
+        const { r, g, b } = Utils.hexToRgb(ColorFill.toHex(ColorFill.getSolidColor(fill)));
+        const k = 1 - Math.max(r, g, b) / 255;
+        if (k === 1) return [0, 0, 0, 1];
+        const channel = value => (1 - value / 255 - k) / (1 - k);
+        return [channel(r), channel(g), channel(b), k];
+    }
+
+    /**
+     * Converte os comandos de ModuleShapes nos operadores de caminho do PDF (m, l, c, h)
+     */
+    static pathOperators(path, offset) {
+        const point = (x, y) => `${PDFRenderer.number(x + offset)} ${PDFRenderer.number(y + offset)}`;
+        return path.map(command => {
+            switch (command[0]) {
+                case 'M':
+                    return `${point(command[1], command[2])} m`;
+                case 'L':
+                    return `${point(command[1], command[2])} l`;
+                case 'C':
+                    return `${point(command[1], command[2])} ${point(command[3], command[4])} ${point(command[5], command[6])} c`;
+                default:
+                    return 'h';
+            }
+        }).join('\n');
+    }
+
+    /**
+     * Escapa parênteses e barras invertidas de uma string literal do PDF
+     */
+    static escapeText(text) {
+        return text.replace(/[\\()]/g, char => `\\${char}`);
+    }
+
+    /**
+     * String literal em WinAnsiEncoding: Latin-1 e os caracteres de 0x80 a 0x9F (€, aspas
+     * curvas, travessões, reticências) viram escape octal e o que a codificação não tem vira '?'
+     */
+    static encodeText(text) {
+        return Array.from(PDFRenderer.escapeText(text), char => {
+            const code = char.codePointAt(0);
+            if (code < 128) return char;
+            const byte = WIN_ANSI_EXTRA.get(char) ?? (code >= 160 && code <= 255 ? code : null);
+            return byte === null ? '?' : `\\${byte.toString(8)}`;
+        }).join('');
+    }
+
+    /**
+     * Formata números sem zeros desnecessários
+     */
+    static number(value) {
+        return String(Math.round(value * 1000) / 1000);
+    }
+}
+
+export { PDFRenderer };
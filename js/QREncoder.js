@@ -0,0 +1,1207 @@
+/**
+ * QR Encoder Module
+ * Codificador de QR Code embutido (ISO/IEC 18004), sem dependências externas
+ */
+import { ReedSolomon } from './ReedSolomon.js';
+
+// Índices das tabelas abaixo: [L, M, Q, H]
+const ECC_CODEWORDS_PER_BLOCK = [
+    [-1, 7, 10, 15, 20, 26, 18, 20, 24, 30, 18, 20, 24, 26, 30, 22, 24, 28, 30, 28, 28, 28, 28, 30, 30, 26, 28, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30],
+    [-1, 10, 16, 26, 18, 24, 16, 18, 22, 22, 26, 30, 22, 22, 24, 24, 28, 28, 26, 26, 26, 26, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28],
+    [-1, 13, 22, 18, 26, 18, 24, 18, 22, 20, 24, 28, 26, 24, 20, 30, 24, 28, 28, 26, 30, 28, 30, 30, 30, 30, 28, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30],
+    [-1, 17, 28, 22, 16, 22, 28, 26, 26, 24, 28, 24, 28, 22, 24, 24, 30, 28, 28, 26, 28, 30, 24, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30]
+];
+
+const NUM_ERROR_CORRECTION_BLOCKS = [
+    [-1, 1, 1, 1, 1, 1, 2, 2, 2, 2, 4, 4, 4, 4, 4, 6, 6, 6, 6, 7, 8, 8, 9, 9, 10, 12, 12, 12, 13, 14, 15, 16, 17, 18, 19, 19, 20, 21, 22, 24, 25],
+    [-1, 1, 1, 1, 2, 2, 4, 4, 4, 5, 5, 5, 8, 9, 9, 10, 10, 11, 13, 14, 16, 17, 17, 18, 20, 21, 23, 25, 26, 28, 29, 31, 33, 35, 37, 38, 40, 43, 45, 47, 49],
+    [-1, 1, 1, 2, 2, 4, 4, 6, 6, 8, 8, 8, 10, 12, 16, 12, 17, 16, 18, 21, 20, 23, 23, 25, 27, 29, 34, 34, 35, 38, 40, 43, 45, 48, 51, 53, 56, 59, 62, 65, 68],
+    [-1, 1, 1, 2, 4, 4, 4, 5, 6, 8, 8, 11, 11, 16, 16, 18, 16, 19, 21, 25, 25, 25, 34, 30, 32, 35, 37, 40, 42, 45, 48, 51, 54, 57, 60, 63, 66, 70, 74, 77, 81]
+];
+
+// Posição de cada nível nas tabelas, indexada pelo valor dos bits de formato
+const LEVEL_TABLE_INDEX = { 1: 0, 0: 1, 3: 2, 2: 3 };
+
+// Modos de codificação: indicador de 4 bits e tamanho do contador por faixa de versão (1-9, 10-26, 27-40)
+const MODE = Object.freeze({
+    NUMERIC: Object.freeze({ name: 'numeric', indicator: 0x1, charCountBits: [10, 12, 14] }),
+    ALPHANUMERIC: Object.freeze({ name: 'alphanumeric', indicator: 0x2, charCountBits: [9, 11, 13] }),
+    BYTE: Object.freeze({ name: 'byte', indicator: 0x4, charCountBits: [8, 16, 16] }),
+    KANJI: Object.freeze({ name: 'kanji', indicator: 0x8, charCountBits: [8, 10, 12] }),
+    // Cabeçalhos sem contador: índice, total e paridade da sequência; designador ECI
+    STRUCTURED_APPEND: Object.freeze({ name: 'structuredAppend', indicator: 0x3, charCountBits: [0, 0, 0] }),
+    ECI: Object.freeze({ name: 'eci', indicator: 0x7, charCountBits: [0, 0, 0] })
+});
+
+// Designador ECI de cada codificação do modo byte. Só é emitido quando há
+// caracteres fora do ASCII: os leitores costumam adivinhar a codificação
+// de bytes sem designador, mesmo que a norma indique ISO-8859-1.
+const ENCODING_ECI = Object.freeze({
+    'iso-8859-1': 3,
+    'utf-8': 26,
+    'shift-jis': 20
+});
+
+// Limite da norma para uma sequência Structured Append
+const MAX_STRUCTURED_APPEND_SYMBOLS = 16;
+
+const ALPHANUMERIC_CHARSET = '0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZ $%*+-./:';
+
+const rs = new ReedSolomon(0x11D, 256, 0);
+
+// Tabela Unicode -> Shift JIS dos caracteres de dois bytes (criada sob demanda)
+let shiftJISTable = null;
+
+function getShiftJISTable() {
+    if (shiftJISTable) return shiftJISTable;
+
+    shiftJISTable = new Map();
+    let decoder;
+    try {
+        decoder = new TextDecoder('shift_jis', { fatal: true });
+    } catch {
+        return shiftJISTable; // Sem suporte a Shift JIS: o modo Kanji e a codificação ficam indisponíveis
+    }
+
+    // Percorre os bytes iniciais em ordem crescente, então cada caractere fica
+    // com o primeiro código, que é o do modo Kanji quando existe
+    const leadBytes = [];
+    for (let lead = 0x81; lead <= 0x9F; lead++) leadBytes.push(lead);
+    for (let lead = 0xE0; lead <= 0xFC; lead++) leadBytes.push(lead);
+
+    leadBytes.forEach(lead => {
+        for (let trail = 0x40; trail <= 0xFC; trail++) {
+            if (trail === 0x7F) continue;
+            try {
+                const char = decoder.decode(new Uint8Array([lead, trail]));
+                if (char.length === 1 && !shiftJISTable.has(char)) {
+                    shiftJISTable.set(char, (lead << 8) | trail);
+                }
+            } catch {
+                // Código sem caractere atribuído
+            }
+        }
+    });
+
+    return shiftJISTable;
+}
+
+// O modo Kanji cobre os códigos Shift JIS 0x8140-0x9FFC e 0xE040-0xEBBF
+function getKanjiCode(char) {
+    const code = getShiftJISTable().get(char);
+    if (code === undefined) return null;
+    return (code >= 0x8140 && code <= 0x9FFC) || (code >= 0xE040 && code <= 0xEBBF) ? code : null;
+}
+
+class QREncoder {
+    /**
+     * Níveis de correção de erro.
+     * Os valores são os próprios bits de formato da norma, os mesmos usados
+     * pelo antigo QRCode.CorrectLevel, mantendo presets e histórico compatíveis.
+     */
+    static ErrorCorrectionLevel = Object.freeze({ L: 1, M: 0, Q: 3, H: 2 });
+
+    static SUPPORTED_LEVELS = Object.values(QREncoder.ErrorCorrectionLevel);
+
+    static MIN_VERSION = 1;
+    static MAX_VERSION = 40;
+
+    // Zona de silêncio exigida pela norma, em módulos
+    static QUIET_ZONE = 4;
+
+    static Mode = MODE;
+
+    /**
+     * Codificações do modo byte. AUTO escolhe a que gera o menor símbolo,
+     * preferindo não emitir ECI, depois ISO-8859-1, UTF-8 e Shift JIS.
+     */
+    static Encoding = Object.freeze({
+        AUTO: 'auto',
+        ISO_8859_1: 'iso-8859-1',
+        UTF_8: 'utf-8',
+        SHIFT_JIS: 'shift-jis'
+    });
+
+    /**
+     * Codifica um texto e retorna a matriz de módulos do símbolo
+     */
+    static encode(text, options = {}) {
+        const {
+            errorCorrectionLevel = QREncoder.ErrorCorrectionLevel.M,
+            optimizeSegments = true,
+            minVersion = QREncoder.MIN_VERSION,
+            maxVersion = QREncoder.MAX_VERSION,
+            mask = null, // null escolhe a máscara de menor penalidade
+            encoding = QREncoder.Encoding.AUTO,
+            structuredAppend = null // { index, total, parity } quando o símbolo faz parte de uma sequência
+        } = options;
+
+        if (typeof text !== 'string') {
+            throw new Error('QR content must be a string');
+        }
+        if (!(errorCorrectionLevel in LEVEL_TABLE_INDEX)) {
+            throw new Error(`Invalid error correction level: ${errorCorrectionLevel}`);
+        }
+        QREncoder.validateVersionRange(minVersion, maxVersion);
+        if (mask !== null && !(Number.isInteger(mask) && mask >= 0 && mask <= 7)) {
+            throw new Error(`Invalid mask pattern: ${mask}`);
+        }
+
+        const headers = structuredAppend ? [QREncoder.makeStructuredAppendHeader(structuredAppend)] : [];
+        const { segments, version, encoding: usedEncoding, eci, unsupported } = QREncoder.segmentAndChooseVersion(text, {
+            level: errorCorrectionLevel,
+            optimize: optimizeSegments,
+            minVersion,
+            maxVersion,
+            encoding,
+            headers
+        });
+        if (unsupported) {
+            throw new Error(`Content has characters not supported by ${encoding}`);
+        }
+        if (version === null) {
+            throw new Error(maxVersion < QREncoder.MAX_VERSION
+                ? 'Data too long for the selected version range'
+                : 'Data too long for QR code');
+        }
+
+        const dataCodewords = QREncoder.buildDataCodewords(
+            headers.concat(QREncoder.makeECIHeaders(eci), segments), version, errorCorrectionLevel
+        );
+        const allCodewords = QREncoder.addEccAndInterleave(dataCodewords, version, errorCorrectionLevel);
+
+        const symbol = new QRSymbol(version);
+        symbol.drawFunctionPatterns(errorCorrectionLevel);
+        symbol.drawCodewords(allCodewords);
+
+        // Calcula a penalidade de cada máscara e usa a menor, salvo se uma foi imposta
+        const penalties = [];
+        for (let candidate = 0; candidate < 8; candidate++) {
+            symbol.applyMask(candidate);
+            symbol.drawFormatBits(errorCorrectionLevel, candidate);
+            penalties.push(symbol.getPenaltyScore());
+            symbol.applyMask(candidate); // XOR desfaz a máscara
+        }
+        const chosenMask = mask ?? penalties.indexOf(Math.min(...penalties));
+        symbol.applyMask(chosenMask);
+        symbol.drawFormatBits(errorCorrectionLevel, chosenMask);
+
+        return {
+            symbology: 'qr',
+            version,
+            size: symbol.size,
+            errorCorrectionLevel,
+            mask: chosenMask,
+            penalties,
+            quietZone: QREncoder.QUIET_ZONE,
+            segments: QREncoder.describeSegments(segments),
+            encoding: usedEncoding,
+            eci,
+            structuredAppend,
+            modules: symbol.modules,
+            functionModules: symbol.isFunction
+        };
+    }
+
+    /**
+     * Divide o texto numa sequência Structured Append (até 16 símbolos)
+     * e codifica cada parte com o cabeçalho de índice, total e paridade
+     */
+    static encodeStructuredAppend(text, options = {}) {
+        const parts = QREncoder.splitStructuredAppend(text, options);
+        if (!parts) {
+            throw new Error('Data too long even for a structured append sequence');
+        }
+
+        const resolved = QREncoder.resolveEncoding(text, options);
+        const parity = QREncoder.getStructuredAppendParity(text, resolved.encoding);
+        return parts.map((part, index) => QREncoder.encode(part, {
+            ...options,
+            encoding: QREncoder.getPartEncoding(resolved, options),
+            structuredAppend: { index, total: parts.length, parity }
+        }));
+    }
+
+    /**
+     * Menor divisão do texto (2 a 16 partes de tamanho parecido, sem quebrar
+     * caracteres) em que cada parte cabe num símbolo com o cabeçalho da sequência.
+     * Retorna null se nem 16 símbolos comportarem o conteúdo.
+     */
+    static splitStructuredAppend(text, options = {}) {
+        const {
+            errorCorrectionLevel = QREncoder.ErrorCorrectionLevel.M,
+            optimizeSegments = true,
+            minVersion = QREncoder.MIN_VERSION,
+            maxVersion = QREncoder.MAX_VERSION
+        } = options;
+
+        const resolved = QREncoder.resolveEncoding(text, options);
+        if (resolved === null) return null;
+        const encoding = QREncoder.getPartEncoding(resolved, options);
+
+        const encoder = new TextEncoder();
+        const chars = [...text];
+        const weights = chars.map(char => encoder.encode(char).length);
+        const totalWeight = weights.reduce((sum, weight) => sum + weight, 0);
+        const headers = [QREncoder.makeStructuredAppendHeader({ index: 0, total: 1, parity: 0 })];
+
+        for (let total = 2; total <= Math.min(MAX_STRUCTURED_APPEND_SYMBOLS, chars.length); total++) {
+            // Distribui os caracteres pelo tamanho em bytes de cada um
+            const parts = [];
+            let start = 0;
+            let accumulated = 0;
+            for (let part = 1; part <= total; part++) {
+                let end = start;
+                const target = totalWeight * part / total;
+                while (end < chars.length && (part === total || accumulated + weights[end] / 2 <= target)) {
+                    accumulated += weights[end];
+                    end++;
+                }
+                parts.push(chars.slice(start, end).join(''));
+                start = end;
+            }
+
+            const allFit = parts.every(part => part.length > 0 && QREncoder.segmentAndChooseVersion(part, {
+                level: errorCorrectionLevel,
+                optimize: optimizeSegments,
+                minVersion,
+                maxVersion,
+                encoding,
+                headers
+            }).version !== null);
+            if (allFit) return parts;
+        }
+
+        return null;
+    }
+
+    /**
+     * Paridade da sequência: XOR de todos os bytes da mensagem completa na codificação usada
+     * (UTF-8 quando o texto não é representável nela, ex.: Kanji sem ECI em ISO-8859-1)
+     */
+    static getStructuredAppendParity(text, encoding = QREncoder.Encoding.UTF_8) {
+        const bytes = QREncoder.encodeText(text, encoding) ?? new TextEncoder().encode(text);
+        return bytes.reduce((parity, byte) => parity ^ byte, 0);
+    }
+
+    /**
+     * Codificação usada para o texto inteiro: a candidata que gera menos bits
+     * na versão máxima, ou null se nenhuma representar o texto
+     */
+    static resolveEncoding(text, options = {}) {
+        const {
+            optimizeSegments = true,
+            maxVersion = QREncoder.MAX_VERSION,
+            encoding = QREncoder.Encoding.AUTO
+        } = options;
+
+        let best = null;
+        QREncoder.getCandidateEncodings(text, encoding).forEach(candidate => {
+            const segments = optimizeSegments
+                ? QREncoder.makeOptimalSegments(text, maxVersion, candidate)
+                : QREncoder.makeSegments(text, candidate);
+            if (!segments) return;
+            const bits = QREncoder.getTotalBits(QREncoder.makeECIHeaders(candidate.eci).concat(segments), maxVersion) ?? Infinity;
+            if (!best || bits < best.bits) best = { candidate, bits };
+        });
+        return best?.candidate ?? null;
+    }
+
+    /**
+     * Opção de codificação das partes de uma sequência: a mesma codificação
+     * declarada para todas, ou a original quando a mensagem dispensa ECI
+     */
+    static getPartEncoding(resolved, options = {}) {
+        return resolved.eci === null ? (options.encoding ?? QREncoder.Encoding.AUTO) : resolved.encoding;
+    }
+
+    /**
+     * Formas de codificar o texto para uma opção, em ordem de preferência.
+     * Sem ECI, o modo byte fica restrito ao ASCII (igual em todas as
+     * codificações) e o Kanji é permitido; com ECI, o modo Kanji só é usado
+     * em Shift JIS, pois vários leitores o interpretam na codificação declarada.
+     */
+    static getCandidateEncodings(text, encoding) {
+        const plain = { encoding, eci: null, asciiOnly: true, kanji: true };
+        const declared = name => ({
+            encoding: name,
+            eci: ENCODING_ECI[name],
+            asciiOnly: false,
+            kanji: name === QREncoder.Encoding.SHIFT_JIS
+        });
+
+        if (encoding === QREncoder.Encoding.AUTO) {
+            return [{ ...plain, encoding: QREncoder.Encoding.ISO_8859_1 }, ...Object.keys(ENCODING_ECI).map(declared)];
+        }
+        if (!(encoding in ENCODING_ECI)) {
+            throw new Error(`Invalid character encoding: ${encoding}`);
+        }
+        // Uma codificação escolhida é sempre declarada se o texto tiver caracteres fora do ASCII
+        return /^[\x00-\x7F]*$/.test(text) ? [plain] : [declared(encoding)];
+    }
+
+    /**
+     * Cabeçalho ECI (lista vazia sem designador): 8, 16 ou 24 bits conforme o valor
+     */
+    static makeECIHeaders(eci) {
+        if (eci === null || eci === undefined) return [];
+
+        const bits = [];
+        if (eci < 1 << 7) {
+            QREncoder.appendBits(bits, eci, 8);
+        } else if (eci < 1 << 14) {
+            QREncoder.appendBits(bits, 0b10, 2);
+            QREncoder.appendBits(bits, eci, 14);
+        } else {
+            QREncoder.appendBits(bits, 0b110, 3);
+            QREncoder.appendBits(bits, eci, 21);
+        }
+        return [{ mode: MODE.ECI, text: '', numChars: 0, bits }];
+    }
+
+    /**
+     * Bytes do texto numa codificação, ou null se algum caractere não for representável
+     */
+    static encodeText(text, encoding) {
+        switch (encoding) {
+            case QREncoder.Encoding.UTF_8:
+                return new TextEncoder().encode(text);
+            case QREncoder.Encoding.ISO_8859_1: {
+                const bytes = [];
+                for (const char of text) {
+                    const code = char.codePointAt(0);
+                    if (code > 0xFF) return null;
+                    bytes.push(code);
+                }
+                return Uint8Array.from(bytes);
+            }
+            case QREncoder.Encoding.SHIFT_JIS: {
+                const table = getShiftJISTable();
+                const bytes = [];
+                for (const char of text) {
+                    const code = char.codePointAt(0);
+                    if (code < 0x80) {
+                        bytes.push(code);
+                    } else if (code >= 0xFF61 && code <= 0xFF9F) {
+                        bytes.push(code - 0xFF61 + 0xA1); // Katakana de meia largura
+                    } else if (table.has(char)) {
+                        const sjis = table.get(char);
+                        bytes.push(sjis >> 8, sjis & 0xFF);
+                    } else {
+                        return null;
+                    }
+                }
+                return Uint8Array.from(bytes);
+            }
+            default:
+                throw new Error(`Invalid character encoding: ${encoding}`);
+        }
+    }
+
+    /**
+     * Bytes do texto para simbologias com modo binário e ECI (Data Matrix, Aztec, PDF417):
+     * ASCII sem designador; fora dele, a codificação escolhida (no modo automático,
+     * ISO-8859-1 se possível, senão UTF-8) com o seu designador ECI.
+     * Retorna { bytes, encoding, eci }, ou null se o texto não for representável.
+     */
+    static encodeBytesWithECI(text, encoding = QREncoder.Encoding.AUTO) {
+        if (/^[\x00-\x7F]*$/.test(text)) {
+            return { bytes: QREncoder.encodeText(text, QREncoder.Encoding.ISO_8859_1), encoding, eci: null };
+        }
+
+        const names = encoding === QREncoder.Encoding.AUTO
+            ? [QREncoder.Encoding.ISO_8859_1, QREncoder.Encoding.UTF_8]
+            : [encoding];
+        for (const name of names) {
+            const bytes = QREncoder.encodeText(text, name);
+            if (bytes) return { bytes, encoding: name, eci: ENCODING_ECI[name] };
+        }
+        return null;
+    }
+
+    /**
+     * Para simbologias cujo modo byte vai sem ECI (Micro QR, rMQR), em que o leitor
+     * supõe ISO-8859-1: null se o texto cabe nela ou no modo Kanji, senão { problem, expected }
+     * com os caracteres que ficam de fora ('characters'), como no Code 128
+     */
+    static validateLatin1(text) {
+        const invalid = [...new Set([...text].filter(char => char.codePointAt(0) > 0xFF && !QREncoder.isKanji(char)))];
+        return invalid.length > 0 ? { problem: 'characters', expected: invalid.join(' ') } : null;
+    }
+
+    /**
+     * Segmentações candidatas em ISO-8859-1 (ver validateLatin1): a de modo único, se existir,
+     * e a otimizada (sempre que pedida ou quando o texto exige mais de um modo)
+     */
+    static makeLatin1Segmentations(text, optimize = true) {
+        const options = { encoding: QREncoder.Encoding.ISO_8859_1 };
+        const single = QREncoder.makeSegments(text, options);
+        const candidates = single ? [single] : [];
+        if (optimize || !single) {
+            candidates.unshift(QREncoder.makeOptimalSegments(text, QREncoder.MIN_VERSION, options));
+        }
+        return candidates;
+    }
+
+    /**
+     * Cabeçalho Structured Append: índice (4 bits), total - 1 (4 bits) e paridade (8 bits)
+     */
+    static makeStructuredAppendHeader({ index, total, parity }) {
+        if (!(total >= 1 && total <= MAX_STRUCTURED_APPEND_SYMBOLS && index >= 0 && index < total)) {
+            throw new Error(`Invalid structured append position: ${index + 1}/${total}`);
+        }
+        const bits = [];
+        QREncoder.appendBits(bits, index, 4);
+        QREncoder.appendBits(bits, total - 1, 4);
+        QREncoder.appendBits(bits, parity, 8);
+        return { mode: MODE.STRUCTURED_APPEND, text: '', numChars: 0, bits };
+    }
+
+    /**
+     * Calcula quanto da capacidade o texto ocupa, a partir do tamanho real em bits.
+     * Retorna a menor versão da faixa que comporta os dados (ou null se nenhuma
+     * comportar) e o percentual ocupado nessa versão (ou na versão máxima da faixa).
+     */
+    static getCapacity(text, options = {}) {
+        const {
+            errorCorrectionLevel = QREncoder.ErrorCorrectionLevel.M,
+            optimizeSegments = true,
+            minVersion = QREncoder.MIN_VERSION,
+            maxVersion = QREncoder.MAX_VERSION,
+            encoding = QREncoder.Encoding.AUTO,
+            structuredAppend = false // permite dividir o conteúdo numa sequência de símbolos
+        } = options;
+
+        QREncoder.validateVersionRange(minVersion, maxVersion);
+        const { segments, version, encoding: usedEncoding, eci, unsupported } = QREncoder.segmentAndChooseVersion(text, {
+            level: errorCorrectionLevel,
+            optimize: optimizeSegments,
+            minVersion,
+            maxVersion,
+            encoding
+        });
+        const capacityBits = QREncoder.getNumDataCodewords(version ?? maxVersion, errorCorrectionLevel) * 8;
+
+        if (unsupported) {
+            // Nenhum bit é calculado: o conteúdo não pode ser codificado assim
+            return {
+                fits: false,
+                version: null,
+                maxVersion,
+                usedBits: 0,
+                capacityBits,
+                percent: 0,
+                segments: [],
+                encoding,
+                eci: null,
+                unsupportedEncoding: encoding,
+                symbols: 1
+            };
+        }
+
+        if (version === null && structuredAppend) {
+            const parts = QREncoder.splitStructuredAppend(text, options);
+            if (parts) {
+                // Informa a ocupação da parte que exige a maior versão
+                const partEncoding = QREncoder.getPartEncoding(QREncoder.resolveEncoding(text, options), options);
+                const capacities = parts.map(part => QREncoder.getCapacity(part, {
+                    ...options,
+                    encoding: partEncoding,
+                    structuredAppend: false
+                }));
+                const largest = capacities.reduce((a, b) => (b.version > a.version ? b : a));
+                return { ...largest, segments: QREncoder.describeSegments(segments), symbols: parts.length };
+            }
+        }
+
+        const referenceVersion = version ?? maxVersion;
+        const allSegments = QREncoder.makeECIHeaders(eci).concat(segments);
+        // Se um contador estourar, estima pelo maior contador possível
+        const usedBits = QREncoder.getTotalBits(allSegments, referenceVersion) ??
+            allSegments.reduce((total, segment) => total + 4 + segment.mode.charCountBits[2] + segment.bits.length, 0);
+
+        return {
+            fits: version !== null,
+            version,
+            maxVersion,
+            usedBits,
+            capacityBits,
+            percent: Math.round(usedBits / capacityBits * 1000) / 10,
+            segments: QREncoder.describeSegments(segments),
+            encoding: usedEncoding,
+            eci,
+            symbols: 1
+        };
+    }
+
+    /**
+     * Resumo dos segmentos usados (modo, texto e número de caracteres)
+     */
+    static describeSegments(segments) {
+        return segments.map(({ mode, text, numChars }) => ({ mode: mode.name, text, numChars }));
+    }
+
+    /**
+     * Segmenta o texto e escolhe a menor versão que o comporta, testando cada
+     * codificação candidata (empate na versão: menos bits, depois a ordem de preferência).
+     * Retorna { segments, version, encoding, eci }, com `unsupported` quando
+     * nenhuma codificação representa o texto.
+     */
+    static segmentAndChooseVersion(text, options = {}) {
+        const { encoding = QREncoder.Encoding.AUTO, headers = [] } = options;
+
+        let best = null;
+        QREncoder.getCandidateEncodings(text, encoding).forEach(candidate => {
+            const allHeaders = headers.concat(QREncoder.makeECIHeaders(candidate.eci));
+            const result = QREncoder.segmentWithEncoding(text, { ...options, candidate, headers: allHeaders });
+            if (!result) return;
+
+            const rank = result.version ?? Infinity;
+            const bits = QREncoder.getTotalBits(allHeaders.concat(result.segments),
+                result.version ?? options.maxVersion ?? QREncoder.MAX_VERSION) ?? Infinity;
+            if (!best || rank < best.rank || (rank === best.rank && bits < best.bits)) {
+                best = { ...result, candidate, rank, bits };
+            }
+        });
+
+        if (!best) {
+            return { segments: [], version: null, encoding, eci: null, unsupported: true };
+        }
+        const { segments, version, candidate } = best;
+        return { segments, version, encoding: candidate.encoding, eci: candidate.eci };
+    }
+
+    /**
+     * Segmentação e menor versão para uma das formas de codificação
+     * (ver getCandidateEncodings), ou null se algum caractere não for representável.
+     * Com otimização, a segmentação é refeita a cada faixa de versões,
+     * pois o tamanho dos contadores de caracteres muda entre elas.
+     */
+    static segmentWithEncoding(text, options = {}) {
+        const {
+            level = QREncoder.ErrorCorrectionLevel.M,
+            optimize = true,
+            minVersion = QREncoder.MIN_VERSION,
+            maxVersion = QREncoder.MAX_VERSION,
+            candidate = {},
+            headers = [] // Segmentos sem dados (Structured Append, ECI) que antecedem o conteúdo
+        } = options;
+
+        if (!optimize) {
+            const segments = QREncoder.makeSegments(text, candidate);
+            if (!segments) return null;
+            return {
+                segments,
+                version: QREncoder.chooseVersion(headers.concat(segments), level, minVersion, maxVersion)
+            };
+        }
+
+        let segments = [];
+        for (let version = minVersion; version <= maxVersion; version++) {
+            if (version === minVersion || version === 10 || version === 27) {
+                segments = QREncoder.makeOptimalSegments(text, version, candidate);
+                if (!segments) return null;
+            }
+            const dataBits = QREncoder.getTotalBits(headers.concat(segments), version);
+            if (dataBits !== null && dataBits <= QREncoder.getNumDataCodewords(version, level) * 8) {
+                return { segments, version };
+            }
+        }
+        return { segments, version: null };
+    }
+
+    /**
+     * Divide o texto em segmentos numéricos, alfanuméricos, byte e Kanji
+     * minimizando o total de bits para uma versão (programação dinâmica).
+     * Os custos são medidos em sextos de bit para representar os modos
+     * numérico (10/3 bits por caractere) e alfanumérico (11/2) com inteiros.
+     * `asciiOnly` restringe o modo byte ao ASCII e `kanji` libera o modo Kanji.
+     * Retorna null se um caractere não couber em nenhum modo.
+     */
+    static makeOptimalSegments(text, version, options = {}) {
+        const { encoding = QREncoder.Encoding.UTF_8, asciiOnly = false, kanji = true } = options;
+        const chars = [...text];
+        if (chars.length === 0) return [];
+
+        const modes = [MODE.BYTE, MODE.ALPHANUMERIC, MODE.NUMERIC, MODE.KANJI];
+        const headCosts = modes.map(mode => (4 + QREncoder.getCharCountBits(mode, version)) * 6);
+
+        // charModes[i][j]: modo em que o caractere i é codificado quando o estado após ele é j
+        const charModes = [];
+        let previousCosts = headCosts.slice();
+
+        for (let i = 0; i < chars.length; i++) {
+            const char = chars[i];
+            const costs = new Array(modes.length).fill(Infinity);
+            const choices = new Array(modes.length).fill(null);
+
+            const bytes = asciiOnly && char.codePointAt(0) > 0x7F ? null : QREncoder.encodeText(char, encoding);
+            if (bytes) {
+                costs[0] = previousCosts[0] + bytes.length * 8 * 6;
+                choices[0] = MODE.BYTE;
+            }
+            if (ALPHANUMERIC_CHARSET.includes(char)) {
+                costs[1] = previousCosts[1] + 33;
+                choices[1] = MODE.ALPHANUMERIC;
+            }
+            if (char >= '0' && char <= '9') {
+                costs[2] = previousCosts[2] + 20;
+                choices[2] = MODE.NUMERIC;
+            }
+            if (kanji && getKanjiCode(char) !== null) {
+                costs[3] = previousCosts[3] + 78;
+                choices[3] = MODE.KANJI;
+            }
+
+            // Troca de modo: fecha o segmento atual (arredondado para bits inteiros) e abre outro
+            const encodedCosts = costs.slice();
+            for (let to = 0; to < modes.length; to++) {
+                for (let from = 0; from < modes.length; from++) {
+                    if (encodedCosts[from] === Infinity) continue;
+                    const cost = Math.ceil(encodedCosts[from] / 6) * 6 + headCosts[to];
+                    if (cost < costs[to]) {
+                        costs[to] = cost;
+                        choices[to] = modes[from];
+                    }
+                }
+            }
+
+            if (costs.every(cost => cost === Infinity)) return null;
+            charModes[i] = choices;
+            previousCosts = costs;
+        }
+
+        // Escolhe o estado final mais barato e reconstrói os modos de trás para frente
+        let state = 0;
+        previousCosts.forEach((cost, j) => {
+            if (cost < previousCosts[state]) state = j;
+        });
+        const result = new Array(chars.length);
+        for (let i = chars.length - 1; i >= 0; i--) {
+            const mode = charModes[i][state];
+            result[i] = mode;
+            state = modes.indexOf(mode);
+        }
+
+        // Agrupa caracteres consecutivos do mesmo modo em segmentos
+        const segments = [];
+        let start = 0;
+        for (let i = 1; i <= chars.length; i++) {
+            if (i === chars.length || result[i] !== result[start]) {
+                segments.push(QREncoder.makeSegment(chars.slice(start, i).join(''), result[start], encoding));
+                start = i;
+            }
+        }
+        return segments;
+    }
+
+    /**
+     * Cria um segmento no modo informado
+     */
+    static makeSegment(text, mode, encoding = QREncoder.Encoding.UTF_8) {
+        switch (mode) {
+            case MODE.NUMERIC: return QREncoder.makeNumericSegment(text);
+            case MODE.ALPHANUMERIC: return QREncoder.makeAlphanumericSegment(text);
+            case MODE.KANJI: return QREncoder.makeKanjiSegment(text);
+            default: return QREncoder.makeByteSegment(text, encoding);
+        }
+    }
+
+    /**
+     * Valida uma faixa de versões (1 a 40, mínima <= máxima)
+     */
+    static validateVersionRange(minVersion, maxVersion) {
+        const isValid = version => Number.isInteger(version) &&
+            version >= QREncoder.MIN_VERSION && version <= QREncoder.MAX_VERSION;
+        if (!isValid(minVersion) || !isValid(maxVersion) || minVersion > maxVersion) {
+            throw new Error(`Invalid version range: ${minVersion}-${maxVersion}`);
+        }
+    }
+
+    /**
+     * Menor versão da faixa em que os segmentos cabem, ou null se não couberem
+     */
+    static chooseVersion(segments, level,
+        minVersion = QREncoder.MIN_VERSION, maxVersion = QREncoder.MAX_VERSION) {
+        for (let version = minVersion; version <= maxVersion; version++) {
+            const capacityBits = QREncoder.getNumDataCodewords(version, level) * 8;
+            const dataBits = QREncoder.getTotalBits(segments, version);
+            if (dataBits !== null && dataBits <= capacityBits) {
+                return version;
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Segmento único, no modo mais compacto que aceita todo o conteúdo
+     * (null se o texto não for representável; opções como em makeOptimalSegments)
+     */
+    static makeSegments(text, options = {}) {
+        const { encoding = QREncoder.Encoding.UTF_8, asciiOnly = false, kanji = true } = options;
+        if (text === '') return [];
+        if (/^[0-9]*$/.test(text)) return [QREncoder.makeNumericSegment(text)];
+        if (QREncoder.isAlphanumeric(text)) return [QREncoder.makeAlphanumericSegment(text)];
+        if (kanji && QREncoder.isKanji(text)) return [QREncoder.makeKanjiSegment(text)];
+        if ((asciiOnly && /[^\x00-\x7F]/.test(text)) || !QREncoder.encodeText(text, encoding)) return null;
+        return [QREncoder.makeByteSegment(text, encoding)];
+    }
+
+    static isAlphanumeric(text) {
+        return [...text].every(char => ALPHANUMERIC_CHARSET.includes(char));
+    }
+
+    static isKanji(text) {
+        return [...text].every(char => getKanjiCode(char) !== null);
+    }
+
+    /**
+     * Segmento numérico: grupos de 3 dígitos em 10 bits
+     */
+    static makeNumericSegment(digits) {
+        const bits = [];
+        for (let i = 0; i < digits.length; i += 3) {
+            const group = digits.substring(i, i + 3);
+            QREncoder.appendBits(bits, parseInt(group, 10), group.length * 3 + 1);
+        }
+        return { mode: MODE.NUMERIC, text: digits, numChars: digits.length, bits };
+    }
+
+    /**
+     * Segmento alfanumérico: pares de caracteres em 11 bits
+     */
+    static makeAlphanumericSegment(text) {
+        const bits = [];
+        let i;
+        for (i = 0; i + 2 <= text.length; i += 2) {
+            const value = ALPHANUMERIC_CHARSET.indexOf(text[i]) * 45 + ALPHANUMERIC_CHARSET.indexOf(text[i + 1]);
+            QREncoder.appendBits(bits, value, 11);
+        }
+        if (i < text.length) {
+            QREncoder.appendBits(bits, ALPHANUMERIC_CHARSET.indexOf(text[i]), 6);
+        }
+        return { mode: MODE.ALPHANUMERIC, text, numChars: text.length, bits };
+    }
+
+    /**
+     * Segmento Kanji: cada caractere Shift JIS compactado em 13 bits
+     */
+    static makeKanjiSegment(text) {
+        const bits = [];
+        const chars = [...text];
+        chars.forEach(char => {
+            const code = getKanjiCode(char);
+            const offset = code - (code <= 0x9FFC ? 0x8140 : 0xC140);
+            QREncoder.appendBits(bits, (offset >> 8) * 0xC0 + (offset & 0xFF), 13);
+        });
+        return { mode: MODE.KANJI, text, numChars: chars.length, bits };
+    }
+
+    /**
+     * Cria um segmento em modo byte com o texto na codificação informada
+     */
+    static makeByteSegment(text, encoding = QREncoder.Encoding.UTF_8) {
+        const bytes = QREncoder.encodeText(text, encoding);
+        if (!bytes) {
+            throw new Error(`Content has characters not supported by ${encoding}`);
+        }
+        const bits = [];
+        bytes.forEach(byte => QREncoder.appendBits(bits, byte, 8));
+        return { mode: MODE.BYTE, text, numChars: bytes.length, bits };
+    }
+
+    /**
+     * Calcula o total de bits dos segmentos numa versão, ou null se um contador estourar
+     */
+    static getTotalBits(segments, version) {
+        let total = 0;
+        for (const segment of segments) {
+            const countBits = QREncoder.getCharCountBits(segment.mode, version);
+            if (segment.numChars >= (1 << countBits)) return null;
+            total += 4 + countBits + segment.bits.length;
+        }
+        return total;
+    }
+
+    /**
+     * Número de bits do contador de caracteres para um modo e versão
+     */
+    static getCharCountBits(mode, version) {
+        return mode.charCountBits[Math.floor((version + 7) / 17)];
+    }
+
+    /**
+     * Monta os codewords de dados com terminador e preenchimento
+     */
+    static buildDataCodewords(segments, version, level) {
+        const capacityBits = QREncoder.getNumDataCodewords(version, level) * 8;
+        const bits = [];
+
+        segments.forEach(segment => {
+            QREncoder.appendBits(bits, segment.mode.indicator, 4);
+            QREncoder.appendBits(bits, segment.numChars, QREncoder.getCharCountBits(segment.mode, version));
+            bits.push(...segment.bits);
+        });
+
+        // Terminador e alinhamento ao byte
+        QREncoder.appendBits(bits, 0, Math.min(4, capacityBits - bits.length));
+        QREncoder.appendBits(bits, 0, (8 - bits.length % 8) % 8);
+
+        // Bytes de preenchimento alternados
+        for (let pad = 0xEC; bits.length < capacityBits; pad ^= 0xEC ^ 0x11) {
+            QREncoder.appendBits(bits, pad, 8);
+        }
+
+        const codewords = new Array(bits.length / 8).fill(0);
+        bits.forEach((bit, i) => {
+            codewords[i >>> 3] |= bit << (7 - (i & 7));
+        });
+        return codewords;
+    }
+
+    /**
+     * Divide os dados em blocos, calcula a correção de erro e intercala tudo
+     */
+    static addEccAndInterleave(data, version, level) {
+        const tableIndex = LEVEL_TABLE_INDEX[level];
+        const numBlocks = NUM_ERROR_CORRECTION_BLOCKS[tableIndex][version];
+        const blockEccLength = ECC_CODEWORDS_PER_BLOCK[tableIndex][version];
+        const rawCodewords = Math.floor(QREncoder.getNumRawDataModules(version) / 8);
+        const numShortBlocks = numBlocks - rawCodewords % numBlocks;
+        const shortBlockLength = Math.floor(rawCodewords / numBlocks);
+
+        const blocks = [];
+        for (let i = 0, offset = 0; i < numBlocks; i++) {
+            const blockData = data.slice(offset, offset + shortBlockLength - blockEccLength + (i < numShortBlocks ? 0 : 1));
+            offset += blockData.length;
+            const ecc = rs.encode(blockData, blockEccLength);
+            if (i < numShortBlocks) blockData.push(0);
+            blocks.push(blockData.concat(ecc));
+        }
+
+        const result = [];
+        for (let i = 0; i < blocks[0].length; i++) {
+            blocks.forEach((block, j) => {
+                // Ignora a posição de preenchimento dos blocos curtos
+                if (i !== shortBlockLength - blockEccLength || j >= numShortBlocks) {
+                    result.push(block[i]);
+                }
+            });
+        }
+        return result;
+    }
+
+    /**
+     * Onde cada codeword fica no símbolo e de qual bloco de correção ele é.
+     * Retorna { codewords: [y][x] com o índice do codeword (-1 nos padrões fixos e nos bits
+     * restantes), blocks: bloco de cada codeword, correctable: erros corrigíveis por bloco }
+     */
+    static getCodewordLayout(version, level) {
+        const tableIndex = LEVEL_TABLE_INDEX[level];
+        const numBlocks = NUM_ERROR_CORRECTION_BLOCKS[tableIndex][version];
+        const blockEccLength = ECC_CODEWORDS_PER_BLOCK[tableIndex][version];
+        const rawCodewords = Math.floor(QREncoder.getNumRawDataModules(version) / 8);
+        const numShortBlocks = numBlocks - rawCodewords % numBlocks;
+        const shortBlockLength = Math.floor(rawCodewords / numBlocks);
+
+        // Mesma ordem de intercalação de addEccAndInterleave
+        const blocks = [];
+        for (let i = 0; i <= shortBlockLength; i++) {
+            for (let j = 0; j < numBlocks; j++) {
+                if (i !== shortBlockLength - blockEccLength || j >= numShortBlocks) {
+                    blocks.push(j);
+                }
+            }
+        }
+
+        const symbol = new QRSymbol(version);
+        symbol.drawFunctionPatterns(level);
+        const codewords = Array.from({ length: symbol.size }, () => new Array(symbol.size).fill(-1));
+        let bit = 0;
+        for (const [x, y] of symbol.dataPositions()) {
+            if (bit >= rawCodewords * 8) break;
+            codewords[y][x] = bit >>> 3;
+            bit++;
+        }
+
+        return {
+            codewords,
+            blocks: blocks.slice(0, rawCodewords),
+            correctable: new Array(numBlocks).fill(Math.floor(blockEccLength / 2))
+        };
+    }
+
+    /**
+     * Número de módulos disponíveis para dados e correção numa versão
+     */
+    static getNumRawDataModules(version) {
+        let result = (16 * version + 128) * version + 64;
+        if (version >= 2) {
+            const numAlign = Math.floor(version / 7) + 2;
+            result -= (25 * numAlign - 10) * numAlign - 55;
+            if (version >= 7) result -= 36;
+        }
+        return result;
+    }
+
+    /**
+     * Número de codewords de dados (sem correção) numa versão e nível
+     */
+    static getNumDataCodewords(version, level) {
+        const tableIndex = LEVEL_TABLE_INDEX[level];
+        return Math.floor(QREncoder.getNumRawDataModules(version) / 8) -
+            ECC_CODEWORDS_PER_BLOCK[tableIndex][version] * NUM_ERROR_CORRECTION_BLOCKS[tableIndex][version];
+    }
+
+    /**
+     * Acrescenta os bits menos significativos de um valor (MSB primeiro)
+     */
+    static appendBits(bits, value, length) {
+        for (let i = length - 1; i >= 0; i--) {
+            bits.push((value >>> i) & 1);
+        }
+    }
+}
+
+/**
+ * Matriz de módulos de um símbolo em construção
+ */
+class QRSymbol {
+    constructor(version) {
+        this.version = version;
+        this.size = version * 4 + 17;
+        this.modules = Array.from({ length: this.size }, () => new Array(this.size).fill(false));
+        this.isFunction = Array.from({ length: this.size }, () => new Array(this.size).fill(false));
+    }
+
+    setFunctionModule(x, y, dark) {
+        this.modules[y][x] = dark;
+        this.isFunction[y][x] = true;
+    }
+
+    /**
+     * Desenha padrões localizadores, de tempo, de alinhamento e áreas reservadas
+     */
+    drawFunctionPatterns(level) {
+        for (let i = 0; i < this.size; i++) {
+            this.setFunctionModule(6, i, i % 2 === 0);
+            this.setFunctionModule(i, 6, i % 2 === 0);
+        }
+
+        this.drawFinderPattern(3, 3);
+        this.drawFinderPattern(this.size - 4, 3);
+        this.drawFinderPattern(3, this.size - 4);
+
+        const positions = this.getAlignmentPatternPositions();
+        const last = positions.length - 1;
+        positions.forEach((x, i) => {
+            positions.forEach((y, j) => {
+                // Não sobrepõe os localizadores
+                if (!((i === 0 && j === 0) || (i === 0 && j === last) || (i === last && j === 0))) {
+                    this.drawAlignmentPattern(x, y);
+                }
+            });
+        });
+
+        // Reserva a área de formato (sobrescrita após escolher a máscara)
+        this.drawFormatBits(level, 0);
+        this.drawVersion();
+    }
+
+    drawFinderPattern(cx, cy) {
+        for (let dy = -4; dy <= 4; dy++) {
+            for (let dx = -4; dx <= 4; dx++) {
+                const x = cx + dx;
+                const y = cy + dy;
+                if (x >= 0 && x < this.size && y >= 0 && y < this.size) {
+                    const distance = Math.max(Math.abs(dx), Math.abs(dy));
+                    this.setFunctionModule(x, y, distance !== 2 && distance !== 4);
+                }
+            }
+        }
+    }
+
+    drawAlignmentPattern(cx, cy) {
+        for (let dy = -2; dy <= 2; dy++) {
+            for (let dx = -2; dx <= 2; dx++) {
+                this.setFunctionModule(cx + dx, cy + dy, Math.max(Math.abs(dx), Math.abs(dy)) !== 1);
+            }
+        }
+    }
+
+    getAlignmentPatternPositions() {
+        if (this.version === 1) return [];
+        const numAlign = Math.floor(this.version / 7) + 2;
+        const step = this.version === 32 ? 26 :
+            Math.ceil((this.version * 4 + 4) / (numAlign * 2 - 2)) * 2;
+        const result = [6];
+        for (let pos = this.size - 7; result.length < numAlign; pos -= step) {
+            result.splice(1, 0, pos);
+        }
+        return result;
+    }
+
+    /**
+     * Desenha as duas cópias dos 15 bits de formato (nível + máscara, BCH)
+     */
+    drawFormatBits(level, mask) {
+        const data = (level << 3) | mask;
+        let remainder = data;
+        for (let i = 0; i < 10; i++) {
+            remainder = (remainder << 1) ^ ((remainder >>> 9) * 0x537);
+        }
+        const bits = ((data << 10) | remainder) ^ 0x5412;
+        const bit = i => ((bits >>> i) & 1) !== 0;
+
+        for (let i = 0; i <= 5; i++) this.setFunctionModule(8, i, bit(i));
+        this.setFunctionModule(8, 7, bit(6));
+        this.setFunctionModule(8, 8, bit(7));
+        this.setFunctionModule(7, 8, bit(8));
+        for (let i = 9; i < 15; i++) this.setFunctionModule(14 - i, 8, bit(i));
+
+        for (let i = 0; i < 8; i++) this.setFunctionModule(this.size - 1 - i, 8, bit(i));
+        for (let i = 8; i < 15; i++) this.setFunctionModule(8, this.size - 15 + i, bit(i));
+        this.setFunctionModule(8, this.size - 8, true); // Módulo escuro fixo
+    }
+
+    /**
+     * Desenha as duas cópias dos 18 bits de versão (versões 7 ou mais)
+     */
+    drawVersion() {
+        if (this.version < 7) return;
+
+        let remainder = this.version;
+        for (let i = 0; i < 12; i++) {
+            remainder = (remainder << 1) ^ ((remainder >>> 11) * 0x1F25);
+        }
+        const bits = (this.version << 12) | remainder;
+
+        for (let i = 0; i < 18; i++) {
+            const dark = ((bits >>> i) & 1) !== 0;
+            const a = this.size - 11 + i % 3;
+            const b = Math.floor(i / 3);
+            this.setFunctionModule(a, b, dark);
+            this.setFunctionModule(b, a, dark);
+        }
+    }
+
+    /**
+     * Posiciona os codewords em zigue-zague nas colunas duplas
+     */
+    drawCodewords(codewords) {
+        let i = 0;
+        const totalBits = codewords.length * 8;
+        for (const [x, y] of this.dataPositions()) {
+            if (i >= totalBits) break;
+            this.modules[y][x] = ((codewords[i >>> 3] >>> (7 - (i & 7))) & 1) !== 0;
+            i++;
+        }
+    }
+
+    /**
+     * Módulos de dados [x, y] na ordem de leitura dos bits
+     */
+    *dataPositions() {
+        for (let right = this.size - 1; right >= 1; right -= 2) {
+            if (right === 6) right = 5; // Pula a coluna do padrão de tempo
+            for (let vert = 0; vert < this.size; vert++) {
+                for (let j = 0; j < 2; j++) {
+                    const x = right - j;
+                    const upward = ((right + 1) & 2) === 0;
+                    const y = upward ? this.size - 1 - vert : vert;
+                    if (!this.isFunction[y][x]) yield [x, y];
+                }
+            }
+        }
+    }
+
+    /**
+     * Aplica (ou desfaz, por XOR) um dos 8 padrões de máscara aos módulos de dados
+     */
+    applyMask(mask) {
+        for (let y = 0; y < this.size; y++) {
+            for (let x = 0; x < this.size; x++) {
+                if (!this.isFunction[y][x] && QRSymbol.maskCondition(mask, x, y)) {
+                    this.modules[y][x] = !this.modules[y][x];
+                }
+            }
+        }
+    }
+
+    static maskCondition(mask, x, y) {
+        switch (mask) {
+            case 0: return (x + y) % 2 === 0;
+            case 1: return y % 2 === 0;
+            case 2: return x % 3 === 0;
+            case 3: return (x + y) % 3 === 0;
+            case 4: return (Math.floor(x / 3) + Math.floor(y / 2)) % 2 === 0;
+            case 5: return (x * y) % 2 + (x * y) % 3 === 0;
+            case 6: return ((x * y) % 2 + (x * y) % 3) % 2 === 0;
+            case 7: return ((x + y) % 2 + (x * y) % 3) % 2 === 0;
+            default: throw new Error(`Invalid mask pattern: ${mask}`);
+        }
+    }
+
+    /**
+     * Calcula a penalidade da norma (regras N1 a N4) para o estado atual
+     */
+    getPenaltyScore() {
+        const size = this.size;
+        const get = (x, y, vertical) => (vertical ? this.modules[x][y] : this.modules[y][x]);
+        let penalty = 0;
+
+        for (const vertical of [false, true]) {
+            for (let y = 0; y < size; y++) {
+                // N1: sequências de 5 ou mais módulos da mesma cor
+                let runLength = 1;
+                for (let x = 1; x <= size; x++) {
+                    if (x < size && get(x, y, vertical) === get(x - 1, y, vertical)) {
+                        runLength++;
+                    } else {
+                        if (runLength >= 5) penalty += 3 + (runLength - 5);
+                        runLength = 1;
+                    }
+                }
+
+                // N3: padrão 1:1:3:1:1 com 4 módulos claros de um dos lados
+                for (let x = 0; x + 10 < size; x++) {
+                    const core = get(x + 4, y, vertical) && !get(x + 5, y, vertical) &&
+                        get(x + 6, y, vertical) && get(x + 7, y, vertical) &&
+                        get(x + 8, y, vertical) && !get(x + 9, y, vertical) && get(x + 10, y, vertical);
+                    const before = !get(x, y, vertical) && !get(x + 1, y, vertical) &&
+                        !get(x + 2, y, vertical) && !get(x + 3, y, vertical);
+                    if (core && before) penalty += 40;
+
+                    const coreAhead = get(x, y, vertical) && !get(x + 1, y, vertical) &&
+                        get(x + 2, y, vertical) && get(x + 3, y, vertical) &&
+                        get(x + 4, y, vertical) && !get(x + 5, y, vertical) && get(x + 6, y, vertical);
+                    const after = !get(x + 7, y, vertical) && !get(x + 8, y, vertical) &&
+                        !get(x + 9, y, vertical) && !get(x + 10, y, vertical);
+                    if (coreAhead && after) penalty += 40;
+                }
+            }
+        }
+
+        // N2: blocos 2x2 da mesma cor
+        for (let y = 0; y < size - 1; y++) {
+            for (let x = 0; x < size - 1; x++) {
+                const color = this.modules[y][x];
+                if (color === this.modules[y][x + 1] &&
+                    color === this.modules[y + 1][x] &&
+                    color === this.modules[y + 1][x + 1]) {
+                    penalty += 3;
+                }
+            }
+        }
+
+        // N4: proporção de módulos escuros
+        let dark = 0;
+        this.modules.forEach(row => row.forEach(module => { if (module) dark++; }));
+        const total = size * size;
+        penalty += Math.floor(Math.abs(dark * 20 - total * 10) / total) * 10;
+
+        return penalty;
+    }
+}
+
+export { QREncoder };
@@ -0,0 +1,55 @@
+/**
+ * QR Generation Error Module
+ * Erro tipado da geração e renderização de QR Codes
+ */
+class QRGenerationError extends Error {
+    /**
+     * Códigos de erro (propriedade `code`)
+     */
+    static Code = Object.freeze({
+        INVALID_CONTENT: 'INVALID_CONTENT',
+        CAPACITY_EXCEEDED: 'CAPACITY_EXCEEDED',
+        UNSUPPORTED_ENCODING: 'UNSUPPORTED_ENCODING',
+        LOGO_TOO_LARGE: 'LOGO_TOO_LARGE', // O logo cobre mais do que a correção de erro recupera
+        HALFTONE_UNREADABLE: 'HALFTONE_UNREADABLE', // O QR Code sobre a foto não passa na verificação de leitura
+        ENCODING_FAILED: 'ENCODING_FAILED',
+        RENDER_FAILED: 'RENDER_FAILED',
+        CANCELLED: 'CANCELLED' // Substituída por uma geração mais recente ou abortada pelo chamador
+    });
+
+    /**
+     * `userMessage` é a mensagem em português exibida pelo ErrorHandler;
+     * `details` guarda dados do erro (ex.: a capacidade calculada)
+     */
+    constructor(code, message, { userMessage = null, details = null, cause } = {}) {
+        super(message, cause === undefined ? undefined : { cause });
+        this.name = 'QRGenerationError';
+        this.code = code;
+        this.userMessage = userMessage;
+        this.details = details;
+    }
+
+    /**
+     * Erro de cancelamento de uma renderização obsoleta
+     */
+    static cancelled() {
+        return new QRGenerationError(QRGenerationError.Code.CANCELLED, 'QR generation cancelled');
+    }
+
+    /**
+     * Indica se o erro é só o cancelamento de uma renderização obsoleta
+     */
+    static isCancellation(error) {
+        return error instanceof QRGenerationError && error.code === QRGenerationError.Code.CANCELLED;
+    }
+
+    /**
+     * Converte qualquer erro num QRGenerationError, mantendo o original em `cause`
+     */
+    static from(error, code) {
+        if (error instanceof QRGenerationError) return error;
+        return new QRGenerationError(code, error?.message || String(error), { cause: error });
+    }
+}
+
+export { QRGenerationError };
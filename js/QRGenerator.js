@@ -1,20 +1,68 @@
 /**
  * QR Code Generator Core Module
- * Handles QR code generation using QRCode.js library
+ * Handles QR code generation using the built-in QREncoder
  */
+import { QREncoder } from './QREncoder.js';
+import { Symbology } from './Symbology.js';
+import { CanvasRenderer } from './CanvasRenderer.js';
+import { SVGRenderer } from './SVGRenderer.js';
+import { TextRenderer } from './TextRenderer.js';
+import { PDFRenderer } from './PDFRenderer.js';
+import { EPSRenderer } from './EPSRenderer.js';
+import { CodeFrame } from './CodeFrame.js';
+import { ColorFill } from './ColorFill.js';
+import { Halftone } from './Halftone.js';
+import { LogoOverlay } from './LogoOverlay.js';
+import { QRGenerationError } from './QRGenerationError.js';
+import { QRWorkerClient } from './QRWorkerClient.js';
 import { Utils } from './Utils.js';
 
+// Options holding an image ({ src (data URL), width, height, name })
+const IMAGE_OPTIONS = ['logo', 'halftone'];
+
 class QRGenerator {
+    /**
+     * Available renderers, keyed by output format
+     */
+    static renderers = {
+        canvas: CanvasRenderer,
+        svg: SVGRenderer,
+        text: TextRenderer,
+        pdf: PDFRenderer,
+        eps: EPSRenderer
+    };
+
+    /**
+     * Delay in ms before a slow generation replaces the symbol with the loading state
+     */
+    static LOADING_DELAY = 200;
+
+    /**
+     * Display names of the byte mode character encodings
+     */
+    static encodingLabels = {
+        [QREncoder.Encoding.AUTO]: 'Automática',
+        [QREncoder.Encoding.ISO_8859_1]: 'ISO-8859-1',
+        [QREncoder.Encoding.UTF_8]: 'UTF-8',
+        [QREncoder.Encoding.SHIFT_JIS]: 'Shift JIS'
+    };
+
+    static getEncodingLabel(encoding) {
+        return QRGenerator.encodingLabels[encoding] || encoding;
+    }
+
     constructor(containerId, options = {}) {
         this.containerId = containerId;
         this.container = document.getElementById(containerId);
         this.errorHandler = null;
         this.currentQRCode = null;
-        
-        // Check if QRCode library is available
-        if (typeof QRCode === 'undefined') {
-            throw new Error('QRCode library not loaded');
-        }
+        this.currentMatrices = [];
+        this.generationId = 0; // Incremented by every generate() call to detect stale renders
+
+        // Encoding and rasterising run in a Web Worker; without worker support they run inline
+        this.workerClient = new QRWorkerClient({
+            fallback: (content, request) => QRGenerator.encodeMatrices(content, request)
+        });
         
         // Default options
         this.defaultOptions = {
@@ -22,7 +70,32 @@ class QRGenerator {
             height: 200,
             colorDark: '#000000',
             colorLight: '#ffffff',
-            correctLevel: QRCode.CorrectLevel.M
+            invert: false, // light modules on a dark background (colorLight on colorDark)
+            margin: null, // quiet zone in modules; null = the zone required by the symbology
+            symbology: 'qr',
+            correctLevel: QREncoder.ErrorCorrectionLevel.M,
+            minVersion: QREncoder.MIN_VERSION,
+            maxVersion: QREncoder.MAX_VERSION,
+            mask: null, // null = automatic (lowest penalty)
+            encoding: QREncoder.Encoding.AUTO, // byte character encoding (not used by Micro QR and rMQR)
+            contentEncoding: null, // encoding required by the content format, used when `encoding` is automatic
+            structuredAppend: false, // split long content into up to 16 linked symbols
+            rmqrHeight: null, // null = rMQR version with the smallest area
+            moduleShape: 'square', // square, dots, rounded or liquid (see ModuleShapes)
+            eyeFrameStyle: 'square', // outer ring of the finder patterns
+            eyeBallStyle: 'square', // centre of the finder patterns
+            eyeColors: null, // [top left, top right, bottom left] fills of the QR finder patterns; null entries use colorDark
+            logo: null, // { src (data URL), width, height, name } placed in the centre of QR codes
+            logoSize: 20, // longest side of the logo, in % of the symbol
+            logoPadding: 1, // plate border around the logo, in modules
+            logoPlate: LogoOverlay.Plate.SQUARE, // none, square, rounded or circle
+            halftone: null, // { src (data URL), width, height, name } photo under the modules of QR codes
+            halftoneDotSize: 40, // side of the data module dots, in % of the module
+            frame: CodeFrame.Style.NONE, // none, banner, bubble or phone (see CodeFrame)
+            frameText: 'Escaneie aqui',
+            frameFont: 'Arial, Helvetica, sans-serif',
+            frameColor: '#000000',
+            frameTextColor: '#ffffff'
         };
         
         this.options = { ...this.defaultOptions, ...options };
@@ -40,121 +113,684 @@ class QRGenerator {
     }
 
     /**
-     * Generate QR Code with given content and customization
+     * Generate QR Code with given content and customization.
+     * Resolves with the current QR data once the symbol is drawn in the container.
+     * Rejects with a QRGenerationError; its code is CANCELLED when a newer
+     * generate() call or the given AbortSignal made this one stale.
      */
-    async generate(content, customization = {}) {
-        try {
-            // Validate content
-            if (!this.validateContent(content)) {
-                throw new Error('Invalid content provided');
-            }
-
-            // Clear existing QR code
-            this.clear();
+    async generate(content, customization = {}, { signal = null } = {}) {
+        const generationId = ++this.generationId;
+        const isStale = () => Boolean(signal?.aborted) || generationId !== this.generationId;
+        let loadingTimer = null;
 
+        try {
             // Merge customization with default options
             const qrOptions = { ...this.options, ...customization };
 
-            // Show loading state
-            this.showLoadingState();
+            // Validate content
+            const contentError = this.getContentError(content, qrOptions);
+            if (contentError) {
+                throw contentError;
+            }
+
+            // Show loading state only while this generation is current and still running
+            loadingTimer = setTimeout(() => {
+                if (!isStale()) this.showLoadingState();
+            }, QRGenerator.LOADING_DELAY);
 
-            // Generate QR code
-            await this.createQRCode(content, qrOptions);
+            // Generate QR code (several symbols for a Structured Append sequence)
+            const matrices = await this.createQRCode(content, qrOptions, { isStale, signal });
+            const [firstMatrix] = matrices;
 
             // Store current QR data
+            this.currentMatrices = matrices;
             this.currentQRCode = {
                 content,
                 options: qrOptions,
+                version: firstMatrix.version,
+                segments: firstMatrix.segments,
+                symbols: matrices.length,
                 timestamp: new Date(),
                 id: Utils.generateId()
             };
 
             // Dispatch generation complete event
             this.dispatchQREvent('generated', this.currentQRCode);
+            return this.currentQRCode;
 
         } catch (error) {
-            this.showErrorState();
-            if (this.errorHandler) {
-                this.errorHandler.handleError(error, 'QR Generation');
-            } else {
-                console.error('QR Generation Error:', error);
+            const generationError = QRGenerationError.from(error, QRGenerationError.Code.ENCODING_FAILED);
+            // A stale render leaves the container to the generation that replaced it
+            if (!QRGenerationError.isCancellation(generationError)) {
+                this.showErrorState();
             }
-            throw error;
+            throw generationError;
+        } finally {
+            clearTimeout(loadingTimer);
         }
     }
 
     /**
-     * Create QR Code using QRCode.js library
+     * Create QR Code in the container using the built-in encoder.
+     * Nothing is drawn if the render became stale while encoding.
      */
-    async createQRCode(content, options) {
-        return new Promise((resolve, reject) => {
-            try {
-                // Create new QRCode instance
-                const qrCode = new QRCode(this.container, {
-                    text: content,
-                    width: options.width,
-                    height: options.height,
-                    colorDark: options.colorDark,
-                    colorLight: options.colorLight,
-                    correctLevel: options.correctLevel
-                });
+    async createQRCode(content, options, { isStale = () => false, signal = null } = {}) {
+        const { matrices, bitmaps, checks } = await this.prepareRender(content, options, signal);
+        if (isStale()) {
+            bitmaps?.forEach(bitmap => bitmap.close());
+            throw QRGenerationError.cancelled();
+        }
 
-                // QRCode.js doesn't provide a callback, so we use a timeout
-                setTimeout(() => {
-                    if (this.container.querySelector('canvas') || this.container.querySelector('img')) {
-                        resolve(qrCode);
-                    } else {
-                        reject(new Error('Failed to generate QR code'));
-                    }
-                }, 100);
+        const logoError = QRGenerator.getLogoError(matrices, options);
+        if (logoError) {
+            throw logoError;
+        }
 
-            } catch (error) {
-                reject(error);
+        const halftoneError = QRGenerator.getHalftoneError(checks);
+        if (halftoneError) {
+            throw halftoneError;
+        }
+
+        this.clear();
+        try {
+            this.renderInto(this.container, matrices, options, bitmaps);
+        } catch (error) {
+            throw QRGenerationError.from(error, QRGenerationError.Code.RENDER_FAILED);
+        }
+        return matrices;
+    }
+
+    /**
+     * Encode content and draw it on a new canvas, without touching the container
+     */
+    createCanvas(content, options) {
+        return this.renderCanvas(this.encode(content, options), options);
+    }
+
+    /**
+     * Draw one symbol, or a numbered grid for a Structured Append sequence, in a container.
+     * `bitmaps` are the symbols already rasterised by the worker, in the same order.
+     */
+    renderInto(container, matrices, options, bitmaps = null) {
+        container.innerHTML = '';
+        const draw = (matrix, index) => (bitmaps
+            ? QRGenerator.canvasFromBitmap(bitmaps[index])
+            : this.renderCanvas(matrix, options));
+
+        if (matrices.length === 1) {
+            container.appendChild(draw(matrices[0], 0));
+            return;
+        }
+
+        const grid = document.createElement('div');
+        grid.className = 'qr-grid';
+        grid.style.gridTemplateColumns = `repeat(${Math.ceil(Math.sqrt(matrices.length))}, 1fr)`;
+
+        matrices.forEach((matrix, index) => {
+            const item = document.createElement('figure');
+            item.className = 'qr-grid-item';
+            item.appendChild(draw(matrix, index));
+
+            const caption = document.createElement('figcaption');
+            caption.textContent = `${index + 1}/${matrices.length}`;
+            item.appendChild(caption);
+
+            grid.appendChild(item);
+        });
+
+        container.appendChild(grid);
+    }
+
+    /**
+     * Draw a matrix on a new canvas using the generator options
+     */
+    renderCanvas(matrix, options) {
+        return CanvasRenderer.render(matrix, QRGenerator.getCanvasOptions(matrix, options));
+    }
+
+    /**
+     * CanvasRenderer options for the generator options (shared with the worker).
+     * The width includes the quiet zone but not the frame; the height follows the symbol proportions.
+     */
+    static getCanvasOptions(matrix, options) {
+        return {
+            width: options.width,
+            ...QRGenerator.getColorOptions(options),
+            margin: QRGenerator.getMargin(matrix, options),
+            ...QRGenerator.getShapeOptions(options),
+            logo: QRGenerator.getLogoOptions(options),
+            halftone: QRGenerator.getHalftoneOptions(options),
+            frame: QRGenerator.getFrameOptions(options)
+        };
+    }
+
+    /**
+     * Colours as drawn (the invert mode swaps modules and background, see ColorFill.resolvePolarity)
+     * and the fills of the QR finder patterns
+     */
+    static getColorOptions(options) {
+        const { colorDark, colorLight } = ColorFill.resolvePolarity(options.colorDark, options.colorLight, options.invert);
+        return { colorDark, colorLight, eyeColors: options.eyeColors || null };
+    }
+
+    /**
+     * Module and eye shapes shared by every renderer
+     */
+    static getShapeOptions(options) {
+        return {
+            moduleShape: options.moduleShape,
+            eyeFrameStyle: options.eyeFrameStyle,
+            eyeBallStyle: options.eyeBallStyle
+        };
+    }
+
+    /**
+     * LogoOverlay options for the renderers, or null without a logo
+     */
+    static getLogoOptions(options) {
+        if (!options.logo) return null;
+        return {
+            logo: options.logo,
+            size: options.logoSize,
+            padding: options.logoPadding,
+            plate: options.logoPlate
+        };
+    }
+
+    /**
+     * Halftone options for the renderers, or null without a photo
+     */
+    static getHalftoneOptions(options) {
+        if (!options.halftone) return null;
+        return {
+            image: options.halftone,
+            dotSize: options.halftoneDotSize
+        };
+    }
+
+    /**
+     * Decode check of a halftone symbol: draw it at Halftone.CHECK_MODULE_SIZE pixels per
+     * module (without the frame) and read it back. `canvas` replaces the new page canvas
+     * (the worker passes an OffscreenCanvas). Returns Halftone.verify's result.
+     */
+    static checkHalftone(matrix, options, canvas = null) {
+        const margin = QRGenerator.getMargin(matrix, options);
+        const moduleSize = Halftone.CHECK_MODULE_SIZE;
+        const drawn = CanvasRenderer.render(matrix, {
+            ...QRGenerator.getCanvasOptions(matrix, options),
+            width: (matrix.modules[0].length + margin * 2) * moduleSize,
+            height: (matrix.modules.length + margin * 2) * moduleSize,
+            frame: null,
+            ...(canvas && { canvas })
+        });
+        const { data } = drawn.getContext('2d').getImageData(0, 0, drawn.width, drawn.height);
+        const offset = margin * moduleSize;
+        return Halftone.verify(data, drawn.width, matrix, { x: offset, y: offset, moduleSize });
+    }
+
+    /**
+     * Error for a halftone that fails the decode check, or null. Takes the checks
+     * prepareRender already ran (see runImageChecks), so the photo is not drawn again.
+     */
+    static getHalftoneError(checks) {
+        const blocked = checks?.halftone.find(check => check?.status === Halftone.Status.BLOCKED);
+        if (!blocked) return null;
+
+        return new QRGenerationError(QRGenerationError.Code.HALFTONE_UNREADABLE, 'Halftone symbol failed the decode check', {
+            userMessage: 'O QR Code sobre a foto não passou na verificação de leitura. Aumente os pontos ou use uma foto com menos contraste.',
+            details: blocked
+        });
+    }
+
+    /**
+     * CodeFrame options for the renderers, or null without a frame
+     */
+    static getFrameOptions(options) {
+        if (!options.frame || options.frame === CodeFrame.Style.NONE) return null;
+        return {
+            style: options.frame,
+            text: options.frameText,
+            font: options.frameFont,
+            color: options.frameColor,
+            textColor: options.frameTextColor
+        };
+    }
+
+    /**
+     * Error for a logo that covers more than the error correction can recover, or null
+     */
+    static getLogoError(matrices, options) {
+        const logoOptions = QRGenerator.getLogoOptions(options);
+        if (!logoOptions) return null;
+
+        const assessments = matrices
+            .filter(matrix => LogoOverlay.appliesTo(matrix, logoOptions))
+            .map(matrix => LogoOverlay.assess(matrix, logoOptions));
+        const blocked = assessments.find(assessment => assessment.status === LogoOverlay.Status.BLOCKED);
+        if (!blocked) return null;
+
+        const highest = matrices[0].errorCorrectionLevel === QREncoder.ErrorCorrectionLevel.H;
+        return new QRGenerationError(QRGenerationError.Code.LOGO_TOO_LARGE, 'Logo covers more than the error correction can recover', {
+            userMessage: blocked.reason === 'patterns'
+                ? 'O logo alcança os padrões de posição do QR Code. Reduza o tamanho do logo.'
+                : `O logo cobre mais do que a correção de erro consegue recuperar. Reduza o tamanho do logo ou da folga${highest ? '' : ', ou aumente o nível de correção'}.`,
+            details: blocked
+        });
+    }
+
+    /**
+     * Copy a bitmap rasterised by the worker into a new canvas element
+     */
+    static canvasFromBitmap(bitmap) {
+        const canvas = document.createElement('canvas');
+        canvas.width = bitmap.width;
+        canvas.height = bitmap.height;
+        canvas.getContext('2d').drawImage(bitmap, 0, 0);
+        bitmap.close();
+        return canvas;
+    }
+
+    /**
+     * Quiet zone in modules: the chosen margin, or the one the symbology requires
+     */
+    static getMargin(matrix, options = {}) {
+        return Number.isInteger(options.margin) && options.margin >= 0 ? options.margin : matrix.quietZone;
+    }
+
+    /**
+     * Encode content into a module matrix without rendering it.
+     * Returns { symbology, version, size (or width/height for rectangular symbols),
+     * errorCorrectionLevel, mask, quietZone, segments, modules, functionModules }
+     */
+    encode(content, options = {}) {
+        return this.getEncoder(options).encode(content, this.getEncoderOptions(options));
+    }
+
+    /**
+     * Encoder class of the selected symbology
+     */
+    getEncoder(options = {}) {
+        const { symbology } = { ...this.options, ...options };
+        return QRGenerator.getSymbologyEncoder(symbology);
+    }
+
+    static getSymbologyEncoder(symbology) {
+        return Symbology.get(symbology).encoder;
+    }
+
+    /**
+     * Encode content into one matrix, or into a Structured Append sequence
+     * when it is too long for a single symbol and splitting is enabled
+     */
+    encodeAll(content, options = {}) {
+        return QRGenerator.encodeMatrices(content, this.getWorkerRequest(options));
+    }
+
+    /**
+     * Encoding step shared by encodeAll and the worker; `request` comes from getWorkerRequest
+     */
+    static encodeMatrices(content, { symbology, structuredAppend, encoderOptions }) {
+        const encoder = QRGenerator.getSymbologyEncoder(symbology);
+
+        // Structured Append only exists for regular QR codes
+        if (structuredAppend && encoder === QREncoder) {
+            const capacity = QREncoder.getCapacity(content, encoderOptions);
+            if (!capacity.fits && !capacity.unsupportedEncoding) {
+                return QREncoder.encodeStructuredAppend(content, encoderOptions);
             }
+        }
+        return [encoder.encode(content, encoderOptions)];
+    }
+
+    /**
+     * Reduce the merged options to the plain data the worker needs to encode and draw
+     */
+    getWorkerRequest(options = {}) {
+        const qrOptions = { ...this.options, ...options };
+        return {
+            symbology: qrOptions.symbology,
+            structuredAppend: Boolean(qrOptions.structuredAppend),
+            encoderOptions: this.getEncoderOptions(options),
+            drawOptions: {
+                width: qrOptions.width,
+                colorDark: qrOptions.colorDark,
+                colorLight: qrOptions.colorLight,
+                invert: qrOptions.invert,
+                eyeColors: qrOptions.eyeColors,
+                margin: qrOptions.margin,
+                ...QRGenerator.getShapeOptions(qrOptions),
+                frame: qrOptions.frame,
+                frameText: qrOptions.frameText,
+                frameFont: qrOptions.frameFont,
+                frameColor: qrOptions.frameColor,
+                frameTextColor: qrOptions.frameTextColor,
+                logo: qrOptions.logo,
+                logoSize: qrOptions.logoSize,
+                logoPadding: qrOptions.logoPadding,
+                logoPlate: qrOptions.logoPlate,
+                halftone: qrOptions.halftone,
+                halftoneDotSize: qrOptions.halftoneDotSize
+            }
+        };
+    }
+
+    /**
+     * Copy of a worker request with the images reduced to their size: the data URLs
+     * stay on the main thread, which keeps the messages small. Each `src` becomes the
+     * option name, the key of the ImageBitmap sent in `images` (see getWorkerImages).
+     */
+    static withoutImageData(request) {
+        const drawOptions = { ...request.drawOptions };
+        IMAGE_OPTIONS.filter(key => drawOptions[key]).forEach(key => {
+            const { width, height, name } = drawOptions[key];
+            drawOptions[key] = { src: key, width, height, name };
         });
+        return { ...request, drawOptions };
     }
 
     /**
-     * Validate content before generation
+     * Images the worker needs for the checks, by option name, or null when the checks
+     * have to run here: the halftone check draws the photo (and the logo over it), so it
+     * needs ImageBitmaps and an OffscreenCanvas. The logo assessment only needs the sizes.
      */
-    validateContent(content, type = 'text') {
-        if (!content || typeof content !== 'string') {
-            return false;
+    async getWorkerImages(drawOptions) {
+        if (!this.workerClient.usesWorker) return null;
+        if (!drawOptions.halftone) return {};
+        if (typeof OffscreenCanvas === 'undefined' || typeof createImageBitmap !== 'function') return null;
+
+        const keys = IMAGE_OPTIONS.filter(key => drawOptions[key]);
+        const bitmaps = await Promise.all(keys.map(key => LogoOverlay.loadBitmap(drawOptions[key].src)));
+        return Object.fromEntries(keys.map((key, i) => [key, bitmaps[i]]));
+    }
+
+    /**
+     * Promise-based encodeAll, off the main thread when workers are available.
+     * Rejects with a QRGenerationError, with code CANCELLED if the signal is aborted first.
+     */
+    async encodeAllAsync(content, options = {}, signal = null) {
+        const { matrices } = await this.workerClient.request('encode', content, this.getWorkerRequest(options), signal);
+        return matrices;
+    }
+
+    /**
+     * Encode and, when the worker has OffscreenCanvas, rasterise without blocking the page.
+     * Resolves with { matrices, bitmaps, checks }; bitmaps is null when drawing is left to
+     * renderInto and checks (see runImageChecks) is null without a logo or photo.
+     * `withFixes` also looks for the fixes the scan report suggests.
+     */
+    async prepareRender(content, options = {}, signal = null, { withFixes = false } = {}) {
+        const { logo, halftone } = { ...this.options, ...options };
+        const request = this.getWorkerRequest(options);
+        const images = [logo, halftone].filter(Boolean);
+        if (images.length === 0) {
+            const result = await this.workerClient.request('render', content, request, signal);
+            return { ...result, checks: null };
         }
 
-        // Trim whitespace
-        content = content.trim();
-        
-        if (content.length === 0) {
-            return false;
-        }
-
-        // Check content length limits (QR codes have capacity limits)
-        const maxLength = this.getMaxLengthForLevel(this.options.correctLevel);
-        if (content.length > maxLength) {
-            if (this.errorHandler) {
-                this.errorHandler.showUserError(
-                    `Conteúdo muito longo. Máximo ${maxLength} caracteres para este nível de correção.`,
-                    'warning'
-                );
+        // The worker encodes and checks, renderInto draws: the page keeps the decoded images
+        const workerImages = await this.getWorkerImages(request.drawOptions);
+        const [result] = await Promise.all([
+            this.workerClient.request('encode', content, {
+                ...QRGenerator.withoutImageData(request),
+                checks: workerImages && { withFixes },
+                images: workerImages
+            }, signal),
+            ...images.map(image => LogoOverlay.load(image.src))
+        ]);
+        // Without a worker (or a canvas in it) the checks run here
+        const checks = result.checks ?? QRGenerator.runImageChecks(content, result.matrices, request, { withFixes });
+        return { ...result, checks };
+    }
+
+    /**
+     * Logo assessments and halftone decode checks of the symbols (null where the image
+     * does not apply) and, with `withFixes`, the fixes the scan report suggests when the
+     * first symbol is not OK (see findLogoFix and findHalftoneFix). Works on a worker
+     * request (see getWorkerRequest), so the worker and the main thread share it;
+     * `createCanvas` gives the worker's canvas for the halftone check.
+     * Returns { logo, halftone, fixes: { logo, halftone } }.
+     */
+    static runImageChecks(content, matrices, request, { withFixes = false, createCanvas = () => null } = {}) {
+        const { drawOptions } = request;
+        const logoOptions = QRGenerator.getLogoOptions(drawOptions);
+        const logo = matrices.map(matrix => (
+            logoOptions && LogoOverlay.appliesTo(matrix, logoOptions) ? LogoOverlay.assess(matrix, logoOptions) : null
+        ));
+        const halftoneOptions = QRGenerator.getHalftoneOptions(drawOptions);
+        const halftone = matrices.map(matrix => (
+            halftoneOptions && Halftone.appliesTo(matrix, halftoneOptions)
+                ? QRGenerator.checkHalftone(matrix, drawOptions, createCanvas())
+                : null
+        ));
+
+        const fixes = { logo: null, halftone: null };
+        if (withFixes && logo[0] && logo[0].status !== LogoOverlay.Status.OK) {
+            fixes.logo = QRGenerator.findLogoFix(content, matrices[0], request, logoOptions);
+        }
+        if (withFixes && halftone[0] && halftone[0].status !== Halftone.Status.OK) {
+            fixes.halftone = QRGenerator.findHalftoneFix(matrices[0], drawOptions, createCanvas);
+        }
+        return { logo, halftone, fixes };
+    }
+
+    /**
+     * Fix for a halftone that does not pass the decode check cleanly: level H, unless
+     * already there, or else the smallest larger dot size that is OK. Returns the
+     * customization options to apply, or null.
+     */
+    static findHalftoneFix(matrix, drawOptions, createCanvas = () => null) {
+        const { H } = QREncoder.ErrorCorrectionLevel;
+        if (matrix.errorCorrectionLevel !== H) return { errorCorrectionLevel: H };
+
+        // The dot size does not change the symbol: check larger dots on the same matrix
+        for (let size = drawOptions.halftoneDotSize + 5; size <= Halftone.MAX_DOT_SIZE; size += 5) {
+            const options = { ...drawOptions, halftoneDotSize: size };
+            if (QRGenerator.checkHalftone(matrix, options, createCanvas()).status === Halftone.Status.OK) {
+                return { halftoneDotSize: size };
             }
-            return false;
         }
+        return null;
+    }
 
-        return true;
+    /**
+     * Fix for a logo that uses too much of the error correction: level H, unless already
+     * there or the logo is blocked at H too, or else the largest logo size that is OK in
+     * the current symbol. Returns the customization options to apply, or null.
+     */
+    static findLogoFix(content, matrix, request, logoOptions) {
+        const { H } = QREncoder.ErrorCorrectionLevel;
+        if (matrix.errorCorrectionLevel !== H) {
+            let highest = null;
+            try {
+                [highest] = QRGenerator.encodeMatrices(content, {
+                    ...request,
+                    encoderOptions: { ...request.encoderOptions, errorCorrectionLevel: H }
+                });
+            } catch (error) {
+                // Too long for level H: only the logo size can help
+            }
+            if (highest && LogoOverlay.assess(highest, logoOptions).status !== LogoOverlay.Status.BLOCKED) {
+                return { errorCorrectionLevel: H };
+            }
+        }
+
+        // The logo size does not change the symbol: try smaller sizes on the same matrix
+        for (let size = logoOptions.size - 1; size >= 10; size--) {
+            if (LogoOverlay.assess(matrix, { ...logoOptions, size }).status === LogoOverlay.Status.OK) {
+                return { logoSize: size };
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Map generator options to encoder options of the selected symbology
+     */
+    getEncoderOptions(options = {}) {
+        const qrOptions = { ...this.options, ...options };
+        return Symbology.get(qrOptions.symbology).getEncoderOptions(qrOptions);
+    }
+
+    /**
+     * Get a module matrix of the current QR code (modules[y][x] === true is dark).
+     * `index` selects the symbol of a Structured Append sequence.
+     */
+    getMatrix(index = 0) {
+        return this.currentMatrices[index] || null;
+    }
+
+    /**
+     * Get all matrices of the current QR code (more than one for a Structured Append sequence)
+     */
+    getMatrices() {
+        return [...this.currentMatrices];
+    }
+
+    /**
+     * Render the current matrix with one of the registered renderers.
+     * `target` is a format name ('canvas', 'svg', 'text', 'pdf', 'eps') or an existing canvas element;
+     * `index` selects the symbol of a Structured Append sequence.
+     */
+    render(target = 'canvas', renderOptions = {}, index = 0) {
+        const matrix = this.getMatrix(index);
+        if (!matrix) {
+            throw new Error('No QR code to render');
+        }
+
+        const isCanvasElement = typeof target === 'object' && target !== null;
+        const renderer = QRGenerator.renderers[isCanvasElement ? 'canvas' : target];
+        if (!renderer) {
+            throw new Error(`Unsupported render target: ${target}`);
+        }
+
+        return renderer.render(matrix, this.getRenderOptions(matrix, {
+            ...(isCanvasElement ? { canvas: target } : {}),
+            ...renderOptions
+        }));
+    }
+
+    /**
+     * Render every symbol of the Structured Append sequence on one numbered sheet
+     * (see SymbolSheet) with a vector renderer: 'svg', 'pdf' or 'eps'
+     */
+    renderSheet(target, renderOptions = {}) {
+        const matrices = this.getMatrices();
+        if (matrices.length === 0) {
+            throw new Error('No QR code to render');
+        }
+
+        const renderer = QRGenerator.renderers[target];
+        if (!renderer?.renderSheet) {
+            throw new Error(`Unsupported sheet target: ${target}`);
+        }
+        return renderer.renderSheet(matrices, this.getRenderOptions(matrices[0], renderOptions));
     }
 
     /**
-     * Get maximum content length based on error correction level
+     * Renderer options for a matrix of the current QR code, overridden by `renderOptions`.
+     * The height follows the symbol proportions unless given.
      */
-    getMaxLengthForLevel(level) {
-        const limits = {
-            [QRCode.CorrectLevel.L]: 2953, // Low
-            [QRCode.CorrectLevel.M]: 2331, // Medium
-            [QRCode.CorrectLevel.Q]: 1663, // Quartile
-            [QRCode.CorrectLevel.H]: 1273  // High
+    getRenderOptions(matrix, renderOptions = {}) {
+        const { options } = this.currentQRCode;
+        return {
+            width: options.width,
+            ...QRGenerator.getColorOptions(options),
+            invert: Boolean(options.invert), // Text has no colours: it swaps the characters instead
+            margin: QRGenerator.getMargin(matrix, options),
+            ...QRGenerator.getShapeOptions(options),
+            logo: QRGenerator.getLogoOptions(options),
+            halftone: QRGenerator.getHalftoneOptions(options),
+            frame: QRGenerator.getFrameOptions(options),
+            ...renderOptions
         };
-        return limits[level] || 2000;
+    }
+
+    /**
+     * Validate content before generation, showing the reason as a warning
+     */
+    validateContent(content, type = 'text', options = this.options) {
+        const error = this.getContentError(content, options);
+        if (error && error.userMessage && this.errorHandler) {
+            this.errorHandler.showUserError(error.userMessage, 'warning');
+        }
+        return !error;
+    }
+
+    /**
+     * Check content against the options: returns a QRGenerationError, or null if it can be encoded
+     */
+    getContentError(content, options = this.options) {
+        if (typeof content !== 'string' || content.trim().length === 0) {
+            return new QRGenerationError(QRGenerationError.Code.INVALID_CONTENT, 'Invalid content provided', {
+                userMessage: 'Por favor, digite algum conteúdo!'
+            });
+        }
+
+        // Check the real bit length of the string that will be encoded
+        const capacity = this.getCapacity(content, options);
+        if (capacity.unsupportedEncoding) {
+            return new QRGenerationError(
+                QRGenerationError.Code.UNSUPPORTED_ENCODING,
+                `Content has characters not supported by ${capacity.unsupportedEncoding}`,
+                {
+                    userMessage: `O conteúdo tem caracteres que não existem na codificação ${QRGenerator.getEncodingLabel(capacity.unsupportedEncoding)}. Escolha UTF-8 ou a codificação automática.`,
+                    details: capacity
+                }
+            );
+        }
+        if (capacity.invalidContent) {
+            const { label } = Symbology.registry[options.symbology];
+            return new QRGenerationError(QRGenerationError.Code.INVALID_CONTENT, `Invalid ${label} content`, {
+                userMessage: QRGenerator.getInvalidContentMessage(capacity.invalidContent, label),
+                details: capacity
+            });
+        }
+        if (!capacity.fits) {
+            const symbology = Symbology.registry[options.symbology] || Symbology.registry.qr;
+            const limit = symbology.encoder === QREncoder &&
+                options.maxVersion && options.maxVersion < QREncoder.MAX_VERSION
+                ? `da versão ${options.maxVersion}`
+                : `máxima do ${symbology.label} (${capacity.maxVersion})`;
+            return new QRGenerationError(QRGenerationError.Code.CAPACITY_EXCEEDED, 'Data too long for the symbol', {
+                // Data Matrix has a fixed error correction for each size
+                userMessage: `Conteúdo muito longo: ocupa ${capacity.percent}% da capacidade ${limit}` +
+                    (symbology.encoder.SUPPORTED_LEVELS.length > 0 ? ' para este nível de correção.' : '.'),
+                details: capacity
+            });
+        }
+
+        return null;
+    }
+
+    /**
+     * User message for content a symbology cannot represent (`invalidContent` from the
+     * capacity of EAN/UPC, Code 128 and ITF-14, and of Micro QR and rMQR outside ISO-8859-1)
+     */
+    static getInvalidContentMessage({ problem, expected }, label) {
+        switch (problem) {
+            case 'characters':
+                return expected
+                    ? `O ${label} não aceita os caracteres: ${expected}`
+                    : `O ${label} aceita só dígitos.`;
+            case 'length':
+                return `O ${label} precisa de ${expected[0]} dígitos (o verificador é calculado) ou ${expected[1]} com o verificador.`;
+            default:
+                return `Dígito verificador inválido: para este número o ${label} termina em ${expected}.`;
+        }
+    }
+
+    /**
+     * Get how much of the symbol capacity the content uses.
+     * Returns { fits, version, maxVersion, percent, segments, symbols } plus the used and
+     * available space (usedBits/capacityBits, or usedCodewords/capacityCodewords for
+     * Data Matrix and PDF417), { encoding, eci, unsupportedEncoding } where the
+     * symbology has byte encodings and `invalidContent` for unrepresentable content
+     */
+    getCapacity(content, options = this.options) {
+        return this.getEncoder(options).getCapacity(content, {
+            ...this.getEncoderOptions(options),
+            structuredAppend: options.structuredAppend
+        });
     }
 
     /**
@@ -165,6 +801,7 @@ class QRGenerator {
             this.container.innerHTML = '<h5 class="msg">Aguardando o conteúdo...</h5>';
         }
         this.currentQRCode = null;
+        this.currentMatrices = [];
     }
 
     /**
@@ -232,8 +869,12 @@ class QRGenerator {
             throw new Error('No QR code to regenerate');
         }
 
-        // Use as novas opções diretamente, sem mesclar com as antigas
-        await this.generate(this.currentQRCode.content, newOptions);
+        // Use as novas opções diretamente, sem mesclar com as antigas,
+        // exceto a codificação exigida pelo tipo de conteúdo (vCard, WiFi)
+        await this.generate(this.currentQRCode.content, {
+            contentEncoding: this.currentQRCode.options.contentEncoding ?? null,
+            ...newOptions
+        });
     }
 }
 
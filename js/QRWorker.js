@@ -0,0 +1,92 @@
+/**
+ * QR Worker Module
+ * Codifica e, com OffscreenCanvas, rasteriza QR Codes fora da thread principal.
+ * Carregado como module worker pelo QRWorkerClient
+ */
+import { QRGenerator } from './QRGenerator.js';
+import { CanvasRenderer } from './CanvasRenderer.js';
+import { LogoOverlay } from './LogoOverlay.js';
+import { QRGenerationError } from './QRGenerationError.js';
+
+class QRWorker {
+    /**
+     * Codifica o conteúdo em uma ou mais matrizes; com `request.checks` também avalia
+     * o logo e o halftone e procura as correções da nota de legibilidade
+     */
+    static encode(content, request) {
+        const matrices = QRGenerator.encodeMatrices(content, request);
+        const checks = request.checks ? QRWorker.runChecks(content, matrices, request) : null;
+        return { matrices, bitmaps: null, checks };
+    }
+
+    /**
+     * Verificações de QRGenerator.runImageChecks com as imagens recebidas em `request.images`
+     * (ImageBitmaps, pela chave que substitui o `src` nas opções). Sem OffscreenCanvas para
+     * desenhar o halftone retorna null e as verificações ficam com a thread principal.
+     */
+    static runChecks(content, matrices, request) {
+        const canDraw = typeof OffscreenCanvas !== 'undefined';
+        const images = Object.entries(request.images || {});
+        if (request.drawOptions.halftone && !canDraw) {
+            images.forEach(([, bitmap]) => bitmap.close());
+            return null;
+        }
+
+        images.forEach(([key, bitmap]) => LogoOverlay.images.set(key, bitmap));
+        try {
+            return QRGenerator.runImageChecks(content, matrices, request, {
+                ...request.checks,
+                createCanvas: () => (canDraw ? new OffscreenCanvas(1, 1) : null)
+            });
+        } finally {
+            images.forEach(([key, bitmap]) => {
+                LogoOverlay.images.delete(key);
+                bitmap.close();
+            });
+        }
+    }
+
+    /**
+     * Codifica e desenha cada símbolo num ImageBitmap; sem OffscreenCanvas
+     * devolve só as matrizes e o desenho fica com a thread principal
+     */
+    static render(content, request) {
+        const matrices = QRGenerator.encodeMatrices(content, request);
+        if (typeof OffscreenCanvas === 'undefined') {
+            return { matrices, bitmaps: null };
+        }
+
+        const bitmaps = matrices.map(matrix => CanvasRenderer.render(matrix, {
+            ...QRGenerator.getCanvasOptions(matrix, request.drawOptions),
+            canvas: new OffscreenCanvas(1, 1)
+        }).transferToImageBitmap());
+        return { matrices, bitmaps };
+    }
+
+    /**
+     * Executa a tarefa recebida e responde com o mesmo id
+     */
+    static handleMessage(event) {
+        const { id, type, content, request } = event.data;
+        try {
+            const task = type === 'render' ? QRWorker.render : QRWorker.encode;
+            const result = task(content, request);
+            self.postMessage({ id, result }, result.bitmaps || []);
+        } catch (error) {
+            self.postMessage({
+                id,
+                error: {
+                    code: error.code || QRGenerationError.Code.ENCODING_FAILED,
+                    message: error.message
+                }
+            });
+        }
+    }
+}
+
+// Só registra o listener quando carregado como worker
+if (typeof WorkerGlobalScope !== 'undefined' && self instanceof WorkerGlobalScope) {
+    self.addEventListener('message', QRWorker.handleMessage);
+}
+
+export { QRWorker };
@@ -0,0 +1,125 @@
+/**
+ * QR Worker Client Module
+ * API de promises para o QRWorker, com execução na thread principal
+ * quando o navegador não oferece (ou não consegue carregar) module workers
+ */
+import { QRGenerationError } from './QRGenerationError.js';
+
+class QRWorkerClient {
+    /**
+     * `fallback(content, request)` codifica na thread principal e retorna as matrizes
+     */
+    constructor({ fallback, workerUrl = new URL('./QRWorker.js', import.meta.url) } = {}) {
+        this.fallback = fallback;
+        this.pending = new Map(); // id -> { type, content, request, resolve, reject, cleanup }
+        this.nextId = 1;
+        this.worker = null;
+
+        if (typeof Worker === 'undefined') return;
+
+        try {
+            this.worker = new Worker(workerUrl, { type: 'module' });
+            this.worker.addEventListener('message', event => this.handleMessage(event));
+            this.worker.addEventListener('error', event => this.handleWorkerFailure(event));
+        } catch (error) {
+            console.warn('Worker de QR indisponível, gerando na thread principal:', error.message);
+            this.worker = null;
+        }
+    }
+
+    /**
+     * Indica se as tarefas estão sendo enviadas ao worker
+     */
+    get usesWorker() {
+        return this.worker !== null;
+    }
+
+    /**
+     * Envia uma tarefa ('encode' ou 'render') e resolve com { matrices, bitmaps }.
+     * `bitmaps` só vem preenchido quando o worker rasterizou com OffscreenCanvas.
+     * Rejeita com QRGenerationError (CANCELLED se o signal for abortado antes da resposta)
+     */
+    request(type, content, request, signal = null) {
+        if (signal?.aborted) {
+            return Promise.reject(QRGenerationError.cancelled());
+        }
+        if (!this.worker) {
+            return this.runInline(content, request);
+        }
+
+        return new Promise((resolve, reject) => {
+            const id = this.nextId++;
+            const onAbort = () => {
+                // A resposta que ainda chegar do worker é descartada em handleMessage
+                this.pending.delete(id);
+                reject(QRGenerationError.cancelled());
+            };
+            signal?.addEventListener('abort', onAbort, { once: true });
+
+            this.pending.set(id, {
+                type, content, request, resolve, reject,
+                cleanup: () => signal?.removeEventListener('abort', onAbort)
+            });
+            this.worker.postMessage({ id, type, content, request });
+        });
+    }
+
+    /**
+     * Codifica na thread principal; o desenho fica com o QRGenerator (bitmaps null)
+     */
+    runInline(content, request) {
+        try {
+            return Promise.resolve({ matrices: this.fallback(content, request), bitmaps: null });
+        } catch (error) {
+            return Promise.reject(QRGenerationError.from(error, QRGenerationError.Code.ENCODING_FAILED));
+        }
+    }
+
+    /**
+     * Resolve a promise da tarefa respondida pelo worker
+     */
+    handleMessage(event) {
+        const { id, result, error } = event.data;
+        const entry = this.pending.get(id);
+        if (!entry) {
+            // Tarefa cancelada: libera os bitmaps que não serão usados
+            result?.bitmaps?.forEach(bitmap => bitmap.close());
+            return;
+        }
+
+        this.pending.delete(id);
+        entry.cleanup();
+        if (error) {
+            entry.reject(new QRGenerationError(error.code, error.message));
+        } else {
+            entry.resolve(result);
+        }
+    }
+
+    /**
+     * Falha ao carregar ou executar o worker: passa a gerar na thread principal
+     * e refaz as tarefas pendentes
+     */
+    handleWorkerFailure(event) {
+        event.preventDefault?.();
+        console.warn('Falha no worker de QR, gerando na thread principal:', event.message || event);
+        this.terminate();
+
+        const entries = [...this.pending.values()];
+        this.pending.clear();
+        entries.forEach(entry => {
+            entry.cleanup();
+            this.runInline(entry.content, entry.request).then(entry.resolve, entry.reject);
+        });
+    }
+
+    /**
+     * Encerra o worker; as próximas tarefas rodam na thread principal
+     */
+    terminate() {
+        this.worker?.terminate();
+        this.worker = null;
+    }
+}
+
+export { QRWorkerClient };
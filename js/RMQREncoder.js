@@ -0,0 +1,455 @@
+/**
+ * rMQR Encoder Module
+ * Codificador de Micro QR retangular (rMQR, ISO/IEC 23941), para faixas estreitas
+ */
+import { QREncoder } from './QREncoder.js';
+import { ReedSolomon } from './ReedSolomon.js';
+
+const { M, H } = QREncoder.ErrorCorrectionLevel;
+
+// As 32 versões, na ordem do indicador de versão dos bits de formato
+const HEIGHTS = [7, 9, 11, 13, 15, 17];
+const WIDTHS_BY_HEIGHT = {
+    7: [43, 59, 77, 99, 139],
+    9: [43, 59, 77, 99, 139],
+    11: [27, 43, 59, 77, 99, 139],
+    13: [27, 43, 59, 77, 99, 139],
+    15: [43, 59, 77, 99, 139],
+    17: [43, 59, 77, 99, 139]
+};
+
+// Por versão: total de codewords, codewords de dados (M e H) e número de blocos (M e H)
+const TOTAL_CODEWORDS = [
+    13, 21, 32, 44, 68, 21, 33, 49, 66, 99, 15, 31, 47, 67, 89, 132,
+    21, 41, 60, 85, 113, 166, 51, 74, 103, 136, 199, 61, 88, 122, 160, 232
+];
+const DATA_CODEWORDS = {
+    [M]: [6, 12, 20, 28, 44, 12, 21, 31, 42, 63, 7, 19, 31, 43, 57, 84,
+        12, 27, 38, 53, 73, 106, 33, 48, 67, 88, 127, 39, 56, 78, 100, 152],
+    [H]: [3, 7, 10, 14, 24, 7, 11, 17, 22, 33, 5, 11, 15, 23, 29, 42,
+        7, 13, 20, 29, 35, 54, 15, 26, 31, 48, 69, 21, 28, 38, 56, 76]
+};
+const NUM_BLOCKS = {
+    [M]: [1, 1, 1, 1, 1, 1, 1, 1, 1, 2, 1, 1, 1, 1, 2, 2,
+        1, 1, 1, 2, 2, 3, 1, 1, 2, 2, 3, 1, 2, 2, 3, 4],
+    [H]: [1, 1, 1, 1, 2, 1, 1, 2, 2, 3, 1, 1, 2, 2, 2, 3,
+        1, 1, 2, 2, 3, 4, 2, 2, 3, 4, 5, 2, 2, 3, 4, 6]
+};
+
+// Indicador de 3 bits e tamanho do contador de caracteres por versão
+const MODE_INFO = new Map([
+    [QREncoder.Mode.NUMERIC, {
+        indicator: 1,
+        charCountBits: [4, 5, 6, 7, 7, 5, 6, 7, 7, 8, 4, 6, 7, 7, 8, 8,
+            5, 6, 7, 7, 8, 8, 7, 7, 8, 8, 9, 7, 8, 8, 8, 9]
+    }],
+    [QREncoder.Mode.ALPHANUMERIC, {
+        indicator: 2,
+        charCountBits: [3, 5, 5, 6, 6, 5, 5, 6, 6, 7, 4, 5, 6, 6, 7, 7,
+            5, 6, 6, 7, 7, 8, 6, 7, 7, 7, 8, 6, 7, 7, 8, 8]
+    }],
+    [QREncoder.Mode.BYTE, {
+        indicator: 3,
+        charCountBits: [3, 4, 5, 5, 6, 4, 5, 5, 6, 6, 3, 5, 5, 6, 6, 7,
+            4, 5, 6, 6, 7, 7, 6, 6, 7, 7, 7, 6, 6, 7, 7, 8]
+    }],
+    [QREncoder.Mode.KANJI, {
+        indicator: 4,
+        charCountBits: [2, 3, 4, 5, 5, 3, 4, 5, 5, 6, 2, 4, 5, 5, 6, 6,
+            3, 5, 5, 6, 6, 7, 5, 5, 6, 6, 7, 5, 6, 6, 6, 7]
+    }]
+]);
+
+// Colunas centrais dos padrões de alinhamento, por largura
+const ALIGNMENT_COLUMNS = {
+    27: [],
+    43: [21],
+    59: [19, 39],
+    77: [25, 51],
+    99: [23, 49, 75],
+    139: [27, 55, 83, 111]
+};
+
+// Máscaras XOR das cópias esquerda e direita dos bits de formato
+const FORMAT_MASK_LEFT = 0x1FAB2;
+const FORMAT_MASK_RIGHT = 0x20A7B;
+
+const VERSIONS = HEIGHTS.flatMap(height => WIDTHS_BY_HEIGHT[height].map(width => ({
+    name: `R${height}x${width}`,
+    height,
+    width
+})));
+
+const rs = new ReedSolomon(0x11D, 256, 0);
+
+class RMQREncoder {
+    // rMQR também exige só 2 módulos de zona de silêncio
+    static QUIET_ZONE = 2;
+
+    static SUPPORTED_LEVELS = [M, H];
+
+    static HEIGHTS = HEIGHTS;
+
+    /**
+     * Nomes das versões (R7x43 ... R17x139)
+     */
+    static get VERSIONS() {
+        return VERSIONS.map(version => version.name);
+    }
+
+    /**
+     * Codifica um texto no rMQR de menor área que o comporta
+     */
+    static encode(text, options = {}) {
+        const {
+            errorCorrectionLevel = M,
+            optimizeSegments = true,
+            height = null, // fixa a altura do símbolo (7 a 17 módulos)
+            version = null // fixa a versão pelo nome, ex.: 'R11x43'
+        } = options;
+
+        if (typeof text !== 'string') {
+            throw new Error('rMQR content must be a string');
+        }
+        const problem = QREncoder.validateLatin1(text);
+        if (problem) {
+            throw new Error(`rMQR encodes bytes as ISO-8859-1; unsupported characters: ${problem.expected}`);
+        }
+        if (!RMQREncoder.SUPPORTED_LEVELS.includes(errorCorrectionLevel)) {
+            throw new Error('rMQR supports only the M and H error correction levels');
+        }
+
+        const candidates = RMQREncoder.getCandidateVersions({ height, version });
+        const { segments, index } = RMQREncoder.chooseVersion(text, errorCorrectionLevel, optimizeSegments, candidates);
+        if (index === null) {
+            throw new Error('Data too long for rMQR');
+        }
+
+        const dataCodewords = RMQREncoder.buildDataCodewords(segments, index, errorCorrectionLevel);
+        const allCodewords = RMQREncoder.addEccAndInterleave(dataCodewords, index, errorCorrectionLevel);
+
+        const symbol = new RMQRSymbol(VERSIONS[index]);
+        symbol.drawFunctionPatterns();
+        symbol.drawCodewords(allCodewords);
+        symbol.applyMask(); // rMQR tem uma única máscara
+        symbol.drawFormatBits(index, errorCorrectionLevel);
+
+        return {
+            symbology: 'rmqr',
+            version: VERSIONS[index].name,
+            width: symbol.width,
+            height: symbol.height,
+            errorCorrectionLevel,
+            mask: 0,
+            quietZone: RMQREncoder.QUIET_ZONE,
+            segments: QREncoder.describeSegments(segments),
+            modules: symbol.modules,
+            functionModules: symbol.isFunction
+        };
+    }
+
+    /**
+     * Ocupação do conteúdo no menor rMQR que o comporta (ou no maior, se não couber)
+     */
+    static getCapacity(text, options = {}) {
+        const {
+            errorCorrectionLevel = M,
+            optimizeSegments = true,
+            height = null,
+            version = null
+        } = options;
+
+        const candidates = RMQREncoder.getCandidateVersions({ height, version });
+        const largest = candidates.reduce((a, b) => (
+            DATA_CODEWORDS[errorCorrectionLevel]?.[b] > DATA_CODEWORDS[errorCorrectionLevel]?.[a] ? b : a
+        ));
+
+        const invalidContent = QREncoder.validateLatin1(text);
+        if (invalidContent) {
+            return {
+                fits: false,
+                version: null,
+                maxVersion: VERSIONS[largest].name,
+                usedBits: 0,
+                capacityBits: 0,
+                percent: 0,
+                segments: [],
+                invalidContent,
+                symbols: 1
+            };
+        }
+
+        const { segments, index } = RMQREncoder.chooseVersion(text, errorCorrectionLevel, optimizeSegments, candidates);
+        const referenceIndex = index ?? largest;
+        const capacityBits = (DATA_CODEWORDS[errorCorrectionLevel]?.[referenceIndex] ?? 0) * 8;
+        // Se um contador estourar, estima pelo maior contador possível
+        const usedBits = RMQREncoder.getTotalBits(segments, referenceIndex) ??
+            segments.reduce((total, segment) => total + 3 +
+                Math.max(...MODE_INFO.get(segment.mode).charCountBits) + segment.bits.length, 0);
+
+        return {
+            fits: index !== null,
+            version: index === null ? null : VERSIONS[index].name,
+            maxVersion: VERSIONS[largest].name,
+            usedBits,
+            capacityBits,
+            percent: capacityBits ? Math.round(usedBits / capacityBits * 1000) / 10 : Infinity,
+            segments: QREncoder.describeSegments(segments),
+            symbols: 1
+        };
+    }
+
+    /**
+     * Índices das versões permitidas, opcionalmente restritas a uma altura ou versão
+     */
+    static getCandidateVersions({ height = null, version = null } = {}) {
+        const candidates = [];
+        VERSIONS.forEach((info, index) => {
+            if ((height === null || info.height === height) && (version === null || info.name === version)) {
+                candidates.push(index);
+            }
+        });
+        if (candidates.length === 0) {
+            throw new Error(`Invalid rMQR version: ${version ?? `height ${height}`}`);
+        }
+        return candidates;
+    }
+
+    /**
+     * Versão de menor área (e, no empate, menor altura) em que o texto cabe.
+     * O modo byte usa ISO-8859-1, a codificação que os leitores supõem sem ECI.
+     */
+    static chooseVersion(text, level, optimize, candidates) {
+        const byArea = candidates.slice().sort((a, b) => (
+            VERSIONS[a].width * VERSIONS[a].height - VERSIONS[b].width * VERSIONS[b].height ||
+            VERSIONS[a].height - VERSIONS[b].height
+        ));
+
+        const segmentations = QREncoder.makeLatin1Segmentations(text, optimize);
+
+        for (const index of byArea) {
+            const capacityBits = DATA_CODEWORDS[level][index] * 8;
+            let best = null;
+            segmentations.forEach(segments => {
+                const bits = RMQREncoder.getTotalBits(segments, index);
+                if (bits !== null && bits <= capacityBits && (!best || bits < best.bits)) {
+                    best = { segments, bits };
+                }
+            });
+            if (best) return { segments: best.segments, index };
+        }
+        return { segments: segmentations[0], index: null };
+    }
+
+    /**
+     * Total de bits dos segmentos numa versão, ou null se um contador estourar
+     */
+    static getTotalBits(segments, index) {
+        let total = 0;
+        for (const segment of segments) {
+            const countBits = MODE_INFO.get(segment.mode).charCountBits[index];
+            if (segment.numChars >= (1 << countBits)) return null;
+            total += 3 + countBits + segment.bits.length;
+        }
+        return total;
+    }
+
+    /**
+     * Monta os codewords de dados com terminador e preenchimento
+     */
+    static buildDataCodewords(segments, index, level) {
+        const capacityBits = DATA_CODEWORDS[level][index] * 8;
+        const bits = [];
+
+        segments.forEach(segment => {
+            const info = MODE_INFO.get(segment.mode);
+            QREncoder.appendBits(bits, info.indicator, 3);
+            QREncoder.appendBits(bits, segment.numChars, info.charCountBits[index]);
+            bits.push(...segment.bits);
+        });
+
+        // Terminador e alinhamento ao byte
+        QREncoder.appendBits(bits, 0, Math.min(3, capacityBits - bits.length));
+        QREncoder.appendBits(bits, 0, (8 - bits.length % 8) % 8);
+
+        // Bytes de preenchimento alternados
+        for (let pad = 0xEC; bits.length < capacityBits; pad ^= 0xEC ^ 0x11) {
+            QREncoder.appendBits(bits, pad, 8);
+        }
+
+        const codewords = new Array(bits.length / 8).fill(0);
+        bits.forEach((bit, i) => {
+            codewords[i >>> 3] |= bit << (7 - (i & 7));
+        });
+        return codewords;
+    }
+
+    /**
+     * Divide os dados em blocos, calcula a correção de erro e intercala tudo
+     */
+    static addEccAndInterleave(data, index, level) {
+        const numBlocks = NUM_BLOCKS[level][index];
+        const totalCodewords = TOTAL_CODEWORDS[index];
+        const blockEccLength = (totalCodewords - data.length) / numBlocks;
+        const numShortBlocks = numBlocks - totalCodewords % numBlocks;
+        const shortBlockLength = Math.floor(totalCodewords / numBlocks);
+
+        const blocks = [];
+        for (let i = 0, offset = 0; i < numBlocks; i++) {
+            const blockData = data.slice(offset, offset + shortBlockLength - blockEccLength + (i < numShortBlocks ? 0 : 1));
+            offset += blockData.length;
+            const ecc = rs.encode(blockData, blockEccLength);
+            if (i < numShortBlocks) blockData.push(0);
+            blocks.push(blockData.concat(ecc));
+        }
+
+        const result = [];
+        for (let i = 0; i < blocks[0].length; i++) {
+            blocks.forEach((block, j) => {
+                // Ignora a posição de preenchimento dos blocos curtos
+                if (i !== shortBlockLength - blockEccLength || j >= numShortBlocks) {
+                    result.push(block[i]);
+                }
+            });
+        }
+        return result;
+    }
+}
+
+/**
+ * Matriz de módulos de um rMQR em construção
+ */
+class RMQRSymbol {
+    constructor({ width, height }) {
+        this.width = width;
+        this.height = height;
+        this.modules = Array.from({ length: height }, () => new Array(width).fill(false));
+        this.isFunction = Array.from({ length: height }, () => new Array(width).fill(false));
+    }
+
+    setFunctionModule(x, y, dark) {
+        this.modules[y][x] = dark;
+        this.isFunction[y][x] = true;
+    }
+
+    /**
+     * Padrões de tempo nas bordas, localizador à esquerda, sublocalizador e cantos
+     * à direita, padrões de alinhamento e áreas de formato
+     */
+    drawFunctionPatterns() {
+        const { width, height } = this;
+
+        for (let x = 0; x < width; x++) {
+            this.setFunctionModule(x, 0, x % 2 === 0);
+            this.setFunctionModule(x, height - 1, x % 2 === 0);
+        }
+        for (let y = 0; y < height; y++) {
+            this.setFunctionModule(0, y, y % 2 === 0);
+            this.setFunctionModule(width - 1, y, y % 2 === 0);
+        }
+
+        // Cantos inferior esquerdo e superior direito
+        this.setFunctionModule(0, height - 2, true);
+        this.setFunctionModule(1, height - 2, false);
+        this.setFunctionModule(1, height - 1, true);
+        this.setFunctionModule(width - 2, 0, true);
+        this.setFunctionModule(width - 2, 1, false);
+        this.setFunctionModule(width - 1, 1, true);
+
+        // Localizador 7x7 com separador (a linha de baixo só existe a partir de R9)
+        for (let y = 0; y <= Math.min(7, height - 1); y++) {
+            for (let x = 0; x <= 7; x++) {
+                const distance = Math.max(Math.abs(x - 3), Math.abs(y - 3));
+                this.setFunctionModule(x, y, distance !== 2 && distance < 4);
+            }
+        }
+
+        // Sublocalizador 5x5 no canto inferior direito
+        for (let dy = -2; dy <= 2; dy++) {
+            for (let dx = -2; dx <= 2; dx++) {
+                this.setFunctionModule(width - 3 + dx, height - 3 + dy, Math.max(Math.abs(dx), Math.abs(dy)) !== 1);
+            }
+        }
+
+        // Alinhamento 3x3 nas bordas superior e inferior, ligados por um padrão de tempo vertical
+        ALIGNMENT_COLUMNS[width].forEach(column => {
+            for (let y = 0; y < height; y++) {
+                this.setFunctionModule(column, y, y % 2 === 0);
+            }
+            [1, height - 2].forEach(centerY => {
+                for (let dy = -1; dy <= 1; dy++) {
+                    for (let dx = -1; dx <= 1; dx++) {
+                        this.setFunctionModule(column + dx, centerY + dy, dx !== 0 || dy !== 0);
+                    }
+                }
+            });
+        });
+
+        // Reserva as áreas de formato (sobrescritas depois da máscara)
+        this.drawFormatBits(0, QREncoder.ErrorCorrectionLevel.M);
+    }
+
+    /**
+     * Desenha as duas cópias dos 18 bits de formato (nível + versão, BCH)
+     */
+    drawFormatBits(index, level) {
+        const data = ((level === QREncoder.ErrorCorrectionLevel.H ? 1 : 0) << 5) | index;
+        let remainder = data;
+        for (let i = 0; i < 12; i++) {
+            remainder = (remainder << 1) ^ ((remainder >>> 11) * 0x1F25);
+        }
+        const bits = (data << 12) | remainder;
+        const left = bits ^ FORMAT_MASK_LEFT;
+        const right = bits ^ FORMAT_MASK_RIGHT;
+        const bit = (value, i) => ((value >>> i) & 1) !== 0;
+
+        for (let i = 0; i < 15; i++) {
+            const column = Math.floor(i / 5);
+            const row = i % 5;
+            this.setFunctionModule(8 + column, 1 + row, bit(left, i));
+            this.setFunctionModule(this.width - 8 + column, this.height - 6 + row, bit(right, i));
+        }
+        for (let i = 0; i < 3; i++) {
+            this.setFunctionModule(11, 1 + i, bit(left, 15 + i));
+            this.setFunctionModule(this.width - 5 + i, this.height - 6, bit(right, 15 + i));
+        }
+    }
+
+    /**
+     * Posiciona os codewords em zigue-zague nas colunas duplas, da direita para a esquerda.
+     * Os pares começam na penúltima coluna: a última é só padrão de tempo.
+     */
+    drawCodewords(codewords) {
+        let i = 0;
+        let upward = true;
+        const totalBits = codewords.length * 8;
+        for (let right = this.width - 2; right >= 1; right -= 2) {
+            for (let vert = 0; vert < this.height; vert++) {
+                const y = upward ? this.height - 1 - vert : vert;
+                for (let j = 0; j < 2; j++) {
+                    const x = right - j;
+                    if (!this.isFunction[y][x] && i < totalBits) {
+                        this.modules[y][x] = ((codewords[i >>> 3] >>> (7 - (i & 7))) & 1) !== 0;
+                        i++;
+                    }
+                }
+            }
+            upward = !upward;
+        }
+    }
+
+    /**
+     * Aplica a máscara (i div 2 + j div 3) mod 2 = 0 aos módulos de dados
+     */
+    applyMask() {
+        for (let y = 0; y < this.height; y++) {
+            for (let x = 0; x < this.width; x++) {
+                if (!this.isFunction[y][x] && (Math.floor(y / 2) + Math.floor(x / 3)) % 2 === 0) {
+                    this.modules[y][x] = !this.modules[y][x];
+                }
+            }
+        }
+    }
+}
+
+export { RMQREncoder };
@@ -0,0 +1,84 @@
+/**
+ * Reed-Solomon Module
+ * Aritmética em GF(2^m) e geração de códigos corretores de erro
+ */
+class ReedSolomon {
+    /**
+     * @param {number} primitive - Polinômio primitivo do corpo (ex.: 0x11D para QR Code)
+     * @param {number} size - Número de elementos do corpo (2^m)
+     * @param {number} generatorBase - Expoente da primeira raiz do polinômio gerador
+     */
+    constructor(primitive = 0x11D, size = 256, generatorBase = 0) {
+        this.primitive = primitive;
+        this.size = size;
+        this.generatorBase = generatorBase;
+        this.expTable = new Array(size * 2);
+        this.logTable = new Array(size).fill(0);
+        this.generators = new Map();
+
+        let x = 1;
+        for (let i = 0; i < size; i++) {
+            this.expTable[i] = x;
+            x <<= 1;
+            if (x >= size) {
+                x = (x ^ primitive) & (size - 1);
+            }
+        }
+        // Duplica a tabela para evitar o módulo nas multiplicações
+        for (let i = size; i < size * 2; i++) {
+            this.expTable[i] = this.expTable[i - (size - 1)];
+        }
+        for (let i = 0; i < size - 1; i++) {
+            this.logTable[this.expTable[i]] = i;
+        }
+    }
+
+    /**
+     * Multiplica dois elementos do corpo
+     */
+    multiply(a, b) {
+        if (a === 0 || b === 0) return 0;
+        return this.expTable[this.logTable[a] + this.logTable[b]];
+    }
+
+    /**
+     * Obtém (com cache) o polinômio gerador para um número de símbolos de correção
+     */
+    getGenerator(degree) {
+        if (!this.generators.has(degree)) {
+            // Coeficientes do maior para o menor grau, sem o termo líder (sempre 1)
+            let generator = [1];
+            for (let i = 0; i < degree; i++) {
+                const root = this.expTable[(this.generatorBase + i) % (this.size - 1)];
+                const next = new Array(generator.length + 1).fill(0);
+                for (let j = 0; j < generator.length; j++) {
+                    next[j] ^= generator[j];
+                    next[j + 1] ^= this.multiply(generator[j], root);
+                }
+                generator = next;
+            }
+            this.generators.set(degree, generator.slice(1));
+        }
+        return this.generators.get(degree);
+    }
+
+    /**
+     * Calcula os símbolos de correção de erro para os dados informados
+     */
+    encode(data, eccLength) {
+        const generator = this.getGenerator(eccLength);
+        const remainder = new Array(eccLength).fill(0);
+
+        for (const value of data) {
+            const factor = value ^ remainder.shift();
+            remainder.push(0);
+            for (let i = 0; i < eccLength; i++) {
+                remainder[i] ^= this.multiply(generator[i], factor);
+            }
+        }
+
+        return remainder;
+    }
+}
+
+export { ReedSolomon };
@@ -0,0 +1,203 @@
+/**
+ * SVG Renderer Module
+ * Gera um documento SVG vetorial a partir de uma matriz de módulos
+ */
+import { CodeFrame } from './CodeFrame.js';
+import { ColorFill } from './ColorFill.js';
+import { Halftone } from './Halftone.js';
+import { ModuleShapes } from './ModuleShapes.js';
+import { LogoOverlay } from './LogoOverlay.js';
+import { SymbolSheet } from './SymbolSheet.js';
+
+class SVGRenderer {
+    /**
+     * Renderiza a matriz e retorna o código SVG.
+     * Sem altura explícita, segue a proporção do símbolo (rMQR é retangular).
+     * Gradientes viram <linearGradient>/<radialGradient> com a geometria do CanvasRenderer;
+     * o alfa das cores vai em fill-opacity/stop-opacity e o fundo transparente não é desenhado.
+     * Os formatos dos módulos e dos olhos viram curvas do caminho (ver ModuleShapes);
+     * olhos com cor própria (`eyeColors`) saem em caminhos separados, depois dos módulos;
+     * o logo central e a foto do halftone entram como <image> com o data URL original.
+     * A moldura (ver CodeFrame) envolve o código, que vai num grupo deslocado para dentro dela.
+     * `title` e `description` viram <title> e <desc> do documento (o nome e o conteúdo codificado).
+     */
+    static render(matrix, options = {}) {
+        const {
+            width = 256,
+            colorDark = '#000000',
+            colorLight = '#ffffff',
+            margin = matrix.quietZone,
+            moduleShape = 'square',
+            eyeFrameStyle = 'square',
+            eyeBallStyle = 'square',
+            eyeColors = null,
+            logo = null,
+            halftone = null,
+            frame = null,
+            title = null,
+            description = null
+        } = options;
+
+        const rows = matrix.modules.length;
+        const cols = matrix.modules[0].length;
+        const viewWidth = cols + margin * 2;
+        const viewHeight = rows + margin * 2;
+        const height = options.height ?? Math.round(width * viewHeight / viewWidth);
+
+        const shapes = { moduleShape, eyeFrameStyle, eyeBallStyle };
+        const hasHalftone = Boolean(halftone) && Halftone.appliesTo(matrix, halftone);
+        const styled = hasHalftone || (ModuleShapes.isStyled(shapes) && ModuleShapes.supportsShapes(matrix)) ||
+            ModuleShapes.hasEyeColors(matrix, eyeColors);
+
+        // Preenchimento de cada olho com cor própria, com o gradiente na área do localizador
+        const eyeFills = ModuleShapes.getFinderPatterns(matrix).map((finder, i) => (eyeColors?.[i]
+            ? ColorFill.toSVG(eyeColors[i], `qr-eye-${i + 1}`, ModuleShapes.getFinderBox(finder, margin))
+            : null));
+
+        // Os módulos escuros viram um único caminho no sistema de coordenadas do viewBox
+        let path = '';
+        let eyeElements = '';
+        if (hasHalftone) {
+            // Os módulos saem de Halftone.toSVG, por cima da foto
+        } else if (styled) {
+            const { modules, eyes } = ModuleShapes.getPaths(matrix, shapes);
+            const { plain, colored } = ModuleShapes.splitEyes(matrix, eyes, eyeColors);
+            path = ModuleShapes.toSVGPath([...modules, ...plain], margin);
+            eyeElements = colored
+                .map(({ path: eye, index }) => `\n  <path d="${ModuleShapes.toSVGPath(eye, margin)}" ${eyeFills[index].attributes}/>`)
+                .join('');
+        } else {
+            // Quadrados vizinhos se fundem no contorno de cada região escura
+            path = ModuleShapes.toSVGPath(ModuleShapes.getOutline(cols, rows, (x, y) => matrix.modules[y][x]), margin);
+        }
+
+        const background = ColorFill.toSVG(colorLight, 'qr-background', { x: 0, y: 0, width: viewWidth, height: viewHeight });
+        const foreground = ColorFill.toSVG(colorDark, 'qr-modules', { x: margin, y: margin, width: cols, height: rows });
+
+        // Texto legível dos códigos de barras lineares
+        const text = matrix.humanReadable
+            ? matrix.humanReadable.items.map(item =>
+                `\n  <text x="${item.x + margin}" y="${item.y + margin}" font-family="monospace" font-size="${matrix.humanReadable.fontSize}" ` +
+                `text-anchor="${SVGRenderer.textAnchors[item.align]}" ${foreground.attributes}>${SVGRenderer.escape(item.text)}</text>`
+            ).join('')
+            : '';
+
+        // Com fundo translúcido a placa do logo seria um segundo fundo por cima do primeiro:
+        // em vez dela, uma máscara tira os módulos da área do logo
+        const hasLogo = Boolean(logo) && LogoOverlay.appliesTo(matrix, logo);
+        const cutout = hasLogo && !ColorFill.isOpaque(colorLight);
+        const mask = cutout ? LogoOverlay.toSVGMask(matrix, logo, margin, viewWidth, viewHeight) : '';
+        const logoElements = hasLogo
+            ? LogoOverlay.toSVG(matrix, logo, cutout ? null : background.attributes, margin)
+            : '';
+        const eyeDefinitions = eyeFills.map(fill => (fill ? fill.definition : '')).join('');
+        const definitions = background.definition + foreground.definition + eyeDefinitions + mask;
+        const defs = definitions ? `\n  <defs>${definitions}</defs>` : '';
+        const backgroundElement = ColorFill.isTransparent(colorLight)
+            ? ''
+            : `\n  <rect width="${viewWidth}" height="${viewHeight}" ${background.attributes}/>`;
+
+        const maskAttribute = mask ? ` mask="url(#${LogoOverlay.MASK_ID})"` : '';
+        const modulesElement = hasHalftone
+            ? `\n  <g${maskAttribute}>${Halftone.toSVG(matrix, halftone, moduleShape, foreground.attributes, background.attributes, margin,
+                eyeFills.map(fill => (fill ? fill.attributes : null))).replace(/\n/g, '\n  ')}\n  </g>`
+            : `\n  <path d="${path}" ${foreground.attributes}${maskAttribute}/>${eyeElements}`;
+        const code = `${backgroundElement}${modulesElement}${text}${logoElements}`;
+        const metadata = SVGRenderer.getMetadata(title, description);
+
+        if (CodeFrame.appliesTo(frame)) {
+            return SVGRenderer.renderFramed(code, definitions, frame, { width, height, viewWidth, styled, metadata });
+        }
+
+        return `<?xml version="1.0" encoding="UTF-8"?>
+<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${viewWidth} ${viewHeight}"${styled ? '' : ' shape-rendering="crispEdges"'}>${metadata}${defs}${code}
+</svg>`;
+    }
+
+    /**
+     * Documento com a moldura em volta dos elementos do código. A composição usa a mesma
+     * disposição em pixels do CanvasRenderer; o código entra escalado do viewBox dele.
+     */
+    static renderFramed(code, definitions, frame, { width, height, viewWidth, styled, metadata }) {
+        const layout = CodeFrame.getLayout(frame, width, height, true);
+        const box = { x: 0, y: 0, width: layout.width, height: layout.height };
+        const number = value => String(Math.round(value * 1000) / 1000);
+        const fill = ColorFill.toSVG(frame.color, 'qr-frame', box);
+        const textFill = ColorFill.toSVG(frame.textColor, 'qr-frame-text', box);
+
+        let frameElements = `\n  <path d="${ModuleShapes.toSVGPath(layout.path)}" ${fill.attributes}/>`;
+        if (layout.text) {
+            const { content, x, y, size } = layout.text;
+            frameElements += `\n  <text x="${number(x)}" y="${number(y)}" font-family="${SVGRenderer.escape(frame.font)}" font-size="${number(size)}" ` +
+                `font-weight="bold" text-anchor="middle" dominant-baseline="central" ${textFill.attributes}>${SVGRenderer.escape(content)}</text>`;
+        }
+
+        const allDefinitions = definitions + fill.definition + (layout.text ? textFill.definition : '');
+        const defs = allDefinitions ? `\n  <defs>${allDefinitions}</defs>` : '';
+
+        return `<?xml version="1.0" encoding="UTF-8"?>
+<svg xmlns="http://www.w3.org/2000/svg" width="${layout.width}" height="${layout.height}" viewBox="0 0 ${layout.width} ${layout.height}">${metadata}${defs}${frameElements}
+  <g transform="translate(${layout.code.x} ${layout.code.y}) scale(${number(width / viewWidth)})"${styled ? '' : ' shape-rendering="crispEdges"'}>${code.replace(/\n/g, '\n  ')}
+  </g>
+</svg>`;
+    }
+
+    /**
+     * Folha única da sequência Structured Append (ver SymbolSheet), com as opções de render
+     * e `width` como a largura de cada símbolo. Cada símbolo entra como um <svg> aninhado,
+     * com os ids prefixados pelo número para os gradientes e a máscara não se misturarem;
+     * a folha tem a primeira cor do fundo e os números a dos módulos, como no PNG.
+     */
+    static renderSheet(matrices, options = {}) {
+        const { width = 256, colorDark = '#000000', colorLight = '#ffffff', title = null, description = null } = options;
+        const symbols = matrices.map((matrix, index) => SVGRenderer.render(matrix, { ...options, title: null, description: null })
+            .replace(/^<\?xml[^>]*>\n/, '')
+            .replace(/(id="|url\(#)qr-/g, `$1qr-${index + 1}-`));
+        const sizes = symbols.map(svg => {
+            const [, symbolWidth, symbolHeight] = svg.match(/^<svg [^>]*?width="([^"]+)" height="([^"]+)"/);
+            return { width: Number(symbolWidth), height: Number(symbolHeight) };
+        });
+        const layout = SymbolSheet.getLayout(sizes, width);
+        const number = value => String(Math.round(value * 1000) / 1000);
+
+        const background = ColorFill.getSolidColor(colorLight, '#ffffff');
+        const backgroundElement = ColorFill.isTransparent(background)
+            ? ''
+            : `\n  <rect width="${layout.width}" height="${layout.height}" ${ColorFill.getSVGColor(background, 'fill', 'fill-opacity')}/>`;
+        const labelColor = ColorFill.getSVGColor(ColorFill.getSolidColor(colorDark), 'fill', 'fill-opacity');
+        const cells = symbols.map((svg, index) => {
+            const { x, y, label } = layout.cells[index];
+            return `\n  ${svg.replace('<svg xmlns="http://www.w3.org/2000/svg" ', `<svg x="${x}" y="${y}" `).replace(/\n/g, '\n  ')}` +
+                `\n  <text x="${number(label.x)}" y="${number(label.y)}" font-family="sans-serif" font-size="${layout.fontSize}" ` +
+                `text-anchor="middle" dominant-baseline="central" ${labelColor}>${label.text}</text>`;
+        }).join('');
+
+        return `<?xml version="1.0" encoding="UTF-8"?>
+<svg xmlns="http://www.w3.org/2000/svg" width="${layout.width}" height="${layout.height}" viewBox="0 0 ${layout.width} ${layout.height}">${SVGRenderer.getMetadata(title, description)}${backgroundElement}${cells}
+</svg>`;
+    }
+
+    /**
+     * Elementos <title> e <desc>, os primeiros do documento para leitores de tela e editores
+     */
+    static getMetadata(title, description) {
+        return (title ? `\n  <title>${SVGRenderer.escape(title)}</title>` : '') +
+            (description ? `\n  <desc>${SVGRenderer.escape(description)}</desc>` : '');
+    }
+
+    /**
+     * Alinhamentos do texto legível no atributo text-anchor
+     */
+    static textAnchors = { start: 'start', center: 'middle', end: 'end' };
+
+    /**
+     * Escapa os caracteres especiais do XML e descarta os caracteres de controle que ele não aceita
+     */
+    static escape(text) {
+        return text
+            .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g, '')
+            .replace(/[&<>"]/g, char => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;' })[char]);
+    }
+}
+
+export { SVGRenderer };
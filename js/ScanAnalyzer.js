@@ -0,0 +1,263 @@
+/**
+ * Scan Analyzer Module
+ * Avalia se as cores escolhidas continuam legíveis: contraste entre módulos e fundo
+ * (inclusive gradientes e transparência), polaridade invertida, cores dos olhos,
+ * cobertura do logo e leitura do halftone, com uma nota pass/warn/fail e correções sugeridas.
+ * O contraste é o "symbol contrast" da ISO/IEC 15415 (diferença de refletância entre
+ * claro e escuro), estimado pela luminância relativa das cores.
+ */
+import { ColorFill } from './ColorFill.js';
+import { Halftone } from './Halftone.js';
+import { LogoOverlay } from './LogoOverlay.js';
+
+// Grau C (40%) da ISO/IEC 15415 passa; grau D (20%) ainda lê em boa parte dos leitores
+const PASS_CONTRAST = 0.4;
+const WARN_CONTRAST = 0.2;
+
+// Pontos amostrados ao longo de cada gradiente
+const GRADIENT_SAMPLES = 16;
+
+// Superfície suposta atrás de um fundo transparente ou translúcido (papel branco)
+const SURFACE = { r: 255, g: 255, b: 255, a: 1 };
+
+// Passos da mistura com preto ou branco ao procurar uma correção
+const FIX_STEPS = 20;
+
+class ScanAnalyzer {
+    static Status = Object.freeze({
+        PASS: 'pass',
+        WARN: 'warn',
+        FAIL: 'fail'
+    });
+
+    static PASS_CONTRAST = PASS_CONTRAST;
+
+    /**
+     * Analisa { colorDark, colorLight, invert, eyeColors } e, se houver, a avaliação do logo
+     * (LogoOverlay.assess) e a verificação do halftone (Halftone.verify). Com `invert` as cores
+     * são trocadas como no desenho (ver ColorFill.resolvePolarity); `eyeColors` só vale no QR Code.
+     * Retorna { status, contrast, inverted, issues }: `contrast` é o pior caso de 0 a 1 e cada
+     * issue é { check, status, ...dados, fix }, com check 'contrast', 'polarity', 'eye',
+     * 'transparency', 'logo' ou 'halftone' e fix as opções que corrigem o problema (ou null).
+     */
+    static analyze(options, logoAssessment = null, halftoneCheck = null) {
+        const { colorDark, colorLight, swapped } = ColorFill.resolvePolarity(options.colorDark, options.colorLight, options.invert);
+        const { contrast, inverted } = ScanAnalyzer.measure(colorDark, colorLight);
+        const gradient = ColorFill.isGradient(colorDark) || ColorFill.isGradient(colorLight);
+        const issues = [];
+
+        // As correções são calculadas nas cores desenhadas; no modo invertido voltam às opções trocadas
+        const toOptions = fix => {
+            if (!fix || !swapped) return fix;
+            const { colorDark: dark, colorLight: light, ...rest } = fix;
+            return { ...rest, ...(light && { colorDark: light }), ...(dark && { colorLight: dark }) };
+        };
+
+        if (inverted) {
+            // Módulos mais claros que o fundo: muitos leitores só procuram módulos escuros
+            issues.push({
+                check: 'polarity',
+                status: contrast < PASS_CONTRAST ? ScanAnalyzer.Status.FAIL : ScanAnalyzer.Status.WARN,
+                invertMode: swapped,
+                fix: swapped ? { invert: false } : { colorDark: colorLight, colorLight: colorDark }
+            });
+        }
+
+        if (contrast < PASS_CONTRAST && !inverted) {
+            issues.push({
+                check: 'contrast',
+                status: contrast < WARN_CONTRAST ? ScanAnalyzer.Status.FAIL : ScanAnalyzer.Status.WARN,
+                contrast,
+                gradient,
+                fix: toOptions(ScanAnalyzer.suggestContrastFix(colorDark, colorLight))
+            });
+        }
+
+        issues.push(...ScanAnalyzer.checkEyes(options.eyeColors, colorLight, inverted));
+
+        if (!ColorFill.isOpaque(colorLight)) {
+            issues.push({ check: 'transparency', status: ScanAnalyzer.Status.WARN, fix: null });
+        }
+
+        if (logoAssessment && logoAssessment.status !== LogoOverlay.Status.OK) {
+            issues.push({
+                check: 'logo',
+                status: logoAssessment.status === LogoOverlay.Status.BLOCKED
+                    ? ScanAnalyzer.Status.FAIL
+                    : ScanAnalyzer.Status.WARN,
+                ratio: logoAssessment.ratio,
+                reason: logoAssessment.reason,
+                fix: null
+            });
+        }
+
+        if (halftoneCheck && halftoneCheck.status !== Halftone.Status.OK) {
+            issues.push({
+                check: 'halftone',
+                status: halftoneCheck.status === Halftone.Status.BLOCKED
+                    ? ScanAnalyzer.Status.FAIL
+                    : ScanAnalyzer.Status.WARN,
+                ratio: halftoneCheck.ratio,
+                fix: null
+            });
+        }
+
+        return { status: ScanAnalyzer.worst(issues.map(issue => issue.status)), contrast, inverted, issues };
+    }
+
+    /**
+     * Olhos com cor própria contra o fundo desenhado: um olho com a polaridade oposta à dos
+     * módulos não é reconhecido como localizador; com pouco contraste, só pelos leitores melhores.
+     * A correção devolve o olho à cor dos módulos.
+     */
+    static checkEyes(eyeColors, colorLight, inverted) {
+        if (!Array.isArray(eyeColors)) return [];
+
+        const issues = [];
+        eyeColors.forEach((eyeColor, index) => {
+            if (!eyeColor) return;
+            const eye = ScanAnalyzer.measure(eyeColor, colorLight);
+            const mismatch = eye.inverted !== inverted;
+            if (!mismatch && eye.contrast >= PASS_CONTRAST) return;
+
+            const fixed = eyeColors.map((color, i) => (i === index ? null : color));
+            issues.push({
+                check: 'eye',
+                status: mismatch || eye.contrast < WARN_CONTRAST ? ScanAnalyzer.Status.FAIL : ScanAnalyzer.Status.WARN,
+                index,
+                mismatch,
+                contrast: mismatch ? 0 : eye.contrast,
+                fix: { eyeColors: fixed.some(Boolean) ? fixed : null }
+            });
+        });
+        return issues;
+    }
+
+    /**
+     * Contraste no pior caso: o ponto mais claro dos módulos contra o mais escuro do fundo
+     * (ou o inverso, com polaridade invertida). Retorna { contrast, inverted }.
+     */
+    static measure(colorDark, colorLight) {
+        const backgrounds = ScanAnalyzer.sample(colorLight).map(color => ScanAnalyzer.composite(color, SURFACE));
+        const modules = ScanAnalyzer.sample(colorDark)
+            .flatMap(color => backgrounds.map(background => ScanAnalyzer.composite(color, background)));
+
+        const dark = modules.map(ScanAnalyzer.luminance);
+        const light = backgrounds.map(ScanAnalyzer.luminance);
+        const average = values => values.reduce((sum, value) => sum + value, 0) / values.length;
+        const inverted = average(dark) > average(light);
+        const contrast = inverted
+            ? Math.min(...dark) - Math.max(...light)
+            : Math.min(...light) - Math.max(...dark);
+        return { contrast: Math.max(0, contrast), inverted };
+    }
+
+    /**
+     * Cores { r, g, b, a } de um preenchimento: a cor sólida ou amostras ao longo do gradiente
+     */
+    static sample(value) {
+        const fill = ColorFill.parse(value);
+        if (!fill) return [{ ...SURFACE }];
+        if (fill.type === ColorFill.Type.SOLID) return [ColorFill.parseRGBA(fill.color)];
+
+        const stops = fill.stops.map(stop => ({ ...ColorFill.parseRGBA(stop.color), offset: stop.offset }));
+        const samples = [];
+        for (let i = 0; i <= GRADIENT_SAMPLES; i++) {
+            const offset = i / GRADIENT_SAMPLES;
+            const next = stops.findIndex(stop => stop.offset >= offset);
+            if (next <= 0) {
+                samples.push(stops[next === 0 ? 0 : stops.length - 1]);
+                continue;
+            }
+            const from = stops[next - 1];
+            const to = stops[next];
+            const t = to.offset === from.offset ? 1 : (offset - from.offset) / (to.offset - from.offset);
+            samples.push(ScanAnalyzer.mix(from, to, t));
+        }
+        return samples;
+    }
+
+    /**
+     * Cor translúcida composta sobre uma cor opaca
+     */
+    static composite(color, under) {
+        return {
+            r: color.r * color.a + under.r * (1 - color.a),
+            g: color.g * color.a + under.g * (1 - color.a),
+            b: color.b * color.a + under.b * (1 - color.a),
+            a: 1
+        };
+    }
+
+    /**
+     * Interpolação linear entre duas cores { r, g, b, a }
+     */
+    static mix(from, to, t) {
+        return {
+            r: from.r + (to.r - from.r) * t,
+            g: from.g + (to.g - from.g) * t,
+            b: from.b + (to.b - from.b) * t,
+            a: from.a + (to.a - from.a) * t
+        };
+    }
+
+    /**
+     * Luminância relativa (sRGB, de 0 a 1)
+     */
+    static luminance({ r, g, b }) {
+        const linear = channel => {
+            const value = channel / 255;
+            return value <= 0.04045 ? value / 12.92 : ((value + 0.055) / 1.055) ** 2.4;
+        };
+        return 0.2126 * linear(r) + 0.7152 * linear(g) + 0.0722 * linear(b);
+    }
+
+    /**
+     * Menor mudança que leva o contraste a PASS_CONTRAST: escurecer os módulos,
+     * senão clarear o fundo, senão os dois. Retorna as opções a aplicar ou null.
+     */
+    static suggestContrastFix(colorDark, colorLight) {
+        const black = { r: 0, g: 0, b: 0, a: 1 };
+        const white = { r: 255, g: 255, b: 255, a: 1 };
+        const passes = (dark, light) => {
+            const result = ScanAnalyzer.measure(dark, light);
+            return !result.inverted && result.contrast >= PASS_CONTRAST;
+        };
+
+        for (let step = 1; step <= FIX_STEPS; step++) {
+            const dark = ScanAnalyzer.mixFill(colorDark, black, step / FIX_STEPS);
+            if (passes(dark, colorLight)) return { colorDark: dark };
+        }
+        // Fundo transparente continua transparente: só os módulos podem mudar
+        if (ColorFill.isTransparent(colorLight)) return null;
+        for (let step = 1; step <= FIX_STEPS; step++) {
+            const light = ScanAnalyzer.mixFill(colorLight, white, step / FIX_STEPS);
+            if (passes(colorDark, light)) return { colorLight: light };
+        }
+        return { colorDark: ColorFill.formatColor(black), colorLight: ColorFill.formatColor(white) };
+    }
+
+    /**
+     * Mistura cada cor do preenchimento (a sólida ou as paradas) com outra cor
+     */
+    static mixFill(value, target, amount) {
+        const fill = ColorFill.parse(value);
+        const mixColor = color => {
+            const { r, g, b, a } = ScanAnalyzer.mix(ColorFill.parseRGBA(color), target, amount);
+            return ColorFill.formatColor({ r: Math.round(r), g: Math.round(g), b: Math.round(b), a });
+        };
+        if (fill.type === ColorFill.Type.SOLID) return mixColor(fill.color);
+        return ColorFill.stringify({ ...fill, stops: fill.stops.map(stop => ({ ...stop, color: mixColor(stop.color) })) });
+    }
+
+    /**
+     * Pior situação de uma lista (pass sem problemas)
+     */
+    static worst(statuses) {
+        if (statuses.includes(ScanAnalyzer.Status.FAIL)) return ScanAnalyzer.Status.FAIL;
+        if (statuses.includes(ScanAnalyzer.Status.WARN)) return ScanAnalyzer.Status.WARN;
+        return ScanAnalyzer.Status.PASS;
+    }
+}
+
+export { ScanAnalyzer };
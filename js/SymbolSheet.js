@@ -0,0 +1,42 @@
+/**
+ * Symbol Sheet Module
+ * Disposição da folha única de uma sequência Structured Append: os símbolos numa grade
+ * quase quadrada, na ordem de leitura, cada um com o número ("2/4") centrado embaixo.
+ * A mesma grade serve ao PNG, ao JPEG e aos formatos vetoriais.
+ */
+
+class SymbolSheet {
+    /**
+     * Grade para símbolos com os tamanhos `sizes` ({ width, height }, em pixels ou pontos)
+     * pedidos com a largura `cellSize`; o espaçamento e a faixa dos números seguem cellSize.
+     * Com moldura cada símbolo ocupa mais que cellSize: as células seguem o maior.
+     * Retorna { width, height, fontSize, cells }, com cada célula { x, y, label: { text, x, y } }
+     * e a legenda pelo centro; coordenadas a partir do canto superior esquerdo.
+     */
+    static getLayout(sizes, cellSize) {
+        const total = sizes.length;
+        const columns = Math.ceil(Math.sqrt(total));
+        const rows = Math.ceil(total / columns);
+        const gap = Math.round(cellSize / 10);
+        const labelHeight = Math.max(16, Math.round(cellSize / 8));
+        const cellWidth = Math.max(...sizes.map(size => size.width));
+        const cellHeight = Math.max(...sizes.map(size => size.height));
+
+        return {
+            width: columns * cellWidth + (columns + 1) * gap,
+            height: rows * (cellHeight + labelHeight) + (rows + 1) * gap,
+            fontSize: Math.round(labelHeight * 0.7),
+            cells: sizes.map((_, index) => {
+                const x = gap + (index % columns) * (cellWidth + gap);
+                const y = gap + Math.floor(index / columns) * (cellHeight + labelHeight + gap);
+                return {
+                    x,
+                    y,
+                    label: { text: `${index + 1}/${total}`, x: x + cellWidth / 2, y: y + cellHeight + labelHeight / 2 }
+                };
+            })
+        };
+    }
+}
+
+export { SymbolSheet };
@@ -0,0 +1,162 @@
+/**
+ * Symbology Module
+ * Registry of the supported 2D and linear symbologies: the encoder of each one and how
+ * the generator options map to it, so the forms, customization, history and
+ * downloads work the same way for every code type
+ */
+import { QREncoder } from './QREncoder.js';
+import { MicroQREncoder } from './MicroQREncoder.js';
+import { RMQREncoder } from './RMQREncoder.js';
+import { DataMatrixEncoder } from './DataMatrixEncoder.js';
+import { AztecEncoder } from './AztecEncoder.js';
+import { PDF417Encoder } from './PDF417Encoder.js';
+import { EANEncoder } from './EANEncoder.js';
+import { Code128Encoder } from './Code128Encoder.js';
+import { ITF14Encoder } from './ITF14Encoder.js';
+
+/**
+ * Byte encoding for the content: the chosen one, or the one the content format requires
+ */
+function resolveEncoding(options) {
+    return options.encoding === QREncoder.Encoding.AUTO && options.contentEncoding
+        ? options.contentEncoding
+        : options.encoding;
+}
+
+const LINEAR_ECC_NOTE = 'Códigos de barras lineares não têm correção de erro: o dígito verificador só detecta leituras erradas';
+
+class Symbology {
+    /**
+     * Registered symbologies, keyed by the `symbology` option.
+     * `label` names the symbology in messages, `menuLabel` in the type selector;
+     * `byteEncoding` tells whether the character encoding option applies and
+     * `shapeSupport` which custom shapes it takes: 'all' (modules and eyes),
+     * 'modules' (data modules only, fixed patterns stay square) or 'none'
+     * (bar widths must stay exact).
+     */
+    static registry = {
+        qr: {
+            label: 'QR Code',
+            menuLabel: 'QR Code',
+            encoder: QREncoder,
+            byteEncoding: true,
+            shapeSupport: 'all',
+            getEncoderOptions: options => ({
+                errorCorrectionLevel: options.correctLevel,
+                minVersion: options.minVersion,
+                maxVersion: options.maxVersion,
+                mask: options.mask,
+                encoding: resolveEncoding(options)
+            })
+        },
+        microqr: {
+            label: 'Micro QR',
+            menuLabel: 'Micro QR (M1 a M4)',
+            encoder: MicroQREncoder,
+            byteEncoding: false,
+            shapeSupport: 'modules',
+            // Micro QR picks its own version (M1-M4) and one of its 4 masks
+            getEncoderOptions: options => ({ errorCorrectionLevel: options.correctLevel })
+        },
+        rmqr: {
+            label: 'rMQR',
+            menuLabel: 'rMQR (retangular)',
+            encoder: RMQREncoder,
+            byteEncoding: false,
+            shapeSupport: 'modules',
+            getEncoderOptions: options => ({
+                errorCorrectionLevel: options.correctLevel,
+                height: options.rmqrHeight ?? null
+            })
+        },
+        datamatrix: {
+            label: 'Data Matrix',
+            menuLabel: 'Data Matrix (ECC 200)',
+            encoder: DataMatrixEncoder,
+            byteEncoding: true,
+            shapeSupport: 'modules',
+            eccNote: 'Data Matrix ECC 200 tem correção de erro fixa para cada tamanho',
+            getEncoderOptions: options => ({ encoding: resolveEncoding(options) })
+        },
+        aztec: {
+            label: 'Aztec',
+            menuLabel: 'Aztec',
+            encoder: AztecEncoder,
+            byteEncoding: true,
+            shapeSupport: 'modules',
+            eccNote: 'No Aztec os níveis L, M, Q e H reservam 23%, 33%, 50% e 66% do símbolo para correção',
+            getEncoderOptions: options => ({
+                errorCorrectionLevel: options.correctLevel,
+                encoding: resolveEncoding(options)
+            })
+        },
+        pdf417: {
+            label: 'PDF417',
+            menuLabel: 'PDF417 (empilhado)',
+            encoder: PDF417Encoder,
+            byteEncoding: true,
+            shapeSupport: 'none',
+            eccNote: 'No PDF417 os níveis L, M, Q e H somam 0 a 3 ao nível de segurança recomendado para o tamanho dos dados',
+            getEncoderOptions: options => ({
+                errorCorrectionLevel: options.correctLevel,
+                encoding: resolveEncoding(options)
+            })
+        },
+        ean13: {
+            label: 'EAN-13',
+            menuLabel: 'EAN-13 (código de barras)',
+            encoder: EANEncoder,
+            byteEncoding: false,
+            shapeSupport: 'none',
+            eccNote: LINEAR_ECC_NOTE,
+            getEncoderOptions: () => ({ format: 'ean13' })
+        },
+        upca: {
+            label: 'UPC-A',
+            menuLabel: 'UPC-A (código de barras)',
+            encoder: EANEncoder,
+            byteEncoding: false,
+            shapeSupport: 'none',
+            eccNote: LINEAR_ECC_NOTE,
+            getEncoderOptions: () => ({ format: 'upca' })
+        },
+        code128: {
+            label: 'Code 128',
+            menuLabel: 'Code 128 (código de barras)',
+            encoder: Code128Encoder,
+            byteEncoding: false,
+            shapeSupport: 'none',
+            eccNote: LINEAR_ECC_NOTE,
+            getEncoderOptions: () => ({})
+        },
+        itf14: {
+            label: 'ITF-14',
+            menuLabel: 'ITF-14 (caixas de embarque)',
+            encoder: ITF14Encoder,
+            byteEncoding: false,
+            shapeSupport: 'none',
+            eccNote: LINEAR_ECC_NOTE,
+            getEncoderOptions: () => ({})
+        }
+    };
+
+    /**
+     * Registry entry of a symbology
+     */
+    static get(id) {
+        const entry = Symbology.registry[id];
+        if (!entry) {
+            throw new Error(`Unsupported symbology: ${id}`);
+        }
+        return entry;
+    }
+
+    /**
+     * All symbologies as { value, ...entry }, in registration order
+     */
+    static list() {
+        return Object.entries(Symbology.registry).map(([value, entry]) => ({ value, ...entry }));
+    }
+}
+
+export { Symbology };
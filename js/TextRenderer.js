@@ -0,0 +1,52 @@
+/**
+ * Text Renderer Module
+ * Representa uma matriz de módulos como texto (terminal, logs, e-mails)
+ */
+class TextRenderer {
+    /**
+     * Renderiza a matriz e retorna uma string com uma linha por linha de texto.
+     * No modo compacto cada caractere cobre duas linhas de módulos (meios-blocos).
+     * Com `invert` os módulos claros e a margem viram os caracteres cheios.
+     */
+    static render(matrix, options = {}) {
+        const {
+            margin = matrix.quietZone,
+            compact = true,
+            dark = '█',
+            light = ' ',
+            invert = false
+        } = options;
+
+        const rows = matrix.modules.length;
+        const cols = matrix.modules[0].length;
+        const isDark = (x, y) => (
+            y >= 0 && y < rows && x >= 0 && x < cols ? matrix.modules[y][x] !== invert : invert
+        );
+
+        const lines = [];
+        if (compact) {
+            for (let y = -margin; y < rows + margin; y += 2) {
+                let line = '';
+                for (let x = -margin; x < cols + margin; x++) {
+                    const top = isDark(x, y);
+                    const bottom = y + 1 < rows + margin && isDark(x, y + 1);
+                    line += top && bottom ? '█' : top ? '▀' : bottom ? '▄' : ' ';
+                }
+                lines.push(line);
+            }
+        } else {
+            // Dois caracteres por módulo para compensar a proporção das fontes
+            for (let y = -margin; y < rows + margin; y++) {
+                let line = '';
+                for (let x = -margin; x < cols + margin; x++) {
+                    line += (isDark(x, y) ? dark : light).repeat(2);
+                }
+                lines.push(line);
+            }
+        }
+
+        return lines.join('\n');
+    }
+}
+
+export { TextRenderer };
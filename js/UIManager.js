@@ -184,6 +184,60 @@ class UIManager {
         console.log('Preview updated:', qrCode);
     }
 
+    /**
+     * Update a capacity meter element ("version N, X% full")
+     */
+    updateCapacityMeter(elementId, capacity) {
+        const meter = document.getElementById(elementId);
+        if (!meter) return;
+
+        if (!capacity) {
+            meter.innerHTML = '';
+            meter.classList.remove('capacity-warning', 'capacity-full');
+            return;
+        }
+
+        const percent = Math.min(capacity.percent, 100);
+        let text = capacity.fits
+            ? `Versão ${capacity.version} · ${capacity.percent}% ocupado`
+            : `Excede a capacidade máxima (${capacity.percent}% da versão ${capacity.maxVersion})`;
+        if (capacity.symbols > 1) {
+            // Structured Append: mostra a ocupação do maior símbolo da sequência
+            text = `${capacity.symbols} símbolos (Structured Append) · versão ${capacity.version} · ${capacity.percent}% ocupado`;
+        }
+        if (capacity.unsupportedEncoding) {
+            text = `Caracteres não suportados pela codificação ${capacity.unsupportedEncoding.toUpperCase()}`;
+        } else if (capacity.invalidContent) {
+            text = this.getInvalidContentText(capacity.invalidContent);
+        } else if (capacity.fits && capacity.fixedLength) {
+            // Fixed-length barcodes (EAN/UPC, ITF-14) are either valid or not
+            text = `${capacity.version} · número válido`;
+        } else if (capacity.fits && capacity.eci) {
+            text += ` · ECI ${capacity.eci}`;
+        }
+
+        meter.classList.toggle('capacity-warning', capacity.fits && !capacity.fixedLength && capacity.percent >= 90);
+        meter.classList.toggle('capacity-full', !capacity.fits);
+        meter.innerHTML = `
+            <div class="capacity-bar"><div class="capacity-fill" style="width: ${percent}%"></div></div>
+            <span class="capacity-text">${text}</span>
+        `;
+    }
+
+    /**
+     * Short meter text for content a linear barcode cannot represent
+     */
+    getInvalidContentText({ problem, expected }) {
+        switch (problem) {
+            case 'characters':
+                return expected ? `Caracteres não suportados: ${expected}` : 'Use só dígitos';
+            case 'length':
+                return `Use ${expected.join(' ou ')} dígitos`;
+            default:
+                return `Dígito verificador inválido (esperado ${expected})`;
+        }
+    }
+
     /**
      * Dispatch UI-related events
      */
@@ -119,6 +119,22 @@ class Utils {
         return parseFloat((bytes / Math.pow(k, i)).toFixed(2)) + ' ' + sizes[i];
     }
 
+    /**
+     * Convert hex color (#RGB or #RRGGBB) to RGB components
+     */
+    static hexToRgb(hex) {
+        let value = hex.replace('#', '');
+        if (value.length === 3) {
+            value = value.split('').map(c => c + c).join('');
+        }
+        const number = parseInt(value, 16);
+        return {
+            r: (number >> 16) & 255,
+            g: (number >> 8) & 255,
+            b: number & 255
+        };
+    }
+
     /**
      * Check if device is mobile
      */